@@ -1,50 +1,109 @@
 import _ from 'underscore';
-import AWS from 'aws-sdk';
+import {EventEmitter} from 'events';
 
+import {AudioSourceLoaderRegistry} from
+  'static/js/player_app/logic/audio_source_loader';
 import {assert} from 'static/js/player_app/shared/assert';
+import {EncodedAudioStore} from
+  'static/js/player_app/logic/encoded_audio_store';
 import {LogHandler} from 'static/js/player_app/shared/log_handler';
 import {Track} from 'static/js/player_app/model/track';
 import {TrackCache} from 'static/js/player_app/logic/track_cache';
-import {TrackStore} from 'static/js/player_app/stores/track_store';
+import {WaveformSummary} from 'static/js/player_app/logic/waveform_summary';
+import {WindowedTrackSource} from
+  'static/js/player_app/logic/windowed_track_source';
 
 
 /*** PRIVATE variables ***/
 
-/*
- * Cache for tracks
- *
- * All tracks in cache should have decoded PCM data and be ready to play
- */
-var _trackCache = TrackCache.getInstance();
+// Share of a track's load progress that is the download. The rest is
+// decoding.
+var DOWNLOAD_PROGRESS_WEIGHT = 0.8;
+var DECODE_END_PROGRESS = 0.99;
 
 
 /*** Class Definitions ***/
 
 /**
- * Track loader singleton constructor - getInstance()
- * TODO: remove singleton instance pattern
+ * AudioBufferManager constructor. Dependencies are passed in so managers for
+ * independent decks / audio contexts can run side by side and the manager
+ * can be unit tested with fakes (e.g. an OfflineAudioContext and fake
+ * loaders).
  *
- * See AudioBufferManagerInst constructor for params
+ * @param {Object} audioContext, AudioContext or OfflineAudioContext object
+ *   used for decoding
+ * @param {Object} trackCache, TrackCache instance. Defaults to a new cache
+ *   with no tracks in use.
+ * @param {Object} loaderRegistry, AudioSourceLoaderRegistry instance.
+ *   Defaults to a registry with the built in loaders.
+ * @param {Object} encodedAudioStore, EncodedAudioStore instance, or null for
+ *   no persistent store. Defaults to a new EncodedAudioStore.
  */
-var AudioBufferManager = {};
-var abmInstance = null;
-AudioBufferManager.getInstance = function(audioContext) {
+var AudioBufferManager = function (
+    audioContext, trackCache, loaderRegistry, encodedAudioStore) {
   assert(audioContext, 'AudioBufferManager init requires audioContext');
 
-  if (!abmInstance) {
-    abmInstance = new AudioBufferManagerInst(audioContext);
-  }
-  return abmInstance;
+  EventEmitter.call(this);
+  this.audioContext = audioContext;
+  // Cache for tracks. All loaded tracks in cache have decoded audio and are
+  // ready to play.
+  this.trackCache = trackCache || new TrackCache();
+  // Loaders for each audio source type (S3, HTTP, Blob, ...)
+  this.loaderRegistry =
+    loaderRegistry || AudioSourceLoaderRegistry.createDefault();
+  // FULL decodes whole tracks to PCM, WINDOWED keeps encoded audio and
+  // decodes windows of PCM around play positions
+  this.decodeMode = AudioBufferManager.decodeModes.FULL;
+  // Persistent tier below the track cache - encoded audio survives page
+  // reloads so tracks are only fetched on a miss. null disables it.
+  this.encodedAudioStore = typeof(encodedAudioStore) === 'undefined' ?
+    new EncodedAudioStore() : encodedAudioStore;
+  // Retries for failed loads. Delay before retry N (0 based) is
+  // min(maxDelayMS, baseDelayMS * 2^N) with jitter of up to half of that.
+  // retryOn lists the AudioBufferManager.loadErrorTypes that are retried.
+  this.retryOptions = {
+    maxRetries: 3,
+    baseDelayMS: 500,
+    maxDelayMS: 8000,
+    retryOn: [
+      AudioBufferManager.loadErrorTypes.NETWORK,
+      AudioBufferManager.loadErrorTypes.DECODE
+    ]
+  };
+  // One load per track guid for loads in progress. Callers loading a
+  // track that is already loading share the load so there's only one
+  // network request and decode per track. The load is aborted once every
+  // caller waiting on it has aborted.
+  //   {<track guid>: {pLoad, abortController, numWaiting}}
+  this._inFlightLoads = {};
+  // Options for the WaveformSummary computed for fully decoded tracks - see
+  // WaveformSummary.compute(). Tracks decoded in WINDOWED mode get no
+  // summary since their PCM is never all there at once.
+  this.waveformSummaryOptions = {
+    baseBucketFrames: 256,
+    withBands: false
+  };
 };
+// Emits AudioBufferManager.events - see addProgressListener()
+_.extend(AudioBufferManager.prototype, EventEmitter.prototype);
+
 
-/*** Actual audio buffer manager instance constructor ***/
+var abmInstance = null;
 /**
- * AudioBufferManager instance constructor
+ * Shared app wide manager that uses the shared TrackCache.
+ *
+ * TODO: remove once callers construct and pass their own manager
  *
- * @param {Object} AudioContext object
+ * @param {Object} audioContext, AudioContext object
+ * @return {Object} AudioBufferManager instance
  */
-var AudioBufferManagerInst = function (audioContext) {
-  this.audioContext = audioContext;
+AudioBufferManager.getInstance = function(audioContext) {
+  assert(audioContext, 'AudioBufferManager init requires audioContext');
+
+  if (!abmInstance) {
+    abmInstance = new AudioBufferManager(audioContext, TrackCache.getInstance());
+  }
+  return abmInstance;
 };
 
 
@@ -55,8 +114,8 @@ var AudioBufferManagerInst = function (audioContext) {
  * @param {String} trackGuid, Track guid string
  * @return {Object} Track object or null if not found
  */
-AudioBufferManagerInst.prototype.get = function(trackGuid) {
-  return _trackCache.getTrack(trackGuid);
+AudioBufferManager.prototype.get = function(trackGuid) {
+  return this.trackCache.getTrack(trackGuid);
 };
 
 
@@ -65,13 +124,101 @@ AudioBufferManagerInst.prototype.get = function(trackGuid) {
  *
  * @return {Boolean} true if track's audio data is loaded
  */
-AudioBufferManagerInst.prototype.isTrackLoaded = function(trackGuid) {
+AudioBufferManager.prototype.isTrackLoaded = function(trackGuid) {
   var track = this.get(trackGuid);
 
   return track.isStatusLoadSuccess();
 };
 
 
+/**
+ * Registers loader for an audio source type. Overwrites loader already
+ * registered for that type (including the built in ones).
+ *
+ * @param {String} sourceType, AudioSourceLoaderRegistry.sourceTypes type or
+ *   custom source type string
+ * @param {Function} loader, See loader interface in audio_source_loader
+ */
+AudioBufferManager.prototype.registerLoader = function(sourceType, loader) {
+  this.loaderRegistry.register(sourceType, loader);
+};
+
+
+/**
+ * Subscribe to load progress of every track loaded through this manager.
+ * Callback gets a progress object:
+ *   {
+ *     trackGuid: <track guid>,
+ *     phase: AudioBufferManager.loadPhases type,
+ *     bytesLoaded: bytes downloaded so far (DOWNLOAD phase),
+ *     bytesTotal: total bytes to download or 0 if unknown,
+ *     fraction: 0 to 1 progress of the whole load of the track
+ *   }
+ *
+ * @param {Function} callback, function(progress)
+ */
+AudioBufferManager.prototype.addProgressListener = function(callback) {
+  this.on(AudioBufferManager.events.PROGRESS, callback);
+};
+
+
+/**
+ * @param {Function} callback, Callback passed to addProgressListener()
+ */
+AudioBufferManager.prototype.removeProgressListener = function(callback) {
+  this.removeListener(AudioBufferManager.events.PROGRESS, callback);
+};
+
+
+/**
+ * Overrides retry options. See constructor for the options and defaults.
+ *
+ * @param {Object} retryOptions, Options to override, e.g. {maxRetries: 0}
+ */
+AudioBufferManager.prototype.setRetryOptions = function(retryOptions) {
+  this.retryOptions = _.extend({}, this.retryOptions, retryOptions);
+};
+
+
+/**
+ * Overrides waveform summary options for tracks decoded from now on. See
+ * constructor for the options and defaults.
+ *
+ * @param {Object} waveformSummaryOptions, Options to override, e.g.
+ *   {withBands: true}
+ */
+AudioBufferManager.prototype.setWaveformSummaryOptions = function(
+    waveformSummaryOptions) {
+  this.waveformSummaryOptions = _.extend(
+    {}, this.waveformSummaryOptions, waveformSummaryOptions);
+};
+
+
+/**
+ * @param {Object} encodedAudioStore, EncodedAudioStore instance or null to
+ *   always load from the network
+ */
+AudioBufferManager.prototype.setEncodedAudioStore = function(
+    encodedAudioStore) {
+  this.encodedAudioStore = encodedAudioStore;
+};
+
+
+/**
+ * Sets how tracks loaded from now on are decoded. Tracks already loaded are
+ * not affected.
+ *
+ * @param {String} decodeMode, AudioBufferManager.decodeModes type
+ */
+AudioBufferManager.prototype.setDecodeMode = function(decodeMode) {
+  assert(
+    decodeMode === AudioBufferManager.decodeModes.FULL ||
+    decodeMode === AudioBufferManager.decodeModes.WINDOWED,
+    'Invalid decode mode: ' + decodeMode);
+  this.decodeMode = decodeMode;
+};
+
+
 /**
  * Loads track source into memory so it's ready to play. All tracks are
  * resolved regardless of load status (loading, load failed, etc.) because
@@ -81,44 +228,76 @@ AudioBufferManagerInst.prototype.isTrackLoaded = function(trackGuid) {
  * Network load attempt call is not attempted for a track if:
  * - track is in cache and already loaded
  * - track is in cache and currently loading, i.e. another network call in
- *   progress
+ *   progress. Tracks loading through this manager are waited on. Tracks
+ *   loading some other way have no load to wait on so they are resolved
+ *   as is.
  *
  * Either all tracks are loaded, or no tracks are loaded - uses promise.all()
  * Pretty much a dumb wrapper around pLoadSingleTrack.
  *
- * TODO - not intelligent -- loads entire track as PCM - HUGE.
+ * With options.partialSuccess the promise never rejects. It resolves to a
+ * report per track instead so callers can go ahead with the tracks that
+ * loaded:
+ *   {
+ *     track: Track object,
+ *     result: AudioBufferManager.trackLoadResults type,
+ *     reason: Error for FAILED / CACHE_FULL results, null otherwise
+ *   }
+ * resolveLoadingTracks is ignored in this mode - every track gets a report.
+ *
+ * Loads entire track as PCM unless decodeMode is WINDOWED.
  *
  * @param {Array} tracksToLoad, Array of Track object instance
  * @param {Boolean} resolveLoadingTracks, True if tracks in loading status
- *   should also be resolved. Defaults to True.
+ *   should also be resolved (after their load finishes if it is in progress
+ *   on this manager). Defaults to True.
+ * @param {Object} options, Optional:
+ *   - onProgress: function(fraction) called with the 0 to 1 progress of the
+ *     whole batch whenever a track in the batch makes progress
+ *   - partialSuccess: true to resolve to per track reports (see above)
  *
  * @return {Object} Promise, Resolves to same Array of Track objects that
- *   were passed in.
+ *   were passed in, or Array of per track reports with partialSuccess.
  */
-AudioBufferManagerInst.prototype.pLoadTracks = function(
-    tracksToLoad, resolveLoadingTracks) {
+AudioBufferManager.prototype.pLoadTracks = function(
+    tracksToLoad, resolveLoadingTracks, options) {
   if (typeof(resolveLoadingTracks) === 'undefined') {
     resolveLoadingTracks = true;
   }
+  options = options || {};
   var that = this;
   var trackLoadPromises = [];
   var loadingTracks = [];
+  var stopBatchProgress = _trackBatchProgress(
+    this, tracksToLoad, options.onProgress);
+
+  if (options.partialSuccess) {
+    let pReports = _pLoadTracksWithReports(this, tracksToLoad);
+    pReports.then(stopBatchProgress);
+    return pReports;
+  }
 
   for (let track of tracksToLoad) {
-    if (!track.isStatusLoading()) {
+    let isInFlight = track.getGuid() in this._inFlightLoads;
+    if (isInFlight) {
+      // share the load in progress
+      if (resolveLoadingTracks) {
+        trackLoadPromises.push(this.pLoadSingleTrack(track));
+      }
+    } else if (!track.isStatusLoading()) {
       if (!track.isStatusLoadSuccess()) {
         LogHandler.addDebugMsg(
           this, 'pLoadTracks', 'track STATUS: ' + track.getLoadStatus() + ': ' + track.getTitle());
       }
-      // if track status is loading, we will reject and break the whole load
-      // chain so don't try to load tracks that are loading already
       trackLoadPromises.push(this.pLoadSingleTrack(track));
     } else {
+      // Loading but not through this manager so there's no load to wait on.
+      // pLoadSingleTrack would reject and break the whole load chain.
       loadingTracks.push(track);
     }
   }
 
-  return new Promise(function(resolve, reject) {
+  var pBatch = new Promise(function(resolve, reject) {
     if (trackLoadPromises.length === 0) {
       if (resolveLoadingTracks) {
         resolve(loadingTracks);
@@ -140,15 +319,36 @@ AudioBufferManagerInst.prototype.pLoadTracks = function(
       );
     }
   });
+  pBatch.then(stopBatchProgress, stopBatchProgress);
 
+  return pBatch;
 };
 
 /**
- * Loads the track from remote stream, decodes into PCM, saves PCM data
+ * Loads the track from its audio source, decodes into PCM, saves PCM data
  * on track, discards original source audio. Loads ENTIRE audio.
  *
+ * In WINDOWED decode mode the encoded audio is kept instead and saved on the
+ * track as a WindowedTrackSource that decodes PCM windows on demand. Falls
+ * back to full decoding if the audio format can't be decoded in windows.
+ *
+ * Encoded audio comes from encodedAudioStore if it's stored there. Otherwise
+ * the loader is picked from loaderRegistry by the track's audio source type
+ * and the fetched audio is stored for next time.
+ *
  * If track is already loaded, the promise resolves.
- * If track is in the middle of loading, the promise rejects.
+ * If track is in the middle of loading through this manager, every caller
+ * waits on that load so there's only a single network request and decode.
+ * If track is in the middle of loading some other way, the promise rejects.
+ *
+ * Failed attempts are retried with exponential backoff (see retryOptions).
+ * Once retries are used up the track is marked as load failed and the promise
+ * rejects with an Error whose loadErrorType tells network and decode errors
+ * apart. Network errors keep the loader's AudioSourceLoadError as their cause.
+ *
+ * If options.signal aborts, the promise rejects with an ABORTED error. The
+ * load itself is cancelled once every caller waiting on it has aborted, and
+ * the track's TrackCache slot is released.
  *
  * For SoundCloud: 2 GET requests (as of sept/2015)
  * - 1st from api.soundcloud.com to get track meta info
@@ -157,16 +357,24 @@ AudioBufferManagerInst.prototype.pLoadTracks = function(
  * Assumptions: N/A
  *
  * @param {Object} track, Track object
+ * @param {Object} options, Optional:
+ *   - signal: AbortSignal to cancel waiting on the load
  *
  * @returns {Object} Promise, Resolves to Track object
  */
-AudioBufferManagerInst.prototype.pLoadSingleTrack = function(track) {
+AudioBufferManager.prototype.pLoadSingleTrack = function(track, options) {
   var that = this;
-  // trackTitle is tmp for debugging
-  var trackTitle = TrackStore.getTrackTitle(track.getGuid());
+  var trackGuid = track.getGuid();
+  var signal = options ? options.signal : undefined;
 
-  return new Promise(function(resolve, reject) {
-    var cachedTrack = _trackCache.getTrack(track.getGuid());
+  if (trackGuid in this._inFlightLoads) {
+    return _pWaitForLoad(this._inFlightLoads[trackGuid], signal);
+  }
+
+  var loadStarted = false;
+  var abortController = new AbortController();
+  var pLoad = new Promise(function(resolve, reject) {
+    var cachedTrack = that.trackCache.getTrack(track.getGuid());
     var shouldGetTrack = true;
 
     if (cachedTrack) {
@@ -184,48 +392,72 @@ AudioBufferManagerInst.prototype.pLoadSingleTrack = function(track) {
       try {
         // Mark track as loading and add track to cache if not in cache. Reject
         // if cache is full
-        _trackCache.addTrackAsLoading(track);
+        that.trackCache.addTrackAsLoading(track, {
+          isWindowed:
+            that.decodeMode === AudioBufferManager.decodeModes.WINDOWED
+        });
       } catch (e) {
-        reject(e.message);
+        reject(_createLoadError(
+          e.message, AudioBufferManager.loadErrorTypes.CACHE_FULL));
         return;
       }
+      loadStarted = true;
 
-      // todo: extract to aws xhr util
-      let s3 = new AWS.S3();
-      let bucket = GLOBAL_ENV['AWS_BUCKET_USER_TRACKS'];
-      let key = track.getAudioSourceKey();
-      LogHandler.addDebugMsg(
-        that, 'pLoadSingleTrack', 'Created request to: S3://' + bucket + '/' + key);
-      s3.getObject(
-        {
-          Bucket: bucket,
-          Key: key
-        },
-        function (error, data) {
-          if (error != null) {
-            track.setStatusLoadFailed();
-            reject(new Error('Track request error track[' + track.scId + ']: ' + error));
-          } else {
-            that.audioContext.decodeAudioData( data.Body.buffer,
-              function(buffer) {
-                LogHandler.addDebugMsg(
-                  that, 'pLoadSingleTrack', 'Done fetching and decoding: ' + trackTitle);
-                // set audio buffer also sets status as load success
-                track.setAudioBuffer(buffer);
-                resolve(track);
-              },
-              function() {
-                track.setStatusLoadFailed();
-                // TODO: clean this up - reject with an exception from
-                // exception.js or a regular string - don't instantiate Error
-                reject(new Error('Decoding error track[' + track.getTitle() + ']'));
-              }
-            );
-          }
+      let settled = false;
+      let onLoadFailed = function(error) {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        if (error.loadErrorType === AudioBufferManager.loadErrorTypes.ABORTED) {
+          // nobody wants the track anymore so free up its cache slot
+          that.trackCache.releaseTrack(trackGuid);
+        } else {
+          track.setStatusLoadFailed();
         }
+        _emitProgress(that, track, AudioBufferManager.loadPhases.FAILED);
+        reject(error);
+      };
+      // Don't wait on loaders that are slow to notice the abort
+      abortController.signal.addEventListener('abort', function() {
+        onLoadFailed(_createLoadError(
+          'Load aborted track[' + track.getTitle() + ']',
+          AudioBufferManager.loadErrorTypes.ABORTED));
+      });
+
+      _pLoadWithRetries(that, track, abortController.signal, 0).then(
+        function() {
+          if (settled) {
+            return;
+          }
+          settled = true;
+          _emitProgress(that, track, AudioBufferManager.loadPhases.CACHED);
+          resolve(track);
+        },
+        onLoadFailed
       );
     }
   });
+
+  if (!loadStarted) {
+    return pLoad;
+  }
+
+  // share the load with other callers until it settles
+  var inFlightLoad = {
+    pLoad: pLoad,
+    abortController: abortController,
+    numWaiting: 0
+  };
+  var clearInFlight = function() {
+    if (that._inFlightLoads[trackGuid] === inFlightLoad) {
+      delete that._inFlightLoads[trackGuid];
+    }
+  };
+  this._inFlightLoads[trackGuid] = inFlightLoad;
+  pLoad.then(clearInFlight, clearInFlight);
+
+  return _pWaitForLoad(inFlightLoad, signal);
 };
 
 
@@ -234,9 +466,9 @@ AudioBufferManagerInst.prototype.pLoadSingleTrack = function(track) {
  *
  * @return {Boolean} True if we should try to load the track via network call.
  */
-AudioBufferManagerInst.prototype.shouldTryLoad = function(trackGuid) {
-  if (_trackCache.contains(trackGuid)) {
-    let track = _trackCache.getTrack(trackGuid);
+AudioBufferManager.prototype.shouldTryLoad = function(trackGuid) {
+  if (this.trackCache.contains(trackGuid)) {
+    let track = this.trackCache.getTrack(trackGuid);
     if (track.isStatusLoading() || track.isStatusLoadSuccess()) {
       return false;
     } else {
@@ -252,4 +484,516 @@ AudioBufferManagerInst.prototype.shouldTryLoad = function(trackGuid) {
 /*** PRIVATE functions ***/
 
 
+/**
+ * @param {String} msg, Error message
+ * @param {String} loadErrorType, AudioBufferManager.loadErrorTypes type
+ * @param {Object} cause, Optional error that caused the load to fail e.g.
+ *   the loader's AudioSourceLoadError
+ * @return {Object} Error with loadErrorType set and cause if given
+ */
+var _createLoadError = function(msg, loadErrorType, cause) {
+  // TODO: clean this up - reject with an exception from exception.js
+  var error = new Error(msg);
+  error.loadErrorType = loadErrorType;
+  if (cause) {
+    error.cause = cause;
+  }
+  return error;
+};
+
+
+/**
+ * Emit progress event for the track. See addProgressListener() for the
+ * progress object.
+ *
+ * @param {Object} abm, AudioBufferManager instance
+ * @param {Object} track, Track object
+ * @param {String} phase, AudioBufferManager.loadPhases type
+ * @param {Number} bytesLoaded, Bytes downloaded - DOWNLOAD phase only
+ * @param {Number} bytesTotal, Total bytes or 0 if unknown - DOWNLOAD phase
+ *   only
+ */
+var _emitProgress = function(abm, track, phase, bytesLoaded, bytesTotal) {
+  var phases = AudioBufferManager.loadPhases;
+  var fraction;
+
+  switch (phase) {
+    case phases.DOWNLOAD:
+      fraction = bytesTotal > 0 ?
+        DOWNLOAD_PROGRESS_WEIGHT * Math.min(1, bytesLoaded / bytesTotal) : 0;
+      break;
+    case phases.DECODE_START:
+      fraction = DOWNLOAD_PROGRESS_WEIGHT;
+      break;
+    case phases.DECODE_END:
+      fraction = DECODE_END_PROGRESS;
+      break;
+    default:
+      // CACHED and FAILED - track is done either way
+      fraction = 1;
+      break;
+  }
+
+  abm.emit(AudioBufferManager.events.PROGRESS, {
+    trackGuid: track.getGuid(),
+    phase: phase,
+    bytesLoaded: bytesLoaded || 0,
+    bytesTotal: bytesTotal || 0,
+    fraction: fraction
+  });
+};
+
+
+/**
+ * Report combined progress of a batch of tracks. Tracks already loaded count
+ * as done.
+ *
+ * @param {Object} abm, AudioBufferManager instance
+ * @param {Array} tracks, Array of Track objects in the batch
+ * @param {Function} onProgress, function(fraction) or undefined
+ * @return {Function} Call to stop tracking the batch
+ */
+var _trackBatchProgress = function(abm, tracks, onProgress) {
+  if (typeof(onProgress) !== 'function' || tracks.length === 0) {
+    return function() {};
+  }
+
+  var trackFractions = {};
+  for (let track of tracks) {
+    trackFractions[track.getGuid()] = track.isStatusLoadSuccess() ? 1 : 0;
+  }
+  var listener = function(progress) {
+    if (!(progress.trackGuid in trackFractions)) {
+      return;
+    }
+    trackFractions[progress.trackGuid] = progress.fraction;
+    let total = 0;
+    for (let trackGuid in trackFractions) {
+      total += trackFractions[trackGuid];
+    }
+    onProgress(total / Object.keys(trackFractions).length);
+  };
+
+  abm.addProgressListener(listener);
+  return function() {
+    abm.removeProgressListener(listener);
+  };
+};
+
+
+/**
+ * Load every track and report how each one went. Never rejects.
+ *
+ * @param {Object} abm, AudioBufferManager instance
+ * @param {Array} tracks, Array of Track objects
+ * @return {Object} Promise, Resolves to Array of reports - see pLoadTracks()
+ */
+var _pLoadTracksWithReports = function(abm, tracks) {
+  var results = AudioBufferManager.trackLoadResults;
+  var createReport = function(track, result, reason) {
+    return {track: track, result: result, reason: reason || null};
+  };
+
+  return Promise.all(tracks.map(function(track) {
+    let isInFlight = track.getGuid() in abm._inFlightLoads;
+    if (!isInFlight && track.isStatusLoadSuccess()) {
+      return createReport(track, results.ALREADY_LOADED);
+    }
+    if (!isInFlight && track.isStatusLoading()) {
+      return createReport(track, results.LOADING_ELSEWHERE);
+    }
+
+    return abm.pLoadSingleTrack(track).then(
+      function() {
+        return createReport(track, results.LOADED);
+      },
+      function(error) {
+        let isCacheFull = error.loadErrorType ===
+          AudioBufferManager.loadErrorTypes.CACHE_FULL;
+        return createReport(
+          track, isCacheFull ? results.CACHE_FULL : results.FAILED, error);
+      }
+    );
+  }));
+};
+
+
+/**
+ * Fetch and decode the track, retrying failed attempts per
+ * abm.retryOptions.
+ *
+ * @param {Object} abm, AudioBufferManager instance
+ * @param {Object} track, Track object
+ * @param {Object} signal, AbortSignal for the load
+ * @param {Number} attempt, Number of attempts made so far
+ * @return {Object} Promise, Resolves once audio is saved on the track.
+ *   Rejects with an Error from _createLoadError.
+ */
+var _pLoadWithRetries = function(abm, track, signal, attempt) {
+  var errorTypes = AudioBufferManager.loadErrorTypes;
+  if (signal.aborted) {
+    // e.g. aborted just as a retry's wait finished
+    return Promise.reject(_createLoadError(
+      'Load aborted track[' + track.getTitle() + ']', errorTypes.ABORTED));
+  }
+
+  // Loader for the track's source type fetches the encoded audio. All
+  // loaders reject the same way so failure handling is source agnostic.
+  var loaderOptions = {
+    signal: signal,
+    onProgress: function(bytesLoaded, bytesTotal) {
+      _emitProgress(
+        abm, track, AudioBufferManager.loadPhases.DOWNLOAD, bytesLoaded,
+        bytesTotal);
+    }
+  };
+
+  return _pFetchEncodedAudio(abm, track, loaderOptions).then(
+    function(audioData) {
+      if (signal.aborted) {
+        throw _createLoadError(
+          'Load aborted track[' + track.getTitle() + ']', errorTypes.ABORTED);
+      }
+      _emitProgress(abm, track, AudioBufferManager.loadPhases.DECODE_START);
+      let pDecode = abm.decodeMode === AudioBufferManager.decodeModes.WINDOWED ?
+        _pDecodeWindowed(abm, track, audioData, signal) :
+        _pDecodeFull(abm, track, audioData, signal);
+      return pDecode.then(
+        function() {
+          _emitProgress(abm, track, AudioBufferManager.loadPhases.DECODE_END);
+        },
+        function(error) {
+          if (error.loadErrorType !== errorTypes.DECODE) {
+            throw error;
+          }
+          // don't serve a truncated or corrupt download again - the retry
+          // goes back to the network
+          return _pDeleteStoredAudio(abm, track).then(function() {
+            throw error;
+          });
+        }
+      );
+    },
+    function(error) {
+      throw _createLoadError(
+        'Track request error track[' + track.scId + ']: ' + error,
+        error.aborted ? errorTypes.ABORTED : errorTypes.NETWORK, error);
+    }
+  ).catch(function(error) {
+    var retryOptions = abm.retryOptions;
+    if (signal.aborted) {
+      throw _createLoadError(
+        'Load aborted track[' + track.getTitle() + ']', errorTypes.ABORTED);
+    }
+    if (attempt >= retryOptions.maxRetries ||
+        retryOptions.retryOn.indexOf(error.loadErrorType) === -1) {
+      throw error;
+    }
+
+    var delayMS = Math.min(
+      retryOptions.maxDelayMS, retryOptions.baseDelayMS * Math.pow(2, attempt));
+    // jitter so tracks that failed together don't retry together
+    delayMS = delayMS / 2 + Math.random() * delayMS / 2;
+    LogHandler.addDebugMsg(
+      abm, 'pLoadSingleTrack', 'Retrying in ' + Math.round(delayMS) +
+      'ms (' + error.message + ')');
+
+    return _pWait(delayMS, signal).then(function() {
+      return _pLoadWithRetries(abm, track, signal, attempt + 1);
+    });
+  });
+};
+
+
+/**
+ * Gets encoded audio for the track from the persistent store and only goes
+ * to the network through the track's loader on a miss. Stored audio is a hit
+ * if it was stored for the track's current audio version. Stale audio is
+ * revalidated with its ETag, and used as is when the network can't be
+ * reached so previously loaded tracks play offline.
+ *
+ * Tracks without an audio version have nothing to tell stale audio by, so
+ * their stored audio is revalidated with its ETag on every load.
+ *
+ * Fetched audio is stored before it's decoded (decoding detaches the
+ * buffer). _pLoadWithRetries deletes it again if it fails to decode.
+ *
+ * @param {Object} abm, AudioBufferManager instance
+ * @param {Object} track, Track object
+ * @param {Object} loaderOptions, Loader options
+ * @return {Object} Promise, Resolves to ArrayBuffer of encoded audio. Rejects
+ *   with the loader's AudioSourceLoadError.
+ */
+var _pFetchEncodedAudio = function(abm, track, loaderOptions) {
+  var store = abm.encodedAudioStore;
+  var sourceKey = track.getAudioSourceKey();
+  if (!store || typeof(sourceKey) !== 'string') {
+    // no store, or a File / Blob source that is local anyway
+    return abm.loaderRegistry.pLoad(track, loaderOptions);
+  }
+  var version = track.getAudioSourceVersion() || null;
+  var isOffline = typeof(navigator) !== 'undefined' && navigator.onLine === false;
+
+  return store.pGet(sourceKey).then(function(record) {
+    var isVersionMatch = record !== null && version !== null &&
+      record.version === version;
+    if (record && (isVersionMatch || isOffline)) {
+      LogHandler.addDebugMsg(
+        abm, 'pLoadSingleTrack', 'Loaded from persistent store: ' + track.getTitle());
+      return record.data;
+    }
+
+    let etag = null;
+    let options = _.extend({}, loaderOptions, {
+      ifNoneMatch: record ? record.etag : undefined,
+      onEtag: function(responseEtag) {
+        etag = responseEtag;
+      }
+    });
+    return abm.loaderRegistry.pLoad(track, options).then(
+      function(audioData) {
+        if (audioData === null && record) {
+          // not modified since it was stored - save the new version
+          audioData = record.data;
+          etag = record.etag;
+        }
+        // wait for the store to clone the audio before decoding detaches it
+        return store.pPut(sourceKey, audioData, etag, version).then(
+          function() {
+            return audioData;
+          });
+      },
+      function(error) {
+        if (record && !error.aborted) {
+          LogHandler.addDebugMsg(
+            abm, 'pLoadSingleTrack',
+            'Network failed - using stored audio: ' + track.getTitle());
+          return record.data;
+        }
+        throw error;
+      }
+    );
+  });
+};
+
+
+/**
+ * Delete the track's encoded audio from the persistent store, if any.
+ *
+ * @param {Object} abm, AudioBufferManager instance
+ * @param {Object} track, Track object
+ * @return {Object} Promise, Resolves once deleted. Never rejects.
+ */
+var _pDeleteStoredAudio = function(abm, track) {
+  var store = abm.encodedAudioStore;
+  var sourceKey = track.getAudioSourceKey();
+  if (!store || typeof(sourceKey) !== 'string') {
+    return Promise.resolve();
+  }
+  LogHandler.addDebugMsg(
+    abm, 'pLoadSingleTrack',
+    'Deleting stored audio that failed to decode: ' + track.getTitle());
+  return store.pDelete(sourceKey);
+};
+
+
+/**
+ * Decodes entire track into PCM and saves it on the track along with its
+ * WaveformSummary. The summary is worked out in chunks (see
+ * WaveformSummary.pCompute()) and saved first so it's there once the track
+ * shows as loaded. A track whose summary fails still loads.
+ *
+ * Nothing is saved if the load was aborted while decoding or summarising -
+ * the track's cache slot is already released by then.
+ *
+ * @param {Object} abm, AudioBufferManager instance
+ * @param {Object} track, Track object
+ * @param {Object} audioData, ArrayBuffer of encoded audio
+ * @param {Object} signal, AbortSignal for the load
+ * @return {Object} Promise, Resolves once the buffer is saved on the track.
+ *   Rejects with a DECODE or ABORTED error.
+ */
+var _pDecodeFull = function(abm, track, audioData, signal) {
+  return new Promise(function(resolve, reject) {
+    abm.audioContext.decodeAudioData(audioData,
+      function(buffer) {
+        if (signal.aborted) {
+          reject(_createLoadError(
+            'Load aborted track[' + track.getTitle() + ']',
+            AudioBufferManager.loadErrorTypes.ABORTED));
+          return;
+        }
+        LogHandler.addDebugMsg(
+          abm, 'pLoadSingleTrack', 'Done fetching and decoding: ' + track.getTitle());
+        var pSummary = WaveformSummary.pCompute(
+          buffer, abm.waveformSummaryOptions);
+        pSummary.then(null, function(error) {
+          LogHandler.addLogSystemError(
+            abm, 'pLoadSingleTrack', 'Waveform summary failed track[' +
+            track.getTitle() + ']: ' + error);
+          return null;
+        }).then(function(summary) {
+          if (signal.aborted) {
+            reject(_createLoadError(
+              'Load aborted track[' + track.getTitle() + ']',
+              AudioBufferManager.loadErrorTypes.ABORTED));
+            return;
+          }
+          if (summary !== null) {
+            track.setWaveformSummary(summary);
+          }
+          // set audio buffer also sets status as load success
+          track.setAudioBuffer(buffer);
+          resolve();
+        });
+      },
+      function() {
+        reject(_createLoadError(
+          'Decoding error track[' + track.getTitle() + ']',
+          AudioBufferManager.loadErrorTypes.DECODE));
+      }
+    );
+  });
+};
+
+
+/**
+ * Keeps encoded audio and saves a WindowedTrackSource on the track. Falls
+ * back to _pDecodeFull if the audio can't be decoded in windows.
+ *
+ * No waveform summary - the whole track is never decoded at once.
+ *
+ * See _pDecodeFull for params
+ */
+var _pDecodeWindowed = function(abm, track, audioData, signal) {
+  var windowedSource = new WindowedTrackSource(abm.audioContext, audioData);
+
+  return windowedSource.pInit().then(
+    function() {
+      if (signal.aborted) {
+        throw _createLoadError(
+          'Load aborted track[' + track.getTitle() + ']',
+          AudioBufferManager.loadErrorTypes.ABORTED);
+      }
+      LogHandler.addDebugMsg(
+        abm, 'pLoadSingleTrack', 'Done fetching and probing: ' + track.getTitle());
+      // set windowed source also sets status as load success
+      track.setWindowedSource(windowedSource);
+    },
+    function(error) {
+      LogHandler.addDebugMsg(
+        abm, 'pLoadSingleTrack',
+        'Windowed decode not possible - decoding full track: ' + error);
+      return _pDecodeFull(abm, track, audioData, signal);
+    }
+  );
+};
+
+
+/**
+ * @param {Number} delayMS, Milliseconds to wait
+ * @param {Object} signal, AbortSignal that cuts the wait short
+ * @return {Object} Promise, Resolves after delay. Rejects with an ABORTED
+ *   error if signal aborts first.
+ */
+var _pWait = function(delayMS, signal) {
+  return new Promise(function(resolve, reject) {
+    var timerId = null;
+    var onAbort = function() {
+      clearTimeout(timerId);
+      reject(_createLoadError(
+        'Load aborted', AudioBufferManager.loadErrorTypes.ABORTED));
+    };
+    timerId = setTimeout(function() {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, delayMS);
+    signal.addEventListener('abort', onAbort);
+  });
+};
+
+
+/**
+ * Wait on an in flight load. Rejects early if the caller's signal aborts and
+ * aborts the load itself once no caller is waiting on it anymore. Callers
+ * without a signal keep the load alive.
+ *
+ * @param {Object} inFlightLoad, Entry from abm._inFlightLoads
+ * @param {Object} signal, Caller's AbortSignal or undefined
+ * @return {Object} Promise, Resolves to Track object
+ */
+var _pWaitForLoad = function(inFlightLoad, signal) {
+  inFlightLoad.numWaiting++;
+  if (!signal) {
+    return inFlightLoad.pLoad;
+  }
+
+  return new Promise(function(resolve, reject) {
+    var onAbort = function() {
+      reject(_createLoadError(
+        'Load aborted', AudioBufferManager.loadErrorTypes.ABORTED));
+      inFlightLoad.numWaiting--;
+      if (inFlightLoad.numWaiting === 0) {
+        inFlightLoad.abortController.abort();
+      }
+    };
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+
+    signal.addEventListener('abort', onAbort);
+    inFlightLoad.pLoad.then(
+      function(track) {
+        signal.removeEventListener('abort', onAbort);
+        resolve(track);
+      },
+      function(error) {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      }
+    );
+  });
+};
+
+
+/*** Constants ***/
+AudioBufferManager.decodeModes = {};
+Object.defineProperties(AudioBufferManager.decodeModes, {
+  FULL: {value: 'full', writable: false},
+  WINDOWED: {value: 'windowed', writable: false}
+});
+
+AudioBufferManager.events = {};
+Object.defineProperties(AudioBufferManager.events, {
+  PROGRESS: {value: 'progress', writable: false}
+});
+
+AudioBufferManager.loadPhases = {};
+Object.defineProperties(AudioBufferManager.loadPhases, {
+  DOWNLOAD: {value: 'download', writable: false},
+  DECODE_START: {value: 'decode-start', writable: false},
+  DECODE_END: {value: 'decode-end', writable: false},
+  CACHED: {value: 'cached', writable: false},
+  FAILED: {value: 'failed', writable: false}
+});
+
+AudioBufferManager.loadErrorTypes = {};
+Object.defineProperties(AudioBufferManager.loadErrorTypes, {
+  NETWORK: {value: 'network', writable: false},
+  DECODE: {value: 'decode', writable: false},
+  ABORTED: {value: 'aborted', writable: false},
+  CACHE_FULL: {value: 'cache-full', writable: false}
+});
+
+AudioBufferManager.trackLoadResults = {};
+Object.defineProperties(AudioBufferManager.trackLoadResults, {
+  LOADED: {value: 'loaded', writable: false},
+  ALREADY_LOADED: {value: 'already-loaded', writable: false},
+  LOADING_ELSEWHERE: {value: 'loading-elsewhere', writable: false},
+  FAILED: {value: 'failed', writable: false},
+  CACHE_FULL: {value: 'cache-full', writable: false}
+});
+
+
 export {AudioBufferManager};
@@ -11,15 +11,455 @@ var sinonChai = require('sinon-chai');
 var expect = chai.expect;
 chai.use(sinonChai);
 
+var AudioBufferManager = require(
+  'static/js/player_app/logic/audio_buffer_manager').AudioBufferManager;
+var AudioSourceLoaderRegistry = require(
+  'static/js/player_app/logic/audio_source_loader').AudioSourceLoaderRegistry;
+var AudioSourceLoadError = require(
+  'static/js/player_app/logic/audio_source_loader').AudioSourceLoadError;
+var TrackCache = require(
+  'static/js/player_app/logic/track_cache').TrackCache;
+var WaveformSummary = require(
+  'static/js/player_app/logic/waveform_summary').WaveformSummary;
+
+
+var FAKE_SOURCE_TYPE = 'fake';
+
+
+/**
+ * Stand in for the Track model with just what the manager and cache use
+ */
+var FakeTrack = function(guid) {
+  this.guid = guid;
+  this.status = 'not-loaded';
+  this.audioBuffer = null;
+  this.waveformSummary = null;
+};
+FakeTrack.prototype.getGuid = function() { return this.guid; };
+FakeTrack.prototype.getTitle = function() { return 'title ' + this.guid; };
+FakeTrack.prototype.getAudioSourceType = function() { return FAKE_SOURCE_TYPE; };
+FakeTrack.prototype.getAudioSourceKey = function() { return 'key/' + this.guid; };
+FakeTrack.prototype.getAudioSourceVersion = function() { return null; };
+FakeTrack.prototype.getDurationMS = function() { return 1000; };
+FakeTrack.prototype.getAudioBuffer = function() { return this.audioBuffer; };
+FakeTrack.prototype.getWindowedSource = function() { return null; };
+FakeTrack.prototype.getLoadStatus = function() { return this.status; };
+FakeTrack.prototype.setAudioBuffer = function(buffer) {
+  this.audioBuffer = buffer;
+  this.status = 'loaded';
+};
+FakeTrack.prototype.getWaveformSummary = function() { return this.waveformSummary; };
+FakeTrack.prototype.setWaveformSummary = function(summary) {
+  this.waveformSummary = summary;
+};
+FakeTrack.prototype.setStatusLoading = function() { this.status = 'loading'; };
+FakeTrack.prototype.setStatusLoadFailed = function() { this.status = 'failed'; };
+FakeTrack.prototype.setStatusNotLoaded = function() {
+  this.audioBuffer = null;
+  this.status = 'not-loaded';
+};
+FakeTrack.prototype.isStatusLoading = function() { return this.status === 'loading'; };
+FakeTrack.prototype.isStatusLoadSuccess = function() { return this.status === 'loaded'; };
+
+
+/**
+ * Audio context that "decodes" any non empty buffer into a 1 sec mono buffer
+ * of 0.5 samples
+ */
+var createFakeAudioContext = function() {
+  return {
+    decodeAudioData: function(audioData, onSuccess, onError) {
+      setTimeout(function() {
+        if (audioData.byteLength > 0) {
+          let data = new Float32Array(44100).fill(0.5);
+          onSuccess({
+            length: 44100,
+            numberOfChannels: 1,
+            sampleRate: 44100,
+            getChannelData: function() { return data; }
+          });
+        } else {
+          onError();
+        }
+      }, 0);
+    }
+  };
+};
+
+
+/**
+ * @param {Function} loader, Loader for FAKE_SOURCE_TYPE
+ * @param {Object} audioContext, Optional - defaults to
+ *   createFakeAudioContext()
+ * @return {Object} AudioBufferManager with its own cache and no persistent
+ *   store
+ */
+var createAbm = function(loader, audioContext) {
+  var registry = new AudioSourceLoaderRegistry();
+  registry.register(FAKE_SOURCE_TYPE, loader);
+  var abm = new AudioBufferManager(
+    audioContext || createFakeAudioContext(), new TrackCache(), registry,
+    null);
+  abm.setRetryOptions({baseDelayMS: 0, maxDelayMS: 0});
+  return abm;
+};
+
+
+/**
+ * Stand in for EncodedAudioStore that keeps records in memory
+ */
+var FakeEncodedAudioStore = function() {
+  this.records = {};
+};
+FakeEncodedAudioStore.prototype.pGet = function(sourceKey) {
+  return Promise.resolve(this.records[sourceKey] || null);
+};
+FakeEncodedAudioStore.prototype.pPut = function(
+    sourceKey, data, etag, version) {
+  this.records[sourceKey] = {
+    sourceKey: sourceKey,
+    data: data,
+    etag: etag || null,
+    version: version || null,
+    byteLength: data.byteLength
+  };
+  return Promise.resolve(true);
+};
+FakeEncodedAudioStore.prototype.pDelete = function(sourceKey) {
+  delete this.records[sourceKey];
+  return Promise.resolve();
+};
+
+
+var okLoader = function() {
+  return Promise.resolve(new ArrayBuffer(8));
+};
+
 
 describe('AudioBufferManager', function() {
 
   describe('get', function() {
 
     it('returns null if not present', function() {
-      // todo - importing abm errors because AudioContext not defined
+      var abm = createAbm(okLoader);
+      expect(abm.get('not-there')).to.equal(null);
+    });
+
+  });
+
+  describe('pLoadSingleTrack', function() {
+
+    it('loads with the loader for the track source type', function() {
+      var loader = sinon.spy(okLoader);
+      var abm = createAbm(loader);
+      var track = new FakeTrack('a');
+
+      return abm.pLoadSingleTrack(track).then(function(loadedTrack) {
+        expect(loadedTrack).to.equal(track);
+        expect(track.isStatusLoadSuccess()).to.equal(true);
+        expect(loader).to.have.been.calledOnce;
+        expect(abm.get('a')).to.equal(track);
+      });
+    });
+
+    it('saves a waveform summary of the decoded audio', function() {
+      var abm = createAbm(okLoader);
+      abm.setWaveformSummaryOptions({withBands: true});
+      var track = new FakeTrack('a');
+
+      return abm.pLoadSingleTrack(track).then(function() {
+        var summary = track.getWaveformSummary();
+        expect(summary.getDurationSec()).to.equal(1);
+        expect(summary.hasBands()).to.equal(true);
+        expect(summary.levels[0].max[0]).to.equal(0.5);
+      });
+    });
+
+    it('shares a load in progress instead of loading twice', function() {
+      var loader = sinon.spy(okLoader);
+      var abm = createAbm(loader);
+      var track = new FakeTrack('a');
+
+      return Promise.all([
+        abm.pLoadSingleTrack(track),
+        abm.pLoadSingleTrack(track)
+      ]).then(function(tracks) {
+        expect(tracks[0]).to.equal(track);
+        expect(tracks[1]).to.equal(track);
+        expect(loader).to.have.been.calledOnce;
+      });
+    });
+
+    it('retries network errors', function() {
+      var numCalls = 0;
+      var abm = createAbm(function() {
+        numCalls++;
+        if (numCalls === 1) {
+          return Promise.reject(new AudioSourceLoadError(
+            this, 'loader', 'flaky', FAKE_SOURCE_TYPE));
+        }
+        return okLoader();
+      });
+      var track = new FakeTrack('a');
+
+      return abm.pLoadSingleTrack(track).then(function() {
+        expect(numCalls).to.equal(2);
+        expect(track.isStatusLoadSuccess()).to.equal(true);
+      });
+    });
+
+    it('keeps the loader error once network retries are used up',
+        function() {
+      var loadError = new AudioSourceLoadError(
+        this, 'loader', 'offline', FAKE_SOURCE_TYPE);
+      var abm = createAbm(function() {
+        return Promise.reject(loadError);
+      });
+      abm.setRetryOptions({maxRetries: 0});
+      var track = new FakeTrack('a');
+
+      return abm.pLoadSingleTrack(track).then(
+        function() {
+          assert.fail('load should fail');
+        },
+        function(error) {
+          expect(error.loadErrorType).to.equal(
+            AudioBufferManager.loadErrorTypes.NETWORK);
+          expect(error.cause).to.equal(loadError);
+          expect(error.cause.sourceType).to.equal(FAKE_SOURCE_TYPE);
+        }
+      );
+    });
+
+    it('marks track failed with decode error once retries are used up',
+        function() {
+      var loader = sinon.spy(function() {
+        return Promise.resolve(new ArrayBuffer(0));
+      });
+      var abm = createAbm(loader);
+      abm.setRetryOptions({maxRetries: 1});
+      var track = new FakeTrack('a');
+
+      return abm.pLoadSingleTrack(track).then(
+        function() {
+          assert.fail('load should fail');
+        },
+        function(error) {
+          expect(error.loadErrorType).to.equal(
+            AudioBufferManager.loadErrorTypes.DECODE);
+          expect(track.getLoadStatus()).to.equal('failed');
+          expect(loader).to.have.been.calledTwice;
+        }
+      );
+    });
+
+    it('releases cache slot when load is aborted', function() {
+      var abm = createAbm(function() {
+        return new Promise(function() {});  // never finishes
+      });
+      var track = new FakeTrack('a');
+      var abortController = new AbortController();
+
+      var pLoad = abm.pLoadSingleTrack(
+        track, {signal: abortController.signal});
+      abortController.abort();
+
+      return pLoad.then(
+        function() {
+          assert.fail('load should be aborted');
+        },
+        function(error) {
+          expect(error.loadErrorType).to.equal(
+            AudioBufferManager.loadErrorTypes.ABORTED);
+          expect(abm.trackCache.contains('a')).to.equal(false);
+          expect(track.isStatusLoading()).to.equal(false);
+        }
+      );
+    });
+
+    it('does not save audio decoded after the load is aborted', function() {
+      var abortController = new AbortController();
+      var audioContext = createFakeAudioContext();
+      var decodeAudioData = audioContext.decodeAudioData;
+      audioContext.decodeAudioData = function(audioData, onSuccess, onError) {
+        // abort lands while decoding
+        abortController.abort();
+        decodeAudioData(audioData, onSuccess, onError);
+      };
+      var abm = createAbm(okLoader, audioContext);
+      var track = new FakeTrack('a');
+
+      return abm.pLoadSingleTrack(
+        track, {signal: abortController.signal}).then(
+        function() {
+          assert.fail('load should be aborted');
+        },
+        function(error) {
+          expect(error.loadErrorType).to.equal(
+            AudioBufferManager.loadErrorTypes.ABORTED);
+          // let the decode finish
+          return new Promise(function(resolve) {
+            setTimeout(resolve, 10);
+          });
+        }
+      ).then(function() {
+        expect(track.getAudioBuffer()).to.equal(null);
+        expect(track.isStatusLoadSuccess()).to.equal(false);
+        expect(abm.trackCache.contains('a')).to.equal(false);
+        expect(abm.trackCache.getMemoryUsage()).to.equal(0);
+      });
+    });
+
+    it('does not save a track aborted while it is summarised', function() {
+      var abortController = new AbortController();
+      var pCompute = WaveformSummary.pCompute;
+      sinon.stub(WaveformSummary, 'pCompute').callsFake(
+        function(buffer, options) {
+          // abort lands while summarising
+          abortController.abort();
+          return pCompute(buffer, options);
+        });
+      var abm = createAbm(okLoader);
+      var track = new FakeTrack('a');
+
+      return abm.pLoadSingleTrack(
+        track, {signal: abortController.signal}).then(
+        function() {
+          assert.fail('load should be aborted');
+        },
+        function(error) {
+          expect(error.loadErrorType).to.equal(
+            AudioBufferManager.loadErrorTypes.ABORTED);
+          // let the summary finish
+          return new Promise(function(resolve) {
+            setTimeout(resolve, 10);
+          });
+        }
+      ).then(function() {
+        expect(track.getWaveformSummary()).to.equal(null);
+        expect(track.getAudioBuffer()).to.equal(null);
+        expect(abm.trackCache.contains('a')).to.equal(false);
+      }).finally(function() {
+        WaveformSummary.pCompute.restore();
+      });
+    });
+
+  });
+
+  describe('encoded audio store', function() {
+
+    it('deletes stored audio that fails to decode and refetches', function() {
+      var loader = sinon.spy(okLoader);
+      var abm = createAbm(loader);
+      var store = new FakeEncodedAudioStore();
+      abm.setEncodedAudioStore(store);
+      var track = new FakeTrack('a');
+      track.getAudioSourceVersion = function() { return 'v1'; };
+      // truncated download stored by an earlier load
+      store.pPut('key/a', new ArrayBuffer(0), null, 'v1');
+
+      return abm.pLoadSingleTrack(track).then(function() {
+        expect(track.isStatusLoadSuccess()).to.equal(true);
+        expect(loader).to.have.been.calledOnce;
+        expect(store.records['key/a'].byteLength).to.equal(8);
+      });
+    });
+
+    it('does not keep a fetched download that fails to decode', function() {
+      var abm = createAbm(function() {
+        return Promise.resolve(new ArrayBuffer(0));
+      });
+      abm.setRetryOptions({maxRetries: 0});
+      var store = new FakeEncodedAudioStore();
+      abm.setEncodedAudioStore(store);
+
+      return abm.pLoadSingleTrack(new FakeTrack('a')).then(
+        function() {
+          assert.fail('load should fail');
+        },
+        function(error) {
+          expect(error.loadErrorType).to.equal(
+            AudioBufferManager.loadErrorTypes.DECODE);
+          expect(store.records).to.deep.equal({});
+        }
+      );
+    });
+
+    it('revalidates unversioned stored audio with its ETag', function() {
+      var loader = sinon.spy(function(track, options) {
+        if (options.ifNoneMatch === 'etag-1') {
+          return Promise.resolve(null);  // not modified
+        }
+        options.onEtag('etag-2');
+        return okLoader();
+      });
+      var abm = createAbm(loader);
+      var store = new FakeEncodedAudioStore();
+      abm.setEncodedAudioStore(store);
+      var track = new FakeTrack('a');
+      store.pPut('key/a', new ArrayBuffer(4), 'etag-1', null);
+
+      return abm.pLoadSingleTrack(track).then(function() {
+        expect(loader).to.have.been.calledOnce;
+        expect(loader.firstCall.args[1].ifNoneMatch).to.equal('etag-1');
+        expect(track.getAudioBuffer().length).to.equal(44100);
+        expect(store.records['key/a'].byteLength).to.equal(4);
+      });
+    });
+
+  });
+
+  describe('pLoadTracks', function() {
+
+    it('reports per track results with partialSuccess', function() {
+      var abm = createAbm(function(track) {
+        if (track.getGuid() === 'bad') {
+          return Promise.resolve(new ArrayBuffer(0));
+        }
+        return okLoader();
+      });
+      abm.setRetryOptions({maxRetries: 0});
+      var loaded = new FakeTrack('loaded');
+      loaded.setAudioBuffer({length: 1, numberOfChannels: 1});
+      var elsewhere = new FakeTrack('elsewhere');
+      elsewhere.setStatusLoading();
+      var tracks = [
+        new FakeTrack('good'), new FakeTrack('bad'), loaded, elsewhere];
+
+      return abm.pLoadTracks(tracks, false, {partialSuccess: true}).then(
+        function(reports) {
+          var results = AudioBufferManager.trackLoadResults;
+          expect(reports.map(function(report) {
+            return report.result;
+          })).to.deep.equal([
+            results.LOADED,
+            results.FAILED,
+            results.ALREADY_LOADED,
+            results.LOADING_ELSEWHERE
+          ]);
+          expect(reports[0].track).to.equal(tracks[0]);
+          expect(reports[0].reason).to.equal(null);
+          expect(reports[1].reason.loadErrorType).to.equal(
+            AudioBufferManager.loadErrorTypes.DECODE);
+        }
+      );
+    });
+
+  });
+
+  describe('instances', function() {
+
+    it('do not share caches', function() {
+      var abmA = createAbm(okLoader);
+      var abmB = createAbm(okLoader);
+      var track = new FakeTrack('a');
+
+      return abmA.pLoadSingleTrack(track).then(function() {
+        expect(abmA.get('a')).to.equal(track);
+        expect(abmB.get('a')).to.equal(null);
+      });
     });
 
   });
 
-});
\ No newline at end of file
+});
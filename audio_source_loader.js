@@ -0,0 +1,397 @@
+/**
+ * Audio source loaders. A loader fetches the encoded audio for a track from
+ * one kind of source (S3, plain HTTP(S) url, a user dropped File / Blob, the
+ * local dev server). The track's audio source type picks the loader.
+ *
+ * Loader interface:
+ *   function(track, options) -> Promise
+ *   - called with the registry as `this`
+ *   - options.signal is an optional AbortSignal. Loaders should stop the
+ *     request when it fires and reject with an aborted AudioSourceLoadError.
+ *   - options.onProgress is an optional function(bytesLoaded, bytesTotal)
+ *     loaders call as data arrives. bytesTotal is 0 if unknown.
+ *   - options.ifNoneMatch is an optional ETag. Loaders that support
+ *     conditional requests resolve to null if the audio still matches it.
+ *   - options.onEtag is an optional function(etag) loaders call with the
+ *     ETag of the audio they fetched, if the source gives one.
+ *   - resolves to an ArrayBuffer of encoded (not yet decoded) audio
+ *   - rejects with an AudioSourceLoadError so that every source type fails
+ *     the same way for the AudioBufferManager
+ */
+import AWS from 'aws-sdk';
+
+import {LogHandler} from 'static/js/player_app/shared/log_handler';
+
+
+/*** Class Definitions ***/
+
+/**
+ * Error every loader rejects with. Takes the same params as the exceptions in
+ * shared/exception.
+ */
+class AudioSourceLoadError extends Error {
+
+  /**
+   * @param {Object} obj, Object that raised the error
+   * @param {String} funcName, Function that raised the error
+   * @param {String} msg, Error message
+   * @param {String} sourceType, AudioSourceLoaderRegistry.sourceTypes type
+   * @param {Boolean} aborted, True if load failed because it was aborted.
+   *   Defaults to false.
+   */
+  constructor (obj, funcName, msg, sourceType, aborted) {
+    super(msg);
+    this.name = 'AudioSourceLoadError';
+    this.message = msg;
+    this.funcName = funcName;
+    this.sourceType = sourceType;
+    this.aborted = aborted === true;
+  }
+
+  toString () {
+    return this.name + '[' + this.sourceType + '] ' + this.funcName + ': ' +
+      this.message;
+  }
+}
+
+
+/**
+ * Registry of loaders keyed by audio source type.
+ */
+var AudioSourceLoaderRegistry = function () {
+  this._loaders = {};
+};
+
+
+/**
+ * Create a registry with all the built in loaders registered.
+ *
+ * @return {Object} AudioSourceLoaderRegistry instance
+ */
+AudioSourceLoaderRegistry.createDefault = function() {
+  var registry = new AudioSourceLoaderRegistry();
+  var types = AudioSourceLoaderRegistry.sourceTypes;
+
+  registry.register(types.S3, _loadFromS3);
+  registry.register(types.HTTP, _loadFromUrl);
+  registry.register(types.BLOB, _loadFromBlob);
+  registry.register(types.DEV_SERVER, _loadFromDevServer);
+
+  return registry;
+};
+
+
+/*** PUBLIC prototype methods ***/
+
+
+/**
+ * Registers loader for a source type overwriting any loader already
+ * registered for the type.
+ *
+ * @param {String} sourceType, Audio source type
+ * @param {Function} loader, Loader function - see loader interface above
+ */
+AudioSourceLoaderRegistry.prototype.register = function(sourceType, loader) {
+  if (typeof(loader) !== 'function') {
+    throw new TypeError('Loader for [' + sourceType + '] is not a function');
+  }
+  this._loaders[sourceType] = loader;
+};
+
+
+/**
+ * @param {String} sourceType, Audio source type
+ * @return {Boolean} True if a loader was registered and removed
+ */
+AudioSourceLoaderRegistry.prototype.unregister = function(sourceType) {
+  if (sourceType in this._loaders) {
+    delete this._loaders[sourceType];
+    return true;
+  }
+  return false;
+};
+
+
+/**
+ * @param {String} sourceType, Audio source type
+ * @return {Function} Loader function or null if none registered
+ */
+AudioSourceLoaderRegistry.prototype.getLoader = function(sourceType) {
+  if (sourceType in this._loaders) {
+    return this._loaders[sourceType];
+  }
+  return null;
+};
+
+
+/**
+ * Fetches encoded audio for the track using the loader registered for the
+ * track's source type.
+ *
+ * @param {Object} track, Track object
+ * @param {Object} options, Optional loader options - see loader interface
+ * @return {Object} Promise, Resolves to ArrayBuffer of encoded audio. Rejects
+ *   with AudioSourceLoadError.
+ */
+AudioSourceLoaderRegistry.prototype.pLoad = function(track, options) {
+  var sourceType = _getSourceType(track);
+  var loader = this.getLoader(sourceType);
+
+  if (!loader) {
+    return Promise.reject(new AudioSourceLoadError(
+      this, 'pLoad', 'No loader registered for track: ' + track.getGuid(),
+      sourceType));
+  }
+
+  options = options || {};
+  if (options.signal && options.signal.aborted) {
+    return Promise.reject(new AudioSourceLoadError(
+      this, 'pLoad', 'Load aborted for track: ' + track.getGuid(), sourceType,
+      true));
+  }
+
+  return loader.call(this, track, options);
+};
+
+
+/*** PRIVATE functions ***/
+
+
+/**
+ * Tracks saved before source types existed have no type and live in S3.
+ *
+ * @param {Object} track, Track object
+ * @return {String} AudioSourceLoaderRegistry.sourceTypes type
+ */
+var _getSourceType = function(track) {
+  var sourceType = track.getAudioSourceType();
+  if (!sourceType) {
+    sourceType = AudioSourceLoaderRegistry.sourceTypes.S3;
+  }
+  return sourceType;
+};
+
+
+/**
+ * Loads from the user tracks bucket. Source key is the S3 object key.
+ */
+var _loadFromS3 = function(track, options) {
+  var that = this;
+  var sourceType = AudioSourceLoaderRegistry.sourceTypes.S3;
+
+  return new Promise(function(resolve, reject) {
+    let s3 = new AWS.S3();
+    let bucket = GLOBAL_ENV['AWS_BUCKET_USER_TRACKS'];
+    let key = track.getAudioSourceKey();
+    let aborted = false;
+    LogHandler.addDebugMsg(
+      that, '_loadFromS3', 'Created request to: S3://' + bucket + '/' + key);
+    let params = {
+      Bucket: bucket,
+      Key: key
+    };
+    if (options.ifNoneMatch) {
+      params.IfNoneMatch = options.ifNoneMatch;
+    }
+    let request = s3.getObject(params);
+    let onAbort = function() {
+      aborted = true;
+      request.abort();
+    };
+    _addAbortListener(options.signal, onAbort);
+    request.on('httpDownloadProgress', function(progress) {
+      _reportProgress(options, progress.loaded, progress.total);
+    });
+    request.send(function (error, data) {
+      _removeAbortListener(options.signal, onAbort);
+      if (error != null && error.statusCode === 304) {
+        // audio matches options.ifNoneMatch
+        resolve(null);
+      } else if (error != null) {
+        reject(new AudioSourceLoadError(
+          that, '_loadFromS3', 'S3 request error: ' + error, sourceType,
+          aborted));
+      } else {
+        _reportEtag(options, data.ETag);
+        resolve(data.Body.buffer);
+      }
+    });
+  });
+};
+
+
+/**
+ * Loads from a plain HTTP(S) url. Source key is the url.
+ */
+var _loadFromUrl = function(track, options) {
+  return _pXhrArrayBuffer(
+    this, track.getAudioSourceKey(),
+    AudioSourceLoaderRegistry.sourceTypes.HTTP, options);
+};
+
+
+/**
+ * Loads from the local dev server. Source key is the path on the dev server.
+ */
+var _loadFromDevServer = function(track, options) {
+  var url = GLOBAL_ENV['DEV_TRACK_SERVER_URL'] + '/' + track.getAudioSourceKey();
+  return _pXhrArrayBuffer(
+    this, url, AudioSourceLoaderRegistry.sourceTypes.DEV_SERVER, options);
+};
+
+
+/**
+ * Loads from a user dropped File or Blob. Source key is the File / Blob
+ * object itself.
+ */
+var _loadFromBlob = function(track, options) {
+  var that = this;
+  var sourceType = AudioSourceLoaderRegistry.sourceTypes.BLOB;
+  var blob = track.getAudioSourceKey();
+
+  return new Promise(function(resolve, reject) {
+    if (!(blob instanceof Blob)) {
+      reject(new AudioSourceLoadError(
+        that, '_loadFromBlob', 'Source is not a Blob: ' + blob, sourceType));
+      return;
+    }
+
+    let reader = new FileReader();
+    let onAbort = function() {
+      reader.abort();
+    };
+    reader.onload = function() {
+      _removeAbortListener(options.signal, onAbort);
+      resolve(reader.result);
+    };
+    reader.onerror = function() {
+      _removeAbortListener(options.signal, onAbort);
+      reject(new AudioSourceLoadError(
+        that, '_loadFromBlob', 'File read error: ' + reader.error, sourceType));
+    };
+    reader.onprogress = function(event) {
+      _reportProgress(options, event.loaded, event.total);
+    };
+    reader.onabort = function() {
+      reject(new AudioSourceLoadError(
+        that, '_loadFromBlob', 'File read aborted', sourceType, true));
+    };
+    _addAbortListener(options.signal, onAbort);
+    reader.readAsArrayBuffer(blob);
+  });
+};
+
+
+/**
+ * GET url as an ArrayBuffer.
+ *
+ * @param {Object} registry, AudioSourceLoaderRegistry instance
+ * @param {String} url, Url to fetch
+ * @param {String} sourceType, Source type to report in errors
+ * @param {Object} options, Loader options
+ * @return {Object} Promise, Resolves to ArrayBuffer
+ */
+var _pXhrArrayBuffer = function(registry, url, sourceType, options) {
+  return new Promise(function(resolve, reject) {
+    let xhr = new XMLHttpRequest();
+    let onAbort = function() {
+      xhr.abort();
+    };
+    xhr.open('GET', url, true);
+    xhr.responseType = 'arraybuffer';
+    if (options.ifNoneMatch) {
+      xhr.setRequestHeader('If-None-Match', options.ifNoneMatch);
+    }
+    xhr.onload = function() {
+      _removeAbortListener(options.signal, onAbort);
+      if (xhr.status === 304) {
+        // audio matches options.ifNoneMatch
+        resolve(null);
+      } else if (xhr.status >= 200 && xhr.status < 300) {
+        _reportEtag(options, xhr.getResponseHeader('ETag'));
+        resolve(xhr.response);
+      } else {
+        reject(new AudioSourceLoadError(
+          registry, '_pXhrArrayBuffer',
+          'HTTP ' + xhr.status + ' for url: ' + url, sourceType));
+      }
+    };
+    xhr.onerror = function() {
+      _removeAbortListener(options.signal, onAbort);
+      reject(new AudioSourceLoadError(
+        registry, '_pXhrArrayBuffer', 'Network error for url: ' + url,
+        sourceType));
+    };
+    xhr.onprogress = function(event) {
+      _reportProgress(
+        options, event.loaded, event.lengthComputable ? event.total : 0);
+    };
+    xhr.onabort = function() {
+      reject(new AudioSourceLoadError(
+        registry, '_pXhrArrayBuffer', 'Request aborted for url: ' + url,
+        sourceType, true));
+    };
+    _addAbortListener(options.signal, onAbort);
+    LogHandler.addDebugMsg(
+      registry, '_pXhrArrayBuffer', 'Created request to: ' + url);
+    xhr.send();
+  });
+};
+
+
+/**
+ * @param {Object} signal, AbortSignal or undefined
+ * @param {Function} onAbort, Called when signal fires
+ */
+var _addAbortListener = function(signal, onAbort) {
+  if (signal) {
+    signal.addEventListener('abort', onAbort);
+  }
+};
+
+
+/**
+ * @param {Object} signal, AbortSignal or undefined
+ * @param {Function} onAbort, Listener added with _addAbortListener
+ */
+var _removeAbortListener = function(signal, onAbort) {
+  if (signal) {
+    signal.removeEventListener('abort', onAbort);
+  }
+};
+
+
+/**
+ * @param {Object} options, Loader options
+ * @param {Number} bytesLoaded, Bytes received so far
+ * @param {Number} bytesTotal, Total bytes or 0 / undefined if unknown
+ */
+var _reportProgress = function(options, bytesLoaded, bytesTotal) {
+  if (typeof(options.onProgress) === 'function') {
+    options.onProgress(bytesLoaded, bytesTotal || 0);
+  }
+};
+
+
+/**
+ * @param {Object} options, Loader options
+ * @param {String} etag, ETag from the response or null
+ */
+var _reportEtag = function(options, etag) {
+  if (etag && typeof(options.onEtag) === 'function') {
+    options.onEtag(etag);
+  }
+};
+
+
+/*** Constants ***/
+AudioSourceLoaderRegistry.sourceTypes = {};
+Object.defineProperties(AudioSourceLoaderRegistry.sourceTypes, {
+  S3: {value: 's3', writable: false},
+  HTTP: {value: 'http', writable: false},
+  BLOB: {value: 'blob', writable: false},
+  DEV_SERVER: {value: 'dev-server', writable: false}
+});
+
+
+export {AudioSourceLoaderRegistry, AudioSourceLoadError};
@@ -0,0 +1,411 @@
+/**
+ * Timeline of the values scheduled on an AudioParam. Web Audio can't report
+ * scheduled param values back, so anything that needs to know what a param
+ * will be at some time (e.g. where a fade should start from) asks the
+ * timeline instead.
+ *
+ * Events are kept sorted by start time. Each event sets a value instantly
+ * or fades to it along a curve. An event that starts while an earlier one
+ * is still fading cuts it short and takes over from the value it reached.
+ *
+ * The timeline can be rendered onto any number of params. It can also be
+ * replayed onto the param of a new node, so a recreated node picks up
+ * everything scheduled on the old one. Past events are kept until
+ * removeEventsBefore() drops them so integrals over the past stay right.
+ */
+import _ from 'underscore';
+
+
+/*** PRIVATE variables ***/
+// Number of points in the value curve of a fade
+var CURVE_NUM_POINTS = 128;
+// Exponential fades can't start or end at 0 so they use this instead and
+// jump to 0 at the ends
+var EXPONENTIAL_FLOOR = 0.0001;
+// Number of steps integrals of curved fades are worked out in
+var INTEGRAL_NUM_STEPS = 64;
+
+
+/*** Class Definitions ***/
+
+/**
+ * @param {Number} initialVal, Value param has before any event
+ */
+var AutomationTimeline = function (initialVal) {
+  this.initialVal = initialVal;
+  // Sorted by start time:
+  //   {startTimeSec, endTimeSec, endVal, curve}
+  this._events = [];
+};
+
+
+/*** PUBLIC prototype methods ***/
+
+
+/**
+ * @param {Number} startTimeSec, Context time event starts at
+ * @param {Number} endTimeSec, Context time fade ends at. Same as
+ *   startTimeSec to set the value instantly.
+ * @param {Number} endVal, Value at end of event
+ * @param {String} curve, AutomationTimeline.curves type. Defaults to LINEAR.
+ * @return {Object} Event added - pass to removeEvent() to remove it
+ */
+AutomationTimeline.prototype.addEvent = function(
+    startTimeSec, endTimeSec, endVal, curve) {
+  var event = {
+    startTimeSec: startTimeSec,
+    endTimeSec: Math.max(startTimeSec, endTimeSec),
+    endVal: endVal,
+    curve: curve || AutomationTimeline.curves.LINEAR
+  };
+
+  // an event added at the same time as an existing one goes after it and
+  // takes over
+  var index = _.sortedIndex(this._events, event, 'startTimeSec');
+  while (index < this._events.length &&
+         this._events[index].startTimeSec === startTimeSec) {
+    index++;
+  }
+  this._events.splice(index, 0, event);
+
+  return event;
+};
+
+
+/**
+ * @param {Number} val, Value to set
+ * @param {Number} timeSec, Context time to set it at
+ * @return {Object} Event added
+ */
+AutomationTimeline.prototype.setValueAtTime = function(val, timeSec) {
+  return this.addEvent(timeSec, timeSec, val);
+};
+
+
+/**
+ * @param {Object} event, Event returned by addEvent()
+ * @return {Boolean} True if event was on the timeline
+ */
+AutomationTimeline.prototype.removeEvent = function(event) {
+  var index = this._events.indexOf(event);
+  if (index === -1) {
+    return false;
+  }
+  this._events.splice(index, 1);
+  return true;
+};
+
+
+/**
+ * Remove every event that starts at or after timeSec. The value reached at
+ * timeSec is held from then on - a fade in progress stops where it is.
+ *
+ * @param {Number} timeSec, Context time
+ */
+AutomationTimeline.prototype.removeEventsFrom = function(timeSec) {
+  var holdVal = this.getValueAt(timeSec);
+  var activeEvent = null;
+  this._events = this._events.filter(function(event) {
+    return event.startTimeSec < timeSec;
+  });
+
+  activeEvent = _.last(this._events);
+  if (activeEvent && activeEvent.endTimeSec > timeSec) {
+    this.setValueAtTime(holdVal, timeSec);
+  }
+};
+
+
+/**
+ * Drop events that finished before the one in effect at timeSec. The value
+ * they left becomes the initial value, so values and integrals from timeSec
+ * on are unchanged.
+ *
+ * @param {Number} timeSec, Context time history is needed from
+ */
+AutomationTimeline.prototype.removeEventsBefore = function(timeSec) {
+  var ranges = _getRanges(this);
+  while (ranges.length > 1 && ranges[1].event.startTimeSec <= timeSec) {
+    this.initialVal = ranges[1].fromVal;
+    this._events.shift();
+    ranges.shift();
+  }
+};
+
+
+/**
+ * Remove every event and reset the initial value.
+ *
+ * @param {Number} initialVal, New initial value. Defaults to the current
+ *   one.
+ */
+AutomationTimeline.prototype.clear = function(initialVal) {
+  if (typeof(initialVal) === 'number') {
+    this.initialVal = initialVal;
+  }
+  this._events = [];
+};
+
+
+/**
+ * @return {Array} Copy of events in start time order
+ */
+AutomationTimeline.prototype.getEvents = function() {
+  return this._events.slice();
+};
+
+
+/**
+ * @param {Number} timeSec, Context time
+ * @return {Number} Value scheduled at timeSec
+ */
+AutomationTimeline.prototype.getValueAt = function(timeSec) {
+  var val = this.initialVal;
+  for (let range of _getRanges(this)) {
+    if (range.event.startTimeSec > timeSec) {
+      break;
+    }
+    val = _getRangeValue(range, Math.min(timeSec, range.cutTimeSec));
+  }
+  return val;
+};
+
+
+/**
+ * Integral of the value over time, e.g. how far into a track a source node
+ * gets between two times at the playback rates on the timeline.
+ *
+ * @param {Number} fromTimeSec, Context time
+ * @param {Number} toTimeSec, Context time at or after fromTimeSec
+ * @return {Number} Integral of value from fromTimeSec to toTimeSec
+ */
+AutomationTimeline.prototype.getIntegral = function(fromTimeSec, toTimeSec) {
+  var ranges = _getRanges(this);
+  var integral = 0;
+  var val = this.initialVal;
+  var timeSec = fromTimeSec;
+
+  for (let range of ranges) {
+    if (range.event.startTimeSec >= toTimeSec) {
+      break;
+    }
+    // value holds until the event starts
+    if (range.event.startTimeSec > timeSec) {
+      integral += val * (range.event.startTimeSec - timeSec);
+      timeSec = range.event.startTimeSec;
+    }
+    let fadeEndTimeSec = Math.min(range.cutTimeSec, toTimeSec);
+    if (fadeEndTimeSec > timeSec) {
+      integral += _getRangeIntegral(range, timeSec, fadeEndTimeSec);
+      timeSec = fadeEndTimeSec;
+    }
+    val = _getRangeValue(range, range.cutTimeSec);
+  }
+  if (toTimeSec > timeSec) {
+    integral += val * (toTimeSec - timeSec);
+  }
+  return integral;
+};
+
+
+/**
+ * Reschedule param from fromTimeSec on. Anything scheduled on param from
+ * then is cancelled and put back from the timeline.
+ *
+ * A value curve can't overlap other events, so a fade scheduled across
+ * fromTimeSec before it was cut short is cancelled from its start and put
+ * back too - from where it's at if it's already going.
+ *
+ * @param {Object} param, AudioParam this timeline is scheduled on
+ * @param {Number} fromTimeSec, Context time events changed from
+ * @param {Number} currentTimeSec, Current context time
+ * @param {Function} mapVal, Maps timeline values to param values, e.g. a
+ *   crossfader position to the gain of one side. Defaults to none.
+ */
+AutomationTimeline.prototype.render = function(
+    param, fromTimeSec, currentTimeSec, mapVal) {
+  mapVal = mapVal || _.identity;
+  var ranges = _getRanges(this);
+
+  // only the event in effect just before the cancel time can have been
+  // scheduled across it
+  var cancelTimeSec = Math.max(fromTimeSec, currentTimeSec);
+  var prevRange = _.last(_.filter(ranges, function(range) {
+    return range.event.startTimeSec < cancelTimeSec;
+  }));
+  if (prevRange && prevRange.event.endTimeSec > cancelTimeSec) {
+    cancelTimeSec = prevRange.event.startTimeSec;
+  }
+  param.cancelScheduledValues(cancelTimeSec);
+
+  // can't schedule in the past
+  var renderTimeSec = Math.max(cancelTimeSec, currentTimeSec);
+  var isEventAtRenderTime = _.some(ranges, function(range) {
+    return range.event.startTimeSec === renderTimeSec ||
+      (range.event.startTimeSec < renderTimeSec &&
+       range.cutTimeSec > renderTimeSec);
+  });
+  if (!isEventAtRenderTime) {
+    param.setValueAtTime(mapVal(this.getValueAt(renderTimeSec)), renderTimeSec);
+  }
+
+  for (let i = 0; i < ranges.length; i++) {
+    let range = ranges[i];
+    let nextRange = ranges[i + 1];
+    if (range.cutTimeSec < renderTimeSec) {
+      continue;
+    }
+    let startTimeSec = Math.max(range.event.startTimeSec, renderTimeSec);
+    let durationSec = range.cutTimeSec - startTimeSec;
+    if (durationSec <= 0) {
+      // skip if the next event takes over at the same time
+      let isTakenOver = nextRange &&
+        nextRange.event.startTimeSec === range.event.startTimeSec;
+      if (range.event.startTimeSec >= renderTimeSec && !isTakenOver) {
+        param.setValueAtTime(mapVal(range.event.endVal), startTimeSec);
+      }
+      continue;
+    }
+
+    let curve = new Float32Array(CURVE_NUM_POINTS);
+    for (let j = 0; j < CURVE_NUM_POINTS; j++) {
+      let pointTimeSec =
+        startTimeSec + durationSec * j / (CURVE_NUM_POINTS - 1);
+      curve[j] = mapVal(_getRangeValue(range, pointTimeSec));
+    }
+    param.setValueCurveAtTime(curve, startTimeSec, durationSec);
+  }
+};
+
+
+/**
+ * Schedule the whole timeline on the param of a new node.
+ *
+ * @param {Object} param, AudioParam with nothing scheduled on it
+ * @param {Number} currentTimeSec, Current context time
+ * @param {Function} mapVal, See render()
+ */
+AutomationTimeline.prototype.replay = function(param, currentTimeSec, mapVal) {
+  mapVal = mapVal || _.identity;
+  param.value = mapVal(this.getValueAt(currentTimeSec));
+  this.render(param, currentTimeSec, currentTimeSec, mapVal);
+};
+
+
+/*** PRIVATE functions ***/
+
+
+/**
+ * Works out how each event plays out - events are cut short where the next
+ * event starts and each starts from the value the one before left.
+ *
+ * @param {Object} timeline, AutomationTimeline instance
+ * @return {Array} Array of {event, fromVal, cutTimeSec} in start time order
+ */
+var _getRanges = function(timeline) {
+  var ranges = [];
+  var val = timeline.initialVal;
+  var events = timeline._events;
+
+  for (let i = 0; i < events.length; i++) {
+    let nextEvent = events[i + 1];
+    let range = {
+      event: events[i],
+      fromVal: val,
+      cutTimeSec: nextEvent ?
+        Math.min(events[i].endTimeSec, nextEvent.startTimeSec) :
+        events[i].endTimeSec
+    };
+    ranges.push(range);
+    val = _getRangeValue(range, range.cutTimeSec);
+  }
+  return ranges;
+};
+
+
+/**
+ * @param {Object} range, Range - see _getRanges()
+ * @param {Number} timeSec, Context time within the range
+ * @return {Number} Value of the range's event at timeSec
+ */
+var _getRangeValue = function(range, timeSec) {
+  var event = range.event;
+  var durationSec = event.endTimeSec - event.startTimeSec;
+  if (durationSec <= 0) {
+    return event.endVal;
+  }
+  var fraction = (timeSec - event.startTimeSec) / durationSec;
+  return _getCurveValue(range.fromVal, event.endVal, fraction, event.curve);
+};
+
+
+/**
+ * @param {Object} range, Range - see _getRanges()
+ * @param {Number} fromTimeSec, Context time within the range
+ * @param {Number} toTimeSec, Context time within the range
+ * @return {Number} Integral of the range's value between the two times
+ */
+var _getRangeIntegral = function(range, fromTimeSec, toTimeSec) {
+  if (range.event.curve === AutomationTimeline.curves.LINEAR) {
+    // exact for a straight line
+    return (toTimeSec - fromTimeSec) * (_getRangeValue(range, fromTimeSec) +
+      _getRangeValue(range, toTimeSec)) / 2;
+  }
+  var stepSec = (toTimeSec - fromTimeSec) / INTEGRAL_NUM_STEPS;
+  var integral = 0;
+  for (let i = 0; i < INTEGRAL_NUM_STEPS; i++) {
+    // midpoint of each step
+    integral += _getRangeValue(range, fromTimeSec + stepSec * (i + 0.5));
+  }
+  return integral * stepSec;
+};
+
+
+/**
+ * @param {Number} fromVal, Value at start of fade
+ * @param {Number} toVal, Value at end of fade
+ * @param {Number} fraction, How far through the fade, 0 to 1
+ * @param {String} curve, AutomationTimeline.curves type
+ * @return {Number} Value at fraction of the way through the fade
+ */
+var _getCurveValue = function(fromVal, toVal, fraction, curve) {
+  if (fraction <= 0) {
+    return fromVal;
+  }
+  if (fraction >= 1) {
+    return toVal;
+  }
+  var isRising = toVal >= fromVal;
+
+  switch (curve) {
+    case AutomationTimeline.curves.EXPONENTIAL: {
+      let expFrom = Math.max(fromVal, EXPONENTIAL_FLOOR);
+      let expTo = Math.max(toVal, EXPONENTIAL_FLOOR);
+      return expFrom * Math.pow(expTo / expFrom, fraction);
+    }
+    case AutomationTimeline.curves.EQUAL_POWER:
+      // sin / cos quarter wave so two opposite fades sum to constant power
+      if (isRising) {
+        return fromVal + (toVal - fromVal) * Math.sin(fraction * Math.PI / 2);
+      }
+      return toVal + (fromVal - toVal) * Math.cos(fraction * Math.PI / 2);
+    case AutomationTimeline.curves.S_CURVE:
+      return fromVal +
+        (toVal - fromVal) * (0.5 - 0.5 * Math.cos(fraction * Math.PI));
+    default:
+      return fromVal + (toVal - fromVal) * fraction;
+  }
+};
+
+
+/*** Constants ***/
+AutomationTimeline.curves = {};
+Object.defineProperties(AutomationTimeline.curves, {
+  LINEAR: {value: 'linear', writable: false},
+  EXPONENTIAL: {value: 'exponential', writable: false},
+  EQUAL_POWER: {value: 'equal-power', writable: false},
+  S_CURVE: {value: 's-curve', writable: false}
+});
+
+
+export {AutomationTimeline};
@@ -0,0 +1,144 @@
+/**
+ * Unit test for AutomationTimeline
+ */
+
+// common testing infrastructure mocha-sinon-chai
+var sinon = require('sinon');
+var chai = require('chai');
+var sinonChai = require('sinon-chai');
+var expect = chai.expect;
+chai.use(sinonChai);
+
+var AutomationTimeline = require(
+  'static/js/player_app/logic/automation_timeline').AutomationTimeline;
+
+
+/**
+ * AudioParam that records what's scheduled on it
+ */
+var createFakeParam = function() {
+  return {
+    value: 0,
+    cancelScheduledValues: sinon.spy(),
+    setValueAtTime: sinon.spy(),
+    setValueCurveAtTime: sinon.spy()
+  };
+};
+
+
+describe('AutomationTimeline', function() {
+
+  describe('getValueAt', function() {
+
+    it('returns initial value before any event', function() {
+      var timeline = new AutomationTimeline(1);
+      timeline.setValueAtTime(0.5, 2);
+      expect(timeline.getValueAt(1)).to.equal(1);
+      expect(timeline.getValueAt(2)).to.equal(0.5);
+    });
+
+    it('follows a fade', function() {
+      var timeline = new AutomationTimeline(0);
+      timeline.addEvent(1, 3, 1);
+      expect(timeline.getValueAt(2)).to.equal(0.5);
+      expect(timeline.getValueAt(4)).to.equal(1);
+    });
+
+    it('takes over a fade from the value it reached', function() {
+      var timeline = new AutomationTimeline(0);
+      timeline.addEvent(0, 4, 1);
+      timeline.addEvent(2, 4, 0);
+      expect(timeline.getValueAt(2)).to.equal(0.5);
+      expect(timeline.getValueAt(3)).to.equal(0.25);
+    });
+
+  });
+
+  describe('getIntegral', function() {
+
+    it('adds up steps and fades', function() {
+      var timeline = new AutomationTimeline(1);
+      timeline.setValueAtTime(2, 2);
+      timeline.addEvent(4, 6, 0);
+      expect(timeline.getIntegral(0, 4)).to.equal(6);
+      expect(timeline.getIntegral(3, 7)).to.equal(4);
+    });
+
+  });
+
+  describe('removeEvent', function() {
+
+    it('goes back to the value before the event', function() {
+      var timeline = new AutomationTimeline(1);
+      var bend = timeline.setValueAtTime(1.05, 1);
+      timeline.setValueAtTime(1.2, 2);
+
+      expect(timeline.removeEvent(bend)).to.equal(true);
+      expect(timeline.getValueAt(1.5)).to.equal(1);
+      expect(timeline.getValueAt(2)).to.equal(1.2);
+      expect(timeline.removeEvent(bend)).to.equal(false);
+    });
+
+  });
+
+  describe('removeEventsFrom', function() {
+
+    it('holds a fade in progress where it is', function() {
+      var timeline = new AutomationTimeline(0);
+      timeline.addEvent(0, 4, 1);
+      timeline.setValueAtTime(0, 5);
+
+      timeline.removeEventsFrom(2);
+      expect(timeline.getValueAt(2)).to.equal(0.5);
+      expect(timeline.getValueAt(6)).to.equal(0.5);
+    });
+
+  });
+
+  describe('render', function() {
+
+    it('schedules a fade as a value curve', function() {
+      var timeline = new AutomationTimeline(1);
+      var param = createFakeParam();
+      timeline.addEvent(1, 3, 0);
+
+      timeline.render(param, 1, 0);
+      expect(param.cancelScheduledValues).to.have.been.calledWith(1);
+      var args = param.setValueCurveAtTime.firstCall.args;
+      expect(args[0][0]).to.equal(1);
+      expect(args[0][args[0].length - 1]).to.equal(0);
+      expect(args.slice(1)).to.deep.equal([1, 2]);
+    });
+
+    it('replays onto a new param from the current value', function() {
+      var timeline = new AutomationTimeline(1);
+      var param = createFakeParam();
+      timeline.setValueAtTime(1.2, 1);
+      timeline.setValueAtTime(0.9, 5);
+
+      timeline.replay(param, 2);
+      expect(param.value).to.equal(1.2);
+      expect(param.setValueAtTime).to.have.been.calledWith(0.9, 5);
+    });
+
+    it('maps values onto the param', function() {
+      var timeline = new AutomationTimeline(0);
+      var param = createFakeParam();
+      var mapVal = function(val) {
+        return val * 10;
+      };
+      timeline.setValueAtTime(0.5, 2);
+      timeline.addEvent(3, 4, 1);
+
+      timeline.render(param, 0, 0, mapVal);
+      expect(param.setValueAtTime).to.have.been.calledWith(0, 0);
+      expect(param.setValueAtTime).to.have.been.calledWith(5, 2);
+      var args = param.setValueCurveAtTime.firstCall.args;
+      expect(args[0][0]).to.equal(5);
+      expect(args[0][args[0].length - 1]).to.equal(10);
+      expect(args.slice(1)).to.deep.equal([3, 1]);
+    });
+
+  });
+
+});
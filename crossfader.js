@@ -0,0 +1,333 @@
+/**
+ * Crossfader. Channels are assigned to the A side, the B side or thru, and
+ * the crossfader position sets the gain of each side:
+ * - position -1 is all A, 1 is all B
+ * - thru channels aren't affected
+ *
+ * Each side is a gain node that assigned channels output to, so the
+ * crossfader works on top of channel gain (GAIN_FADE actions) instead of
+ * fighting it. Both sides follow one position timeline, which keeps them
+ * matched for the selected curve:
+ * - LINEAR
+ *   - Gains add up to 1 - dips in the middle for uncorrelated tracks
+ * - CONSTANT_POWER
+ *   - Squared gains add up to 1 - level stays constant across the fade
+ * - SCRATCH
+ *   - Both sides full except right at the ends - a sharp cut for
+ *     scratching and cutting between tracks
+ *
+ * Moves can be set instantly or over a number of beats with moveTo() or
+ * scheduled with CROSSFADE actions through addAction().
+ */
+import _ from 'underscore';
+
+import {AutomationTimeline} from
+  'static/js/player_app/logic/automation_timeline';
+import {IllegalParam} from 'static/js/player_app/shared/exception';
+import {LogHandler} from 'static/js/player_app/shared/log_handler';
+import {MixerChannel} from 'static/js/player_app/logic/mixer_channel';
+import {NumberUtil} from 'static/js/player_app/shared/number_util';
+import {TimeUtil} from 'static/js/player_app/shared/time_util';
+import {TrackAction} from 'static/js/player_app/model/action/track_action';
+
+
+/*** PRIVATE variables ***/
+// Fraction of the travel at each end a SCRATCH curve cuts over
+var SCRATCH_CUT_FRACTION = 0.05;
+
+
+/*** Class Definitions ***/
+
+/**
+ * @param {Object} audioContext, AudioContext object from Web Audio API
+ * @param {Object} outputNode, AudioNode both sides and thru channels output
+ *   to (e.g. MixerBus.masterInputNode - see MixerBus.getCrossfader()).
+ *   Defaults to audioContext.destination.
+ */
+var Crossfader = function (audioContext, outputNode) {
+  this.audioContext = audioContext;
+  this.outputNode = outputNode || audioContext.destination;
+  this.curve = Crossfader.curves.CONSTANT_POWER;
+
+  // Assigned channels - {channel, side}
+  this._assignments = [];
+  // Starts centred
+  this.positionTimeline = new AutomationTimeline(0);
+
+  this.sideNodes = {};
+  for (let side of [Crossfader.sides.A, Crossfader.sides.B]) {
+    let sideNode = audioContext.createGain();
+    sideNode.connect(this.outputNode);
+    this.positionTimeline.replay(
+      sideNode.gain, audioContext.currentTime, _getSideGainFunc(this, side));
+    this.sideNodes[side] = sideNode;
+  }
+};
+
+
+/*** PUBLIC prototype methods ***/
+
+
+/**
+ * Assign a channel to a side. Channel output is routed through the side.
+ *
+ * @param {Object} mixerChannel, MixerChannel instance
+ * @param {String} side, Crossfader.sides type
+ */
+Crossfader.prototype.assignChannel = function(mixerChannel, side) {
+  if (!_.contains(
+      [Crossfader.sides.A, Crossfader.sides.B, Crossfader.sides.THRU], side)) {
+    throw new IllegalParam(this, 'assignChannel', 'unknown side: ' + side);
+  }
+  this.unassignChannel(mixerChannel);
+
+  this._assignments.push({channel: mixerChannel, side: side});
+  mixerChannel.setOutput(
+    side === Crossfader.sides.THRU ? this.outputNode : this.sideNodes[side]);
+};
+
+
+/**
+ * Take a channel off the crossfader. It outputs straight to outputNode.
+ *
+ * @param {Object} mixerChannel, MixerChannel instance
+ * @param {Object} channelOutputNode, AudioNode the channel outputs to
+ *   instead. Defaults to outputNode.
+ * @return {Boolean} True if channel was assigned
+ */
+Crossfader.prototype.unassignChannel = function(
+    mixerChannel, channelOutputNode) {
+  var assignment = _getAssignment(this, mixerChannel);
+  if (assignment === null) {
+    return false;
+  }
+  this._assignments = _.without(this._assignments, assignment);
+  mixerChannel.setOutput(channelOutputNode || this.outputNode);
+  return true;
+};
+
+
+/**
+ * @param {Object} mixerChannel, MixerChannel instance
+ * @return {String} Crossfader.sides type or null if not assigned
+ */
+Crossfader.prototype.getSide = function(mixerChannel) {
+  var assignment = _getAssignment(this, mixerChannel);
+  return assignment === null ? null : assignment.side;
+};
+
+
+/**
+ * Change the curve. Applies from now, including to moves in progress.
+ *
+ * @param {String} curve, Crossfader.curves type
+ */
+Crossfader.prototype.setCurve = function(curve) {
+  if (!_.contains([Crossfader.curves.LINEAR, Crossfader.curves.CONSTANT_POWER,
+                   Crossfader.curves.SCRATCH], curve)) {
+    throw new IllegalParam(this, 'setCurve', 'unknown curve: ' + curve);
+  }
+  this.curve = curve;
+  _renderSides(this, this.audioContext.currentTime);
+};
+
+
+/**
+ * Move the crossfader to position at atTimeMS, instantly or over
+ * fadeNumBeats.
+ *
+ * @param {Number} position, -1 (all A) to 1 (all B)
+ * @param {Number} atTimeMS, Time (relative to AudioContext time) to move at
+ *   or AT_TIME_NOW
+ * @param {Number} fadeNumBeats, Number of beats to move over. Moved
+ *   instantly if not positive.
+ * @param {Number} bpm, Tempo the beats are at
+ * @return {Boolean} True if move scheduled
+ */
+Crossfader.prototype.moveTo = function(position, atTimeMS, fadeNumBeats, bpm) {
+  if (typeof(position) !== 'number' || isNaN(position)) {
+    throw new IllegalParam(this, 'moveTo', 'position not number: ' + position);
+  }
+  if (TimeUtil.isBadTime(atTimeMS)) {
+    LogHandler.addLogSystemError(
+      this, 'moveTo', 'invalid param so no-op - atTimeMS: ' + atTimeMS);
+    return false;
+  }
+  var fadeTimeSec = 0;
+  if (NumberUtil.isPositive(fadeNumBeats)) {
+    if (!NumberUtil.isPositive(bpm)) {
+      throw new IllegalParam(this, 'moveTo', 'bpm not number: ' + bpm);
+    }
+    fadeTimeSec = (fadeNumBeats / bpm) * 60;
+  }
+
+  var currentTimeSec = this.audioContext.currentTime;
+  var atTimeSec = currentTimeSec;
+  if (atTimeMS !== MixerChannel.constants.AT_TIME_NOW) {
+    atTimeSec = Math.max(TimeUtil.msToSec(atTimeMS), currentTimeSec);
+  }
+  position = Math.min(Math.max(position, -1), 1);
+
+  this.positionTimeline.removeEventsBefore(currentTimeSec);
+  this.positionTimeline.addEvent(atTimeSec, atTimeSec + fadeTimeSec, position);
+  _renderSides(this, atTimeSec);
+  return true;
+};
+
+
+/**
+ * @param {Number} atTimeMS, Time (relative to AudioContext time) or
+ *   AT_TIME_NOW
+ * @return {Number} Position scheduled at atTimeMS
+ */
+Crossfader.prototype.getPosition = function(atTimeMS) {
+  var atTimeSec = this.audioContext.currentTime;
+  if (atTimeMS !== MixerChannel.constants.AT_TIME_NOW &&
+      !TimeUtil.isBadTime(atTimeMS)) {
+    atTimeSec = TimeUtil.msToSec(atTimeMS);
+  }
+  return this.positionTimeline.getValueAt(atTimeSec);
+};
+
+
+/**
+ * Schedule a CROSSFADE action. The action's end value is the position and
+ * its beats are at the tempo of the channel playing the action's track.
+ *
+ * See MixerChannel.addActionMc() for param details.
+ *
+ * @param {Object} action, TrackAction object of CROSSFADE type
+ * @param {Number} baseTimeOffsetMS, Base time to add to action time
+ * @param {Number} mixSetOffsetTimeMS, Offset into the mixset actions start
+ *   from
+ * @param {Number} minTimeMSAbs, Actions before this time aren't added
+ * @return {Boolean} True if action added
+ */
+Crossfader.prototype.addAction = function(
+    action, baseTimeOffsetMS, mixSetOffsetTimeMS, minTimeMSAbs) {
+  if (action.getActionType() !== TrackAction.types.CROSSFADE) {
+    LogHandler.addLogSystemError(
+      this, 'addAction', 'not a crossfade action: ' + action.getActionType());
+    return false;
+  }
+  var assignment = _.find(this._assignments, function(assignment) {
+    return assignment.channel.getTrack().getGuid() ===
+      action.getActionTrackGuid();
+  });
+  if (!assignment) {
+    LogHandler.addLogSystemError(
+      this, 'addAction', 'no channel for action track guid: ' +
+      action.getActionTrackGuid());
+    return false;
+  }
+
+  if (TimeUtil.isBadTime(baseTimeOffsetMS)) {
+    baseTimeOffsetMS = 0;
+  }
+  if (TimeUtil.isBadTime(mixSetOffsetTimeMS)) {
+    mixSetOffsetTimeMS = 0;
+  }
+  if (TimeUtil.isBadTime(minTimeMSAbs)) {
+    minTimeMSAbs = 0;
+  }
+  var actionTimeMSAbs = action.getActionTimeMSAbs();
+  if (actionTimeMSAbs === MixerChannel.constants.AT_TIME_NOW) {
+    actionTimeMSAbs = TimeUtil.secToMS(this.audioContext.currentTime);
+  }
+  if (actionTimeMSAbs < minTimeMSAbs) {
+    return false;
+  }
+  actionTimeMSAbs += baseTimeOffsetMS - mixSetOffsetTimeMS;
+
+  // beats at the tempo the track is playing at then
+  var channel = assignment.channel;
+  var bpm = channel.getTrack().getBpm() * channel.getPitch(actionTimeMSAbs);
+  return this.moveTo(
+    action.getEndVal(), actionTimeMSAbs, action.getFadeNumBeats(), bpm);
+};
+
+
+/**
+ * Unassign all channels and disconnect the sides.
+ */
+Crossfader.prototype.destroy = function() {
+  for (let assignment of this._assignments.slice()) {
+    this.unassignChannel(assignment.channel);
+  }
+  for (let sideNode of _.values(this.sideNodes)) {
+    sideNode.disconnect();
+  }
+};
+
+
+/*** PRIVATE functions ***/
+
+
+/**
+ * @param {Object} crossfader, Crossfader instance
+ * @param {Object} mixerChannel, MixerChannel instance
+ * @return {Object} {channel, side} assignment or null
+ */
+var _getAssignment = function(crossfader, mixerChannel) {
+  var assignment = _.find(crossfader._assignments, function(assignment) {
+    return assignment.channel === mixerChannel;
+  });
+  return assignment || null;
+};
+
+
+/**
+ * @param {Object} crossfader, Crossfader instance
+ * @param {String} side, Crossfader.sides A or B
+ * @return {Function} Maps a position to the side's gain for the current
+ *   curve
+ */
+var _getSideGainFunc = function(crossfader, side) {
+  var curve = crossfader.curve;
+  return function(position) {
+    // how far towards this side, 0 (other side) to 1 (this side)
+    var amount = side === Crossfader.sides.A ?
+      (1 - position) / 2 : (1 + position) / 2;
+    switch (curve) {
+      case Crossfader.curves.CONSTANT_POWER:
+        return Math.sin(amount * Math.PI / 2);
+      case Crossfader.curves.SCRATCH:
+        return Math.min(amount / SCRATCH_CUT_FRACTION, 1);
+      default:
+        return amount;
+    }
+  };
+};
+
+
+/**
+ * @param {Object} crossfader, Crossfader instance
+ * @param {Number} fromTimeSec, Context time position changed from
+ */
+var _renderSides = function(crossfader, fromTimeSec) {
+  var currentTimeSec = crossfader.audioContext.currentTime;
+  _.each(crossfader.sideNodes, function(sideNode, side) {
+    crossfader.positionTimeline.render(
+      sideNode.gain, fromTimeSec, currentTimeSec,
+      _getSideGainFunc(crossfader, side));
+  });
+};
+
+
+/*** Constants ***/
+Crossfader.sides = {};
+Object.defineProperties(Crossfader.sides, {
+  A: {value: 'a', writable: false},
+  B: {value: 'b', writable: false},
+  THRU: {value: 'thru', writable: false}
+});
+
+Crossfader.curves = {};
+Object.defineProperties(Crossfader.curves, {
+  LINEAR: {value: 'linear', writable: false},
+  CONSTANT_POWER: {value: 'constant-power', writable: false},
+  SCRATCH: {value: 'scratch', writable: false}
+});
+
+
+export {Crossfader};
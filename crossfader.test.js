@@ -0,0 +1,167 @@
+/**
+ * Unit test for Crossfader
+ */
+
+// common testing infrastructure mocha-sinon-chai
+var sinon = require('sinon');
+var chai = require('chai');
+var sinonChai = require('sinon-chai');
+var expect = chai.expect;
+chai.use(sinonChai);
+
+var createFakeAction = require(
+  'static/js/player_app/logic/test_utils/fake_track').createFakeAction;
+var createFakeAudioContext = require(
+  'static/js/player_app/logic/test_utils/fake_audio_context')
+  .createFakeAudioContext;
+var createFakeTrack = require(
+  'static/js/player_app/logic/test_utils/fake_track').createFakeTrack;
+var Crossfader = require('static/js/player_app/logic/crossfader').Crossfader;
+var IllegalParam = require(
+  'static/js/player_app/shared/exception').IllegalParam;
+var MixerChannel = require(
+  'static/js/player_app/logic/mixer_channel').MixerChannel;
+var TrackAction = require(
+  'static/js/player_app/model/action/track_action').TrackAction;
+
+
+var AT_TIME_NOW = MixerChannel.constants.AT_TIME_NOW;
+
+
+describe('Crossfader', function() {
+  var audioContext;
+  var crossfader;
+
+  beforeEach(function() {
+    audioContext = createFakeAudioContext();
+    crossfader = new Crossfader(audioContext);
+  });
+
+  afterEach(function() {
+    crossfader.destroy();
+  });
+
+  /**
+   * @param {Number} position, Crossfader position to move to now
+   * @return {Array} [A side gain, B side gain] there
+   */
+  var getSideGainsAt = function(position) {
+    crossfader.moveTo(position, AT_TIME_NOW);
+    return [
+      crossfader.sideNodes[Crossfader.sides.A].gain.value,
+      crossfader.sideNodes[Crossfader.sides.B].gain.value
+    ];
+  };
+
+  describe('curves', function() {
+
+    it('keeps the power constant by default', function() {
+      var gains = getSideGainsAt(0);
+      expect(gains[0]).to.be.closeTo(Math.SQRT1_2, 1e-6);
+      expect(gains[1]).to.be.closeTo(Math.SQRT1_2, 1e-6);
+
+      gains = getSideGainsAt(0.5);
+      expect(gains[0] * gains[0] + gains[1] * gains[1]).to.be.closeTo(1, 1e-6);
+      expect(getSideGainsAt(-1)).to.deep.equal([1, 0]);
+    });
+
+    it('adds linear gains up to 1', function() {
+      crossfader.setCurve(Crossfader.curves.LINEAR);
+
+      expect(getSideGainsAt(0)).to.deep.equal([0.5, 0.5]);
+      expect(getSideGainsAt(0.5)).to.deep.equal([0.25, 0.75]);
+      expect(getSideGainsAt(1)).to.deep.equal([0, 1]);
+    });
+
+    it('only cuts a scratch curve at the ends', function() {
+      crossfader.setCurve(Crossfader.curves.SCRATCH);
+
+      expect(getSideGainsAt(0)).to.deep.equal([1, 1]);
+      expect(getSideGainsAt(0.8)).to.deep.equal([1, 1]);
+      var gains = getSideGainsAt(0.95);
+      expect(gains[0]).to.be.closeTo(0.5, 1e-6);
+      expect(getSideGainsAt(1)).to.deep.equal([0, 1]);
+    });
+
+    it('rejects an unknown curve', function() {
+      expect(function() {
+        crossfader.setCurve('log');
+      }).to.throw(IllegalParam);
+    });
+
+  });
+
+  describe('assignChannel', function() {
+    var mixerChannel;
+
+    beforeEach(function() {
+      mixerChannel = {setOutput: sinon.spy()};
+    });
+
+    it('routes the channel through its side', function() {
+      crossfader.assignChannel(mixerChannel, Crossfader.sides.B);
+
+      expect(crossfader.getSide(mixerChannel)).to.equal(Crossfader.sides.B);
+      expect(mixerChannel.setOutput).to.have.been.calledWith(
+        crossfader.sideNodes[Crossfader.sides.B]);
+    });
+
+    it('routes a thru channel straight to the output', function() {
+      crossfader.assignChannel(mixerChannel, Crossfader.sides.THRU);
+
+      expect(mixerChannel.setOutput).to.have.been.calledWith(
+        audioContext.destination);
+    });
+
+    it('routes an unassigned channel straight to the output', function() {
+      crossfader.assignChannel(mixerChannel, Crossfader.sides.A);
+
+      expect(crossfader.unassignChannel(mixerChannel)).to.equal(true);
+      expect(mixerChannel.setOutput.secondCall).to.have.been.calledWith(
+        audioContext.destination);
+      expect(crossfader.getSide(mixerChannel)).to.equal(null);
+      expect(crossfader.unassignChannel(mixerChannel)).to.equal(false);
+    });
+
+  });
+
+  describe('moveTo', function() {
+
+    it('moves over beats', function() {
+      audioContext.currentTime = 1;
+      crossfader.moveTo(1, 2000, 4, 120);
+
+      expect(crossfader.getPosition(2000)).to.equal(0);
+      expect(crossfader.getPosition(3000)).to.equal(0.5);
+      expect(crossfader.getPosition(4000)).to.equal(1);
+    });
+
+    it('keeps the position within the ends', function() {
+      crossfader.moveTo(-3, AT_TIME_NOW);
+
+      expect(crossfader.getPosition(AT_TIME_NOW)).to.equal(-1);
+    });
+
+  });
+
+  describe('addAction', function() {
+
+    it('moves over beats at the tempo the track plays at', function() {
+      var mixerChannel = {
+        setOutput: sinon.spy(),
+        getTrack: function() { return createFakeTrack(); },
+        getPitch: function() { return 2; }
+      };
+      crossfader.assignChannel(mixerChannel, Crossfader.sides.A);
+
+      // 4 beats at 240 bpm is 1000ms
+      expect(crossfader.addAction(createFakeAction(
+        TrackAction.types.CROSSFADE, 1000, {endVal: 1, fadeNumBeats: 4})))
+        .to.equal(true);
+      expect(crossfader.getPosition(1500)).to.equal(0.5);
+      expect(crossfader.getPosition(2000)).to.equal(1);
+    });
+
+  });
+
+});
@@ -0,0 +1,356 @@
+/**
+ * Effect returns shared by mixer channels. Each channel has a post-fader
+ * send per return (see MixerChannel.setSendOutput()) and SEND actions set
+ * how much of the channel goes in.
+ *
+ * Returns:
+ * - DELAY
+ *   - Beat-synced delay with feedback: input -> delay -> tone -> return
+ *     gain -> outputNode, with tone -> feedback gain -> delay for the
+ *     repeats. The tone low-pass darkens each repeat a little more.
+ * - REVERB
+ *   - Convolution reverb: input -> convolver -> return gain -> outputNode.
+ *     Impulse responses are generated in the context - see
+ *     EffectReturns.impulses.
+ *
+ * The effects ring on in the returns after a channel's source stops or its
+ * send is turned down, so cutting a channel with its send up gives an
+ * echo-out or a reverb tail.
+ */
+import _ from 'underscore';
+
+import {AutomationTimeline} from
+  'static/js/player_app/logic/automation_timeline';
+import {IllegalParam} from 'static/js/player_app/shared/exception';
+import {NumberUtil} from 'static/js/player_app/shared/number_util';
+
+
+/*** PRIVATE variables ***/
+var MAX_DELAY_SEC = 4;
+var DEFAULT_DELAY_NUM_BEATS = 0.75;
+var DEFAULT_DELAY_BPM = 120;
+var DEFAULT_DELAY_FEEDBACK = 0.4;
+// Below 1 so repeats always die away
+var MAX_DELAY_FEEDBACK = 0.95;
+var DELAY_TONE_HZ = 4000;
+// Param changes fade over this so they don't click
+var PARAM_FADE_SEC = 0.05;
+var MAX_RETURN_GAIN = 2;
+// Reverb tail falls by this much over an impulse's durationSec
+var IMPULSE_DECAY_DB = -60;
+// Generated impulse responses. Each is stereo noise with an exponential
+// decay, starting after preDelaySec.
+// The noise is seeded so a reverb sounds the same every time it's made, e.g.
+// in a live mix and an offline render of it.
+var IMPULSE_SEED = 0x2f6b3c1d;
+var IMPULSE_SPECS = {
+  room: {durationSec: 0.8, preDelaySec: 0.005},
+  hall: {durationSec: 3, preDelaySec: 0.02},
+  plate: {durationSec: 1.8, preDelaySec: 0}
+};
+
+
+/*** Class Definitions ***/
+
+/**
+ * @param {Object} audioContext, AudioContext object from Web Audio API
+ * @param {Object} outputNode, AudioNode returns connect to (e.g.
+ *   MixerBus.masterInputNode). Defaults to audioContext.destination.
+ */
+var EffectReturns = function (audioContext, outputNode) {
+  this.audioContext = audioContext;
+  this.outputNode = outputNode || audioContext.destination;
+  this.channels = [];
+
+  // by EffectReturns.types type
+  this.inputNodes = {};
+  this.returnGainNodes = {};
+  this.returnGainTimelines = {};
+  for (let type of RETURN_TYPES) {
+    this.inputNodes[type] = audioContext.createGain();
+    this.returnGainNodes[type] = audioContext.createGain();
+    this.returnGainNodes[type].connect(this.outputNode);
+    this.returnGainTimelines[type] = new AutomationTimeline(1);
+  }
+
+  _createDelayNodes(this);
+  _createReverbNodes(this);
+};
+
+
+/*** PUBLIC prototype methods ***/
+
+
+/**
+ * Route a channel's sends to the returns.
+ *
+ * @param {Object} mixerChannel, MixerChannel instance
+ */
+EffectReturns.prototype.addChannel = function(mixerChannel) {
+  if (!_.contains(this.channels, mixerChannel)) {
+    this.channels.push(mixerChannel);
+  }
+  for (let type of RETURN_TYPES) {
+    mixerChannel.setSendOutput(type, this.inputNodes[type]);
+  }
+};
+
+
+/**
+ * Disconnect a channel's sends. Anything already in the returns rings out.
+ *
+ * @param {Object} mixerChannel, MixerChannel instance
+ * @return {Boolean} True if channel was routed to the returns
+ */
+EffectReturns.prototype.removeChannel = function(mixerChannel) {
+  if (!_.contains(this.channels, mixerChannel)) {
+    return false;
+  }
+  this.channels = _.without(this.channels, mixerChannel);
+  for (let type of RETURN_TYPES) {
+    mixerChannel.setSendOutput(type, null);
+  }
+  return true;
+};
+
+
+/**
+ * Set the delay time to a number of beats at a tempo.
+ *
+ * @param {Number} numBeats, Beats between repeats, e.g. 0.75 for a dotted
+ *   eighth
+ * @param {Number} bpm, Tempo the beats are at
+ */
+EffectReturns.prototype.setDelayTime = function(numBeats, bpm) {
+  if (!NumberUtil.isPositive(numBeats)) {
+    throw new IllegalParam(
+      this, 'setDelayTime', 'numBeats not positive: ' + numBeats);
+  }
+  if (!NumberUtil.isPositive(bpm)) {
+    throw new IllegalParam(this, 'setDelayTime', 'bpm not positive: ' + bpm);
+  }
+  var delayTimeSec = Math.min((numBeats / bpm) * 60, MAX_DELAY_SEC);
+  _setParam(this, this.delayTimeTimeline, this.delayNode.delayTime,
+            delayTimeSec);
+};
+
+
+/**
+ * @return {Number} Delay time in seconds
+ */
+EffectReturns.prototype.getDelayTimeSec = function() {
+  return this.delayTimeTimeline.getValueAt(this.audioContext.currentTime);
+};
+
+
+/**
+ * @param {Number} feedback, Share of each repeat fed back into the delay,
+ *   0 to MAX_DELAY_FEEDBACK
+ */
+EffectReturns.prototype.setDelayFeedback = function(feedback) {
+  if (typeof(feedback) !== 'number' || isNaN(feedback)) {
+    throw new IllegalParam(
+      this, 'setDelayFeedback', 'feedback not number: ' + feedback);
+  }
+  feedback = Math.min(Math.max(feedback, 0), MAX_DELAY_FEEDBACK);
+  _setParam(this, this.delayFeedbackTimeline, this.delayFeedbackNode.gain,
+            feedback);
+};
+
+
+/**
+ * Switch the reverb impulse response. The reverb tail restarts so it's best
+ * done while the reverb is quiet.
+ *
+ * @param {String} impulse, EffectReturns.impulses type
+ */
+EffectReturns.prototype.setReverbImpulse = function(impulse) {
+  if (!_.has(IMPULSE_SPECS, impulse)) {
+    throw new IllegalParam(
+      this, 'setReverbImpulse', 'unknown impulse: ' + impulse);
+  }
+  if (!this._impulseBuffers[impulse]) {
+    this._impulseBuffers[impulse] = _createImpulseBuffer(
+      this.audioContext, IMPULSE_SPECS[impulse]);
+  }
+  this.reverbImpulse = impulse;
+  this.convolverNode.buffer = this._impulseBuffers[impulse];
+};
+
+
+/**
+ * @param {String} type, EffectReturns.types type
+ * @param {Number} gainVal, Return level, 0 to MAX_RETURN_GAIN
+ */
+EffectReturns.prototype.setReturnGain = function(type, gainVal) {
+  if (!_.contains(RETURN_TYPES, type)) {
+    throw new IllegalParam(this, 'setReturnGain', 'unknown type: ' + type);
+  }
+  if (typeof(gainVal) !== 'number' || isNaN(gainVal)) {
+    throw new IllegalParam(
+      this, 'setReturnGain', 'gainVal not number: ' + gainVal);
+  }
+  gainVal = Math.min(Math.max(gainVal, 0), MAX_RETURN_GAIN);
+  _setParam(this, this.returnGainTimelines[type],
+            this.returnGainNodes[type].gain, gainVal);
+};
+
+
+/**
+ * @param {String} type, EffectReturns.types type
+ * @return {Number} Return level
+ */
+EffectReturns.prototype.getReturnGain = function(type) {
+  if (!_.contains(RETURN_TYPES, type)) {
+    throw new IllegalParam(this, 'getReturnGain', 'unknown type: ' + type);
+  }
+  return this.returnGainTimelines[type].getValueAt(
+    this.audioContext.currentTime);
+};
+
+
+/**
+ * Disconnect channel sends and return nodes.
+ */
+EffectReturns.prototype.destroy = function() {
+  for (let mixerChannel of this.channels.slice()) {
+    this.removeChannel(mixerChannel);
+  }
+  for (let type of RETURN_TYPES) {
+    this.inputNodes[type].disconnect();
+    this.returnGainNodes[type].disconnect();
+  }
+  this.delayNode.disconnect();
+  this.delayToneNode.disconnect();
+  this.delayFeedbackNode.disconnect();
+  this.convolverNode.disconnect();
+};
+
+
+/*** PRIVATE functions ***/
+
+
+/**
+ * @param {Object} effectReturns, EffectReturns instance
+ */
+var _createDelayNodes = function(effectReturns) {
+  var context = effectReturns.audioContext;
+  effectReturns.delayNode = context.createDelay(MAX_DELAY_SEC);
+  effectReturns.delayTimeTimeline = new AutomationTimeline(
+    (DEFAULT_DELAY_NUM_BEATS / DEFAULT_DELAY_BPM) * 60);
+  effectReturns.delayTimeTimeline.replay(
+    effectReturns.delayNode.delayTime, context.currentTime);
+
+  effectReturns.delayToneNode = context.createBiquadFilter();
+  effectReturns.delayToneNode.type = 'lowpass';
+  effectReturns.delayToneNode.frequency.value = DELAY_TONE_HZ;
+
+  effectReturns.delayFeedbackNode = context.createGain();
+  effectReturns.delayFeedbackTimeline = new AutomationTimeline(
+    DEFAULT_DELAY_FEEDBACK);
+  effectReturns.delayFeedbackTimeline.replay(
+    effectReturns.delayFeedbackNode.gain, context.currentTime);
+
+  var types = EffectReturns.types;
+  effectReturns.inputNodes[types.DELAY].connect(effectReturns.delayNode);
+  effectReturns.delayNode.connect(effectReturns.delayToneNode);
+  effectReturns.delayToneNode.connect(
+    effectReturns.returnGainNodes[types.DELAY]);
+  effectReturns.delayToneNode.connect(effectReturns.delayFeedbackNode);
+  effectReturns.delayFeedbackNode.connect(effectReturns.delayNode);
+};
+
+
+/**
+ * @param {Object} context, AudioContext
+ * @param {Object} spec, IMPULSE_SPECS entry
+ * @return {Object} Stereo AudioBuffer impulse response
+ */
+var _createImpulseBuffer = function(context, spec) {
+  var sampleRate = context.sampleRate;
+  var preDelayFrames = Math.round(spec.preDelaySec * sampleRate);
+  var decayFrames = Math.round(spec.durationSec * sampleRate);
+  var buffer = context.createBuffer(
+    2, preDelayFrames + decayFrames, sampleRate);
+  // amplitude falls by IMPULSE_DECAY_DB over decayFrames
+  var endAmplitude = Math.pow(10, IMPULSE_DECAY_DB / 20);
+  var random = _createRandom(IMPULSE_SEED);
+
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    // independent noise per channel keeps the tail wide
+    let data = buffer.getChannelData(channel);
+    for (let i = 0; i < decayFrames; i++) {
+      data[preDelayFrames + i] = (random() * 2 - 1) *
+        Math.pow(endAmplitude, i / decayFrames);
+    }
+  }
+  return buffer;
+};
+
+
+/**
+ * Seeded stand in for Math.random() (mulberry32).
+ *
+ * @param {Number} seed, 32 bit seed
+ * @return {Function} Returns the next number in [0, 1) each call
+ */
+var _createRandom = function(seed) {
+  var state = seed >>> 0;
+  return function() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    var t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+
+/**
+ * @param {Object} effectReturns, EffectReturns instance
+ */
+var _createReverbNodes = function(effectReturns) {
+  effectReturns.convolverNode = effectReturns.audioContext.createConvolver();
+  effectReturns._impulseBuffers = {};
+  effectReturns.setReverbImpulse(EffectReturns.impulses.ROOM);
+
+  var types = EffectReturns.types;
+  effectReturns.inputNodes[types.REVERB].connect(effectReturns.convolverNode);
+  effectReturns.convolverNode.connect(
+    effectReturns.returnGainNodes[types.REVERB]);
+};
+
+
+/**
+ * Fade a param to val from now.
+ *
+ * @param {Object} effectReturns, EffectReturns instance
+ * @param {Object} timeline, AutomationTimeline of the param
+ * @param {Object} param, AudioParam to set
+ * @param {Number} val, Value to fade to
+ */
+var _setParam = function(effectReturns, timeline, param, val) {
+  var currentTimeSec = effectReturns.audioContext.currentTime;
+  timeline.removeEventsBefore(currentTimeSec);
+  timeline.addEvent(currentTimeSec, currentTimeSec + PARAM_FADE_SEC, val);
+  timeline.render(param, currentTimeSec, currentTimeSec);
+};
+
+
+/*** Constants ***/
+EffectReturns.types = {};
+Object.defineProperties(EffectReturns.types, {
+  DELAY: {value: 'delay', writable: false},
+  REVERB: {value: 'reverb', writable: false}
+});
+
+EffectReturns.impulses = {};
+Object.defineProperties(EffectReturns.impulses, {
+  ROOM: {value: 'room', writable: false},
+  HALL: {value: 'hall', writable: false},
+  PLATE: {value: 'plate', writable: false}
+});
+
+var RETURN_TYPES = [EffectReturns.types.DELAY, EffectReturns.types.REVERB];
+
+
+export {EffectReturns};
@@ -0,0 +1,157 @@
+/**
+ * Unit test for EffectReturns
+ */
+
+// common testing infrastructure mocha-sinon-chai
+var sinon = require('sinon');
+var chai = require('chai');
+var sinonChai = require('sinon-chai');
+var expect = chai.expect;
+chai.use(sinonChai);
+
+var createFakeAudioContext = require(
+  'static/js/player_app/logic/test_utils/fake_audio_context')
+  .createFakeAudioContext;
+var EffectReturns = require(
+  'static/js/player_app/logic/effect_returns').EffectReturns;
+var IllegalParam = require(
+  'static/js/player_app/shared/exception').IllegalParam;
+
+
+describe('EffectReturns', function() {
+  var audioContext;
+  var effectReturns;
+
+  beforeEach(function() {
+    audioContext = createFakeAudioContext();
+    effectReturns = new EffectReturns(audioContext);
+  });
+
+  afterEach(function() {
+    effectReturns.destroy();
+  });
+
+  describe('channels', function() {
+    var mixerChannel;
+
+    beforeEach(function() {
+      mixerChannel = {setSendOutput: sinon.spy()};
+    });
+
+    it('routes each send to its return', function() {
+      effectReturns.addChannel(mixerChannel);
+
+      expect(mixerChannel.setSendOutput).to.have.been.calledWith(
+        EffectReturns.types.DELAY,
+        effectReturns.inputNodes[EffectReturns.types.DELAY]);
+      expect(mixerChannel.setSendOutput).to.have.been.calledWith(
+        EffectReturns.types.REVERB,
+        effectReturns.inputNodes[EffectReturns.types.REVERB]);
+    });
+
+    it('disconnects the sends of a removed channel', function() {
+      effectReturns.addChannel(mixerChannel);
+
+      expect(effectReturns.removeChannel(mixerChannel)).to.equal(true);
+      expect(mixerChannel.setSendOutput).to.have.been.calledWith(
+        EffectReturns.types.DELAY, null);
+      expect(mixerChannel.setSendOutput).to.have.been.calledWith(
+        EffectReturns.types.REVERB, null);
+      expect(effectReturns.removeChannel(mixerChannel)).to.equal(false);
+    });
+
+  });
+
+  describe('delay', function() {
+
+    it('times repeats in beats', function() {
+      effectReturns.setDelayTime(0.5, 120);
+
+      audioContext.currentTime = 1;
+      expect(effectReturns.getDelayTimeSec()).to.equal(0.25);
+    });
+
+    it('keeps the delay time within the delay line', function() {
+      effectReturns.setDelayTime(16, 60);
+
+      audioContext.currentTime = 1;
+      expect(effectReturns.getDelayTimeSec()).to.equal(4);
+    });
+
+    it('rejects a tempo that is not positive', function() {
+      expect(function() {
+        effectReturns.setDelayTime(1, 0);
+      }).to.throw(IllegalParam);
+    });
+
+    it('keeps feedback below 1', function() {
+      effectReturns.setDelayFeedback(2);
+
+      expect(effectReturns.delayFeedbackTimeline.getValueAt(1)).to.equal(0.95);
+    });
+
+  });
+
+  describe('reverb', function() {
+
+    it('makes the same impulse every time', function() {
+      var otherReturns = new EffectReturns(createFakeAudioContext());
+      var impulse = effectReturns.convolverNode.buffer;
+      var otherImpulse = otherReturns.convolverNode.buffer;
+      otherReturns.destroy();
+
+      expect(impulse.getChannelData(0)).to.deep.equal(
+        otherImpulse.getChannelData(0));
+      expect(impulse.getChannelData(1)).to.deep.equal(
+        otherImpulse.getChannelData(1));
+    });
+
+    it('makes different noise for each side', function() {
+      var impulse = effectReturns.convolverNode.buffer;
+
+      expect(impulse.getChannelData(0)).to.not.deep.equal(
+        impulse.getChannelData(1));
+    });
+
+    it('makes an impulse once', function() {
+      effectReturns.setReverbImpulse(EffectReturns.impulses.HALL);
+      var hallImpulse = effectReturns.convolverNode.buffer;
+      effectReturns.setReverbImpulse(EffectReturns.impulses.ROOM);
+      effectReturns.setReverbImpulse(EffectReturns.impulses.HALL);
+
+      expect(effectReturns.convolverNode.buffer).to.equal(hallImpulse);
+      expect(hallImpulse.duration).to.be.closeTo(3.02, 1e-4);
+    });
+
+    it('rejects an unknown impulse', function() {
+      expect(function() {
+        effectReturns.setReverbImpulse('cave');
+      }).to.throw(IllegalParam);
+    });
+
+  });
+
+  describe('setReturnGain', function() {
+
+    it('fades the return to the level', function() {
+      var types = EffectReturns.types;
+      effectReturns.setReturnGain(types.REVERB, 0.5);
+
+      expect(effectReturns.returnGainNodes[types.REVERB].gain.value)
+        .to.equal(0.5);
+      expect(effectReturns.getReturnGain(types.REVERB)).to.equal(1);
+      audioContext.currentTime = 1;
+      expect(effectReturns.getReturnGain(types.REVERB)).to.equal(0.5);
+    });
+
+    it('keeps the level within the most a return can give', function() {
+      effectReturns.setReturnGain(EffectReturns.types.DELAY, 10);
+
+      audioContext.currentTime = 1;
+      expect(effectReturns.getReturnGain(EffectReturns.types.DELAY))
+        .to.equal(2);
+    });
+
+  });
+
+});
@@ -0,0 +1,298 @@
+/**
+ * Persistent store of encoded track audio in IndexedDB. Sits below
+ * TrackCache: TrackCache holds decoded audio in memory, this holds the
+ * encoded bytes across page reloads so tracks don't have to be downloaded
+ * again and previously loaded mixes can play offline.
+ *
+ * Records are keyed by the track's audio source key. Each record keeps the
+ * version and ETag the audio was stored with so callers can tell if the
+ * stored audio is stale. Total size is kept under maxBytes by deleting the
+ * least recently used records.
+ *
+ * Every method resolves (to null where a value is expected) when IndexedDB
+ * is not available or fails - the store is an optimization and must never
+ * break a track load.
+ */
+import {LogHandler} from 'static/js/player_app/shared/log_handler';
+
+
+/*** PRIVATE variables ***/
+var DB_NAME = 'fabric-encoded-audio';
+// Bump when the record format changes - old stores are dropped on upgrade
+var DB_VERSION = 1;
+// Record metadata and audio are in separate object stores so LRU cleanup
+// can walk the metadata without reading audio into memory
+var META_STORE = 'meta';
+var AUDIO_STORE = 'audio';
+var LAST_ACCESS_INDEX = 'lastAccessMS';
+var DEFAULT_MAX_BYTES = 500 * 1024 * 1024;
+
+
+/*** Class Definitions ***/
+
+/**
+ * @param {Number} maxBytes, Max total bytes of audio to store. Defaults to
+ *   DEFAULT_MAX_BYTES.
+ * @param {String} dbName, IndexedDB database name. Defaults to DB_NAME.
+ */
+var EncodedAudioStore = function (maxBytes, dbName) {
+  this.maxBytes = maxBytes || DEFAULT_MAX_BYTES;
+  this.dbName = dbName || DB_NAME;
+  this._pDb = null;
+};
+
+
+/*** PUBLIC prototype methods ***/
+
+
+/**
+ * @return {Boolean} True if IndexedDB is available in this browser
+ */
+EncodedAudioStore.prototype.isAvailable = function() {
+  return typeof(indexedDB) !== 'undefined';
+};
+
+
+/**
+ * Gets stored record and marks it as recently used.
+ *
+ * @param {String} sourceKey, Track audio source key
+ * @return {Object} Promise, Resolves to
+ *   {sourceKey, data: ArrayBuffer, etag, version, byteLength} or null if
+ *   not stored
+ */
+EncodedAudioStore.prototype.pGet = function(sourceKey) {
+  var that = this;
+
+  return _pTransaction(this, 'readwrite', function(metaStore, audioStore) {
+    return Promise.all([
+      _pRequest(metaStore.get(sourceKey)),
+      _pRequest(audioStore.get(sourceKey))
+    ]).then(function(results) {
+      let meta = results[0];
+      let audio = results[1];
+      if (!meta || !audio) {
+        return null;
+      }
+      meta.lastAccessMS = Date.now();
+      metaStore.put(meta);
+      return {
+        sourceKey: sourceKey,
+        data: audio.data,
+        etag: meta.etag,
+        version: meta.version,
+        byteLength: meta.byteLength
+      };
+    });
+  }).catch(function(error) {
+    LogHandler.addDebugMsg(that, 'pGet', 'read failed: ' + error);
+    return null;
+  });
+};
+
+
+/**
+ * Stores audio overwriting any record for the source key, then deletes least
+ * recently used records until the store is under maxBytes. Audio bigger than
+ * maxBytes is not stored.
+ *
+ * @param {String} sourceKey, Track audio source key
+ * @param {Object} data, ArrayBuffer of encoded audio. Cloned by IndexedDB so
+ *   caller may pass a buffer it's about to detach only after the promise
+ *   resolves.
+ * @param {String} etag, ETag the source returned or null
+ * @param {String} version, Audio version the track reported or null
+ * @return {Object} Promise, Resolves to true if stored
+ */
+EncodedAudioStore.prototype.pPut = function(sourceKey, data, etag, version) {
+  var that = this;
+
+  if (data.byteLength > this.maxBytes) {
+    return Promise.resolve(false);
+  }
+
+  return _pTransaction(this, 'readwrite', function(metaStore, audioStore) {
+    metaStore.put({
+      sourceKey: sourceKey,
+      etag: etag || null,
+      version: version || null,
+      byteLength: data.byteLength,
+      lastAccessMS: Date.now()
+    });
+    audioStore.put({sourceKey: sourceKey, data: data});
+  }).then(function() {
+    return _pCleanup(that, sourceKey);
+  }).then(function() {
+    return true;
+  }).catch(function(error) {
+    LogHandler.addDebugMsg(that, 'pPut', 'write failed: ' + error);
+    return false;
+  });
+};
+
+
+/**
+ * @param {String} sourceKey, Track audio source key
+ * @return {Object} Promise, Resolves once the record is deleted
+ */
+EncodedAudioStore.prototype.pDelete = function(sourceKey) {
+  var that = this;
+
+  return _pTransaction(this, 'readwrite', function(metaStore, audioStore) {
+    metaStore.delete(sourceKey);
+    audioStore.delete(sourceKey);
+  }).catch(function(error) {
+    LogHandler.addDebugMsg(that, 'pDelete', 'delete failed: ' + error);
+  });
+};
+
+
+/**
+ * @return {Object} Promise, Resolves once every record is deleted
+ */
+EncodedAudioStore.prototype.pClear = function() {
+  var that = this;
+
+  return _pTransaction(this, 'readwrite', function(metaStore, audioStore) {
+    metaStore.clear();
+    audioStore.clear();
+  }).catch(function(error) {
+    LogHandler.addDebugMsg(that, 'pClear', 'clear failed: ' + error);
+  });
+};
+
+
+/*** PRIVATE functions ***/
+
+
+/**
+ * @param {Object} store, EncodedAudioStore instance
+ * @return {Object} Promise, Resolves to open IDBDatabase
+ */
+var _pOpenDb = function(store) {
+  if (store._pDb) {
+    return store._pDb;
+  }
+  if (!store.isAvailable()) {
+    return Promise.reject(new Error('IndexedDB not available'));
+  }
+
+  store._pDb = new Promise(function(resolve, reject) {
+    let request = indexedDB.open(store.dbName, DB_VERSION);
+    request.onupgradeneeded = function() {
+      let db = request.result;
+      for (let storeName of [META_STORE, AUDIO_STORE]) {
+        if (db.objectStoreNames.contains(storeName)) {
+          db.deleteObjectStore(storeName);
+        }
+      }
+      let metaStore = db.createObjectStore(META_STORE, {keyPath: 'sourceKey'});
+      metaStore.createIndex(LAST_ACCESS_INDEX, 'lastAccessMS');
+      db.createObjectStore(AUDIO_STORE, {keyPath: 'sourceKey'});
+    };
+    request.onsuccess = function() {
+      resolve(request.result);
+    };
+    request.onerror = function() {
+      reject(request.error);
+    };
+  });
+  // allow retrying the open later
+  store._pDb.catch(function() {
+    store._pDb = null;
+  });
+
+  return store._pDb;
+};
+
+
+/**
+ * Runs work in a transaction over both object stores.
+ *
+ * @param {Object} store, EncodedAudioStore instance
+ * @param {String} mode, 'readonly' or 'readwrite'
+ * @param {Function} work, function(metaStore, audioStore) - may return a
+ *   value or Promise
+ * @return {Object} Promise, Resolves to work's result once the transaction
+ *   completes
+ */
+var _pTransaction = function(store, mode, work) {
+  return _pOpenDb(store).then(function(db) {
+    return new Promise(function(resolve, reject) {
+      let transaction = db.transaction([META_STORE, AUDIO_STORE], mode);
+      let result;
+      transaction.oncomplete = function() {
+        resolve(result);
+      };
+      transaction.onerror = function() {
+        reject(transaction.error);
+      };
+      transaction.onabort = function() {
+        reject(transaction.error || new Error('transaction aborted'));
+      };
+      Promise.resolve(work(
+        transaction.objectStore(META_STORE),
+        transaction.objectStore(AUDIO_STORE))).then(
+        function(value) {
+          result = value;
+        },
+        function(error) {
+          transaction.abort();
+          reject(error);
+        }
+      );
+    });
+  });
+};
+
+
+/**
+ * @param {Object} request, IDBRequest
+ * @return {Object} Promise, Resolves to request result
+ */
+var _pRequest = function(request) {
+  return new Promise(function(resolve, reject) {
+    request.onsuccess = function() {
+      resolve(request.result);
+    };
+    request.onerror = function() {
+      reject(request.error);
+    };
+  });
+};
+
+
+/**
+ * Delete least recently used records until total size is under maxBytes.
+ *
+ * @param {Object} store, EncodedAudioStore instance
+ * @param {String} keepSourceKey, Key of record just written - never deleted
+ * @return {Object} Promise, Resolves once cleanup is done
+ */
+var _pCleanup = function(store, keepSourceKey) {
+  return _pTransaction(store, 'readwrite', function(metaStore, audioStore) {
+    return _pRequest(metaStore.index(LAST_ACCESS_INDEX).getAll()).then(
+      function(metas) {
+        // getAll on the index returns records oldest access first
+        let totalBytes = 0;
+        for (let meta of metas) {
+          totalBytes += meta.byteLength;
+        }
+        for (let meta of metas) {
+          if (totalBytes <= store.maxBytes) {
+            break;
+          }
+          if (meta.sourceKey === keepSourceKey) {
+            continue;
+          }
+          metaStore.delete(meta.sourceKey);
+          audioStore.delete(meta.sourceKey);
+          totalBytes -= meta.byteLength;
+        }
+      }
+    );
+  });
+};
+
+
+export {EncodedAudioStore};
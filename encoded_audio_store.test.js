@@ -0,0 +1,262 @@
+/**
+ * Unit test for EncodedAudioStore
+ */
+
+// common testing infrastructure mocha-sinon-chai
+var sinon = require('sinon');
+var chai = require('chai');
+var sinonChai = require('sinon-chai');
+var expect = chai.expect;
+chai.use(sinonChai);
+
+var EncodedAudioStore = require(
+  'static/js/player_app/logic/encoded_audio_store').EncodedAudioStore;
+
+
+/**
+ * In memory stand in for the parts of IndexedDB the store uses. Requests
+ * succeed asynchronously and a transaction completes once it has no requests
+ * left, like the real thing.
+ */
+var createFakeIndexedDb = function() {
+  var databases = {};
+
+  var createRequest = function(transaction, getResult) {
+    var request = {result: undefined, error: null};
+    transaction.numPending++;
+    setTimeout(function() {
+      request.result = getResult();
+      if (request.onsuccess) {
+        request.onsuccess();
+      }
+      transaction.numPending--;
+      transaction.checkComplete();
+    }, 0);
+    return request;
+  };
+
+  var createObjectStore = function(transaction, records, indexes) {
+    var clone = function(value) {
+      var copy = Object.assign({}, value);
+      if (value.data instanceof ArrayBuffer) {
+        copy.data = value.data.slice(0);
+      }
+      return copy;
+    };
+    return {
+      get: function(key) {
+        return createRequest(transaction, function() {
+          return key in records ? clone(records[key]) : undefined;
+        });
+      },
+      put: function(value) {
+        records[value.sourceKey] = clone(value);
+        return createRequest(transaction, function() {});
+      },
+      delete: function(key) {
+        delete records[key];
+        return createRequest(transaction, function() {});
+      },
+      clear: function() {
+        for (let key of Object.keys(records)) {
+          delete records[key];
+        }
+        return createRequest(transaction, function() {});
+      },
+      index: function(name) {
+        var keyPath = indexes[name];
+        return {
+          getAll: function() {
+            return createRequest(transaction, function() {
+              return Object.keys(records).map(function(key) {
+                return clone(records[key]);
+              }).sort(function(a, b) {
+                return a[keyPath] - b[keyPath];
+              });
+            });
+          }
+        };
+      }
+    };
+  };
+
+  var createDb = function(stores) {
+    return {
+      objectStoreNames: {
+        contains: function(name) {
+          return name in stores;
+        }
+      },
+      createObjectStore: function(name) {
+        stores[name] = {records: {}, indexes: {}};
+        return {
+          createIndex: function(indexName, keyPath) {
+            stores[name].indexes[indexName] = keyPath;
+          }
+        };
+      },
+      deleteObjectStore: function(name) {
+        delete stores[name];
+      },
+      transaction: function() {
+        var transaction = {
+          numPending: 0,
+          isDone: false,
+          checkComplete: function() {
+            // after the callbacks of the last request have run
+            setTimeout(function() {
+              if (transaction.numPending === 0 && !transaction.isDone) {
+                transaction.isDone = true;
+                transaction.oncomplete();
+              }
+            }, 0);
+          },
+          abort: function() {
+            transaction.isDone = true;
+            transaction.onabort();
+          },
+          objectStore: function(name) {
+            return createObjectStore(
+              transaction, stores[name].records, stores[name].indexes);
+          }
+        };
+        transaction.checkComplete();
+        return transaction;
+      }
+    };
+  };
+
+  return {
+    open: function(name) {
+      var request = {};
+      setTimeout(function() {
+        var isNew = !(name in databases);
+        if (isNew) {
+          databases[name] = {};
+        }
+        request.result = createDb(databases[name]);
+        if (isNew) {
+          request.onupgradeneeded();
+        }
+        request.onsuccess();
+      }, 0);
+      return request;
+    }
+  };
+};
+
+
+describe('EncodedAudioStore', function() {
+  var clock;
+
+  beforeEach(function() {
+    global.indexedDB = createFakeIndexedDb();
+    clock = sinon.useFakeTimers({now: 1000, toFake: ['Date']});
+  });
+
+  afterEach(function() {
+    delete global.indexedDB;
+    clock.restore();
+  });
+
+  describe('pGet', function() {
+
+    it('resolves to the stored record', function() {
+      var store = new EncodedAudioStore();
+
+      return store.pPut('key/a', new ArrayBuffer(8), 'etag-1', 'v1').then(
+        function(isStored) {
+          expect(isStored).to.equal(true);
+          return store.pGet('key/a');
+        }
+      ).then(function(record) {
+        expect(record.sourceKey).to.equal('key/a');
+        expect(record.data.byteLength).to.equal(8);
+        expect(record.etag).to.equal('etag-1');
+        expect(record.version).to.equal('v1');
+        expect(record.byteLength).to.equal(8);
+      });
+    });
+
+    it('resolves to null if not stored', function() {
+      var store = new EncodedAudioStore();
+
+      return store.pGet('key/a').then(function(record) {
+        expect(record).to.equal(null);
+      });
+    });
+
+    it('resolves to null without IndexedDB', function() {
+      delete global.indexedDB;
+      var store = new EncodedAudioStore();
+
+      expect(store.isAvailable()).to.equal(false);
+      return store.pGet('key/a').then(function(record) {
+        expect(record).to.equal(null);
+      });
+    });
+
+  });
+
+  describe('pPut', function() {
+
+    it('does not store audio bigger than maxBytes', function() {
+      var store = new EncodedAudioStore(4);
+
+      return store.pPut('key/a', new ArrayBuffer(8), null, null).then(
+        function(isStored) {
+          expect(isStored).to.equal(false);
+          return store.pGet('key/a');
+        }
+      ).then(function(record) {
+        expect(record).to.equal(null);
+      });
+    });
+
+    it('deletes least recently used records to stay under maxBytes',
+        function() {
+      var store = new EncodedAudioStore(20);
+
+      return store.pPut('key/a', new ArrayBuffer(8), null, null).then(
+        function() {
+          clock.tick(10);
+          return store.pPut('key/b', new ArrayBuffer(8), null, null);
+        }
+      ).then(function() {
+        clock.tick(10);
+        // a is now more recently used than b
+        return store.pGet('key/a');
+      }).then(function() {
+        clock.tick(10);
+        return store.pPut('key/c', new ArrayBuffer(8), null, null);
+      }).then(function() {
+        return Promise.all(
+          ['key/a', 'key/b', 'key/c'].map(store.pGet.bind(store)));
+      }).then(function(records) {
+        expect(records[0]).to.not.equal(null);
+        expect(records[1]).to.equal(null);
+        expect(records[2]).to.not.equal(null);
+      });
+    });
+
+  });
+
+  describe('pDelete', function() {
+
+    it('deletes the record', function() {
+      var store = new EncodedAudioStore();
+
+      return store.pPut('key/a', new ArrayBuffer(8), null, null).then(
+        function() {
+          return store.pDelete('key/a');
+        }
+      ).then(function() {
+        return store.pGet('key/a');
+      }).then(function(record) {
+        expect(record).to.equal(null);
+      });
+    });
+
+  });
+
+});
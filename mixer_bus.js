@@ -0,0 +1,353 @@
+/**
+ * Mixer bus. Sums channel outputs into a master bus and cued channels into a
+ * cue (headphone) bus.
+ *
+ * Master bus: masterInputNode -> master gain -> limiter -> masterOutputNode
+ * -> destination. The limiter keeps the sum of several channels from
+ * clipping.
+ *
+ * Cue bus: cueInputNode -> cue gain -> cueOutputNode. Channels send to it
+ * pre-fader while cued (see MixerChannel.setCue()). Where it's heard depends
+ * on the cue output mode:
+ * - OFF
+ *   - Cue bus isn't heard
+ * - SECOND_OUTPUT
+ *   - Cue bus goes to a MediaStream (see getCueMediaStream()) so it can be
+ *     played on another output device, e.g. through an audio element with
+ *     setSinkId()
+ * - SPLIT_STEREO
+ *   - One output device with the master in mono on the left and the cue
+ *     bus in mono on the right - for a single headphone jack with a splitter
+ *     cable
+ *
+ * Channel outputs go to masterInputNode, or through a side of the bus's
+ * crossfader (see getCrossfader()), which outputs to masterInputNode. The
+ * bus routes channels that aren't on the crossfader and the crossfader
+ * routes the ones that are. A channel taken off the bus goes back to the
+ * context destination.
+ */
+import _ from 'underscore';
+
+import {AutomationTimeline} from
+  'static/js/player_app/logic/automation_timeline';
+import {Crossfader} from 'static/js/player_app/logic/crossfader';
+import {IllegalParam} from 'static/js/player_app/shared/exception';
+import {LogHandler} from 'static/js/player_app/shared/log_handler';
+
+
+/*** PRIVATE variables ***/
+// Limiter - fast and hard just under full scale
+var LIMITER_THRESHOLD_DB = -1;
+var LIMITER_KNEE_DB = 0;
+var LIMITER_RATIO = 20;
+var LIMITER_ATTACK_SEC = 0.003;
+var LIMITER_RELEASE_SEC = 0.25;
+// Gain changes fade over this so they don't click
+var GAIN_FADE_SEC = 0.02;
+var MAX_GAIN = 2;
+
+
+/*** Class Definitions ***/
+
+/**
+ * @param {Object} audioContext, AudioContext object from Web Audio API
+ */
+var MixerBus = function (audioContext) {
+  this.audioContext = audioContext;
+  this.channels = [];
+  this.cueOutputMode = MixerBus.cueOutputModes.OFF;
+  // created on first use - see getCrossfader()
+  this.crossfader = null;
+
+  _createMasterNodes(this);
+  _createCueNodes(this);
+  _routeOutputs(this);
+};
+
+
+/*** PUBLIC prototype methods ***/
+
+
+/**
+ * Route a channel's output to the master bus and its cue send to the cue
+ * bus. Adding a channel that's on the bus again moves it on or off the
+ * crossfader.
+ *
+ * @param {Object} mixerChannel, MixerChannel instance
+ * @param {String} crossfaderSide, Crossfader.sides type to output through
+ *   that side of the crossfader. Optional - outputs straight to the master
+ *   bus if not set.
+ */
+MixerBus.prototype.addChannel = function(mixerChannel, crossfaderSide) {
+  if (!_.contains(this.channels, mixerChannel)) {
+    this.channels.push(mixerChannel);
+  }
+  if (crossfaderSide) {
+    this.getCrossfader().assignChannel(mixerChannel, crossfaderSide);
+  } else if (this.crossfader === null ||
+             !this.crossfader.unassignChannel(mixerChannel)) {
+    // unassignChannel() routes it to the master bus itself
+    mixerChannel.setOutput(this.masterInputNode);
+  }
+  mixerChannel.setCueOutput(this.cueInputNode);
+};
+
+
+/**
+ * Disconnect a channel's outputs from the bus. It outputs to the context
+ * destination again.
+ *
+ * @param {Object} mixerChannel, MixerChannel instance
+ * @return {Boolean} True if channel was on the bus
+ */
+MixerBus.prototype.removeChannel = function(mixerChannel) {
+  if (!_.contains(this.channels, mixerChannel)) {
+    return false;
+  }
+  this.channels = _.without(this.channels, mixerChannel);
+  var destination = this.audioContext.destination;
+  if (this.crossfader === null ||
+      !this.crossfader.unassignChannel(mixerChannel, destination)) {
+    mixerChannel.setOutput(destination);
+  }
+  mixerChannel.setCueOutput(null);
+  return true;
+};
+
+
+/**
+ * @return {Object} Crossfader that outputs to the master bus. Created on
+ *   first use.
+ */
+MixerBus.prototype.getCrossfader = function() {
+  if (this.crossfader === null) {
+    this.crossfader = new Crossfader(this.audioContext, this.masterInputNode);
+  }
+  return this.crossfader;
+};
+
+
+/**
+ * @param {Number} gainVal, Master gain, 0 to MAX_GAIN
+ */
+MixerBus.prototype.setMasterGain = function(gainVal) {
+  _setGain(this, 'setMasterGain', this.masterGainTimeline,
+           this.masterGainNode, gainVal);
+};
+
+
+/**
+ * @return {Number} Master gain
+ */
+MixerBus.prototype.getMasterGain = function() {
+  return this.masterGainTimeline.getValueAt(this.audioContext.currentTime);
+};
+
+
+/**
+ * @param {Number} gainVal, Cue bus gain, 0 to MAX_GAIN
+ */
+MixerBus.prototype.setCueGain = function(gainVal) {
+  _setGain(this, 'setCueGain', this.cueGainTimeline, this.cueGainNode,
+           gainVal);
+};
+
+
+/**
+ * @return {Number} Cue bus gain
+ */
+MixerBus.prototype.getCueGain = function() {
+  return this.cueGainTimeline.getValueAt(this.audioContext.currentTime);
+};
+
+
+/**
+ * @param {String} cueOutputMode, MixerBus.cueOutputModes type
+ * @return {Boolean} True if mode set. False if the context can't do the mode
+ *   (SECOND_OUTPUT needs MediaStream support).
+ */
+MixerBus.prototype.setCueOutputMode = function(cueOutputMode) {
+  var modes = MixerBus.cueOutputModes;
+  if (!_.contains([modes.OFF, modes.SECOND_OUTPUT, modes.SPLIT_STEREO],
+                  cueOutputMode)) {
+    throw new IllegalParam(
+      this, 'setCueOutputMode', 'unknown cueOutputMode: ' + cueOutputMode);
+  }
+  if (cueOutputMode === modes.SECOND_OUTPUT &&
+      !this.audioContext.createMediaStreamDestination) {
+    LogHandler.addLogSystemError(
+      this, 'setCueOutputMode', 'MediaStream output not supported');
+    return false;
+  }
+
+  this.cueOutputMode = cueOutputMode;
+  _routeOutputs(this);
+  return true;
+};
+
+
+/**
+ * @return {Object} MediaStream the cue bus plays to in SECOND_OUTPUT mode or
+ *   null in other modes
+ */
+MixerBus.prototype.getCueMediaStream = function() {
+  if (this.cueOutputMode !== MixerBus.cueOutputModes.SECOND_OUTPUT) {
+    return null;
+  }
+  return this._cueStreamNode.stream;
+};
+
+
+/**
+ * Disconnect channels and bus nodes.
+ */
+MixerBus.prototype.destroy = function() {
+  for (let mixerChannel of this.channels.slice()) {
+    this.removeChannel(mixerChannel);
+  }
+  if (this.crossfader !== null) {
+    this.crossfader.destroy();
+  }
+  _disconnectOutputs(this);
+  this.masterInputNode.disconnect();
+  this.masterGainNode.disconnect();
+  this.limiterNode.disconnect();
+  this.cueInputNode.disconnect();
+  this.cueGainNode.disconnect();
+};
+
+
+/*** PRIVATE functions ***/
+
+
+/**
+ * @param {Object} bus, MixerBus instance
+ */
+var _createCueNodes = function(bus) {
+  var context = bus.audioContext;
+  bus.cueInputNode = context.createGain();
+  bus.cueGainNode = context.createGain();
+  bus.cueGainTimeline = new AutomationTimeline(1);
+  bus.cueOutputNode = context.createGain();
+  bus.cueInputNode.connect(bus.cueGainNode);
+  bus.cueGainNode.connect(bus.cueOutputNode);
+
+  // split stereo - each bus is summed to mono and put on one side
+  bus._splitMasterNode = _createMonoNode(context);
+  bus._splitCueNode = _createMonoNode(context);
+  bus._splitMergerNode = context.createChannelMerger(2);
+  // created on first use in SECOND_OUTPUT mode
+  bus._cueStreamNode = null;
+};
+
+
+/**
+ * @param {Object} bus, MixerBus instance
+ */
+var _createMasterNodes = function(bus) {
+  var context = bus.audioContext;
+  bus.masterInputNode = context.createGain();
+  bus.masterGainNode = context.createGain();
+  bus.masterGainTimeline = new AutomationTimeline(1);
+
+  bus.limiterNode = context.createDynamicsCompressor();
+  bus.limiterNode.threshold.value = LIMITER_THRESHOLD_DB;
+  bus.limiterNode.knee.value = LIMITER_KNEE_DB;
+  bus.limiterNode.ratio.value = LIMITER_RATIO;
+  bus.limiterNode.attack.value = LIMITER_ATTACK_SEC;
+  bus.limiterNode.release.value = LIMITER_RELEASE_SEC;
+
+  bus.masterOutputNode = context.createGain();
+  bus.masterInputNode.connect(bus.masterGainNode);
+  bus.masterGainNode.connect(bus.limiterNode);
+  bus.limiterNode.connect(bus.masterOutputNode);
+};
+
+
+/**
+ * @param {Object} context, AudioContext
+ * @return {Object} Gain node that mixes its input down to one channel
+ */
+var _createMonoNode = function(context) {
+  var monoNode = context.createGain();
+  monoNode.channelCount = 1;
+  monoNode.channelCountMode = 'explicit';
+  monoNode.channelInterpretation = 'speakers';
+  return monoNode;
+};
+
+
+/**
+ * @param {Object} bus, MixerBus instance
+ */
+var _disconnectOutputs = function(bus) {
+  bus.masterOutputNode.disconnect();
+  bus.cueOutputNode.disconnect();
+  bus._splitMasterNode.disconnect();
+  bus._splitCueNode.disconnect();
+  bus._splitMergerNode.disconnect();
+};
+
+
+/**
+ * Connect master and cue outputs for the cue output mode.
+ *
+ * @param {Object} bus, MixerBus instance
+ */
+var _routeOutputs = function(bus) {
+  var destination = bus.audioContext.destination;
+  _disconnectOutputs(bus);
+
+  switch (bus.cueOutputMode) {
+    case MixerBus.cueOutputModes.SECOND_OUTPUT:
+      if (bus._cueStreamNode === null) {
+        bus._cueStreamNode = bus.audioContext.createMediaStreamDestination();
+      }
+      bus.masterOutputNode.connect(destination);
+      bus.cueOutputNode.connect(bus._cueStreamNode);
+      break;
+    case MixerBus.cueOutputModes.SPLIT_STEREO:
+      bus.masterOutputNode.connect(bus._splitMasterNode);
+      bus.cueOutputNode.connect(bus._splitCueNode);
+      // master left, cue right
+      bus._splitMasterNode.connect(bus._splitMergerNode, 0, 0);
+      bus._splitCueNode.connect(bus._splitMergerNode, 0, 1);
+      bus._splitMergerNode.connect(destination);
+      break;
+    default:
+      bus.masterOutputNode.connect(destination);
+      break;
+  }
+};
+
+
+/**
+ * @param {Object} bus, MixerBus instance
+ * @param {String} funcName, Name of calling function for errors
+ * @param {Object} timeline, AutomationTimeline of the gain node
+ * @param {Object} gainNode, Gain node to set
+ * @param {Number} gainVal, Gain, 0 to MAX_GAIN
+ */
+var _setGain = function(bus, funcName, timeline, gainNode, gainVal) {
+  if (typeof(gainVal) !== 'number' || isNaN(gainVal)) {
+    throw new IllegalParam(bus, funcName, 'gainVal not number: ' + gainVal);
+  }
+  gainVal = Math.min(Math.max(gainVal, 0), MAX_GAIN);
+
+  var currentTimeSec = bus.audioContext.currentTime;
+  timeline.removeEventsBefore(currentTimeSec);
+  timeline.addEvent(currentTimeSec, currentTimeSec + GAIN_FADE_SEC, gainVal);
+  timeline.render(gainNode.gain, currentTimeSec, currentTimeSec);
+};
+
+
+/*** Constants ***/
+MixerBus.cueOutputModes = {};
+Object.defineProperties(MixerBus.cueOutputModes, {
+  OFF: {value: 'off', writable: false},
+  SECOND_OUTPUT: {value: 'second-output', writable: false},
+  SPLIT_STEREO: {value: 'split-stereo', writable: false}
+});
+
+
+export {MixerBus};
@@ -0,0 +1,154 @@
+/**
+ * Unit test for MixerBus
+ */
+
+// common testing infrastructure mocha-sinon-chai
+var sinon = require('sinon');
+var chai = require('chai');
+var sinonChai = require('sinon-chai');
+var expect = chai.expect;
+chai.use(sinonChai);
+
+var createFakeAudioContext = require(
+  'static/js/player_app/logic/test_utils/fake_audio_context')
+  .createFakeAudioContext;
+var Crossfader = require('static/js/player_app/logic/crossfader').Crossfader;
+var IllegalParam = require(
+  'static/js/player_app/shared/exception').IllegalParam;
+var MixerBus = require('static/js/player_app/logic/mixer_bus').MixerBus;
+
+
+describe('MixerBus', function() {
+  var audioContext;
+  var bus;
+  var mixerChannel;
+
+  beforeEach(function() {
+    audioContext = createFakeAudioContext();
+    bus = new MixerBus(audioContext);
+    mixerChannel = {setOutput: sinon.spy(), setCueOutput: sinon.spy()};
+  });
+
+  afterEach(function() {
+    bus.destroy();
+  });
+
+  describe('addChannel', function() {
+
+    it('routes the channel to the master and cue buses', function() {
+      bus.addChannel(mixerChannel);
+
+      expect(mixerChannel.setOutput).to.have.been.calledOnceWith(
+        bus.masterInputNode);
+      expect(mixerChannel.setCueOutput).to.have.been.calledOnceWith(
+        bus.cueInputNode);
+      expect(bus.crossfader).to.equal(null);
+    });
+
+    it('routes the channel through a crossfader side', function() {
+      bus.addChannel(mixerChannel, Crossfader.sides.A);
+
+      var crossfader = bus.crossfader;
+      expect(crossfader.getSide(mixerChannel)).to.equal(
+        Crossfader.sides.A);
+      expect(crossfader.sideNodes[Crossfader.sides.A].isConnectedTo(
+        bus.masterInputNode)).to.equal(true);
+      expect(mixerChannel.setOutput).to.have.been.calledOnceWith(
+        crossfader.sideNodes[Crossfader.sides.A]);
+    });
+
+    it('takes the channel off the crossfader', function() {
+      bus.addChannel(mixerChannel, Crossfader.sides.A);
+      bus.addChannel(mixerChannel);
+
+      expect(bus.crossfader.getSide(mixerChannel)).to.equal(null);
+      expect(mixerChannel.setOutput).to.have.been.calledTwice;
+      expect(mixerChannel.setOutput.secondCall).to.have.been.calledWith(
+        bus.masterInputNode);
+    });
+
+  });
+
+  describe('removeChannel', function() {
+
+    it('routes the channel back to the destination', function() {
+      bus.addChannel(mixerChannel);
+
+      expect(bus.removeChannel(mixerChannel)).to.equal(true);
+      expect(mixerChannel.setOutput.secondCall).to.have.been.calledWith(
+        audioContext.destination);
+      expect(mixerChannel.setCueOutput.secondCall).to.have.been.calledWith(
+        null);
+      expect(bus.removeChannel(mixerChannel)).to.equal(false);
+    });
+
+    it('takes the channel off the crossfader', function() {
+      bus.addChannel(mixerChannel, Crossfader.sides.B);
+      bus.removeChannel(mixerChannel);
+
+      expect(bus.crossfader.getSide(mixerChannel)).to.equal(null);
+      expect(mixerChannel.setOutput).to.have.been.calledTwice;
+      expect(mixerChannel.setOutput.secondCall).to.have.been.calledWith(
+        audioContext.destination);
+    });
+
+  });
+
+  describe('master bus', function() {
+
+    it('goes through the limiter to the destination', function() {
+      expect(bus.masterGainNode.isConnectedTo(bus.limiterNode))
+        .to.equal(true);
+      expect(bus.masterOutputNode.isConnectedTo(audioContext.destination))
+        .to.equal(true);
+    });
+
+    it('keeps the gain within the most the bus can give', function() {
+      bus.setMasterGain(5);
+
+      audioContext.currentTime = 1;
+      expect(bus.getMasterGain()).to.equal(2);
+    });
+
+    it('rejects a gain that is not a number', function() {
+      expect(function() {
+        bus.setMasterGain('loud');
+      }).to.throw(IllegalParam);
+    });
+
+  });
+
+  describe('setCueOutputMode', function() {
+
+    it('plays the cue bus to a MediaStream', function() {
+      expect(bus.getCueMediaStream()).to.equal(null);
+
+      expect(bus.setCueOutputMode(MixerBus.cueOutputModes.SECOND_OUTPUT))
+        .to.equal(true);
+      expect(bus.getCueMediaStream()).to.not.equal(null);
+      expect(bus.masterOutputNode.isConnectedTo(audioContext.destination))
+        .to.equal(true);
+    });
+
+    it('splits master and cue across the stereo output', function() {
+      bus.setCueOutputMode(MixerBus.cueOutputModes.SPLIT_STEREO);
+
+      expect(bus.masterOutputNode.isConnectedTo(audioContext.destination))
+        .to.equal(false);
+      expect(bus.masterOutputNode.isConnectedTo(bus._splitMasterNode))
+        .to.equal(true);
+      expect(bus.cueOutputNode.isConnectedTo(bus._splitCueNode))
+        .to.equal(true);
+      expect(bus._splitMergerNode.isConnectedTo(audioContext.destination))
+        .to.equal(true);
+    });
+
+    it('rejects an unknown mode', function() {
+      expect(function() {
+        bus.setCueOutputMode('surround');
+      }).to.throw(IllegalParam);
+    });
+
+  });
+
+});
@@ -2,20 +2,88 @@
  * MixerChannel class. Controlls audio source and playback actions as well as
  * any audio effects on the channel.
  *
- * Playback States:
+ * Playback is kept as a time ordered list of segments. Each segment is one
+ * source node started at a time and track offset that plays until its
+ * scheduled end (stop, pause or hand off to the next segment). A source node
+ * can only be started once so every PLAY / RESUME gets a new segment, and a
+ * PLAY that lands inside a playing segment ends that segment at the PLAY
+ * time and takes over the rest of it. Actions therefore apply at their
+ * times in any state and regardless of the order they are added in.
+ *
+ * Channel graph: source nodes -> inputNode -> key lock (when on) -> EQ (low
+ * shelf -> mid peaking -> high shelf) -> filter sweep -> gain ->
+ * outputNode. Source nodes connect to inputNode, the start of the chain
+ * after the source, and preGainNode feeds the gain node. preGainNode also
+ * feeds cueNode, a pre-fader send to cueOutputNode that's only turned up
+ * while the channel is cued - see setCue(). Outputs are routed by
+ * MixerBus or default to the context destination.
+ *
+ * The gain node also feeds meterNode, an AnalyserNode for the channel's
+ * level meter (see getMeterLevels()), and a post-fader send per effect
+ * return (see EffectReturns), made on first use and driven by SEND actions.
+ * The effects live on the returns, so delay and reverb tails carry on after
+ * the channel stops or is cut.
+ *
+ * Pitch actions set the playbackRate of the source nodes, which changes
+ * tempo and key together. With key lock on, a time stretch AudioWorklet
+ * (see time_stretch_processor.js) shifts the key back so only the tempo
+ * changes. Track offsets follow the playback rate either way.
+ *
+ * The filter sweep is three parallel branches - dry, low-pass and high-pass
+ * - and only one of them is turned up at a time. With the knob centred only
+ * the dry branch is heard so the filters don't colour the sound.
+ *
+ * Every value scheduled on the channel's params (gain, pitch, EQ, filter and
+ * sends) goes through an AutomationTimeline so the channel can tell what a
+ * param will be at any time, drop events again and replay them onto new
+ * nodes.
+ *
+ * Loops are segments too. LOOP_IN hands off to a segment whose source node
+ * loops a number of beats from the beat nearest the offset the loop starts
+ * at, LOOP_OUT hands off to a normal segment at the offset the loop is at,
+ * and LOOP_ROLL loops
+ * for a number of beats and then carries on where the track would have been
+ * without the loop.
+ *
+ * Events (MixerChannel.events) let the UI and stores follow the channel
+ * instead of polling play state. Each listener gets one event object:
+ *   {
+ *     type: MixerChannel.events type,
+ *     mixerChannel: channel the event is from,
+ *     timeMS: context time the event is at,
+ *     ...details of the event type - see MixerChannel.events
+ *   }
+ * Scheduling events (PLAY_SCHEDULED, STOP_SCHEDULED, ACTION_ADDED,
+ * ACTION_DROPPED, PITCH_CHANGED) fire when the change is scheduled. STARTED
+ * fires when the context clock reaches a start - Web Audio has no start
+ * event so a lookahead timer (only running while a start is still to come)
+ * times it. The track is marked played in the TrackCache then too. STOPPED
+ * and ENDED fire from the source node's onended.
+ *
+ * Playback States (worked out from the segments at current context time):
  * - STOPPED
  *   - Initial state
- *   - PLAYING_AND_STOP_SCHEDULED and scheduled time >= current context time
+ *   - Last segment has stopped and no segment is scheduled
  * - STOPPED_AND_PLAY_SCHEDULED
- *   - _actionPlay()
+ *   - Nothing playing and a segment is scheduled - _actionPlay()
  * - PLAYING_AND_STOP_SCHEDULED
- *   - actionStop()
+ *   - Current segment ends with a stop - _actionStop()
  * - PLAYING
- *   - STOPPED_AND_PLAY_SCHEDULED and scheduled time >= current context time
+ *   - Current segment has no scheduled end or hands off to the next one
+ * - PLAYING_AND_PAUSE_SCHEDULED
+ *   - Current segment ends with a pause - _actionPause()
+ * - PAUSED
+ *   - Last segment ended with a pause and no segment is scheduled
+ * - PAUSED_AND_RESUME_SCHEDULED
+ *   - Last segment ended with a pause and a resume is scheduled -
+ *     _actionResume()
  *
  */
 import _ from 'underscore';
+import {EventEmitter} from 'events';
 
+import {AutomationTimeline} from
+  'static/js/player_app/logic/automation_timeline';
 import {COMMON_CONST} from 'static/js/player_app/shared/constants';
 import {CONTROL_CONST} from 'static/js/player_app/shared/constants';
 import {IllegalParam} from 'static/js/player_app/shared/exception';
@@ -26,6 +94,7 @@ import {TrackActionsCollection} from
   'static/js/player_app/model/action/track_actions_collection';
 import {TrackActionFactory} from
   'static/js/player_app/model/action/track_action_factory';
+import {TrackCache} from 'static/js/player_app/logic/track_cache';
 import {TrackNotLoaded} from 'static/js/player_app/shared/exception';
 import {TimeUtil} from 'static/js/player_app/shared/time_util';
 import {TypeUtil} from 'static/js/player_app/shared/type_util';
@@ -33,6 +102,61 @@ import {TypeUtil} from 'static/js/player_app/shared/type_util';
 /*** PRIVATE variables ***/
 // pitch bend 0.0X by X percent
 var PITCH_BEND_FACTOR = 0.05;
+// How a segment ends
+var SEGMENT_ENDS = {
+  STOP: 'stop',
+  PAUSE: 'pause',
+  // next segment starts playing where this one stops
+  HANDOFF: 'handoff'
+};
+// A scheduled stop() can't be cancelled, only replaced by calling stop()
+// again. Stopping this far in the future is the same as not stopping.
+var NO_STOP_TIME_SEC = Number.MAX_SAFE_INTEGER;
+// EQ bands by action target, in signal chain order
+var EQ_BANDS = [
+  {target: TrackAction.targets.EQ_LOW, type: 'lowshelf', frequency: 250},
+  {target: TrackAction.targets.EQ_MID, type: 'peaking', frequency: 1000,
+   q: 0.7},
+  {target: TrackAction.targets.EQ_HIGH, type: 'highshelf', frequency: 4000}
+];
+// EQ band gain range in dB - minimum is a kill
+var EQ_MIN_DB = -40;
+var EQ_MAX_DB = 6;
+// Filter sweep cutoff ranges. Centre of each range is its most open end so
+// switching a branch in or out there is inaudible.
+var FILTER_OPEN_LOW_PASS_HZ = 20000;
+var FILTER_CLOSED_LOW_PASS_HZ = 100;
+var FILTER_OPEN_HIGH_PASS_HZ = 20;
+var FILTER_CLOSED_HIGH_PASS_HZ = 8000;
+var FILTER_DEFAULT_Q = 1;
+// Fade for turning the cue send on or off
+var CUE_FADE_SEC = 0.01;
+// Highest effect send level
+var MAX_SEND_LEVEL = 1;
+// Level meter - samples per reading (~46ms at 44.1kHz), level a sample
+// counts as clipped at and how long a clip shows for
+var METER_WINDOW_FRAMES = 2048;
+var METER_CLIP_LEVEL = 1;
+var METER_CLIP_HOLD_SEC = 1;
+// Quietest level the meter reports in dB - digital silence reads as this
+var METER_MIN_DB = -100;
+// Segment starts (STARTED events, marking the track played) - lookahead timer
+// interval. Starts due within the next interval are timed with their own
+// timeout.
+var EVENT_TIMER_INTERVAL_MS = 50;
+// Search for when a segment runs out of track - see _getSegmentTrackEndMS()
+var END_SEARCH_PRECISION_MS = 1;
+var END_SEARCH_MAX_DOUBLINGS = 16;
+// Key lock AudioWorklet - see time_stretch_processor.js
+var KEY_LOCK_MODULE_URL = '/static/js/player_app/logic/time_stretch_processor.js';
+var KEY_LOCK_PROCESSOR_NAME = 'time-stretch-processor';
+var KEY_LOCK_RATE_PARAM = 'playbackRate';
+var KEY_LOCK_DESTROY_MESSAGE = {type: 'destroy'};
+// Key lock module load promise by AudioContext - modules are loaded once
+// per context
+var keyLockModulePromises = new WeakMap();
+// AudioContexts key lock module has finished loading in
+var keyLockModuleContexts = new WeakSet();
 
 
 class MixerChannel {
@@ -40,17 +164,39 @@ class MixerChannel {
   /**
    * @param {Object} track, Track object - assume loaded
    * @param {Object} audioContext, AudioContext object from Web Audio API
+   * @param {Object} outputNode, AudioNode channel output connects to.
+   *   Defaults to audioContext.destination.
+   * @param {Object} trackCache, TrackCache the track is marked as played in
+   *   when a segment starts. Defaults to TrackCache.getInstance().
    */
-  constructor (track, audioContext) {
+  constructor (track, audioContext, outputNode, trackCache) {
+    EventEmitter.call(this);
     // TODO: need to keep this reference? I think there's a reference to context
     // from any audio node
     this.audioContext = audioContext;
     this.track = track;
+    this.outputNode = TypeUtil.defaultVal(
+      outputNode, audioContext.destination);
+    this.trackCache = trackCache || TrackCache.getInstance();
 
-    // Always create a gain node. This node does not depend on track audio
-    // buffer being loaded.
+    // Always create a gain node and EQ. These nodes do not depend on track
+    // audio buffer being loaded.
     _createGainNode(this);
-    // Try to create the sourcenode if track's audio buffer is loaded.
+    _createFilterNodes(this);
+    _createCueNode(this);
+    // post-fader sends by send name - see setSendOutput()
+    this.sendNodes = {};
+    this.sendTimelines = {};
+    _createMeterNode(this);
+    _createEqNodes(this);
+    _createInputNode(this);
+    // Pitch scheduled on every source node. New source nodes get it replayed
+    // onto them.
+    this.pitchTimeline = new AutomationTimeline(1);
+    // Try to create the sourcenode if track's audio buffer is loaded. The
+    // sourceNode is never started itself - it's handed to the next segment
+    // when it's played and a new one takes its place. It gets every pitch
+    // change so it's always ready at the current pitch.
     // Creating from scratch so don't need to delete old node or add old
     // actions.
     var deleteOldNode = false;
@@ -58,9 +204,13 @@ class MixerChannel {
     _sourceNodeRecreate(this, deleteOldNode, addBackOldActions);
 
     /*** pitch bend attributes ***/
-    this.preBendPitchValue = null;  // value of pitch before bend
+    this._pitchBendEvent = null;  // pitchTimeline event of the bend
     this.isBent = false;
 
+    // Lookahead timer for segment starts or null when not running - see
+    // _updateEventTimer()
+    this._eventTimerId = null;
+
     if (!track.isPlayable()) {
       // TODO - better warning mechanism
       console.log('MixerChannel:constructor - Track [' + track.getGuid() +
@@ -79,13 +229,23 @@ class MixerChannel {
    * Constructor helper
    */
   _resetPlayAttributes () {
-    this._playState = MixerChannel.playStates.STOPPED;
-    this.startScheduledTimeMS = COMMON_CONST.INVALID_TIME_VAL;
-    this.stopScheduledTimeMS = COMMON_CONST.INVALID_TIME_VAL;
-    // Tracks the offset that this track was started at or stopped at. Allows
-    // calculation of track offset on the fly.
-    this.startedAtOffsetMS = COMMON_CONST.INVALID_TIME_VAL;
-    this.stoppedAtOffsetMS = COMMON_CONST.INVALID_TIME_VAL;
+    // Segments sorted by start time. Each segment:
+    //   {
+    //     sourceNode: started source node,
+    //     startTimeMS: context time node starts at,
+    //     startOffsetMS: track offset node starts from,
+    //     stopTimeMS: context time node ends at or INVALID_TIME_VAL,
+    //     endType: SEGMENT_ENDS type or null if no end is scheduled,
+    //     isResume: true if started by a resume,
+    //     loop: {startMS, endMS} track offsets looped between or null,
+    //     isStartEmitted: true once the start is timed or not needed,
+    //     isDropped: true once taken out of playback,
+    //     isHandoffStart: true if the segment before it (since dropped from
+    //       the list) handed off to it
+    //   }
+    // Segments that ended before the current one are dropped as time goes
+    // on - the last one is kept so the stopped offset is known.
+    this._segments = [];
   }
 
 
@@ -122,21 +282,23 @@ class MixerChannel {
       minTimeMSAbs = 0;
     }
     var actionAdded = false;
+    var actionTimeMSAbs = _filterAtTimeNow(this, action.getActionTimeMSAbs());
 
     if (this.track.getGuid() === action.getActionTrackGuid()) {
       var actionType = action.getActionType();
 
       // todo: correct behavior if both 0?
-      if (_filterAtTimeNow(this, action.getActionTimeMSAbs()) <
-          minTimeMSAbs) {
+      if (actionTimeMSAbs < minTimeMSAbs) {
         // pass because action time is before the playable time slice
         // TODO: log info?
+        _emitEvent(
+          this, MixerChannel.events.ACTION_DROPPED,
+          actionTimeMSAbs + baseTimeOffsetMS - mixSetOffsetTimeMS,
+          {action: action});
         return actionAdded;
       }
 
-      var actionTimeMSAbs =
-        _filterAtTimeNow(this, action.getActionTimeMSAbs()) +
-        baseTimeOffsetMS - mixSetOffsetTimeMS;
+      actionTimeMSAbs += baseTimeOffsetMS - mixSetOffsetTimeMS;
       switch(actionType) {
         case TrackAction.types.PLAY:
           actionAdded = _actionPlay(
@@ -148,14 +310,49 @@ class MixerChannel {
         case TrackAction.types.PAUSE:
           actionAdded = _actionPause(this, actionTimeMSAbs);
           break;
+        case TrackAction.types.RESUME:
+          actionAdded = _actionResume(this, actionTimeMSAbs);
+          break;
         case TrackAction.types.PITCH:
           actionAdded = _actionPitch(
             this, actionTimeMSAbs, action.getPitchValueApplied());
           break;
+        case TrackAction.types.EQ:
+          actionAdded = _actionEq(
+            this, actionTimeMSAbs, action.getActionTarget(),
+            action.getEndVal(), action.getFadeNumBeats(),
+            this.track.getBpm());
+          break;
+        case TrackAction.types.FILTER:
+          actionAdded = _actionFilter(
+            this, actionTimeMSAbs, action.getEndVal(),
+            action.getFilterResonance(), action.getFadeNumBeats(),
+            this.track.getBpm());
+          break;
         case TrackAction.types.GAIN_FADE:
           actionAdded = _actionGainFade(
             this, actionTimeMSAbs, action.getEndVal(),
-            action.getFadeNumBeats(), this.track.getBpm());
+            action.getFadeNumBeats(), this.track.getBpm(),
+            action.getFadeCurve());
+          break;
+        case TrackAction.types.SEND:
+          actionAdded = _actionSend(
+            this, actionTimeMSAbs, action.getActionTarget(),
+            action.getEndVal(), action.getFadeNumBeats(),
+            this.track.getBpm());
+          break;
+        case TrackAction.types.LOOP_IN:
+          actionAdded = _actionLoopIn(
+            this, actionTimeMSAbs, action.getLoopNumBeats(),
+            this.track.getBpm());
+          break;
+        case TrackAction.types.LOOP_OUT:
+          actionAdded = _actionLoopOut(this, actionTimeMSAbs);
+          break;
+        case TrackAction.types.LOOP_ROLL:
+          actionAdded = _actionLoopRoll(
+            this, actionTimeMSAbs, action.getLoopNumBeats(),
+            action.getRollNumBeats(), this.track.getBpm());
           break;
         default:
           LogHandler.addLogSystemError(
@@ -178,6 +375,10 @@ class MixerChannel {
         action.getActionTrackGuid());
     }
 
+    _emitEvent(
+      this, actionAdded ? MixerChannel.events.ACTION_ADDED :
+        MixerChannel.events.ACTION_DROPPED,
+      actionTimeMSAbs, {action: action});
     return actionAdded;
   }
 
@@ -201,20 +402,34 @@ class MixerChannel {
   }
 
 
+  /**
+   * Listen for changes to the pitch scheduled on the channel - pitch
+   * actions, pitch bends, clearActions() and setPitchFromTimeline().
+   *
+   * @param {Function} listener, Called with the PITCH_CHANGED event. Its
+   *   timeMS is the context time pitch changed from.
+   */
+  addPitchListener (listener) {
+    this.on(MixerChannel.events.PITCH_CHANGED, listener);
+  }
+
+
   /**
    * Does the following:
-   * - Clear scheduled actions on all nodes where possible (sourceNode cannot
-   *   be cleared if audio is playing).
+   * - Clear scheduled actions on all nodes where possible.
    * - Clears actionsAddedCollection.
-   * - Sets channel state to "true" STOPPED
+   * - Sets channel state to "true" STOPPED if nothing is playing
    * - Reset playback attributes to defaults as if channel was just
-   *   constructed
+   *   constructed if nothing is playing
    *
    * Actions on Nodes:
-   * - GainNode: we can just call resetActions()
+   * - Gain, EQ, filter and send params: events from now on are dropped and
+   *   the params hold the values they're at now
    * - SourceNode: we cannot reset a scheduled start() / stop() action so we
    *   need to recreate it.
-   *   - If source is currently playing, we cannot reschedule the sourceNode
+   *   - If source is currently playing, the playing segment keeps playing
+   *     with its scheduled end cancelled and scheduled segments are dropped.
+   *     Re-adding the edited actions then moves any start or stop.
    *   - If source is stopped, we can reschedule the sourceNode
    *
    * @param {Boolean} forceSourceNodeReset, If true, source node is forced to reset even
@@ -225,6 +440,15 @@ class MixerChannel {
   clearActions (forceSourceNodeReset, forceGainNodeReset) {
     forceSourceNodeReset = TypeUtil.defaultVal(forceSourceNodeReset, false);
     forceGainNodeReset = TypeUtil.defaultVal(forceGainNodeReset, false);
+    // actions that haven't happened yet are dropped
+    var currentTimeMS = TimeUtil.secToMS(this.audioContext.currentTime);
+    for (let action of this.actionsAddedCollection.actions) {
+      if (action.getActionTimeMSAbs() > currentTimeMS) {
+        _emitEvent(
+          this, MixerChannel.events.ACTION_DROPPED,
+          action.getActionTimeMSAbs(), {action: action});
+      }
+    }
     // clearing actionsAddedCollection
     this.actionsAddedCollection.resetActions([]);
 
@@ -235,11 +459,19 @@ class MixerChannel {
       // todo: this is a hack - see if we can do something lighter weight than recreating gainnode
       this.gainNode.disconnect();
       _createGainNode(this);
-      this.sourceNode.connect(this.gainNode);
+      // EQ and filter are kept - only their output moves to the new gain
+      // node
+      this.preGainNode.disconnect();
+      this.preGainNode.connect(this.gainNode);
+      this.preGainNode.connect(this.cueNode);
+      _connectGainTaps(this);
 
       // this.gainNode.gain.cancelScheduledValues(this.audioContext.currentTime);
       // this.gainNode.gain.value = 1;
     }
+    // params hold where they are now instead of carrying on with fades
+    // that were cleared
+    _clearTimelinesFrom(this, this.audioContext.currentTime);
 
     var currentPlayState = _getPlayState(this);
     /**
@@ -250,14 +482,39 @@ class MixerChannel {
      */
     if (currentPlayState === MixerChannel.playStates.STOPPED ||
         currentPlayState === MixerChannel.playStates.STOPPED_AND_PLAY_SCHEDULED ||
+        currentPlayState === MixerChannel.playStates.PAUSED ||
+        currentPlayState === MixerChannel.playStates.PAUSED_AND_RESUME_SCHEDULED ||
         forceSourceNodeReset) {
-      this._playState = MixerChannel.playStates.STOPPED;
+      for (let segment of this._segments) {
+        _dropSegment(segment);
+      }
+      // new source node starts at the original pitch
+      this.pitchTimeline.clear(1);
       // reset source node to a clean new one with no actions
       let deleteOldNode = true;
       let addBackOldActions = false;
       _sourceNodeRecreate(this, deleteOldNode, addBackOldActions);
       this._resetPlayAttributes();
+      // key lock node still has the old pitch scheduled
+      _renderTimeline(
+        this, this.pitchTimeline, _getPitchParams(this),
+        this.audioContext.currentTime);
+      _notifyPitchChanged(this, this.audioContext.currentTime);
+      return;
     }
+
+    // Playing - current segment is the first one after _getPlayState() drops
+    // finished segments. Keep it playing but drop everything scheduled.
+    var currentTimeSec = this.audioContext.currentTime;
+    for (let segment of this._segments.slice(1)) {
+      _dropSegment(segment);
+    }
+    this._segments = this._segments.slice(0, 1);
+    _cancelSegmentEnd(this._segments[0]);
+    this.pitchTimeline.removeEventsFrom(currentTimeSec);
+    _renderTimeline(
+      this, this.pitchTimeline, _getPitchParams(this), currentTimeSec);
+    _notifyPitchChanged(this, currentTimeSec);
   }
 
 
@@ -267,12 +524,32 @@ class MixerChannel {
    * TODO: Only disconnecting for now. Need to clean anything up?
    */
   destroy () {
-    if (this.sourceNode !== null) {
-      this.sourceNode.disconnect();
+    for (let sourceNode of _getSourceNodes(this)) {
+      sourceNode.disconnect();
+    }
+    this.inputNode.disconnect();
+    if (this.keyLockNode !== null) {
+      _destroyKeyLockNode(this);
+    }
+    for (let band of EQ_BANDS) {
+      this.eqNodes[band.target].disconnect();
+    }
+    for (let filterNode of _.values(this.filterNodes)) {
+      filterNode.disconnect();
+    }
+    this.cueNode.disconnect();
+    this.meterNode.disconnect();
+    for (let sendNode of _.values(this.sendNodes)) {
+      sendNode.disconnect();
     }
     if (this.gainNode !== null) {
       this.gainNode.disconnect();
     }
+    if (this._eventTimerId !== null) {
+      clearInterval(this._eventTimerId);
+      this._eventTimerId = null;
+    }
+    this.removeAllListeners();
   }
 
 
@@ -287,10 +564,121 @@ class MixerChannel {
 
 
   /**
-   * @return {Number} Current pitch
+   * Level of the channel's output over the last METER_WINDOW_FRAMES. Poll it
+   * from the UI, e.g. once per animation frame.
+   *
+   * @return {Object} Meter levels:
+   *   {
+   *     peak: highest absolute sample, 0 to 1 (or over when clipping),
+   *     rms: RMS of the samples,
+   *     peakDb: peak in dBFS,
+   *     rmsDb: RMS in dBFS,
+   *     isClipping: true if a sample reached METER_CLIP_LEVEL in the last
+   *       METER_CLIP_HOLD_SEC
+   *   }
+   */
+  getMeterLevels () {
+    var samples = this._meterSamples;
+    this.meterNode.getFloatTimeDomainData(samples);
+
+    var peak = 0;
+    var sumSquares = 0;
+    for (let i = 0; i < samples.length; i++) {
+      let level = Math.abs(samples[i]);
+      if (level > peak) {
+        peak = level;
+      }
+      sumSquares += samples[i] * samples[i];
+    }
+    var rms = Math.sqrt(sumSquares / samples.length);
+
+    var currentTimeSec = this.audioContext.currentTime;
+    if (peak >= METER_CLIP_LEVEL) {
+      this._meterClipTimeSec = currentTimeSec;
+    }
+    return {
+      peak: peak,
+      rms: rms,
+      peakDb: _toDb(peak),
+      rmsDb: _toDb(rms),
+      isClipping: this._meterClipTimeSec !== null &&
+        currentTimeSec - this._meterClipTimeSec <= METER_CLIP_HOLD_SEC
+    };
+  }
+
+
+  /**
+   * Context time the channel stops playing if nothing else is scheduled -
+   * the end of the last scheduled segment. A segment with no scheduled end
+   * stops when it runs out of track at the pitch scheduled on the channel.
+   *
+   * @return {Number} Context time in milliseconds. INVALID_TIME_VAL if
+   *   nothing is scheduled, Infinity if the last segment loops without an
+   *   end.
+   */
+  getScheduledEndMS () {
+    var segment = _.last(this._segments);
+    if (!segment) {
+      return COMMON_CONST.INVALID_TIME_VAL;
+    }
+    var isEndScheduled = segment.stopTimeMS !== COMMON_CONST.INVALID_TIME_VAL;
+    if (segment.loop !== null) {
+      return isEndScheduled ? segment.stopTimeMS : Infinity;
+    }
+    var trackEndMS = _getSegmentTrackEndMS(this, segment);
+    return isEndScheduled ?
+      Math.min(segment.stopTimeMS, trackEndMS) : trackEndMS;
+  }
+
+
+  /**
+   * Gain the channel is scheduled to be at. Web Audio can't report scheduled
+   * values so this comes from the channel's gain timeline.
+   *
+   * @param {Number} atTimeMS, Time (relative to AudioContext time) or
+   *   AT_TIME_NOW
+   * @return {Number} Gain value at atTimeMS
+   */
+  getScheduledGain (atTimeMS) {
+    var atTimeSec = TimeUtil.msToSec(_filterAtTimeNow(this, atTimeMS));
+    return this.gainTimeline.getValueAt(atTimeSec);
+  }
+
+
+  /**
+   * @param {String} sendName, Name of the send - EffectReturns.types type
+   * @param {Number} atTimeMS, Time (relative to AudioContext time) or
+   *   AT_TIME_NOW. Defaults to AT_TIME_NOW.
+   * @return {Number} Send level scheduled at atTimeMS. 0 for sends not made
+   *   yet.
+   */
+  getSendLevel (sendName, atTimeMS) {
+    if (!this.sendTimelines[sendName]) {
+      return 0;
+    }
+    atTimeMS = TypeUtil.defaultVal(atTimeMS, MixerChannel.constants.AT_TIME_NOW);
+    var atTimeSec = TimeUtil.msToSec(_filterAtTimeNow(this, atTimeMS));
+    return this.sendTimelines[sendName].getValueAt(atTimeSec);
+  }
+
+
+  /**
+   * @param {Number} atTimeMS, Time (relative to AudioContext time) or
+   *   AT_TIME_NOW. Defaults to AT_TIME_NOW.
+   * @return {Number} Pitch scheduled at atTimeMS
+   */
+  getPitch (atTimeMS) {
+    atTimeMS = TypeUtil.defaultVal(atTimeMS, MixerChannel.constants.AT_TIME_NOW);
+    var atTimeSec = TimeUtil.msToSec(_filterAtTimeNow(this, atTimeMS));
+    return this.pitchTimeline.getValueAt(atTimeSec);
+  }
+
+
+  /**
+   * @return {String} MixerChannel.playStates type at current context time
    */
-  getPitch () {
-    return this.sourceNode.playbackRate.value;
+  getPlayState () {
+    return _getPlayState(this);
   }
 
 
@@ -309,24 +697,30 @@ class MixerChannel {
    */
   getTrackCurrentOffsetMS () {
     var currentPlayState = _getPlayState(this);
+    var currentTimeMS = TimeUtil.secToMS(this.audioContext.currentTime);
+    // segment playing now or the last one that played
+    var currentSegment = _getSegmentAt(this, currentTimeMS);
 
-    // if state is stopped, it could never have started before so return invalid
-    // value as offset
     switch (currentPlayState) {
       case MixerChannel.playStates.STOPPED:
         // fall through
       case MixerChannel.playStates.STOPPED_AND_PLAY_SCHEDULED:
-        if (this.stoppedAtOffsetMS === COMMON_CONST.INVALID_TIME_VAL) {
-          // no play action scheduled on channel yet, so no offset applicable
+        // fall through
+      case MixerChannel.playStates.PAUSED:
+        // fall through
+      case MixerChannel.playStates.PAUSED_AND_RESUME_SCHEDULED:
+        if (currentSegment === null) {
+          // nothing has played on channel yet, so no offset applicable
           return COMMON_CONST.INVALID_VAL;
         }
-        return this.stoppedAtOffsetMS;
+        return _getSegmentOffsetAtMS(
+          this, currentSegment, currentSegment.stopTimeMS);
       case MixerChannel.playStates.PLAYING:
         // fall through
+      case MixerChannel.playStates.PLAYING_AND_PAUSE_SCHEDULED:
+        // fall through
       case MixerChannel.playStates.PLAYING_AND_STOP_SCHEDULED:
-        var currentTimeMS = TimeUtil.secToMS(this.audioContext.currentTime);
-        var playedTimeMS = currentTimeMS - this.startScheduledTimeMS;
-        return this.startedAtOffsetMS + playedTimeMS;
+        return _getSegmentOffsetAtMS(this, currentSegment, currentTimeMS);
       default:
         LogHandler.addLogSystemError(
           this, 'getTrackCurrentOffsetMS', 'Invalid state match - current state: ' + currentPlayState);
@@ -335,6 +729,38 @@ class MixerChannel {
   }
 
 
+  /**
+   * @param {Number} atTimeMS, Time (relative to AudioContext time) or
+   *   AT_TIME_NOW. Can be in the future.
+   * @return {Number} Offset into track the channel is scheduled to be at at
+   *   atTimeMS or COMMON_CONST.INVALID_VAL if nothing is playing then
+   */
+  getTrackOffsetAtMS (atTimeMS) {
+    atTimeMS = _filterAtTimeNow(this, atTimeMS);
+    var segment = _getSegmentAt(this, atTimeMS);
+    if (segment === null || !_isSegmentPlayingAt(segment, atTimeMS)) {
+      return COMMON_CONST.INVALID_VAL;
+    }
+    return _getSegmentOffsetAtMS(this, segment, atTimeMS);
+  }
+
+
+  /**
+   * @return {Boolean} True if key lock is on - see setKeyLock()
+   */
+  isKeyLocked () {
+    return this.keyLockNode !== null;
+  }
+
+
+  /**
+   * @return {Boolean} True if channel is cued - see setCue()
+   */
+  isCued () {
+    return this._isCued;
+  }
+
+
   /**
    * Bends pitch by PITCH_BEND_FACTOR immediately. Pitch is reset to original
    * value upon calling pitchBendRestore()
@@ -358,7 +784,8 @@ class MixerChannel {
     if (this.isBent) {
       return false;
     }
-    var currentPitch = this.sourceNode.playbackRate.value;
+    var currentTimeSec = this.audioContext.currentTime;
+    var currentPitch = this.pitchTimeline.getValueAt(currentTimeSec);
 
     // set positive or negative pitch bend
     var newPitch = currentPitch + PITCH_BEND_FACTOR;
@@ -366,10 +793,11 @@ class MixerChannel {
       newPitch = currentPitch - PITCH_BEND_FACTOR;
     }
 
-    // save the current value
-    this.preBendPitchValue = this.sourceNode.playbackRate.value;
-    // set the new value
-    this.sourceNode.playbackRate.setValueAtTime(newPitch, this.audioContext.currentTime);
+    // kept so the restore can take the bend back off the timeline
+    this._pitchBendEvent = _addTimelineEvent(
+      this, this.pitchTimeline, _getPitchParams(this), currentTimeSec,
+      currentTimeSec, newPitch);
+    _notifyPitchChanged(this, currentTimeSec);
 
     this.isBent = true;
 
@@ -378,20 +806,15 @@ class MixerChannel {
 
 
   /**
-   * Restore the bent pitch value to what it was before. If the pitch has
-   * changed due to some scheduled param event, then don't restore to the
-   * old value.
-   *
-   * BUG: If during pitch bend, a pitch param event sets the pitch to the same
-   * value as pitch bend, the restore call will undo that action and the mix
-   * will be out of sync. This is because a scheduled param event has no way of
-   * notifying the client app.
+   * Take the pitch bend off the pitch timeline so the pitch goes back to
+   * whatever is scheduled now - the value before the bend, or the value of a
+   * pitch action scheduled during the bend.
    *
    * TODO: a temporary pitch action should be created and piped through
    *   addAction
    *
-   * @return {Boolean} True if pitch restored. False if old value not restored;
-   *   this happens when a scheduled event updates the pitch to another value.
+   * @return {Boolean} True if pitch restored. False if there was no bend to
+   *   restore or a later pitch action took over and the bend was dropped.
    */
   pitchBendRestore () {
     // Source node may not have been created with constructor so try to create
@@ -402,238 +825,547 @@ class MixerChannel {
         this, 'addAction', 'Track not loaded - id: ' + this.track.getTitle());
     }
 
-    if (!this.isBent || this.preBendPitchValue === null) {
-      return;
+    if (!this.isBent || this._pitchBendEvent === null) {
+      return false;
     }
 
-    this.sourceNode.playbackRate.setValueAtTime(this.preBendPitchValue, this.audioContext.currentTime);
+    // bend is dropped from the timeline once a later pitch action is under
+    // way - that action's value is the right one to keep
+    var isRestored = this.pitchTimeline.removeEvent(this._pitchBendEvent);
+    if (isRestored) {
+      _renderTimeline(
+        this, this.pitchTimeline, _getPitchParams(this),
+        this._pitchBendEvent.startTimeSec);
+      _notifyPitchChanged(this, this._pitchBendEvent.startTimeSec);
+    }
+    this._pitchBendEvent = null;
     this.isBent = false;
+
+    return isRestored;
+  }
+
+
+  /**
+   * Load the key lock AudioWorklet module into an AudioContext. Needs to be
+   * done once per context before setKeyLock() can turn key lock on.
+   *
+   * @param {Object} audioContext, AudioContext object from Web Audio API
+   * @param {String} moduleUrl, URL of time_stretch_processor.js. Defaults to
+   *   KEY_LOCK_MODULE_URL.
+   * @return {Promise} Resolves when loaded. Rejects if AudioWorklet isn't
+   *   supported or the module fails to load.
+   */
+  static pLoadKeyLockModule (audioContext, moduleUrl) {
+    moduleUrl = TypeUtil.defaultVal(moduleUrl, KEY_LOCK_MODULE_URL);
+    if (!audioContext.audioWorklet) {
+      return Promise.reject(new IllegalParam(
+        MixerChannel, 'pLoadKeyLockModule', 'AudioWorklet not supported'));
+    }
+    if (keyLockModulePromises.has(audioContext)) {
+      return keyLockModulePromises.get(audioContext);
+    }
+
+    var pLoad = audioContext.audioWorklet.addModule(moduleUrl).then(
+      function() {
+        keyLockModuleContexts.add(audioContext);
+      },
+      function(error) {
+        // let the next call try again
+        keyLockModulePromises.delete(audioContext);
+        LogHandler.addLogSystemError(
+          MixerChannel, 'pLoadKeyLockModule',
+          'failed to load key lock module: ' + moduleUrl);
+        throw error;
+      }
+    );
+    keyLockModulePromises.set(audioContext, pLoad);
+    return pLoad;
+  }
+
+
+  /**
+   * @param {Function} listener, Listener passed to addPitchListener()
+   */
+  removePitchListener (listener) {
+    this.removeListener(MixerChannel.events.PITCH_CHANGED, listener);
+  }
+
+
+  /**
+   * Jump to offsetMS at atTimeMS without changing play state - the jump
+   * takes over the scheduled end of whatever is playing then.
+   *
+   * @param {Number} atTimeMS, Time (relative to AudioContext time) or
+   *   AT_TIME_NOW
+   * @param {Number} offsetMS, Offset into the track to jump to
+   * @return {Boolean} True if jump scheduled. False if nothing is playing
+   *   at atTimeMS.
+   */
+  seekAt (atTimeMS, offsetMS) {
+    if (TimeUtil.isBadTime(atTimeMS) || TimeUtil.isBadTime(offsetMS)) {
+      throw new IllegalParam(
+        this, 'seekAt', 'invalid times - atTimeMS: ' + atTimeMS +
+        ', offsetMS: ' + offsetMS);
+    }
+    atTimeMS = _clampToNow(this, _filterAtTimeNow(this, atTimeMS));
+
+    var segment = _getSegmentAt(this, atTimeMS);
+    if (segment === null || !_isSegmentPlayingAt(segment, atTimeMS)) {
+      return false;
+    }
+    var isResume = false;
+    var loop = null;
+    return _insertSegment(this, atTimeMS, offsetMS, isResume, loop);
+  }
+
+
+  /**
+   * Replace pitch from fromTimeMS on with the values on another timeline
+   * times ratio - e.g. to follow the playback rate of another channel.
+   * Pitch bends and pitch actions scheduled from fromTimeMS on are dropped.
+   *
+   * @param {Object} timeline, AutomationTimeline to follow
+   * @param {Number} ratio, Pitch is timeline's value times ratio
+   * @param {Number} fromTimeMS, Time (relative to AudioContext time) or
+   *   AT_TIME_NOW. Defaults to AT_TIME_NOW.
+   */
+  setPitchFromTimeline (timeline, ratio, fromTimeMS) {
+    if (!NumberUtil.isPositive(ratio)) {
+      throw new IllegalParam(
+        this, 'setPitchFromTimeline', 'ratio not positive: ' + ratio);
+    }
+    fromTimeMS = TypeUtil.defaultVal(
+      fromTimeMS, MixerChannel.constants.AT_TIME_NOW);
+    var fromTimeSec = TimeUtil.msToSec(
+      _clampToNow(this, _filterAtTimeNow(this, fromTimeMS)));
+
+    this.pitchTimeline.removeEventsFrom(fromTimeSec);
+    this.pitchTimeline.setValueAtTime(
+      timeline.getValueAt(fromTimeSec) * ratio, fromTimeSec);
+    for (let event of timeline.getEvents()) {
+      if (event.endTimeSec > fromTimeSec) {
+        // a fade already going carries on from where it's at
+        this.pitchTimeline.addEvent(
+          Math.max(event.startTimeSec, fromTimeSec), event.endTimeSec,
+          event.endVal * ratio, event.curve);
+      }
+    }
+    _renderTimeline(
+      this, this.pitchTimeline, _getPitchParams(this), fromTimeSec);
+    _notifyPitchChanged(this, fromTimeSec);
+  }
+
+
+  /**
+   * Cue the channel - send it pre-fader to cueOutputNode so it can be heard
+   * on the cue bus whatever its gain is.
+   *
+   * @param {Boolean} isCued, True to cue, false to stop cueing
+   */
+  setCue (isCued) {
+    var currentTimeSec = this.audioContext.currentTime;
+    // short fade so switching doesn't click
+    _addTimelineEvent(
+      this, this.cueTimeline, [this.cueNode.gain], currentTimeSec,
+      currentTimeSec + CUE_FADE_SEC, isCued ? 1 : 0);
+    this._isCued = isCued;
+  }
+
+
+  /**
+   * @param {Object} cueOutputNode, AudioNode the cue send connects to or
+   *   null to disconnect it
+   */
+  setCueOutput (cueOutputNode) {
+    this.cueNode.disconnect();
+    this.cueOutputNode = cueOutputNode;
+    if (cueOutputNode) {
+      this.cueNode.connect(cueOutputNode);
+    }
+  }
+
+
+  /**
+   * @param {Object} outputNode, AudioNode the channel output connects to or
+   *   null to disconnect it
+   */
+  setOutput (outputNode) {
+    this.gainNode.disconnect();
+    this.outputNode = outputNode;
+    if (outputNode) {
+      this.gainNode.connect(outputNode);
+    }
+    _connectGainTaps(this);
+  }
+
+
+  /**
+   * Route a post-fader send. The send is made if it doesn't exist yet and
+   * starts turned down - SEND actions turn it up.
+   *
+   * @param {String} sendName, Name of the send - EffectReturns.types type
+   * @param {Object} sendOutputNode, AudioNode the send connects to or null to
+   *   disconnect it
+   */
+  setSendOutput (sendName, sendOutputNode) {
+    var sendNode = _getSendNode(this, sendName);
+    sendNode.disconnect();
+    if (sendOutputNode) {
+      sendNode.connect(sendOutputNode);
+    }
+  }
+
+
+  /**
+   * Turn key lock on or off. With key lock on, pitch actions and pitch bends
+   * change tempo without changing key.
+   *
+   * Switching adds or removes the time stretch delay, so it's best done
+   * while the channel is quiet.
+   *
+   * @param {Boolean} isKeyLocked, True to turn key lock on
+   * @return {Boolean} True if key lock is set as asked. False if turning on
+   *   before the key lock module is loaded - see pLoadKeyLockModule().
+   */
+  setKeyLock (isKeyLocked) {
+    if (isKeyLocked === this.isKeyLocked()) {
+      return true;
+    }
+
+    if (isKeyLocked) {
+      if (!keyLockModuleContexts.has(this.audioContext)) {
+        LogHandler.addLogSystemError(
+          this, 'setKeyLock', 'key lock module not loaded for context');
+        return false;
+      }
+      this.keyLockNode = new AudioWorkletNode(
+        this.audioContext, KEY_LOCK_PROCESSOR_NAME,
+        {outputChannelCount: [_getTrackNumChannels(this)]});
+      // shifts the key back by the rate the source nodes play at
+      this.pitchTimeline.replay(
+        this.keyLockNode.parameters.get(KEY_LOCK_RATE_PARAM),
+        this.audioContext.currentTime);
+      this.keyLockNode.connect(_getEqInputNode(this));
+      this.inputNode.disconnect();
+      this.inputNode.connect(this.keyLockNode);
+    } else {
+      this.inputNode.disconnect();
+      this.inputNode.connect(_getEqInputNode(this));
+      _destroyKeyLockNode(this);
+    }
+
+    return true;
   }
 
 }
 
+// Emits MixerChannel.events - see the Events section at the top
+_.extend(MixerChannel.prototype, EventEmitter.prototype);
+
+
 /*** Private mixer channel functions ***/
 
 /**
- * Registers a fade action with the context.
- *
- * Fade uses a linear ramp
+ * Registers an EQ action with the context. Sets the band's gain at atTimeMS
+ * or ramps to it over fadeNumBeats.
  *
  * @param {Object} mc, MixerChannel instance
  * @param {Number} atTimeMS, Time (relative to AudioContext time) to perform
  *   action at
- * @param {Number} endGainVal, Gain value (float) that the fade should obtain
- * @param {Number} fadeNumBeats, Number of beats to fade for
+ * @param {String} target, TrackAction.targets EQ type for the band
+ * @param {Number} gainDb, Band gain in dB. Clamped to EQ_MIN_DB - EQ_MAX_DB.
+ * @param {Number} fadeNumBeats, Number of beats to ramp for. Set instantly if
+ *   not positive.
  * @param {Number} trackBpm, bpm for track
  * @return {Boolean} True if action added successfully
  */
-var _actionGainFade = function(mc, atTimeMS, endGainVal, fadeNumBeats, trackBpm) {
-  // todo: Need to determine what the gain will be during atTimeMS. There could be
-  // other gain change that have affected the gain by then.
-  if (!NumberUtil.isPositive(trackBpm)) {
-    throw new IllegalParam(mc, '_actionGainFade', 'trackBpm not number: ' + trackBpm);
+var _actionEq = function(mc, atTimeMS, target, gainDb, fadeNumBeats, trackBpm) {
+  var actionAdded = false;
+
+  if (TimeUtil.isBadTime(atTimeMS)) {
+    LogHandler.addLogSystemError(mc, '_actionEq', 'invalid param so no-op - atTimeMS: ' + atTimeMS);
+    return actionAdded;
+  }
+  var eqNode = mc.eqNodes[target];
+  var eqTimeline = mc.eqTimelines[target];
+  if (!eqNode) {
+    LogHandler.addLogSystemError(mc, '_actionEq', 'not an EQ target: ' + target);
+    return actionAdded;
   }
-  var fadeTimeSec = (fadeNumBeats / trackBpm) * 60;
-  var atTimeSec = atTimeMS / 1000;
+  if (typeof(gainDb) !== 'number' || isNaN(gainDb)) {
+    throw new IllegalParam(mc, '_actionEq', 'gainDb not number: ' + gainDb);
+  }
+
+  atTimeMS = _filterAtTimeNow(mc, atTimeMS);
+  var atTimeSec = TimeUtil.msToSec(atTimeMS);
+  gainDb = Math.min(Math.max(gainDb, EQ_MIN_DB), EQ_MAX_DB);
 
-  // todo: hack - should take the gain val that track is at
-  var initialGainVal = 1 - endGainVal;
+  var fadeTimeSec = 0;
+  if (NumberUtil.isPositive(fadeNumBeats)) {
+    if (!NumberUtil.isPositive(trackBpm)) {
+      throw new IllegalParam(mc, '_actionEq', 'trackBpm not number: ' + trackBpm);
+    }
+    fadeTimeSec = (fadeNumBeats / trackBpm) * 60;
+  }
+  // ramp starts from the value the band is scheduled to be at then
+  _addTimelineEvent(
+    mc, eqTimeline, [eqNode.gain], atTimeSec, atTimeSec + fadeTimeSec, gainDb);
 
-  // 1. Call linearRampToValueAtTime once to set the start time at a specific time
-  mc.gainNode.gain.linearRampToValueAtTime(initialGainVal, atTimeSec);
-  // 2. Call it again to schedule gain change
-  mc.gainNode.gain.linearRampToValueAtTime(endGainVal, atTimeSec + fadeTimeSec);
+  actionAdded = true;
+  return actionAdded;
 };
 
 
 /**
- * Registers a play action with the context.
+ * Registers a filter sweep action with the context. Moves the filter knob to
+ * position at atTimeMS or sweeps it there over fadeNumBeats. A sweep across
+ * the centre goes through the low-pass and high-pass branch in turn.
  *
  * @param {Object} mc, MixerChannel instance
  * @param {Number} atTimeMS, Time (relative to AudioContext time) to perform
  *   action at
- * @param {Number} offsetMS, Offset into the track to begin playing from.
- *   Spec'd in milliseconds. Defaults to 0.
+ * @param {Number} position, Knob position from -1 (low-pass fully closed)
+ *   through 0 (centred - filter bypassed) to 1 (high-pass fully closed)
+ * @param {Number} resonance, Filter Q. Left as is if not positive.
+ * @param {Number} fadeNumBeats, Number of beats to sweep for. Set instantly
+ *   if not positive.
+ * @param {Number} trackBpm, bpm for track
  * @return {Boolean} True if action added successfully
  */
-var _actionPlay = function(mc, atTimeMS, offsetMS) {
+var _actionFilter = function(
+    mc, atTimeMS, position, resonance, fadeNumBeats, trackBpm) {
   var actionAdded = false;
 
   if (TimeUtil.isBadTime(atTimeMS)) {
-    LogHandler.addLogSystemError(mc, '_actionPlay', 'invalid param so no-op - atTimeMS: ' + atTimeMS);
+    LogHandler.addLogSystemError(mc, '_actionFilter', 'invalid param so no-op - atTimeMS: ' + atTimeMS);
     return actionAdded;
   }
-  if (TimeUtil.isBadTime(offsetMS)) {
-    offsetMS = 0;
+  if (typeof(position) !== 'number' || isNaN(position)) {
+    throw new IllegalParam(mc, '_actionFilter', 'position not number: ' + position);
   }
 
-  var currentTimeMS = TimeUtil.secToMS(mc.audioContext.currentTime);
   atTimeMS = _filterAtTimeNow(mc, atTimeMS);
+  var atTimeSec = TimeUtil.msToSec(atTimeMS);
+  position = Math.min(Math.max(position, -1), 1);
 
-  /*** passed basic validation so do play action ***/
-  var currentPlayState = _getPlayState(mc);
+  if (NumberUtil.isPositive(resonance)) {
+    _setFilterParam(mc, 'lowPassQ', resonance, atTimeSec);
+    _setFilterParam(mc, 'highPassQ', resonance, atTimeSec);
+  }
 
-  switch (currentPlayState) {
-    case MixerChannel.playStates.PLAYING:
-      if (atTimeMS === currentTimeMS) {
-        return actionAdded;
-      }
-      // TODO: schedule future sourcenode recreate and play action set
-      //   _sourceNodeRecreate(mc);
-
-      // Commented out while this is not implemented.
-      // LogHandler.addLogSystemError(
-      //   mc, '_actionPlay', 'state not implemented: ' + currentPlayState);
-      break;
-    case MixerChannel.playStates.PLAYING_AND_STOP_SCHEDULED:
-      if (atTimeMS === currentTimeMS) {
-        return actionAdded;
-      }
-      // TODO: schedule future sourcenode recreate and play action set
-      //   _sourceNodeRecreate(mc);
-      LogHandler.addLogSystemError(
-        mc, '_actionPlay', 'state not implemented: ' + currentPlayState);
-      break;
-    case MixerChannel.playStates.STOPPED:
-      // recreate the source node in case it's an old one with an existing
-      // play action
-      _actionPlayHelper(mc, atTimeMS, offsetMS);
-      actionAdded = true;
-      break;
-    case MixerChannel.playStates.STOPPED_AND_PLAY_SCHEDULED:
-      if (atTimeMS === currentTimeMS) {
-        return actionAdded;
-      }
-      // TODO: schedule future sourcenode recreate and play action set
-      //   _sourceNodeRecreate();
-      LogHandler.addLogSystemError(
-        mc, '_actionPlay', 'state not implemented: ' + currentPlayState);
-      break;
-    default:
-      LogHandler.addLogSystemError(
-        mc, '_actionPlay', 'invalid state: ' + currentPlayState);
-      break;
+  // sweep starts from where the knob is scheduled to be then
+  var positionTimeline = mc.filterTimelines.position;
+  var fromPosition = positionTimeline.getValueAt(atTimeSec);
+  var endTimeSec = atTimeSec;
+  if (NumberUtil.isPositive(fadeNumBeats)) {
+    if (!NumberUtil.isPositive(trackBpm)) {
+      throw new IllegalParam(mc, '_actionFilter', 'trackBpm not number: ' + trackBpm);
+    }
+    let fadeTimeSec = (fadeNumBeats / trackBpm) * 60;
+    endTimeSec = atTimeSec + fadeTimeSec;
+    if (fromPosition * position < 0) {
+      // crosses the centre part way through at the same sweep speed
+      let centreTimeSec = atTimeSec + fadeTimeSec * Math.abs(fromPosition) /
+        (Math.abs(fromPosition) + Math.abs(position));
+      _scheduleFilterSweep(mc, fromPosition, 0, atTimeSec, centreTimeSec);
+      _scheduleFilterSweep(mc, 0, position, centreTimeSec, endTimeSec);
+    } else {
+      _scheduleFilterSweep(mc, fromPosition, position, atTimeSec, endTimeSec);
+    }
+  } else {
+    _scheduleFilterSweep(mc, position, position, atTimeSec, atTimeSec);
   }
+  // knob position isn't a param itself - only kept to answer where it is
+  positionTimeline.addEvent(atTimeSec, endTimeSec, position);
 
+  actionAdded = true;
   return actionAdded;
 };
 
+
 /**
+ * Registers a fade action with the context.
+ *
+ * Fade starts from the gain the channel is scheduled to be at at atTimeMS.
+ * A fade that starts while another one is still going takes over from the
+ * level the other one has reached.
+ *
  * @param {Object} mc, MixerChannel instance
+ * @param {Number} atTimeMS, Time (relative to AudioContext time) to perform
+ *   action at
+ * @param {Number} endGainVal, Gain value (float) that the fade should obtain
+ * @param {Number} fadeNumBeats, Number of beats to fade for. Gain is set
+ *   instantly if not positive.
+ * @param {Number} trackBpm, bpm for track
+ * @param {String} fadeCurve, MixerChannel.fadeCurves type. Defaults to
+ *   LINEAR.
+ * @return {Boolean} True if action added successfully
  */
-var _actionPlayHelper = function(mc, atTimeMS, offsetMS) {
-  // todo: temporary hack to catch exception when adding > 1 play action to
-  // sourcenode
-  try {
-    mc.sourceNode.start(
-      TimeUtil.msToSec(atTimeMS), TimeUtil.msToSec(offsetMS));
-  } catch (e) {
-    if (e instanceof DOMException) {
-      console.log('handle this error: ' + e);
-    } else {
-      throw e;
-    }
+var _actionGainFade = function(
+    mc, atTimeMS, endGainVal, fadeNumBeats, trackBpm, fadeCurve) {
+  if (!NumberUtil.isPositive(trackBpm)) {
+    throw new IllegalParam(mc, '_actionGainFade', 'trackBpm not number: ' + trackBpm);
+  }
+  if (TimeUtil.isBadTime(atTimeMS)) {
+    LogHandler.addLogSystemError(mc, '_actionGainFade', 'invalid param so no-op - atTimeMS: ' + atTimeMS);
+    return false;
+  }
+  fadeCurve = TypeUtil.defaultVal(fadeCurve, MixerChannel.fadeCurves.LINEAR);
+  var fadeCurves = MixerChannel.fadeCurves;
+  if (!_.contains([fadeCurves.LINEAR, fadeCurves.EXPONENTIAL,
+                   fadeCurves.EQUAL_POWER, fadeCurves.S_CURVE], fadeCurve)) {
+    throw new IllegalParam(mc, '_actionGainFade', 'unknown fadeCurve: ' + fadeCurve);
   }
-  mc.sourceNode.onended = _processPlaybackEnded.bind(null, mc);
 
-  mc.startScheduledTimeMS = atTimeMS;
-  mc._playState = MixerChannel.playStates.STOPPED_AND_PLAY_SCHEDULED;
+  var fadeTimeSec = 0;
+  if (NumberUtil.isPositive(fadeNumBeats)) {
+    fadeTimeSec = (fadeNumBeats / trackBpm) * 60;
+  }
+  var atTimeSec = TimeUtil.msToSec(_filterAtTimeNow(mc, atTimeMS));
 
-  mc.startedAtOffsetMS = offsetMS;
+  _addTimelineEvent(
+    mc, mc.gainTimeline, [mc.gainNode.gain], atTimeSec,
+    atTimeSec + fadeTimeSec, endGainVal, fadeCurve);
+  return true;
 };
 
 
 /**
+ * Registers a loop in action with the context. From atTimeMS the track loops
+ * loopNumBeats from the beat nearest the offset it's at then - see
+ * _createLoop().
  *
  * @param {Object} mc, MixerChannel instance
  * @param {Number} atTimeMS, Time (relative to AudioContext time) to perform
  *   action at
+ * @param {Number} loopNumBeats, Length of loop in beats
+ * @param {Number} trackBpm, bpm for track
  * @return {Boolean} True if action added successfully
  */
-var _actionPause = function(mc, atTimeMS) {
+var _actionLoopIn = function(mc, atTimeMS, loopNumBeats, trackBpm) {
   var actionAdded = false;
-  // TODO - implement - there is no pause
+
+  var segment = _getLoopSegmentAt(mc, '_actionLoopIn', atTimeMS);
+  if (segment === null) {
+    return actionAdded;
+  }
+  atTimeMS = _clampToNow(mc, _filterAtTimeNow(mc, atTimeMS));
+
+  var offsetMS = _getSegmentOffsetAtMS(mc, segment, atTimeMS);
+  var loop = _createLoop(mc, offsetMS, loopNumBeats, trackBpm);
+  var isResume = false;
+  actionAdded = _insertSegment(mc, atTimeMS, offsetMS, isResume, loop);
 
   return actionAdded;
 };
 
 
 /**
+ * Registers a loop out action with the context. From atTimeMS the track
+ * plays on from where the loop is at.
  *
  * @param {Object} mc, MixerChannel instance
  * @param {Number} atTimeMS, Time (relative to AudioContext time) to perform
- *   action at. 'undefined', null, or 0 will set the pitch immediately.
- * @param {Number} pitchValue, Value to change the pitch by (e.g. 1.3)
+ *   action at
  * @return {Boolean} True if action added successfully
  */
-var _actionPitch = function(mc, atTimeMS, pitchValue) {
+var _actionLoopOut = function(mc, atTimeMS) {
   var actionAdded = false;
 
-  if (TimeUtil.isBadTime(atTimeMS)) {
-    // TODO: log app error
+  var segment = _getLoopSegmentAt(mc, '_actionLoopOut', atTimeMS);
+  if (segment === null) {
+    return actionAdded;
+  }
+  atTimeMS = _clampToNow(mc, _filterAtTimeNow(mc, atTimeMS));
+  if (segment.loop === null) {
+    LogHandler.addLogSystemError(
+      mc, '_actionLoopOut', 'no loop playing at: ' + atTimeMS);
     return actionAdded;
   }
 
-  atTimeMS = _filterAtTimeNow(mc, atTimeMS);
-
-  mc.sourceNode.playbackRate.setValueAtTime(pitchValue, TimeUtil.msToSec(atTimeMS));
-
-  actionAdded = true;
-  // if pitch is bent, then clear the bent flag because we just overwrote the value
-  mc.isBent = false;
+  var offsetMS = _getSegmentOffsetAtMS(mc, segment, atTimeMS);
+  var isResume = false;
+  var loop = null;
+  actionAdded = _insertSegment(mc, atTimeMS, offsetMS, isResume, loop);
 
   return actionAdded;
 };
 
 
 /**
+ * Registers a loop roll action with the context. From atTimeMS the track
+ * loops loopNumBeats for rollNumBeats, then plays on from where it would
+ * have been without the loop.
  *
  * @param {Object} mc, MixerChannel instance
  * @param {Number} atTimeMS, Time (relative to AudioContext time) to perform
  *   action at
+ * @param {Number} loopNumBeats, Length of loop in beats
+ * @param {Number} rollNumBeats, Number of beats to loop for
+ * @param {Number} trackBpm, bpm for track
  * @return {Boolean} True if action added successfully
  */
-var _actionStop = function(mc, atTimeMS) {
+var _actionLoopRoll = function(
+    mc, atTimeMS, loopNumBeats, rollNumBeats, trackBpm) {
   var actionAdded = false;
 
-  if (TimeUtil.isBadTime(atTimeMS)) {
-    // TODO: log app error
-    console.log('MixerChannel:_actionStop - atTimeMS not set: ' + atTimeMS);
+  var segment = _getLoopSegmentAt(mc, '_actionLoopRoll', atTimeMS);
+  if (segment === null) {
     return actionAdded;
   }
+  atTimeMS = _clampToNow(mc, _filterAtTimeNow(mc, atTimeMS));
+
+  var offsetMS = _getSegmentOffsetAtMS(mc, segment, atTimeMS);
+  var rollEndTimeMS = atTimeMS + _beatsToMS(mc, rollNumBeats, trackBpm);
+  // where the track would be at the end of the roll if it kept playing
+  var rollEndOffsetMS = _getSegmentOffsetAtMS(mc, segment, rollEndTimeMS);
+  var isRollEndPlaying = _isSegmentPlayingAt(segment, rollEndTimeMS);
+
+  var loop = _createLoop(mc, offsetMS, loopNumBeats, trackBpm);
+  var isResume = false;
+  actionAdded = _insertSegment(mc, atTimeMS, offsetMS, isResume, loop);
+
+  // no need to carry on if playback stops during the roll
+  if (actionAdded && isRollEndPlaying) {
+    _insertSegment(mc, rollEndTimeMS, rollEndOffsetMS, isResume, null);
+  }
+
+  return actionAdded;
+};
+
+
+/**
+ * Registers a play action with the context. Starts a new segment at atTimeMS
+ * - see _insertSegment().
+ *
+ * @param {Object} mc, MixerChannel instance
+ * @param {Number} atTimeMS, Time (relative to AudioContext time) to perform
+ *   action at
+ * @param {Number} offsetMS, Offset into the track to begin playing from.
+ *   Spec'd in milliseconds. Defaults to 0.
+ * @return {Boolean} True if action added successfully
+ */
+var _actionPlay = function(mc, atTimeMS, offsetMS) {
+  var actionAdded = false;
+
+  if (TimeUtil.isBadTime(atTimeMS)) {
+    LogHandler.addLogSystemError(mc, '_actionPlay', 'invalid param so no-op - atTimeMS: ' + atTimeMS);
+    return actionAdded;
+  }
+  if (TimeUtil.isBadTime(offsetMS)) {
+    offsetMS = 0;
+  }
 
   atTimeMS = _filterAtTimeNow(mc, atTimeMS);
 
   /*** passed basic validation so do play action ***/
-  var currentPlayState = _getPlayState(mc);
-
-  switch (currentPlayState) {
-    case MixerChannel.playStates.PLAYING:
-      _actionStopHelper(mc, atTimeMS);
-      actionAdded = true;
-      break;
-    case MixerChannel.playStates.PLAYING_AND_STOP_SCHEDULED:
-      // TODO: schedule future sourcenode recreate and play action set
-      //   _sourceNodeRecreate(mc);
-      LogHandler.addLogSystemError(
-        mc, '_actionStop', 'state not implemented: ' + currentPlayState);
-      break;
-    case MixerChannel.playStates.STOPPED:
-      // TODO: schedule future sourcenode recreate and play action set
-      //   _sourceNodeRecreate(mc);
-
-      // // commented out while this is not implemented
-      // LogHandler.addLogSystemError(
-      //   mc, '_actionStop', 'state not implemented: ' + currentPlayState);
-      break;
-    case MixerChannel.playStates.STOPPED_AND_PLAY_SCHEDULED:
-      // TODO: schedule future sourcenode recreate and play action set
-      //   _sourceNodeRecreate(mc);
-      LogHandler.addLogSystemError(
-        mc, '_actionStop', 'state not implemented: ' + currentPlayState);
-      break;
-    default:
-      break;
+  var isResume = false;
+  var loop = null;
+  actionAdded = _insertSegment(mc, atTimeMS, offsetMS, isResume, loop);
+  if (actionAdded) {
+    _emitEvent(
+      mc, MixerChannel.events.PLAY_SCHEDULED, _clampToNow(mc, atTimeMS),
+      {offsetMS: offsetMS, isResume: isResume});
   }
 
   return actionAdded;
@@ -641,19 +1373,453 @@ var _actionStop = function(mc, atTimeMS) {
 
 
 /**
+ * Registers a pause action with the context. The segment playing at
+ * atTimeMS ends there and the track offset it ends at is where
+ * _actionResume() plays from.
+ *
  * @param {Object} mc, MixerChannel instance
+ * @param {Number} atTimeMS, Time (relative to AudioContext time) to perform
+ *   action at
+ * @return {Boolean} True if action added successfully
  */
-var _actionStopHelper = function(mc, atTimeMS) {
-  mc.sourceNode.stop(TimeUtil.msToSec(atTimeMS));
+var _actionPause = function(mc, atTimeMS) {
+  var actionAdded = false;
+
+  if (TimeUtil.isBadTime(atTimeMS)) {
+    LogHandler.addLogSystemError(mc, '_actionPause', 'invalid param so no-op - atTimeMS: ' + atTimeMS);
+    return actionAdded;
+  }
 
-  mc.stopScheduledTimeMS = atTimeMS;
-  mc._playState = MixerChannel.playStates.PLAYING_AND_STOP_SCHEDULED;
+  atTimeMS = _clampToNow(mc, _filterAtTimeNow(mc, atTimeMS));
 
-  // before we set other variables to stopped, get the offset that we're
-  // stopping at and remember it
-  var currentTimeMS = TimeUtil.secToMS(mc.audioContext.currentTime);
-  mc.stoppedAtOffsetMS = mc.getTrackCurrentOffsetMS() + atTimeMS -
-    currentTimeMS;
+  var segment = _getSegmentAt(mc, atTimeMS);
+  if (segment === null || !_isSegmentPlayingAt(segment, atTimeMS)) {
+    LogHandler.addLogSystemError(
+      mc, '_actionPause', 'nothing playing to pause at: ' + atTimeMS);
+    return actionAdded;
+  }
+
+  _setSegmentEnd(segment, atTimeMS, SEGMENT_ENDS.PAUSE);
+  actionAdded = true;
+  _emitEvent(
+    mc, MixerChannel.events.STOP_SCHEDULED, atTimeMS, {isPause: true});
+
+  return actionAdded;
+};
+
+
+/**
+ * Registers a resume action with the context. A new segment is started at
+ * atTimeMS from the offset the track was paused at.
+ *
+ * @param {Object} mc, MixerChannel instance
+ * @param {Number} atTimeMS, Time (relative to AudioContext time) to perform
+ *   action at
+ * @return {Boolean} True if action added successfully
+ */
+var _actionResume = function(mc, atTimeMS) {
+  var actionAdded = false;
+
+  if (TimeUtil.isBadTime(atTimeMS)) {
+    LogHandler.addLogSystemError(mc, '_actionResume', 'invalid param so no-op - atTimeMS: ' + atTimeMS);
+    return actionAdded;
+  }
+
+  atTimeMS = _clampToNow(mc, _filterAtTimeNow(mc, atTimeMS));
+
+  // last segment before atTimeMS must have ended with a pause
+  var segment = _getSegmentAt(mc, atTimeMS);
+  if (segment === null || _isSegmentPlayingAt(segment, atTimeMS) ||
+      segment.endType !== SEGMENT_ENDS.PAUSE) {
+    LogHandler.addLogSystemError(
+      mc, '_actionResume', 'no pause to resume at: ' + atTimeMS);
+    return actionAdded;
+  }
+
+  var offsetMS = _getSegmentOffsetAtMS(mc, segment, segment.stopTimeMS);
+  var isResume = true;
+  var loop = null;
+  actionAdded = _insertSegment(mc, atTimeMS, offsetMS, isResume, loop);
+  if (actionAdded) {
+    _emitEvent(
+      mc, MixerChannel.events.PLAY_SCHEDULED, atTimeMS,
+      {offsetMS: offsetMS, isResume: isResume});
+  }
+
+  return actionAdded;
+};
+
+
+/**
+ *
+ * @param {Object} mc, MixerChannel instance
+ * @param {Number} atTimeMS, Time (relative to AudioContext time) to perform
+ *   action at. 'undefined', null, or 0 will set the pitch immediately.
+ * @param {Number} pitchValue, Value to change the pitch by (e.g. 1.3)
+ * @return {Boolean} True if action added successfully
+ */
+var _actionPitch = function(mc, atTimeMS, pitchValue) {
+  var actionAdded = false;
+
+  if (TimeUtil.isBadTime(atTimeMS)) {
+    // TODO: log app error
+    return actionAdded;
+  }
+
+  atTimeMS = _filterAtTimeNow(mc, atTimeMS);
+  var atTimeSec = TimeUtil.msToSec(atTimeMS);
+
+  // every segment that's playing or scheduled gets the change. A pitch bend
+  // stays on the timeline - once the bend is restored the pitch carries on
+  // from this value.
+  _addTimelineEvent(
+    mc, mc.pitchTimeline, _getPitchParams(mc), atTimeSec, atTimeSec,
+    pitchValue);
+  _notifyPitchChanged(mc, atTimeSec);
+
+  actionAdded = true;
+
+  return actionAdded;
+};
+
+
+/**
+ * Registers a send action with the context. Sets the send's level at
+ * atTimeMS or ramps to it over fadeNumBeats.
+ *
+ * @param {Object} mc, MixerChannel instance
+ * @param {Number} atTimeMS, Time (relative to AudioContext time) to perform
+ *   action at
+ * @param {String} sendName, Name of the send - EffectReturns.types type
+ * @param {Number} level, Send level. Clamped to 0 - MAX_SEND_LEVEL.
+ * @param {Number} fadeNumBeats, Number of beats to ramp for. Set instantly if
+ *   not positive.
+ * @param {Number} trackBpm, bpm for track
+ * @return {Boolean} True if action added successfully
+ */
+var _actionSend = function(
+    mc, atTimeMS, sendName, level, fadeNumBeats, trackBpm) {
+  var actionAdded = false;
+
+  if (TimeUtil.isBadTime(atTimeMS)) {
+    LogHandler.addLogSystemError(mc, '_actionSend', 'invalid param so no-op - atTimeMS: ' + atTimeMS);
+    return actionAdded;
+  }
+  if (typeof(sendName) !== 'string' || sendName === '') {
+    LogHandler.addLogSystemError(mc, '_actionSend', 'not a send name: ' + sendName);
+    return actionAdded;
+  }
+  if (typeof(level) !== 'number' || isNaN(level)) {
+    throw new IllegalParam(mc, '_actionSend', 'level not number: ' + level);
+  }
+
+  atTimeMS = _filterAtTimeNow(mc, atTimeMS);
+  var atTimeSec = TimeUtil.msToSec(atTimeMS);
+  level = Math.min(Math.max(level, 0), MAX_SEND_LEVEL);
+
+  var fadeTimeSec = 0;
+  if (NumberUtil.isPositive(fadeNumBeats)) {
+    if (!NumberUtil.isPositive(trackBpm)) {
+      throw new IllegalParam(mc, '_actionSend', 'trackBpm not number: ' + trackBpm);
+    }
+    fadeTimeSec = (fadeNumBeats / trackBpm) * 60;
+  }
+  var sendNode = _getSendNode(mc, sendName);
+  _addTimelineEvent(
+    mc, mc.sendTimelines[sendName], [sendNode.gain], atTimeSec,
+    atTimeSec + fadeTimeSec, level);
+
+  actionAdded = true;
+  return actionAdded;
+};
+
+
+/**
+ * Registers a stop action with the context. The segment playing at atTimeMS
+ * ends there - this moves an already scheduled stop earlier and stops a
+ * scheduled play that hasn't started yet at the given time.
+ *
+ * @param {Object} mc, MixerChannel instance
+ * @param {Number} atTimeMS, Time (relative to AudioContext time) to perform
+ *   action at
+ * @return {Boolean} True if action added successfully
+ */
+var _actionStop = function(mc, atTimeMS) {
+  var actionAdded = false;
+
+  if (TimeUtil.isBadTime(atTimeMS)) {
+    // TODO: log app error
+    console.log('MixerChannel:_actionStop - atTimeMS not set: ' + atTimeMS);
+    return actionAdded;
+  }
+
+  atTimeMS = _clampToNow(mc, _filterAtTimeNow(mc, atTimeMS));
+
+  var segment = _getSegmentAt(mc, atTimeMS);
+  if (segment === null || !_isSegmentPlayingAt(segment, atTimeMS)) {
+    // already stopped at that time
+    return actionAdded;
+  }
+
+  _setSegmentEnd(segment, atTimeMS, SEGMENT_ENDS.STOP);
+  actionAdded = true;
+  _emitEvent(
+    mc, MixerChannel.events.STOP_SCHEDULED, atTimeMS, {isPause: false});
+
+  return actionAdded;
+};
+
+
+/**
+ * Add an event to a timeline and reschedule the params it's rendered on.
+ *
+ * @param {Object} mc, MixerChannel instance
+ * @param {Object} timeline, AutomationTimeline of the params
+ * @param {Array} params, AudioParams the timeline is scheduled on
+ * @param {Number} startTimeSec, Context time event starts at
+ * @param {Number} endTimeSec, Context time fade ends at. Same as
+ *   startTimeSec to set instantly.
+ * @param {Number} endVal, Value at end of event
+ * @param {String} curve, AutomationTimeline.curves type. Defaults to LINEAR.
+ * @return {Object} Event added to timeline
+ */
+var _addTimelineEvent = function(
+    mc, timeline, params, startTimeSec, endTimeSec, endVal, curve) {
+  var event = timeline.addEvent(startTimeSec, endTimeSec, endVal, curve);
+  _renderTimeline(mc, timeline, params, startTimeSec);
+  return event;
+};
+
+
+/**
+ * @param {Object} mc, MixerChannel instance
+ * @param {Number} numBeats, Number of beats
+ * @param {Number} trackBpm, bpm for track
+ * @return {Number} Length of numBeats in milliseconds
+ */
+var _beatsToMS = function(mc, numBeats, trackBpm) {
+  if (!NumberUtil.isPositive(trackBpm)) {
+    throw new IllegalParam(mc, '_beatsToMS', 'trackBpm not number: ' + trackBpm);
+  }
+  if (!NumberUtil.isPositive(numBeats)) {
+    throw new IllegalParam(mc, '_beatsToMS', 'numBeats not positive: ' + numBeats);
+  }
+  return TimeUtil.secToMS((numBeats / trackBpm) * 60);
+};
+
+
+/**
+ * Cancel the scheduled end of a segment so it plays to the end of the track.
+ *
+ * @param {Object} segment, Segment object - see _resetPlayAttributes()
+ */
+var _cancelSegmentEnd = function(segment) {
+  if (segment.stopTimeMS === COMMON_CONST.INVALID_TIME_VAL) {
+    return;
+  }
+  segment.sourceNode.stop(NO_STOP_TIME_SEC);
+  segment.stopTimeMS = COMMON_CONST.INVALID_TIME_VAL;
+  segment.endType = null;
+};
+
+
+/**
+ * A source node started in the past plays from now and not from where it
+ * would have been so segments can't start or end in the past.
+ *
+ * @param {Object} mc, MixerChannel instance
+ * @param {Number} timeMS, Context time in milliseconds
+ * @return {Number} timeMS or current context time if timeMS is in the past
+ */
+var _clampToNow = function(mc, timeMS) {
+  return Math.max(timeMS, TimeUtil.secToMS(mc.audioContext.currentTime));
+};
+
+
+/**
+ * Drop gain, EQ, filter and send events from fromTimeSec on and reschedule
+ * their params. Pitch is left to the caller since it's tied to the source
+ * nodes.
+ *
+ * @param {Object} mc, MixerChannel instance
+ * @param {Number} fromTimeSec, Context time to drop events from
+ */
+var _clearTimelinesFrom = function(mc, fromTimeSec) {
+  var clearFrom = function(timeline, params) {
+    timeline.removeEventsFrom(fromTimeSec);
+    _renderTimeline(mc, timeline, params, fromTimeSec);
+  };
+
+  clearFrom(mc.gainTimeline, [mc.gainNode.gain]);
+  _.each(mc.eqTimelines, function(timeline, target) {
+    clearFrom(timeline, [mc.eqNodes[target].gain]);
+  });
+  _.each(_getFilterParams(mc), function(param, name) {
+    clearFrom(mc.filterTimelines[name], [param]);
+  });
+  // knob position isn't a param - see _actionFilter()
+  mc.filterTimelines.position.removeEventsFrom(fromTimeSec);
+  _.each(mc.sendTimelines, function(timeline, sendName) {
+    clearFrom(timeline, [mc.sendNodes[sendName].gain]);
+  });
+};
+
+
+/**
+ * Connect the taps off the gain node - meter and effect sends - after the
+ * gain node is disconnected or replaced.
+ *
+ * @param {Object} mc, MixerChannel instance
+ */
+var _connectGainTaps = function(mc) {
+  mc.gainNode.connect(mc.meterNode);
+  for (let sendNode of _.values(mc.sendNodes)) {
+    mc.gainNode.connect(sendNode);
+  }
+};
+
+
+/**
+ * Loop that starts on the beat nearest offsetMS so it stays in time with the
+ * track's beat grid. A segment playing the loop from offsetMS plays up to
+ * the loop start first if offsetMS is before it.
+ *
+ * @param {Object} mc, MixerChannel instance
+ * @param {Number} offsetMS, Track offset the loop is started from
+ * @param {Number} loopNumBeats, Length of loop in beats
+ * @param {Number} trackBpm, bpm for track
+ * @return {Object} {startMS, endMS} loop for _insertSegment(). The source
+ *   node can't loop past the end of the buffer so neither does the loop.
+ */
+var _createLoop = function(mc, offsetMS, loopNumBeats, trackBpm) {
+  var beatMS = _beatsToMS(mc, 1, trackBpm);
+  var firstBeatOffsetMS = mc.track.getFirstBeatOffsetMS();
+  var startOffsetMS = firstBeatOffsetMS +
+    Math.round((offsetMS - firstBeatOffsetMS) / beatMS) * beatMS;
+  if (startOffsetMS < 0) {
+    startOffsetMS += beatMS;
+  }
+  var endOffsetMS = startOffsetMS + _beatsToMS(mc, loopNumBeats, trackBpm);
+  return {
+    startMS: startOffsetMS,
+    endMS: Math.min(endOffsetMS, _getTrackDurationMS(mc))
+  };
+};
+
+
+/**
+ * Create the level meter tap. It has no output - it's only read from.
+ *
+ * Assumption - gain node is present
+ *
+ * @param {Object} mc, MixerChannel instance
+ */
+var _createMeterNode = function(mc) {
+  mc.meterNode = mc.audioContext.createAnalyser();
+  mc.meterNode.fftSize = METER_WINDOW_FRAMES;
+  mc._meterSamples = new Float32Array(METER_WINDOW_FRAMES);
+  // context time of the last clip or null if it hasn't clipped
+  mc._meterClipTimeSec = null;
+  mc.gainNode.connect(mc.meterNode);
+};
+
+
+/**
+ * Create the cue send off preGainNode. Starts turned down and not routed
+ * anywhere.
+ *
+ * Assumption - filter sweep nodes are present
+ *
+ * @param {Object} mc, MixerChannel instance
+ */
+var _createCueNode = function(mc) {
+  mc.cueNode = mc.audioContext.createGain();
+  mc.cueNode.gain.value = 0;
+  mc.cueTimeline = new AutomationTimeline(0);
+  mc.cueOutputNode = null;
+  mc._isCued = false;
+  mc.preGainNode.connect(mc.cueNode);
+};
+
+
+/**
+ * Create the EQ filters between the source nodes and the filter sweep.
+ *
+ * Assumption - filter sweep nodes are present
+ *
+ * @param {Object} mc, MixerChannel instance
+ */
+var _createEqNodes = function(mc) {
+  // by TrackAction.targets EQ type
+  mc.eqNodes = {};
+  mc.eqTimelines = {};
+
+  var prevNode = null;
+  for (let band of EQ_BANDS) {
+    let eqNode = mc.audioContext.createBiquadFilter();
+    eqNode.type = band.type;
+    eqNode.frequency.value = band.frequency;
+    if (band.q) {
+      eqNode.Q.value = band.q;
+    }
+    eqNode.gain.value = 0;
+
+    if (prevNode !== null) {
+      prevNode.connect(eqNode);
+    }
+    mc.eqNodes[band.target] = eqNode;
+    mc.eqTimelines[band.target] = new AutomationTimeline(0);
+    prevNode = eqNode;
+  }
+  prevNode.connect(mc.filterNodes.input);
+};
+
+
+/**
+ * Create filter sweep branches between the EQ and the gain node. Starts
+ * centred with only the dry branch turned up. Sets preGainNode.
+ *
+ * Assumption - gain node is present
+ *
+ * @param {Object} mc, MixerChannel instance
+ */
+var _createFilterNodes = function(mc) {
+  var filterNodes = {
+    input: mc.audioContext.createGain(),
+    dry: mc.audioContext.createGain(),
+    lowPass: mc.audioContext.createBiquadFilter(),
+    lowPassWet: mc.audioContext.createGain(),
+    highPass: mc.audioContext.createBiquadFilter(),
+    highPassWet: mc.audioContext.createGain(),
+    output: mc.audioContext.createGain()
+  };
+  filterNodes.lowPass.type = 'lowpass';
+  filterNodes.lowPass.frequency.value = FILTER_OPEN_LOW_PASS_HZ;
+  filterNodes.lowPass.Q.value = FILTER_DEFAULT_Q;
+  filterNodes.highPass.type = 'highpass';
+  filterNodes.highPass.frequency.value = FILTER_OPEN_HIGH_PASS_HZ;
+  filterNodes.highPass.Q.value = FILTER_DEFAULT_Q;
+  filterNodes.dry.gain.value = 1;
+  filterNodes.lowPassWet.gain.value = 0;
+  filterNodes.highPassWet.gain.value = 0;
+
+  filterNodes.input.connect(filterNodes.dry);
+  filterNodes.dry.connect(filterNodes.output);
+  filterNodes.input.connect(filterNodes.lowPass);
+  filterNodes.lowPass.connect(filterNodes.lowPassWet);
+  filterNodes.lowPassWet.connect(filterNodes.output);
+  filterNodes.input.connect(filterNodes.highPass);
+  filterNodes.highPass.connect(filterNodes.highPassWet);
+  filterNodes.highPassWet.connect(filterNodes.output);
+  filterNodes.output.connect(mc.gainNode);
+
+  mc.filterNodes = filterNodes;
+  mc.preGainNode = filterNodes.output;
+  // by _getFilterParams() name plus the knob position
+  mc.filterTimelines = {position: new AutomationTimeline(0)};
+  _.each(_getFilterParams(mc), function(param, name) {
+    mc.filterTimelines[name] = new AutomationTimeline(param.value);
+  });
 };
 
 
@@ -663,12 +1829,65 @@ var _actionStopHelper = function(mc, atTimeMS) {
  */
 var _createGainNode = function(mc) {
   mc.gainNode = mc.audioContext.createGain();
-  mc.gainNode.connect(mc.audioContext.destination);
+  if (mc.outputNode) {
+    mc.gainNode.connect(mc.outputNode);
+  }
   mc.gainNode.gain.value = 1;
+  mc.gainTimeline = new AutomationTimeline(1);
   return true;
 };
 
 
+/**
+ * Create inputNode, where source nodes connect. It feeds the EQ directly or
+ * through the key lock node - see MixerChannel.setKeyLock().
+ *
+ * Assumption - EQ nodes are present
+ *
+ * @param {Object} mc, MixerChannel instance
+ */
+var _createInputNode = function(mc) {
+  mc.inputNode = mc.audioContext.createGain();
+  mc.inputNode.connect(_getEqInputNode(mc));
+  mc.keyLockNode = null;
+};
+
+
+/**
+ * Disconnect the key lock node and let its processor stop for good.
+ *
+ * @param {Object} mc, MixerChannel instance
+ */
+var _destroyKeyLockNode = function(mc) {
+  mc.keyLockNode.disconnect();
+  mc.keyLockNode.port.postMessage(KEY_LOCK_DESTROY_MESSAGE);
+  mc.keyLockNode = null;
+};
+
+
+/**
+ * Take a segment out of playback. Its source node's onended is ignored.
+ *
+ * @param {Object} segment, Segment object - see _resetPlayAttributes()
+ */
+var _dropSegment = function(segment) {
+  segment.isDropped = true;
+  segment.sourceNode.disconnect();
+};
+
+
+/**
+ * @param {Object} mc, MixerChannel instance
+ * @param {String} type, MixerChannel.events type
+ * @param {Number} timeMS, Context time the event is at
+ * @param {Object} details, Details of the event type or undefined
+ */
+var _emitEvent = function(mc, type, timeMS, details) {
+  mc.emit(type, _.extend(
+    {type: type, mixerChannel: mc, timeMS: timeMS}, details));
+};
+
+
 /**
  * Ensures source node is present by trying to create it. Wrapper around
  * _sourceNodeRecreate
@@ -703,7 +1922,8 @@ var _filterAtTimeNow = function(mc, timeMS) {
 
 
 /**
- * Return the play state of the channel.
+ * Return the play state of the channel. Also drops segments that finished
+ * before the current one.
  *
  * @param {Object} mc, MixerChannel instance
  * @return {Object} MixerChannel.playStates type, or null on error
@@ -711,48 +1931,591 @@ var _filterAtTimeNow = function(mc, timeMS) {
 var _getPlayState = function(mc) {
   var currentTimeMS = TimeUtil.secToMS(mc.audioContext.currentTime);
 
-  // If play or stop was scheduled, we need to check if we've transitioned
-  // to that state already. Event hooks for web audio not available right now
-  // so using context time.
-  if (mc._playState === MixerChannel.playStates.STOPPED_AND_PLAY_SCHEDULED) {
-    if (currentTimeMS >= mc.startScheduledTimeMS) {
-      mc._playState = MixerChannel.playStates.PLAYING;
+  // Event hooks for web audio not available right now so using context time
+  // to see which segment we're in.
+  var index = _getSegmentIndexAt(mc, currentTimeMS);
+  if (index > 0) {
+    // remember handoffs into the first segment kept - see _isHandoffStart()
+    mc._segments[index].isHandoffStart = _isHandoffStart(mc, index);
+    mc._segments.splice(0, index);
+    index = 0;
+  }
+  var currentSegment = index === -1 ? null : mc._segments[index];
+  var nextSegment = mc._segments[index + 1] || null;
+
+  if (currentSegment !== null &&
+      _isSegmentPlayingAt(currentSegment, currentTimeMS)) {
+    switch (currentSegment.endType) {
+      case SEGMENT_ENDS.STOP:
+        return MixerChannel.playStates.PLAYING_AND_STOP_SCHEDULED;
+      case SEGMENT_ENDS.PAUSE:
+        return MixerChannel.playStates.PLAYING_AND_PAUSE_SCHEDULED;
+      default:
+        return MixerChannel.playStates.PLAYING;
+    }
+  }
+
+  var isPaused = currentSegment !== null &&
+    currentSegment.endType === SEGMENT_ENDS.PAUSE;
+  if (nextSegment !== null) {
+    if (isPaused && nextSegment.isResume) {
+      return MixerChannel.playStates.PAUSED_AND_RESUME_SCHEDULED;
+    }
+    return MixerChannel.playStates.STOPPED_AND_PLAY_SCHEDULED;
+  }
+  if (isPaused) {
+    return MixerChannel.playStates.PAUSED;
+  }
+  return MixerChannel.playStates.STOPPED;
+};
+
+
+/**
+ * @param {Object} mc, MixerChannel instance
+ * @return {Object} First EQ node - where inputNode or the key lock node
+ *   feed into
+ */
+var _getEqInputNode = function(mc) {
+  return mc.eqNodes[EQ_BANDS[0].target];
+};
+
+
+/**
+ * @param {Number} position, Filter knob position -1 to 1
+ * @param {Number} side, -1 for low-pass, 1 for high-pass
+ * @return {Number} Cutoff in Hz for the branch. Centre is the most open
+ *   cutoff.
+ */
+var _getFilterCutoffHz = function(position, side) {
+  var amount = Math.abs(position);
+  if (side < 0) {
+    return FILTER_OPEN_LOW_PASS_HZ *
+      Math.pow(FILTER_CLOSED_LOW_PASS_HZ / FILTER_OPEN_LOW_PASS_HZ, amount);
+  }
+  return FILTER_OPEN_HIGH_PASS_HZ *
+    Math.pow(FILTER_CLOSED_HIGH_PASS_HZ / FILTER_OPEN_HIGH_PASS_HZ, amount);
+};
+
+
+/**
+ * @param {Object} mc, MixerChannel instance
+ * @return {Object} Filter sweep AudioParams by the name of their timeline in
+ *   filterTimelines
+ */
+var _getFilterParams = function(mc) {
+  return {
+    lowPassFrequency: mc.filterNodes.lowPass.frequency,
+    lowPassQ: mc.filterNodes.lowPass.Q,
+    highPassFrequency: mc.filterNodes.highPass.frequency,
+    highPassQ: mc.filterNodes.highPass.Q,
+    dryGain: mc.filterNodes.dry.gain,
+    lowPassWetGain: mc.filterNodes.lowPassWet.gain,
+    highPassWetGain: mc.filterNodes.highPassWet.gain
+  };
+};
+
+
+/**
+ * Validation shared by loop actions.
+ *
+ * @param {Object} mc, MixerChannel instance
+ * @param {String} funcName, Name of calling action function for logging
+ * @param {Number} atTimeMS, Time of loop action or AT_TIME_NOW
+ * @return {Object} Segment playing at atTimeMS or null if a loop can't be
+ *   added then
+ */
+var _getLoopSegmentAt = function(mc, funcName, atTimeMS) {
+  if (TimeUtil.isBadTime(atTimeMS)) {
+    LogHandler.addLogSystemError(mc, funcName, 'invalid param so no-op - atTimeMS: ' + atTimeMS);
+    return null;
+  }
+  if (!mc.track.getAudioBuffer()) {
+    // windowed source nodes chain many buffers and can't loop
+    LogHandler.addLogSystemError(
+      mc, funcName, 'loops need fully decoded track: ' + mc.track.getTitle());
+    return null;
+  }
+
+  atTimeMS = _clampToNow(mc, _filterAtTimeNow(mc, atTimeMS));
+  var segment = _getSegmentAt(mc, atTimeMS);
+  if (segment === null || !_isSegmentPlayingAt(segment, atTimeMS)) {
+    LogHandler.addLogSystemError(
+      mc, funcName, 'nothing playing to loop at: ' + atTimeMS);
+    return null;
+  }
+  return segment;
+};
+
+
+/**
+ * @param {Object} mc, MixerChannel instance
+ * @return {Array} playbackRate params of all source nodes - see
+ *   _getSourceNodes() - and of the key lock node if key lock is on
+ */
+var _getPitchParams = function(mc) {
+  var params = _getSourceNodes(mc).map(function(sourceNode) {
+    return sourceNode.playbackRate;
+  });
+  if (mc.keyLockNode) {
+    params.push(mc.keyLockNode.parameters.get(KEY_LOCK_RATE_PARAM));
+  }
+  return params;
+};
+
+
+/**
+ * @param {Object} mc, MixerChannel instance
+ * @param {Number} timeMS, Context time in milliseconds
+ * @return {Object} Last segment that starts at or before timeMS (it may have
+ *   ended already) or null
+ */
+var _getSegmentAt = function(mc, timeMS) {
+  var index = _getSegmentIndexAt(mc, timeMS);
+  return index === -1 ? null : mc._segments[index];
+};
+
+
+/**
+ * @param {Object} mc, MixerChannel instance
+ * @param {Number} timeMS, Context time in milliseconds
+ * @return {Number} Index of last segment that starts at or before timeMS or
+ *   -1
+ */
+var _getSegmentIndexAt = function(mc, timeMS) {
+  for (let i = mc._segments.length - 1; i >= 0; i--) {
+    if (mc._segments[i].startTimeMS <= timeMS) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+
+/**
+ * @param {Object} mc, MixerChannel instance
+ * @param {Object} segment, Segment object - see _resetPlayAttributes()
+ * @param {Number} timeMS, Context time in milliseconds - capped to segment
+ *   start and end
+ * @return {Number} Track offset the segment is at at timeMS
+ */
+var _getSegmentOffsetAtMS = function(mc, segment, timeMS) {
+  if (segment.stopTimeMS !== COMMON_CONST.INVALID_TIME_VAL) {
+    timeMS = Math.min(timeMS, segment.stopTimeMS);
+  }
+  timeMS = Math.max(timeMS, segment.startTimeMS);
+  // track plays faster or slower than context time at the playback rate
+  var playedMS = TimeUtil.secToMS(mc.pitchTimeline.getIntegral(
+    TimeUtil.msToSec(segment.startTimeMS), TimeUtil.msToSec(timeMS)));
+  var offsetMS = segment.startOffsetMS + playedMS;
+
+  // looping source node wraps back to loop start every time it reaches
+  // loop end
+  var loop = segment.loop;
+  if (loop !== null && offsetMS >= loop.endMS) {
+    offsetMS = loop.startMS +
+      (offsetMS - loop.startMS) % (loop.endMS - loop.startMS);
+  }
+  return offsetMS;
+};
+
+
+/**
+ * Context time a segment would run out of track if nothing stopped it -
+ * ignores its scheduled end and loop. Pitch changes how fast the track
+ * plays so the time is searched for on the pitch timeline.
+ *
+ * @param {Object} mc, MixerChannel instance
+ * @param {Object} segment, Segment object - see _resetPlayAttributes()
+ * @return {Number} Context time in milliseconds or Infinity if pitch is
+ *   too low for the track to ever end
+ */
+var _getSegmentTrackEndMS = function(mc, segment) {
+  var remainingMS = _getTrackDurationMS(mc) - segment.startOffsetMS;
+  var startTimeSec = TimeUtil.msToSec(segment.startTimeMS);
+  var getPlayedMS = function(timeMS) {
+    return TimeUtil.secToMS(mc.pitchTimeline.getIntegral(
+      startTimeSec, TimeUtil.msToSec(timeMS)));
+  };
+
+  // played time only grows so widen until the end is passed, then bisect
+  var loMS = segment.startTimeMS;
+  var hiMS = segment.startTimeMS + Math.max(remainingMS, 1);
+  for (let i = 0; getPlayedMS(hiMS) < remainingMS; i++) {
+    if (i >= END_SEARCH_MAX_DOUBLINGS) {
+      return Infinity;
     }
-  } else if (mc._playStates ===
-      MixerChannel.playStates.PLAYING_AND_STOP_SCHEDULED) {
-    if (currentTimeMS >= mc.stopScheduledTimeMS) {
-      mc._playState = MixerChannel.playStates.STOPPED;
+    loMS = hiMS;
+    hiMS = segment.startTimeMS + 2 * (hiMS - segment.startTimeMS);
+  }
+  while (hiMS - loMS > END_SEARCH_PRECISION_MS) {
+    let midMS = (loMS + hiMS) / 2;
+    if (getPlayedMS(midMS) < remainingMS) {
+      loMS = midMS;
+    } else {
+      hiMS = midMS;
     }
   }
+  return hiMS;
+};
+
+
+/**
+ * Post-fader send gain node by name. Made turned down and connected to the
+ * gain node on first use - see MixerChannel.setSendOutput().
+ *
+ * @param {Object} mc, MixerChannel instance
+ * @param {String} sendName, Name of the send
+ * @return {Object} Send gain node
+ */
+var _getSendNode = function(mc, sendName) {
+  if (!mc.sendNodes[sendName]) {
+    let sendNode = mc.audioContext.createGain();
+    sendNode.gain.value = 0;
+    mc.gainNode.connect(sendNode);
+    mc.sendNodes[sendName] = sendNode;
+    mc.sendTimelines[sendName] = new AutomationTimeline(0);
+  }
+  return mc.sendNodes[sendName];
+};
+
+
+/**
+ * @param {Object} mc, MixerChannel instance
+ * @return {Array} Source nodes of all segments plus the sourceNode waiting
+ *   to be played
+ */
+var _getSourceNodes = function(mc) {
+  var sourceNodes = mc._segments.map(function(segment) {
+    return segment.sourceNode;
+  });
+  if (mc.sourceNode) {
+    sourceNodes.push(mc.sourceNode);
+  }
+  return sourceNodes;
+};
+
+
+/**
+ * @param {Object} mc, MixerChannel instance
+ * @return {Number} Length of the track's audio in milliseconds
+ */
+var _getTrackDurationMS = function(mc) {
+  var trackBuffer = mc.track.getAudioBuffer();
+  if (trackBuffer) {
+    return TimeUtil.secToMS(trackBuffer.duration);
+  }
+  return mc.track.getWindowedSource().getDurationMS();
+};
 
-  return mc._playState;
+
+/**
+ * @param {Object} mc, MixerChannel instance
+ * @return {Number} Number of channels in the track's audio
+ */
+var _getTrackNumChannels = function(mc) {
+  var trackBuffer = mc.track.getAudioBuffer();
+  if (trackBuffer) {
+    return trackBuffer.numberOfChannels;
+  }
+  return mc.track.getWindowedSource().numberOfChannels;
 };
 
 
 /**
- * Set the playstate to stopped when playback has finished. Need to do this
- * due to the specific way that WebAudio signals play ended events.
+ * Start a new segment playing the track from offsetMS at atTimeMS.
+ *
+ * - A segment playing at atTimeMS is handed off to the new one, which takes
+ *   over its scheduled end. A segment starting at exactly atTimeMS is
+ *   replaced (scheduled start moved to the new offset).
+ * - Otherwise the new segment plays until the next scheduled segment, or
+ *   without an end if there is none.
  *
  * @param {Object} mc, MixerChannel instance
+ * @param {Number} atTimeMS, Time (relative to AudioContext time) to start at
+ * @param {Number} offsetMS, Offset into the track to begin playing from
+ * @param {Boolean} isResume, True if started by a resume action
+ * @param {Object} loop, {startMS, endMS} track offsets to loop between or
+ *   null to play straight through
+ * @return {Boolean} True if segment added
  */
-var _processPlaybackEnded = function(mc) {
-  mc._playState = MixerChannel.playStates.STOPPED;
+var _insertSegment = function(mc, atTimeMS, offsetMS, isResume, loop) {
+  // _sourceNodeRecreate() creates a sourceNode on demand so this only fails
+  // if the track audio is gone
+  if (!_ensureSourceNodePresent(mc)) {
+    return false;
+  }
 
-  // Recreate the source node. We've reached the end or stop action of the
-  // current node so no additional play or stop actions can be added to it. So
-  // it's useless now. Don't need to add back any existing actions on source
-  // node either.
-  var deleteOldNode = true;
+  atTimeMS = _clampToNow(mc, atTimeMS);
+
+  // sourceNode becomes the segment's node and a new one waits for the next
+  // play at the same pitch
+  var sourceNode = mc.sourceNode;
+  var deleteOldNode = false;
   var addBackOldActions = false;
+  mc.sourceNode = null;
   _sourceNodeRecreate(mc, deleteOldNode, addBackOldActions);
+
+  var segment = {
+    sourceNode: sourceNode,
+    startTimeMS: atTimeMS,
+    startOffsetMS: offsetMS,
+    stopTimeMS: COMMON_CONST.INVALID_TIME_VAL,
+    endType: null,
+    isResume: isResume,
+    loop: loop,
+    isStartEmitted: false,
+    isDropped: false,
+    isHandoffStart: false
+  };
+  if (loop !== null) {
+    sourceNode.loop = true;
+    sourceNode.loopStart = TimeUtil.msToSec(loop.startMS);
+    sourceNode.loopEnd = TimeUtil.msToSec(loop.endMS);
+  }
+  sourceNode.start(TimeUtil.msToSec(atTimeMS), TimeUtil.msToSec(offsetMS));
+  sourceNode.onended = _processPlaybackEnded.bind(null, mc, segment);
+
+  var index = _getSegmentIndexAt(mc, atTimeMS);
+  var prevSegment = index === -1 ? null : mc._segments[index];
+  var nextSegment = mc._segments[index + 1] || null;
+
+  if (prevSegment !== null && _isSegmentPlayingAt(prevSegment, atTimeMS)) {
+    if (prevSegment.stopTimeMS !== COMMON_CONST.INVALID_TIME_VAL) {
+      _setSegmentEnd(segment, prevSegment.stopTimeMS, prevSegment.endType);
+    }
+    if (prevSegment.startTimeMS === atTimeMS) {
+      _dropSegment(prevSegment);
+      mc._segments.splice(index, 1);
+      index--;
+    } else {
+      _setSegmentEnd(prevSegment, atTimeMS, SEGMENT_ENDS.HANDOFF);
+    }
+  } else if (nextSegment !== null) {
+    _setSegmentEnd(segment, nextSegment.startTimeMS, SEGMENT_ENDS.HANDOFF);
+  }
+  mc._segments.splice(index + 1, 0, segment);
+  _updateEventTimer(mc);
+
+  return true;
+};
+
+
+/**
+ * A segment that starts where the one before it hands off (loops, jumps,
+ * replays) carries playback on rather than starting it, so there's no
+ * STARTED for it.
+ *
+ * @param {Object} mc, MixerChannel instance
+ * @param {Number} index, Index of segment in mc._segments
+ * @return {Boolean} True if the segment continues playback
+ */
+var _isHandoffStart = function(mc, index) {
+  var segment = mc._segments[index];
+  if (segment.isHandoffStart) {
+    return true;
+  }
+  var prevSegment = mc._segments[index - 1] || null;
+  return prevSegment !== null &&
+    prevSegment.endType === SEGMENT_ENDS.HANDOFF &&
+    prevSegment.stopTimeMS === segment.startTimeMS;
+};
+
+
+/**
+ * @param {Object} segment, Segment object - see _resetPlayAttributes()
+ * @param {Number} timeMS, Context time in milliseconds
+ * @return {Boolean} True if segment is playing at timeMS
+ */
+var _isSegmentPlayingAt = function(segment, timeMS) {
+  return segment.startTimeMS <= timeMS &&
+    (segment.stopTimeMS === COMMON_CONST.INVALID_TIME_VAL ||
+     timeMS < segment.stopTimeMS);
+};
+
+
+/**
+ * @param {Object} mc, MixerChannel instance
+ * @param {Number} fromTimeSec, Context time pitch changed from
+ */
+var _notifyPitchChanged = function(mc, fromTimeSec) {
+  _emitEvent(
+    mc, MixerChannel.events.PITCH_CHANGED, TimeUtil.secToMS(fromTimeSec));
+};
+
+
+/**
+ * Lookahead for segment starts. Starts due before the next tick get a
+ * timeout of their own so the track is marked played and STARTED fires
+ * close to when the context clock reaches them.
+ *
+ * @param {Object} mc, MixerChannel instance
+ */
+var _onEventTimer = function(mc) {
+  var currentTimeMS = TimeUtil.secToMS(mc.audioContext.currentTime);
+  for (let index = 0; index < mc._segments.length; index++) {
+    let segment = mc._segments[index];
+    if (segment.isStartEmitted ||
+        segment.startTimeMS - currentTimeMS >= EVENT_TIMER_INTERVAL_MS) {
+      continue;
+    }
+    segment.isStartEmitted = true;
+    if (_isHandoffStart(mc, index)) {
+      continue;
+    }
+    setTimeout(function() {
+      if (!segment.isDropped) {
+        mc.trackCache.markTrackPlayed(mc.track.getGuid());
+        _emitEvent(mc, MixerChannel.events.STARTED, segment.startTimeMS, {
+          offsetMS: segment.startOffsetMS,
+          isResume: segment.isResume
+        });
+      }
+    }, Math.max(segment.startTimeMS - currentTimeMS, 0));
+  }
+  _updateEventTimer(mc);
+};
+
+
+/**
+ * Called when a segment's source node stops. Need to do this due to the
+ * specific way that WebAudio signals play ended events - a node that
+ * reached the end of the track before its scheduled end is recorded as
+ * stopped.
+ *
+ * @param {Object} mc, MixerChannel instance
+ * @param {Object} segment, Segment whose source node ended
+ */
+var _processPlaybackEnded = function(mc, segment) {
+  // Node has reached the end or stop action so no additional play or stop
+  // actions can be added to it. So it's useless now.
+  segment.sourceNode.disconnect();
+  if (segment.isDropped) {
+    // taken out of playback before it ended so there's nothing to report
+    return;
+  }
+
+  var currentTimeMS = TimeUtil.secToMS(mc.audioContext.currentTime);
+  if (segment.stopTimeMS === COMMON_CONST.INVALID_TIME_VAL ||
+      segment.stopTimeMS > currentTimeMS) {
+    // played to the end of the track
+    segment.stopTimeMS = currentTimeMS;
+    segment.endType = SEGMENT_ENDS.STOP;
+    _emitEvent(mc, MixerChannel.events.ENDED, currentTimeMS);
+    return;
+  }
+  if (segment.endType !== SEGMENT_ENDS.HANDOFF) {
+    _emitEvent(
+      mc, MixerChannel.events.STOPPED, segment.stopTimeMS,
+      {isPause: segment.endType === SEGMENT_ENDS.PAUSE});
+  }
+};
+
+
+/**
+ * @param {Object} mc, MixerChannel instance
+ * @param {Object} timeline, AutomationTimeline of the params
+ * @param {Array} params, AudioParams the timeline is scheduled on
+ * @param {Number} fromTimeSec, Context time timeline changed from
+ */
+var _renderTimeline = function(mc, timeline, params, fromTimeSec) {
+  var currentTimeSec = mc.audioContext.currentTime;
+  // offsets of segments still kept integrate the pitch from their start
+  var historyStartSec = currentTimeSec;
+  if (mc._segments.length > 0) {
+    historyStartSec = Math.min(
+      historyStartSec, TimeUtil.msToSec(mc._segments[0].startTimeMS));
+  }
+  timeline.removeEventsBefore(historyStartSec);
+
+  for (let param of params) {
+    timeline.render(param, fromTimeSec, currentTimeSec);
+  }
+};
+
+
+/**
+ * Schedule a filter sweep that stays on one side of the centre. The branch
+ * for that side is turned up for the sweep and the dry branch again once
+ * the sweep ends at the centre.
+ *
+ * @param {Object} mc, MixerChannel instance
+ * @param {Number} fromPosition, Knob position at startTimeSec
+ * @param {Number} toPosition, Knob position at endTimeSec - same side of
+ *   centre as fromPosition
+ * @param {Number} startTimeSec, Context time sweep starts at
+ * @param {Number} endTimeSec, Context time sweep ends at. Same as
+ *   startTimeSec to set instantly.
+ */
+var _scheduleFilterSweep = function(
+    mc, fromPosition, toPosition, startTimeSec, endTimeSec) {
+  var side = Math.sign(fromPosition + toPosition);
+  _setFilterBranch(mc, side, startTimeSec);
+  if (side === 0) {
+    return;
+  }
+
+  var paramName = side < 0 ? 'lowPassFrequency' : 'highPassFrequency';
+  _setFilterParam(
+    mc, paramName, _getFilterCutoffHz(fromPosition, side), startTimeSec);
+  if (endTimeSec > startTimeSec) {
+    // exponential so the sweep sounds even across octaves
+    _addTimelineEvent(
+      mc, mc.filterTimelines[paramName], [_getFilterParams(mc)[paramName]],
+      startTimeSec, endTimeSec, _getFilterCutoffHz(toPosition, side),
+      AutomationTimeline.curves.EXPONENTIAL);
+  }
+  if (toPosition === 0) {
+    _setFilterBranch(mc, 0, endTimeSec);
+  }
+};
+
+
+/**
+ * @param {Object} mc, MixerChannel instance
+ * @param {Number} side, -1 for low-pass, 1 for high-pass, 0 for dry
+ * @param {Number} atTimeSec, Context time to switch branch at
+ */
+var _setFilterBranch = function(mc, side, atTimeSec) {
+  _setFilterParam(mc, 'dryGain', side === 0 ? 1 : 0, atTimeSec);
+  _setFilterParam(mc, 'lowPassWetGain', side < 0 ? 1 : 0, atTimeSec);
+  _setFilterParam(mc, 'highPassWetGain', side > 0 ? 1 : 0, atTimeSec);
+};
+
+
+/**
+ * @param {Object} mc, MixerChannel instance
+ * @param {String} paramName, Param name - see _getFilterParams()
+ * @param {Number} val, Value to set
+ * @param {Number} atTimeSec, Context time to set it at
+ */
+var _setFilterParam = function(mc, paramName, val, atTimeSec) {
+  _addTimelineEvent(
+    mc, mc.filterTimelines[paramName], [_getFilterParams(mc)[paramName]],
+    atTimeSec, atTimeSec, val);
+};
+
+
+/**
+ * Schedule the end of a segment. Replaces any end scheduled before.
+ *
+ * @param {Object} segment, Segment object - see _resetPlayAttributes()
+ * @param {Number} stopTimeMS, Context time in milliseconds to end at
+ * @param {String} endType, SEGMENT_ENDS type
+ */
+var _setSegmentEnd = function(segment, stopTimeMS, endType) {
+  segment.sourceNode.stop(TimeUtil.msToSec(stopTimeMS));
+  segment.stopTimeMS = stopTimeMS;
+  segment.endType = endType;
 };
 
 
 /**
  * Recreate the source node (or just create it if it does not exist). Also
- * carries over previous source node actions as needed.
+ * carries over previous source node actions as needed. The pitch timeline is
+ * replayed onto the new node so it plays at the pitch scheduled on the
+ * others.
  *
- * Assumption - gain node is present
+ * Assumption - gain node, inputNode and pitchTimeline are present
  * NOTE: not tested completely - need to make sure that previous actions are
  * added back as necessary.
  *
@@ -761,12 +2524,13 @@ var _processPlaybackEnded = function(mc) {
  *   encountered. Defaults to false.
  * @param {Boolean} addBackOldActions, True if actions that were
  *   on the old sourceNode should be added to new sourceNode. Defaults to
- *   false
+ *   false. actionsAddedCollection is left as is otherwise - actions on
+ *   playing segments still apply.
  * @return {Boolean} True if source node is successfully created or present
  *   already.
  */
 var _sourceNodeRecreate = function(mc, deleteOldNode, addBackOldActions) {
-  if (!mc.gainNode) {
+  if (!mc.gainNode || !mc.inputNode) {
     return false;
   }
   if (typeof(deleteOldNode) !== 'boolean') {
@@ -792,17 +2556,25 @@ var _sourceNodeRecreate = function(mc, deleteOldNode, addBackOldActions) {
   }
 
   var trackBuffer = mc.track.getAudioBuffer();
+  var windowedSource = mc.track.getWindowedSource();
   if (trackBuffer) {
     var sourceNode = mc.audioContext.createBufferSource();
     sourceNode.buffer = trackBuffer;
-    sourceNode.connect(mc.gainNode);
+    sourceNode.connect(mc.inputNode);
     mc.sourceNode = sourceNode;
+  } else if (windowedSource) {
+    // Track loaded in windowed decode mode - node decodes and chains PCM
+    // windows itself but is used like an AudioBufferSourceNode
+    mc.sourceNode = windowedSource.createSourceNode();
+    mc.sourceNode.connect(mc.inputNode);
   } else {
     // if track has no audio data loaded, then we cannot create the source
     // node
     mc.sourceNode = null;
     return false;
   }
+  mc.pitchTimeline.replay(
+    mc.sourceNode.playbackRate, mc.audioContext.currentTime);
 
   // Try reset all actions that were on the old sourceNode onto the new source
   // node
@@ -824,14 +2596,45 @@ var _sourceNodeRecreate = function(mc, deleteOldNode, addBackOldActions) {
           action, baseTimeOffsetMS, mixSetOffsetTimeMS, minTimeMSAbs);
       }
     }
-  } else {
-    mc.actionsAddedCollection = new TrackActionsCollection();
   }
 
   return true;
 };
 
 
+/**
+ * @param {Number} level, Linear level
+ * @return {Number} level in dBFS, no lower than METER_MIN_DB
+ */
+var _toDb = function(level) {
+  if (level <= 0) {
+    return METER_MIN_DB;
+  }
+  return Math.max(20 * Math.log10(level), METER_MIN_DB);
+};
+
+
+/**
+ * Run the segment start lookahead timer only while a start is still to
+ * come.
+ *
+ * @param {Object} mc, MixerChannel instance
+ */
+var _updateEventTimer = function(mc) {
+  var isNeeded = _.some(mc._segments, function(segment) {
+    return !segment.isStartEmitted && !segment.isDropped;
+  });
+
+  if (isNeeded && mc._eventTimerId === null) {
+    mc._eventTimerId = setInterval(
+      _onEventTimer.bind(null, mc), EVENT_TIMER_INTERVAL_MS);
+  } else if (!isNeeded && mc._eventTimerId !== null) {
+    clearInterval(mc._eventTimerId);
+    mc._eventTimerId = null;
+  }
+};
+
+
 /*** Constants ***/
 MixerChannel.constants = {};
 Object.defineProperties(MixerChannel.constants, {
@@ -842,12 +2645,35 @@ Object.defineProperties(MixerChannel.constants, {
   AT_TIME_NOW: {value: -1, writable: false}
 });
 
+// Gain fade curves are the timeline's curves
+MixerChannel.fadeCurves = AutomationTimeline.curves;
+
 MixerChannel.playStates = {};
 Object.defineProperties(MixerChannel.playStates, {
   STOPPED: {value: 'stopped', writable: false},
   STOPPED_AND_PLAY_SCHEDULED: {value: 'play-scheduled', writable: false},
   PLAYING_AND_STOP_SCHEDULED: {value: 'stop-scheduled', writable: false},
-  PLAYING: {value: 'playing', writable: false}
+  PLAYING: {value: 'playing', writable: false},
+  PLAYING_AND_PAUSE_SCHEDULED: {value: 'pause-scheduled', writable: false},
+  PAUSED: {value: 'paused', writable: false},
+  PAUSED_AND_RESUME_SCHEDULED: {value: 'resume-scheduled', writable: false}
+});
+
+// Event details on top of {type, mixerChannel, timeMS}:
+// - PLAY_SCHEDULED, STARTED: offsetMS - track offset played from, isResume
+// - STOP_SCHEDULED, STOPPED: isPause - true if it's a pause
+// - ACTION_ADDED, ACTION_DROPPED: action - the TrackAction
+// - ENDED, PITCH_CHANGED: none
+MixerChannel.events = {};
+Object.defineProperties(MixerChannel.events, {
+  PLAY_SCHEDULED: {value: 'play-scheduled', writable: false},
+  STARTED: {value: 'started', writable: false},
+  STOP_SCHEDULED: {value: 'stop-scheduled', writable: false},
+  STOPPED: {value: 'stopped', writable: false},
+  ENDED: {value: 'ended', writable: false},
+  ACTION_ADDED: {value: 'action-added', writable: false},
+  ACTION_DROPPED: {value: 'action-dropped', writable: false},
+  PITCH_CHANGED: {value: 'pitch-changed', writable: false}
 });
 
 
@@ -0,0 +1,466 @@
+/**
+ * Unit test for MixerChannel
+ */
+
+// common testing infrastructure mocha-sinon-chai
+var sinon = require('sinon');
+var chai = require('chai');
+var sinonChai = require('sinon-chai');
+var expect = chai.expect;
+chai.use(sinonChai);
+
+var createFakeAudioContext = require(
+  'static/js/player_app/logic/test_utils/fake_audio_context')
+  .createFakeAudioContext;
+var createFakeAction = require(
+  'static/js/player_app/logic/test_utils/fake_track').createFakeAction;
+var createFakeTrack = require(
+  'static/js/player_app/logic/test_utils/fake_track').createFakeTrack;
+var LogHandler = require(
+  'static/js/player_app/shared/log_handler').LogHandler;
+var MixerChannel = require(
+  'static/js/player_app/logic/mixer_channel').MixerChannel;
+var TrackAction = require(
+  'static/js/player_app/model/action/track_action').TrackAction;
+
+
+describe('MixerChannel', function() {
+  var audioContext;
+  var trackCache;
+  var mc;
+
+  beforeEach(function() {
+    audioContext = createFakeAudioContext();
+    trackCache = {markTrackPlayed: sinon.spy()};
+    // 120 bpm so a beat is 500ms
+    mc = new MixerChannel(
+      createFakeTrack(), audioContext, undefined, trackCache);
+    sinon.stub(LogHandler, 'addLogSystemError');
+  });
+
+  afterEach(function() {
+    mc.destroy();
+    LogHandler.addLogSystemError.restore();
+  });
+
+  /**
+   * @param {String} type, TrackAction.types type
+   * @param {Number} timeMS, Action time
+   * @param {Object} props, See createFakeAction()
+   * @return {Boolean} True if action added
+   */
+  var addAction = function(type, timeMS, props) {
+    return mc.addActionMc(createFakeAction(type, timeMS, props));
+  };
+
+  /**
+   * @return {Array} Source nodes that were started, in creation order
+   */
+  var getStartedNodes = function() {
+    return audioContext.sourceNodes.filter(function(node) {
+      return node.startArgs !== null;
+    });
+  };
+
+  /**
+   * @param {Number} timeSec, Context time to move to
+   * @return {String} MixerChannel.playStates type the channel is in then
+   */
+  var getPlayStateAt = function(timeSec) {
+    audioContext.currentTime = timeSec;
+    return mc.getPlayState();
+  };
+
+  /**
+   * @param {Number} timeSec, Context time to move to
+   * @return {Number} Track offset the channel is at then
+   */
+  var getOffsetAt = function(timeSec) {
+    audioContext.currentTime = timeSec;
+    return mc.getTrackCurrentOffsetMS();
+  };
+
+  describe('addActionMc', function() {
+    var clock;
+
+    beforeEach(function() {
+      clock = sinon.useFakeTimers({
+        toFake: ['setTimeout', 'setInterval', 'clearInterval']});
+    });
+
+    afterEach(function() {
+      clock.restore();
+    });
+
+    it('marks the track played once the segment starts', function() {
+      addAction(TrackAction.types.PLAY, 1000);
+      expect(trackCache.markTrackPlayed).to.not.have.been.called;
+
+      audioContext.currentTime = 0.5;
+      clock.tick(50);
+      expect(trackCache.markTrackPlayed).to.not.have.been.called;
+
+      audioContext.currentTime = 0.96;
+      clock.tick(90);
+      expect(trackCache.markTrackPlayed).to.have.been.calledOnceWith(
+        'track-a');
+    });
+
+    it('does not mark the track played for other actions', function() {
+      addAction(TrackAction.types.EQ, 1000, {
+        target: TrackAction.targets.EQ_LOW, endVal: -40});
+
+      expect(trackCache.markTrackPlayed).to.not.have.been.called;
+    });
+
+  });
+
+  describe('rescheduling', function() {
+    var playStates = MixerChannel.playStates;
+
+    it('plays again after a stop', function() {
+      addAction(TrackAction.types.PLAY, 0);
+      addAction(TrackAction.types.STOP, 2000);
+      addAction(TrackAction.types.PLAY, 3000, {offsetMS: 10000});
+
+      expect(getPlayStateAt(1)).to.equal(
+        playStates.PLAYING_AND_STOP_SCHEDULED);
+      expect(getPlayStateAt(2.5)).to.equal(
+        playStates.STOPPED_AND_PLAY_SCHEDULED);
+      expect(getOffsetAt(2.5)).to.equal(2000);
+      expect(getStartedNodes()[1].startArgs).to.deep.equal([3, 10]);
+      expect(getPlayStateAt(4)).to.equal(playStates.PLAYING);
+      expect(getOffsetAt(4)).to.equal(11000);
+    });
+
+    it('stops before a scheduled play', function() {
+      addAction(TrackAction.types.PLAY, 0);
+      addAction(TrackAction.types.PLAY, 3000);
+      addAction(TrackAction.types.STOP, 1000);
+
+      expect(getStartedNodes()[0].stopTimeSec).to.equal(1);
+      expect(getPlayStateAt(2)).to.equal(
+        playStates.STOPPED_AND_PLAY_SCHEDULED);
+      expect(getOffsetAt(4)).to.equal(1000);
+    });
+
+    it('restarts while playing', function() {
+      addAction(TrackAction.types.PLAY, 0, {offsetMS: 5000});
+      addAction(TrackAction.types.PLAY, 2000);
+
+      expect(getStartedNodes()[0].stopTimeSec).to.equal(2);
+      expect(getStartedNodes()[1].startArgs).to.deep.equal([2, 0]);
+      expect(getPlayStateAt(3)).to.equal(playStates.PLAYING);
+      expect(getOffsetAt(3)).to.equal(1000);
+    });
+
+    it('replaces a play scheduled at the same time', function() {
+      addAction(TrackAction.types.PLAY, 2000);
+      addAction(TrackAction.types.PLAY, 2000, {offsetMS: 5000});
+
+      expect(getStartedNodes()[0].outputs).to.deep.equal([]);
+      expect(getOffsetAt(3)).to.equal(6000);
+    });
+
+    it('moves a scheduled stop', function() {
+      addAction(TrackAction.types.PLAY, 0);
+      addAction(TrackAction.types.STOP, 4000);
+      addAction(TrackAction.types.STOP, 2000);
+
+      expect(getStartedNodes()[0].stopTimeSec).to.equal(2);
+      expect(getPlayStateAt(3)).to.equal(playStates.STOPPED);
+    });
+
+    it('moves a scheduled stop later after clearing', function() {
+      addAction(TrackAction.types.PLAY, 0);
+      addAction(TrackAction.types.STOP, 2000);
+      audioContext.currentTime = 1;
+
+      mc.clearActions();
+      expect(mc.getPlayState()).to.equal(playStates.PLAYING);
+      addAction(TrackAction.types.STOP, 4000);
+      expect(getStartedNodes()[0].stopTimeSec).to.equal(4);
+      expect(getPlayStateAt(3)).to.equal(
+        playStates.PLAYING_AND_STOP_SCHEDULED);
+    });
+
+    it('moves a scheduled play after clearing', function() {
+      addAction(TrackAction.types.PLAY, 2000);
+      audioContext.currentTime = 1;
+
+      mc.clearActions();
+      expect(mc.getPlayState()).to.equal(playStates.STOPPED);
+      addAction(TrackAction.types.PLAY, 3000);
+      expect(getPlayStateAt(2.5)).to.equal(
+        playStates.STOPPED_AND_PLAY_SCHEDULED);
+      var startedNodes = getStartedNodes();
+      expect(startedNodes[startedNodes.length - 1].startArgs).to.deep.equal(
+        [3, 0]);
+    });
+
+  });
+
+  describe('pause and resume', function() {
+    var playStates = MixerChannel.playStates;
+
+    beforeEach(function() {
+      addAction(TrackAction.types.PLAY, 0, {offsetMS: 5000});
+    });
+
+    it('goes through the pause states', function() {
+      addAction(TrackAction.types.PAUSE, 2000);
+      expect(getPlayStateAt(1)).to.equal(
+        playStates.PLAYING_AND_PAUSE_SCHEDULED);
+      expect(getPlayStateAt(3)).to.equal(playStates.PAUSED);
+
+      addAction(TrackAction.types.RESUME, 4000);
+      expect(mc.getPlayState()).to.equal(
+        playStates.PAUSED_AND_RESUME_SCHEDULED);
+      expect(getPlayStateAt(5)).to.equal(playStates.PLAYING);
+    });
+
+    it('holds the offset it paused at', function() {
+      addAction(TrackAction.types.PAUSE, 2000);
+
+      expect(getStartedNodes()[0].stopTimeSec).to.equal(2);
+      expect(getOffsetAt(3)).to.equal(7000);
+      expect(getOffsetAt(10)).to.equal(7000);
+    });
+
+    it('resumes from the offset it paused at', function() {
+      addAction(TrackAction.types.PAUSE, 2000);
+      addAction(TrackAction.types.RESUME, 4000);
+
+      expect(getStartedNodes()[1].startArgs).to.deep.equal([4, 7]);
+      expect(getOffsetAt(5)).to.equal(8000);
+    });
+
+    it('only resumes after a pause', function() {
+      addAction(TrackAction.types.STOP, 2000);
+
+      expect(addAction(TrackAction.types.RESUME, 4000)).to.equal(false);
+      expect(addAction(TrackAction.types.PAUSE, 5000)).to.equal(false);
+      expect(LogHandler.addLogSystemError).to.have.been.calledTwice;
+      expect(getStartedNodes().length).to.equal(1);
+    });
+
+    it('is stopped once cleared while paused', function() {
+      addAction(TrackAction.types.PAUSE, 2000);
+      addAction(TrackAction.types.RESUME, 4000);
+      audioContext.currentTime = 3;
+
+      mc.clearActions();
+      expect(getPlayStateAt(5)).to.equal(playStates.STOPPED);
+    });
+
+  });
+
+  describe('loops', function() {
+
+    beforeEach(function() {
+      addAction(TrackAction.types.PLAY, 0);
+    });
+
+    it('loops from the nearest beat and plays on at loop out', function() {
+      // 4 beats from the beat at 10000ms
+      addAction(TrackAction.types.LOOP_IN, 10200, {loopNumBeats: 4});
+      addAction(TrackAction.types.LOOP_OUT, 15000);
+
+      var loopNode = getStartedNodes()[1];
+      expect(loopNode.startArgs).to.deep.equal([10.2, 10.2]);
+      expect(loopNode.loop).to.equal(true);
+      expect(loopNode.loopStart).to.equal(10);
+      expect(loopNode.loopEnd).to.equal(12);
+      expect(getOffsetAt(11)).to.equal(11000);
+      expect(getOffsetAt(12.5)).to.equal(10500);
+      // wraps at 12000ms and 14000ms so it's 1000ms into the loop at loop out
+      expect(getOffsetAt(16)).to.equal(12000);
+      expect(getStartedNodes()[2].startArgs).to.deep.equal([15, 11]);
+    });
+
+    it('plays up to a loop start on the next beat', function() {
+      addAction(TrackAction.types.LOOP_IN, 10300, {loopNumBeats: 1});
+
+      var loopNode = getStartedNodes()[1];
+      expect(loopNode.loopStart).to.equal(10.5);
+      expect(loopNode.loopEnd).to.equal(11);
+      expect(getOffsetAt(10.5)).to.equal(10500);
+      expect(getOffsetAt(11.2)).to.be.closeTo(10700, 1e-6);
+    });
+
+    it('lines loops up with the track\'s first beat', function() {
+      mc.destroy();
+      audioContext = createFakeAudioContext();
+      mc = new MixerChannel(
+        createFakeTrack({firstBeatOffsetMS: 100}), audioContext, undefined,
+        trackCache);
+      addAction(TrackAction.types.PLAY, 0);
+      addAction(TrackAction.types.LOOP_IN, 10000, {loopNumBeats: 1});
+
+      expect(getStartedNodes()[1].loopStart).to.equal(10.1);
+    });
+
+    it('carries on where the track would be after a roll', function() {
+      addAction(TrackAction.types.LOOP_ROLL, 10000, {
+        loopNumBeats: 1, rollNumBeats: 4});
+
+      expect(getOffsetAt(10.7)).to.equal(10200);
+      expect(getOffsetAt(13)).to.equal(13000);
+      expect(getStartedNodes()[2].startArgs).to.deep.equal([12, 12]);
+    });
+
+  });
+
+  describe('clearActions', function() {
+
+    beforeEach(function() {
+      addAction(TrackAction.types.PLAY, 0);
+      mc.setSendOutput('reverb', audioContext.createGain());
+      // fade from 500ms to 2500ms
+      addAction(TrackAction.types.GAIN_FADE, 500, {
+        target: TrackAction.targets.GAIN, endVal: 0, fadeNumBeats: 4});
+      addAction(TrackAction.types.EQ, 2000, {
+        target: TrackAction.targets.EQ_LOW, endVal: -40});
+      addAction(TrackAction.types.FILTER, 2000, {
+        target: TrackAction.targets.FILTER, endVal: -1});
+      addAction(TrackAction.types.SEND, 2000, {
+        target: 'reverb', endVal: 1});
+      audioContext.currentTime = 1;
+    });
+
+    it('holds gain where a fade has got to', function() {
+      mc.clearActions();
+
+      expect(mc.getScheduledGain(3000)).to.equal(0.75);
+      expect(mc.gainNode.gain.value).to.equal(0.75);
+    });
+
+    it('drops EQ, filter and send changes yet to come', function() {
+      mc.clearActions();
+
+      expect(mc.eqTimelines[TrackAction.targets.EQ_LOW].getValueAt(3))
+        .to.equal(0);
+      expect(mc.eqNodes[TrackAction.targets.EQ_LOW].gain.value).to.equal(0);
+      expect(mc.filterTimelines.position.getValueAt(3)).to.equal(0);
+      expect(mc.filterNodes.dry.gain.value).to.equal(1);
+      expect(mc.getSendLevel('reverb', 3000)).to.equal(0);
+    });
+
+    it('drops future gain changes when the gain node is reset', function() {
+      var forceSourceNodeReset = false;
+      var forceGainNodeReset = true;
+      mc.clearActions(forceSourceNodeReset, forceGainNodeReset);
+
+      expect(mc.getScheduledGain(3000)).to.equal(1);
+      expect(mc.eqTimelines[TrackAction.targets.EQ_LOW].getValueAt(3))
+        .to.equal(0);
+    });
+
+  });
+
+  describe('events', function() {
+    var clock;
+    var listener;
+
+    beforeEach(function() {
+      clock = sinon.useFakeTimers({
+        toFake: ['setTimeout', 'setInterval', 'clearInterval']});
+      listener = sinon.spy();
+    });
+
+    afterEach(function() {
+      clock.restore();
+    });
+
+    it('fires STARTED when the context clock reaches the start', function() {
+      mc.on(MixerChannel.events.STARTED, listener);
+      addAction(TrackAction.types.PLAY, 1000, {offsetMS: 3000});
+
+      audioContext.currentTime = 0.96;
+      clock.tick(50);
+      expect(listener).to.not.have.been.called;
+      clock.tick(40);
+      expect(listener).to.have.been.calledOnce;
+      expect(listener.firstCall.args[0]).to.include({
+        type: MixerChannel.events.STARTED, mixerChannel: mc, timeMS: 1000,
+        offsetMS: 3000, isResume: false});
+      // nothing else to start so the timer stops
+      expect(clock.countTimers()).to.equal(0);
+    });
+
+    it('does not fire STARTED for a restart while playing', function() {
+      mc.on(MixerChannel.events.STARTED, listener);
+      addAction(TrackAction.types.PLAY, 0);
+      addAction(TrackAction.types.PLAY, 2000, {offsetMS: 8000});
+
+      clock.tick(50);
+      audioContext.currentTime = 2;
+      clock.tick(50);
+      expect(listener).to.have.been.calledOnce;
+      expect(listener.firstCall.args[0].offsetMS).to.equal(0);
+    });
+
+    it('only runs the event timer while a start is to come', function() {
+      expect(clock.countTimers()).to.equal(0);
+      addAction(TrackAction.types.PLAY, 1000);
+      expect(clock.countTimers()).to.equal(1);
+
+      audioContext.currentTime = 1;
+      clock.tick(100);
+      expect(clock.countTimers()).to.equal(0);
+    });
+
+    it('fires STOPPED when a stop is reached', function() {
+      mc.on(MixerChannel.events.STOPPED, listener);
+      addAction(TrackAction.types.PLAY, 0);
+      addAction(TrackAction.types.STOP, 2000);
+
+      audioContext.currentTime = 2;
+      getStartedNodes()[0].onended();
+      expect(listener).to.have.been.calledOnce;
+      expect(listener.firstCall.args[0]).to.include({
+        timeMS: 2000, isPause: false});
+    });
+
+    it('fires ENDED when the track runs out', function() {
+      var stoppedListener = sinon.spy();
+      mc.on(MixerChannel.events.ENDED, listener);
+      mc.on(MixerChannel.events.STOPPED, stoppedListener);
+      addAction(TrackAction.types.PLAY, 0);
+
+      audioContext.currentTime = 300;
+      getStartedNodes()[0].onended();
+      expect(listener).to.have.been.calledOnce;
+      expect(listener.firstCall.args[0].timeMS).to.equal(300000);
+      expect(stoppedListener).to.not.have.been.called;
+    });
+
+    it('fires ACTION_ADDED at the scheduled time', function() {
+      mc.on(MixerChannel.events.ACTION_ADDED, listener);
+      var action = createFakeAction(TrackAction.types.PLAY, 1000);
+
+      mc.addActionMc(action, 5000, 500);
+      expect(listener).to.have.been.calledOnce;
+      expect(listener.firstCall.args[0]).to.include({
+        timeMS: 5500, action: action});
+    });
+
+    it('fires ACTION_DROPPED at the scheduled time', function() {
+      mc.on(MixerChannel.events.ACTION_DROPPED, listener);
+      // a stop with nothing playing
+      var stopAction = createFakeAction(TrackAction.types.STOP, 1000);
+      // before the playable time slice
+      var playAction = createFakeAction(TrackAction.types.PLAY, 200);
+
+      mc.addActionMc(stopAction, 5000, 500);
+      mc.addActionMc(playAction, 5000, 500, 500);
+      expect(listener).to.have.been.calledTwice;
+      expect(listener.firstCall.args[0]).to.include({
+        timeMS: 5500, action: stopAction});
+      expect(listener.secondCall.args[0]).to.include({
+        timeMS: 4700, action: playAction});
+    });
+
+  });
+
+});
@@ -0,0 +1,370 @@
+/**
+ * Renders a mixset offline. Tracks and their actions go through the same
+ * MixerChannel, MixerBus, EffectReturns and Crossfader code as live
+ * playback, on an OfflineAudioContext that runs as fast as it can, so the
+ * result is what the mix sounds like played live. WavEncoder turns it into
+ * a file for export.
+ *
+ * Actions are relative to the start of the mixset like they are live. A
+ * time range is rendered from the start of the mixset and trimmed - loops,
+ * pitch, fades and effect tails in the range depend on everything scheduled
+ * before it.
+ *
+ * Without an end time the mixset is first scheduled on a one frame context
+ * to find when the last track stops playing, so pitch changes, loops and
+ * stops are taken into account the same way they are in the render.
+ *
+ * Tracks must be fully decoded. Windowed tracks (see WindowedTrackSource)
+ * hand off between windows on a timer, which an offline render outruns.
+ *
+ * Progress is reported by suspending the render every PROGRESS_INTERVAL_SEC
+ * of audio.
+ */
+import _ from 'underscore';
+
+import {COMMON_CONST} from 'static/js/player_app/shared/constants';
+import {EffectReturns} from 'static/js/player_app/logic/effect_returns';
+import {IllegalParam} from 'static/js/player_app/shared/exception';
+import {LogHandler} from 'static/js/player_app/shared/log_handler';
+import {MixerBus} from 'static/js/player_app/logic/mixer_bus';
+import {MixerChannel} from 'static/js/player_app/logic/mixer_channel';
+import {TimeUtil} from 'static/js/player_app/shared/time_util';
+import {TrackAction} from 'static/js/player_app/model/action/track_action';
+import {TrackCache} from 'static/js/player_app/logic/track_cache';
+import {TrackNotLoaded} from 'static/js/player_app/shared/exception';
+import {WavEncoder} from 'static/js/player_app/logic/wav_encoder';
+
+
+/*** PRIVATE variables ***/
+var DEFAULT_SAMPLE_RATE = 44100;
+var DEFAULT_NUM_CHANNELS = 2;
+// Audio rendered between progress reports
+var PROGRESS_INTERVAL_SEC = 10;
+// Room left after the last track stops for delay and reverb tails when the
+// end of the mixset is worked out
+var TAIL_MS = 5000;
+// Trailing samples quieter than this are trimmed when the end of the
+// mixset is worked out
+var SILENCE_LEVEL = 0.0001;
+
+
+/*** Class Definitions ***/
+
+/**
+ * @param {Array} mixset, Array of mixset entries, one per track:
+ *   {
+ *     track: Track object - must be loaded,
+ *     actions: Array of TrackAction objects for the track,
+ *     crossfaderSide: Crossfader.sides type - optional, CROSSFADE actions
+ *       are only rendered if a track is on the crossfader,
+ *     isKeyLocked: true to play the track with key lock - optional
+ *   }
+ * @param {Object} options, Optional:
+ *   - sampleRate: Defaults to DEFAULT_SAMPLE_RATE
+ *   - numChannels: Defaults to DEFAULT_NUM_CHANNELS
+ *   - startTimeMS: Mixset time to render from. Defaults to 0.
+ *   - endTimeMS: Mixset time to render to. Defaults to when the last track
+ *     stops playing plus effect tails, with trailing silence trimmed.
+ *   - onProgress: function(fraction) called with 0 to 1 progress of the
+ *     render
+ */
+var MixsetRenderer = function (mixset, options) {
+  options = options || {};
+  for (let entry of mixset) {
+    if (!entry.track.isStatusLoadSuccess()) {
+      throw new TrackNotLoaded(
+        this, 'constructor',
+        'Track not loaded - id: ' + entry.track.getTitle());
+    }
+    if (!entry.track.getAudioBuffer()) {
+      throw new IllegalParam(
+        this, 'constructor', 'Track not fully decoded (windowed tracks ' +
+        'can not be rendered) - id: ' + entry.track.getTitle());
+    }
+  }
+
+  this.mixset = mixset;
+  this.sampleRate = options.sampleRate || DEFAULT_SAMPLE_RATE;
+  this.numChannels = options.numChannels || DEFAULT_NUM_CHANNELS;
+  this.startTimeMS = TimeUtil.isBadTime(options.startTimeMS) ?
+    0 : options.startTimeMS;
+  this.endTimeMS = TimeUtil.isBadTime(options.endTimeMS) ?
+    null : options.endTimeMS;
+  this.onProgress = typeof(options.onProgress) === 'function' ?
+    options.onProgress : null;
+
+  if (this.endTimeMS !== null && this.endTimeMS <= this.startTimeMS) {
+    throw new IllegalParam(
+      this, 'constructor', 'endTimeMS not after startTimeMS: ' +
+      this.endTimeMS);
+  }
+};
+
+
+/*** PUBLIC prototype methods ***/
+
+
+/**
+ * Render the mixset.
+ *
+ * @return {Object} Promise, Resolves to AudioBuffer of the time range.
+ *   Rejects with IllegalParam if the mixset ends before startTimeMS, or if
+ *   no endTimeMS was given and a track loops without an end.
+ */
+MixsetRenderer.prototype.pRender = function() {
+  var that = this;
+  var isEndGiven = this.endTimeMS !== null;
+  var pRenderEndMS = isEndGiven ?
+    Promise.resolve(this.endTimeMS) : _pGetMixsetEndMS(this);
+  var context = null;
+
+  return pRenderEndMS.then(function(renderEndMS) {
+    var numFrames = Math.ceil(
+      TimeUtil.msToSec(renderEndMS) * that.sampleRate);
+    context = _createOfflineContext(
+      that.numChannels, numFrames, that.sampleRate);
+    return _pLoadModules(that, context).then(function() {
+      var mixerChannels = _scheduleMixset(that, context);
+      _scheduleProgress(that, context, 0, TimeUtil.msToSec(renderEndMS));
+      return context.startRendering().then(
+        function(renderedBuffer) {
+          _destroyChannels(mixerChannels);
+          return renderedBuffer;
+        },
+        function(error) {
+          _destroyChannels(mixerChannels);
+          throw error;
+        }
+      );
+    });
+  }).then(function(renderedBuffer) {
+    if (that.onProgress) {
+      that.onProgress(1);
+    }
+    var startFrame = Math.round(
+      TimeUtil.msToSec(that.startTimeMS) * that.sampleRate);
+    var endFrame = isEndGiven ?
+      renderedBuffer.length : _getLastSoundFrame(renderedBuffer) + 1;
+    if (endFrame <= startFrame) {
+      throw new IllegalParam(
+        that, 'pRender', 'mixset ends before startTimeMS - startTimeMS: ' +
+        that.startTimeMS + ', mixset end: ' +
+        TimeUtil.secToMS(endFrame / that.sampleRate));
+    }
+    LogHandler.addDebugMsg(
+      that, 'pRender', 'Rendered ' + (endFrame - startFrame) + ' frames');
+    return _sliceBuffer(context, renderedBuffer, startFrame, endFrame);
+  });
+};
+
+
+/**
+ * Render the mixset and encode it as a WAV file.
+ *
+ * @param {Number} bitDepth, WavEncoder.bitDepths type. Defaults to PCM_16.
+ * @return {Object} Promise, Resolves to ArrayBuffer of the WAV file
+ */
+MixsetRenderer.prototype.pRenderWav = function(bitDepth) {
+  return this.pRender().then(function(audioBuffer) {
+    return WavEncoder.encode(audioBuffer, bitDepth);
+  });
+};
+
+
+/*** PRIVATE functions ***/
+
+
+/**
+ * @param {Number} numChannels, Number of output channels
+ * @param {Number} numFrames, Length of the render in frames
+ * @param {Number} sampleRate, Sample rate
+ * @return {Object} OfflineAudioContext
+ */
+var _createOfflineContext = function(numChannels, numFrames, sampleRate) {
+  var OfflineContext = window.OfflineAudioContext ||
+    window.webkitOfflineAudioContext;
+  return new OfflineContext(numChannels, Math.max(numFrames, 1), sampleRate);
+};
+
+
+/**
+ * Channels time segment starts until they're destroyed, so destroy them once
+ * the context is done with them.
+ *
+ * @param {Array} mixerChannels, MixerChannel instances
+ */
+var _destroyChannels = function(mixerChannels) {
+  for (let mixerChannel of mixerChannels) {
+    mixerChannel.destroy();
+  }
+};
+
+
+/**
+ * @param {Object} audioBuffer, AudioBuffer
+ * @return {Number} Index of the last frame louder than SILENCE_LEVEL or -1
+ *   if it's all silent
+ */
+var _getLastSoundFrame = function(audioBuffer) {
+  var lastFrame = -1;
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    let data = audioBuffer.getChannelData(channel);
+    for (let i = data.length - 1; i > lastFrame; i--) {
+      if (Math.abs(data[i]) > SILENCE_LEVEL) {
+        lastFrame = i;
+        break;
+      }
+    }
+  }
+  return lastFrame;
+};
+
+
+/**
+ * When the last track stops playing plus effect tails. The mixset is
+ * scheduled on a one frame context and each channel says when it stops -
+ * see MixerChannel.getScheduledEndMS().
+ *
+ * @param {Object} renderer, MixsetRenderer instance
+ * @return {Object} Promise, Resolves to mixset time in milliseconds.
+ *   Rejects with IllegalParam if a track loops without an end.
+ */
+var _pGetMixsetEndMS = function(renderer) {
+  var context = _createOfflineContext(
+    renderer.numChannels, 1, renderer.sampleRate);
+
+  return _pLoadModules(renderer, context).then(function() {
+    var mixerChannels = _scheduleMixset(renderer, context);
+    var channelEndsMS = mixerChannels.map(function(mixerChannel) {
+      return mixerChannel.getScheduledEndMS();
+    });
+    _destroyChannels(mixerChannels);
+
+    var endMS = 0;
+    for (let i = 0; i < mixerChannels.length; i++) {
+      if (channelEndsMS[i] === Infinity) {
+        throw new IllegalParam(
+          renderer, '_pGetMixsetEndMS', 'track loops without an end so ' +
+          'endTimeMS is needed - id: ' +
+          mixerChannels[i].getTrack().getTitle());
+      }
+      if (channelEndsMS[i] !== COMMON_CONST.INVALID_TIME_VAL) {
+        endMS = Math.max(endMS, channelEndsMS[i]);
+      }
+    }
+    return endMS + TAIL_MS;
+  });
+};
+
+
+/**
+ * Load AudioWorklet modules the mixset needs into the context.
+ *
+ * @param {Object} renderer, MixsetRenderer instance
+ * @param {Object} context, OfflineAudioContext
+ * @return {Object} Promise, Resolves once loaded
+ */
+var _pLoadModules = function(renderer, context) {
+  var isKeyLockUsed = _.some(renderer.mixset, function(entry) {
+    return entry.isKeyLocked;
+  });
+  if (!isKeyLockUsed) {
+    return Promise.resolve();
+  }
+  return MixerChannel.pLoadKeyLockModule(context);
+};
+
+
+/**
+ * Build the mixer on the context and add every track's actions. Channels
+ * mark their tracks played in a cache of their own so rendering doesn't
+ * count as playing in the app's TrackCache.
+ *
+ * @param {Object} renderer, MixsetRenderer instance
+ * @param {Object} context, OfflineAudioContext
+ * @return {Array} MixerChannel instances in mixset order
+ */
+var _scheduleMixset = function(renderer, context) {
+  var bus = new MixerBus(context);
+  var effectReturns = new EffectReturns(context, bus.masterInputNode);
+
+  var trackCache = new TrackCache();
+
+  var mixerChannels = [];
+  var crossfadeActions = [];
+  for (let entry of renderer.mixset) {
+    let mixerChannel = new MixerChannel(
+      entry.track, context, bus.masterInputNode, trackCache);
+    mixerChannels.push(mixerChannel);
+    bus.addChannel(mixerChannel, entry.crossfaderSide);
+    effectReturns.addChannel(mixerChannel);
+    if (entry.isKeyLocked) {
+      mixerChannel.setKeyLock(true);
+    }
+
+    let partitioned = _.partition(entry.actions, function(action) {
+      return action.getActionType() === TrackAction.types.CROSSFADE;
+    });
+    crossfadeActions = crossfadeActions.concat(partitioned[0]);
+    mixerChannel.addActions(partitioned[1], 0, 0, 0);
+  }
+
+  // after every channel is assigned so actions find their track's tempo.
+  // The bus only makes a crossfader if a track is on it.
+  var crossfader = bus.crossfader;
+  for (let action of crossfadeActions) {
+    if (crossfader === null) {
+      LogHandler.addLogSystemError(
+        renderer, '_scheduleMixset', 'no tracks on crossfader for action');
+      break;
+    }
+    crossfader.addAction(action, 0, 0, 0);
+  }
+  return mixerChannels;
+};
+
+
+/**
+ * Report progress at each PROGRESS_INTERVAL_SEC of the render. Each report
+ * schedules the next one.
+ *
+ * @param {Object} renderer, MixsetRenderer instance
+ * @param {Object} context, OfflineAudioContext
+ * @param {Number} reachedSec, Context time rendered so far
+ * @param {Number} durationSec, Length of the render
+ */
+var _scheduleProgress = function(renderer, context, reachedSec, durationSec) {
+  var nextSec = reachedSec + PROGRESS_INTERVAL_SEC;
+  if (renderer.onProgress === null || nextSec >= durationSec) {
+    return;
+  }
+  context.suspend(nextSec).then(function() {
+    renderer.onProgress(nextSec / durationSec);
+    _scheduleProgress(renderer, context, nextSec, durationSec);
+    context.resume();
+  });
+};
+
+
+/**
+ * @param {Object} context, Context to create the buffer with
+ * @param {Object} audioBuffer, AudioBuffer to slice
+ * @param {Number} startFrame, First frame to keep
+ * @param {Number} endFrame, Frame after the last one to keep
+ * @return {Object} New AudioBuffer of the frames
+ */
+var _sliceBuffer = function(context, audioBuffer, startFrame, endFrame) {
+  endFrame = Math.min(endFrame, audioBuffer.length);
+  var numFrames = Math.max(endFrame - startFrame, 1);
+  var sliced = context.createBuffer(
+    audioBuffer.numberOfChannels, numFrames, audioBuffer.sampleRate);
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    sliced.getChannelData(channel).set(
+      audioBuffer.getChannelData(channel).subarray(
+        startFrame, startFrame + numFrames));
+  }
+  return sliced;
+};
+
+
+export {MixsetRenderer};
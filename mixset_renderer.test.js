@@ -0,0 +1,220 @@
+/**
+ * Unit test for MixsetRenderer
+ */
+
+// common testing infrastructure mocha-sinon-chai
+require('static/js/test_utils/test_dom')('<html><body></body></html>');
+var assert = require('assert');
+var sinon = require('sinon');
+var chai = require('chai');
+var sinonChai = require('sinon-chai');
+var expect = chai.expect;
+chai.use(sinonChai);
+
+var createFakeOfflineAudioContext = require(
+  'static/js/player_app/logic/test_utils/fake_audio_context')
+  .createFakeOfflineAudioContext;
+var createFakeAction = require(
+  'static/js/player_app/logic/test_utils/fake_track').createFakeAction;
+var createFakeTrack = require(
+  'static/js/player_app/logic/test_utils/fake_track').createFakeTrack;
+var MixsetRenderer = require(
+  'static/js/player_app/logic/mixset_renderer').MixsetRenderer;
+var TrackAction = require(
+  'static/js/player_app/model/action/track_action').TrackAction;
+var TrackCache = require(
+  'static/js/player_app/logic/track_cache').TrackCache;
+
+
+// Low so rendered buffers stay small
+var SAMPLE_RATE = 1000;
+
+
+describe('MixsetRenderer', function() {
+  // Fake OfflineAudioContexts the renderer made, in order
+  var contexts;
+  // Frames of sound at the start of each render - all of it if null
+  var numSoundFrames;
+
+  beforeEach(function() {
+    contexts = [];
+    numSoundFrames = null;
+    window.OfflineAudioContext = function(numChannels, length, sampleRate) {
+      var context = createFakeOfflineAudioContext(
+        numChannels, length, sampleRate);
+      context.fillRendered = function(buffer) {
+        buffer.getChannelData(0).fill(
+          0.5, 0, numSoundFrames === null ? buffer.length : numSoundFrames);
+      };
+      contexts.push(context);
+      return context;
+    };
+  });
+
+  afterEach(function() {
+    delete window.OfflineAudioContext;
+  });
+
+  /**
+   * @param {Number} durationSec, Track length
+   * @param {Array} actions, TrackActions for the track
+   * @param {Object} options, MixsetRenderer options
+   * @return {Object} MixsetRenderer of one track
+   */
+  var createRenderer = function(durationSec, actions, options) {
+    var track = createFakeTrack({durationSec: durationSec});
+    return new MixsetRenderer(
+      [{track: track, actions: actions}],
+      Object.assign({sampleRate: SAMPLE_RATE}, options));
+  };
+
+  describe('constructor', function() {
+
+    it('rejects tracks that are not fully decoded', function() {
+      var track = createFakeTrack();
+      track.getAudioBuffer = function() { return null; };
+
+      expect(function() {
+        new MixsetRenderer([{track: track, actions: []}]);
+      }).to.throw(/not fully decoded/);
+    });
+
+  });
+
+  describe('pRender', function() {
+
+    it('renders from the start and trims to the time range', function() {
+      var renderer = createRenderer(
+        60, [createFakeAction(TrackAction.types.PLAY, 0)],
+        {startTimeMS: 1000, endTimeMS: 3000});
+
+      return renderer.pRender().then(function(audioBuffer) {
+        // no probe render needed with an end time
+        expect(contexts.length).to.equal(1);
+        expect(contexts[0].length).to.equal(3 * SAMPLE_RATE);
+        expect(contexts[0].sourceNodes[0].startArgs).to.deep.equal([0, 0]);
+        expect(audioBuffer.length).to.equal(2 * SAMPLE_RATE);
+        expect(audioBuffer.numberOfChannels).to.equal(2);
+      });
+    });
+
+    it('ends where the last track stops at its scheduled pitch', function() {
+      var renderer = createRenderer(60, [
+        createFakeAction(TrackAction.types.PLAY, 0),
+        createFakeAction(TrackAction.types.PITCH, 0, {pitch: 0.95})
+      ]);
+
+      return renderer.pRender().then(function() {
+        // track runs 60 / 0.95 sec, plus 5 sec for effect tails
+        var expectedSec = 60 / 0.95 + 5;
+        expect(contexts.length).to.equal(2);
+        expect(contexts[1].length).to.be.closeTo(
+          expectedSec * SAMPLE_RATE, 2);
+      });
+    });
+
+    it('does not mark tracks played in the app track cache', function() {
+      sinon.spy(TrackCache, 'getInstance');
+      var renderer = createRenderer(60, [
+        createFakeAction(TrackAction.types.PLAY, 0),
+        createFakeAction(TrackAction.types.STOP, 2000)
+      ]);
+
+      return renderer.pRender().then(
+        function() {
+          expect(TrackCache.getInstance).to.not.have.been.called;
+          TrackCache.getInstance.restore();
+        },
+        function(error) {
+          TrackCache.getInstance.restore();
+          throw error;
+        }
+      );
+    });
+
+    it('ends at a scheduled stop', function() {
+      var renderer = createRenderer(60, [
+        createFakeAction(TrackAction.types.PLAY, 1000),
+        createFakeAction(TrackAction.types.STOP, 11000)
+      ]);
+
+      return renderer.pRender().then(function() {
+        expect(contexts[1].length).to.equal(16 * SAMPLE_RATE);
+      });
+    });
+
+    it('needs an end time for a loop without an end', function() {
+      var renderer = createRenderer(60, [
+        createFakeAction(TrackAction.types.PLAY, 0),
+        createFakeAction(TrackAction.types.LOOP_IN, 1000, {loopNumBeats: 4})
+      ]);
+
+      return renderer.pRender().then(
+        function() {
+          assert.fail('render should fail');
+        },
+        function(error) {
+          expect(error.message).to.match(/loops without an end/);
+        }
+      );
+    });
+
+    it('trims trailing silence without an end time', function() {
+      var renderer = createRenderer(
+        10, [createFakeAction(TrackAction.types.PLAY, 0)],
+        {startTimeMS: 1000});
+      numSoundFrames = 4 * SAMPLE_RATE;
+
+      return renderer.pRender().then(function(audioBuffer) {
+        expect(audioBuffer.length).to.equal(3 * SAMPLE_RATE);
+      });
+    });
+
+    it('rejects a time range after the end of the mixset', function() {
+      var renderer = createRenderer(
+        10, [createFakeAction(TrackAction.types.PLAY, 0)],
+        {startTimeMS: 12000});
+      numSoundFrames = 10 * SAMPLE_RATE;
+
+      return renderer.pRender().then(
+        function() {
+          assert.fail('render should fail');
+        },
+        function(error) {
+          expect(error.message).to.match(/mixset ends before startTimeMS/);
+        }
+      );
+    });
+
+    it('reports progress through the render', function() {
+      var fractions = [];
+      var renderer = createRenderer(
+        60, [createFakeAction(TrackAction.types.PLAY, 0)],
+        {endTimeMS: 35000, onProgress: function(fraction) {
+          fractions.push(fraction);
+        }});
+
+      return renderer.pRender().then(function() {
+        expect(contexts[0].suspendTimesSec).to.deep.equal([10, 20, 30]);
+        expect(fractions).to.deep.equal([10 / 35, 20 / 35, 30 / 35, 1]);
+      });
+    });
+
+  });
+
+  describe('pRenderWav', function() {
+
+    it('encodes the render', function() {
+      var renderer = createRenderer(
+        60, [createFakeAction(TrackAction.types.PLAY, 0)],
+        {endTimeMS: 1000});
+
+      return renderer.pRenderWav().then(function(wav) {
+        // 16 bit stereo after the 44 byte header
+        expect(wav.byteLength).to.equal(44 + SAMPLE_RATE * 4);
+      });
+    });
+
+  });
+
+});
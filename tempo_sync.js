@@ -0,0 +1,339 @@
+/**
+ * Tempo and phase sync between mixer channels.
+ *
+ * A TempoSync has one master - a MixerChannel or a fixed BPM - and any
+ * number of slave channels. A slave plays at the master's tempo: its pitch
+ * follows the master's pitch times the ratio of the two tracks' BPMs (or
+ * master BPM / slave track BPM for a fixed BPM master), so it stays locked
+ * through pitch actions and bends on the master.
+ *
+ * When a slave is added it also jumps onto the master's beat grid at the
+ * master's next bar - the slave moves to the bar line of its own track
+ * nearest to where it would be then. Pitch actions and bends on a slave
+ * apply until the master's pitch next changes.
+ *
+ * Beat grids start at Track.getFirstBeatOffsetMS() and have
+ * BEATS_PER_BAR beats to a bar. A fixed BPM master's grid starts at
+ * gridStartTimeMS context time.
+ */
+import _ from 'underscore';
+
+import {AutomationTimeline} from
+  'static/js/player_app/logic/automation_timeline';
+import {COMMON_CONST} from 'static/js/player_app/shared/constants';
+import {IllegalParam} from 'static/js/player_app/shared/exception';
+import {LogHandler} from 'static/js/player_app/shared/log_handler';
+import {MixerChannel} from 'static/js/player_app/logic/mixer_channel';
+import {NumberUtil} from 'static/js/player_app/shared/number_util';
+import {TimeUtil} from 'static/js/player_app/shared/time_util';
+import {TypeUtil} from 'static/js/player_app/shared/type_util';
+
+
+/*** PRIVATE variables ***/
+var BEATS_PER_BAR = 4;
+var MS_PER_MINUTE = 60000;
+// Slaves already this close to a bar line aren't moved
+var PHASE_TOLERANCE_MS = 1;
+
+
+/*** Class Definitions ***/
+
+var TempoSync = function () {
+  // Either masterChannel or masterBpm is set
+  this.masterChannel = null;
+  this.masterBpm = null;
+  // context time a fixed BPM master's beat grid starts at
+  this.gridStartTimeMS = 0;
+
+  this._slaves = [];
+  // pitch of a fixed BPM master - always 1 so slaves follow the BPM ratio
+  this._fixedBpmTimeline = new AutomationTimeline(1);
+  this._onMasterPitchChanged = _onMasterPitchChanged.bind(null, this);
+};
+
+
+/*** PUBLIC prototype methods ***/
+
+
+/**
+ * Make a channel the master. Slaves take up its tempo now and its beat
+ * grid at its next bar.
+ *
+ * @param {Object} mixerChannel, MixerChannel to follow. Removed from the
+ *   slaves if it's one.
+ */
+TempoSync.prototype.setMasterChannel = function(mixerChannel) {
+  if (!NumberUtil.isPositive(mixerChannel.getTrack().getBpm())) {
+    throw new IllegalParam(
+      this, 'setMasterChannel', 'master track has no bpm: ' +
+      mixerChannel.getChannelTitle());
+  }
+  this.removeSlave(mixerChannel);
+  _detachMasterChannel(this);
+
+  this.masterChannel = mixerChannel;
+  this.masterBpm = null;
+  mixerChannel.addPitchListener(this._onMasterPitchChanged);
+  _resyncSlaves(this);
+};
+
+
+/**
+ * Make a fixed BPM the master. Slaves take up the BPM now and its beat grid
+ * at its next bar.
+ *
+ * @param {Number} bpm, Master BPM
+ * @param {Number} gridStartTimeMS, Context time the beat grid starts at.
+ *   Defaults to 0.
+ */
+TempoSync.prototype.setMasterBpm = function(bpm, gridStartTimeMS) {
+  if (!NumberUtil.isPositive(bpm)) {
+    throw new IllegalParam(this, 'setMasterBpm', 'bpm not positive: ' + bpm);
+  }
+  _detachMasterChannel(this);
+
+  this.masterBpm = bpm;
+  this.gridStartTimeMS = TypeUtil.defaultVal(gridStartTimeMS, 0);
+  _resyncSlaves(this);
+};
+
+
+/**
+ * Sync a channel to the master.
+ *
+ * @param {Object} mixerChannel, MixerChannel to sync
+ * @param {Number} atTimeMS, Time (relative to AudioContext time) tempo sync
+ *   starts at or AT_TIME_NOW. Phase lines up on the master's next bar from
+ *   then. Defaults to AT_TIME_NOW.
+ * @return {Boolean} True if synced. False if there's no master.
+ */
+TempoSync.prototype.addSlave = function(mixerChannel, atTimeMS) {
+  if (!this.hasMaster()) {
+    LogHandler.addLogSystemError(this, 'addSlave', 'no master to sync to');
+    return false;
+  }
+  if (mixerChannel === this.masterChannel) {
+    throw new IllegalParam(this, 'addSlave', 'channel is the master');
+  }
+  if (!NumberUtil.isPositive(mixerChannel.getTrack().getBpm())) {
+    throw new IllegalParam(
+      this, 'addSlave', 'slave track has no bpm: ' +
+      mixerChannel.getChannelTitle());
+  }
+
+  if (!this.isSlave(mixerChannel)) {
+    this._slaves.push(mixerChannel);
+  }
+  _syncSlave(this, mixerChannel, atTimeMS);
+  return true;
+};
+
+
+/**
+ * Stop syncing a channel. It carries on at the pitch it's at - pitch changes
+ * it took from the master from now on are dropped.
+ *
+ * @param {Object} mixerChannel, MixerChannel to stop syncing
+ * @return {Boolean} True if channel was a slave
+ */
+TempoSync.prototype.removeSlave = function(mixerChannel) {
+  if (!this.isSlave(mixerChannel)) {
+    return false;
+  }
+  this._slaves = _.without(this._slaves, mixerChannel);
+  mixerChannel.setPitchFromTimeline(
+    new AutomationTimeline(mixerChannel.getPitch()), 1,
+    MixerChannel.constants.AT_TIME_NOW);
+  return true;
+};
+
+
+/**
+ * @param {Object} mixerChannel, MixerChannel
+ * @return {Boolean} True if channel is synced to the master
+ */
+TempoSync.prototype.isSlave = function(mixerChannel) {
+  return _.contains(this._slaves, mixerChannel);
+};
+
+
+/**
+ * @return {Boolean} True if a master channel or BPM is set
+ */
+TempoSync.prototype.hasMaster = function() {
+  return this.masterChannel !== null || this.masterBpm !== null;
+};
+
+
+/**
+ * @param {Number} atTimeMS, Time (relative to AudioContext time)
+ * @return {Number} Master tempo at atTimeMS or COMMON_CONST.INVALID_VAL if
+ *   there's no master
+ */
+TempoSync.prototype.getMasterBpmAt = function(atTimeMS) {
+  if (this.masterChannel !== null) {
+    return this.masterChannel.getTrack().getBpm() *
+      this.masterChannel.getPitch(atTimeMS);
+  }
+  if (this.masterBpm !== null) {
+    return this.masterBpm;
+  }
+  return COMMON_CONST.INVALID_VAL;
+};
+
+
+/*** PRIVATE functions ***/
+
+
+/**
+ * @param {Object} tempoSync, TempoSync instance
+ */
+var _detachMasterChannel = function(tempoSync) {
+  if (tempoSync.masterChannel !== null) {
+    tempoSync.masterChannel.removePitchListener(
+      tempoSync._onMasterPitchChanged);
+    tempoSync.masterChannel = null;
+  }
+};
+
+
+/**
+ * @param {Number} bpm, Tempo
+ * @return {Number} Length of a bar in milliseconds at bpm
+ */
+var _getBarMS = function(bpm) {
+  return BEATS_PER_BAR * MS_PER_MINUTE / bpm;
+};
+
+
+/**
+ * @param {Object} tempoSync, TempoSync instance
+ * @param {Number} atTimeMS, Context time
+ * @return {Number} Context time of the master's first bar line at or after
+ *   atTimeMS or COMMON_CONST.INVALID_VAL if the master channel isn't
+ *   playing then
+ */
+var _getMasterNextBarTimeMS = function(tempoSync, atTimeMS) {
+  if (tempoSync.masterChannel === null) {
+    let barMS = _getBarMS(tempoSync.masterBpm);
+    let numBars = Math.ceil((atTimeMS - tempoSync.gridStartTimeMS) / barMS);
+    return tempoSync.gridStartTimeMS + numBars * barMS;
+  }
+
+  var master = tempoSync.masterChannel;
+  var offsetMS = master.getTrackOffsetAtMS(atTimeMS);
+  if (offsetMS === COMMON_CONST.INVALID_VAL) {
+    return COMMON_CONST.INVALID_VAL;
+  }
+  var barOffsetMS = _getBarOffsetMS(master.getTrack(), offsetMS, Math.ceil);
+  // track offset moves at the playback rate
+  return atTimeMS + (barOffsetMS - offsetMS) / master.getPitch(atTimeMS);
+};
+
+
+/**
+ * @param {Object} track, Track object
+ * @param {Number} offsetMS, Offset into track
+ * @param {Function} roundFunc, Math.ceil for next bar line, Math.round for
+ *   nearest
+ * @return {Number} Track offset of a bar line on the track's beat grid
+ */
+var _getBarOffsetMS = function(track, offsetMS, roundFunc) {
+  var firstBeatOffsetMS = track.getFirstBeatOffsetMS();
+  var barMS = _getBarMS(track.getBpm());
+  return firstBeatOffsetMS +
+    roundFunc((offsetMS - firstBeatOffsetMS) / barMS) * barMS;
+};
+
+
+/**
+ * @param {Object} tempoSync, TempoSync instance
+ * @return {Object} AutomationTimeline slaves follow the pitch of
+ */
+var _getMasterTimeline = function(tempoSync) {
+  if (tempoSync.masterChannel !== null) {
+    return tempoSync.masterChannel.pitchTimeline;
+  }
+  return tempoSync._fixedBpmTimeline;
+};
+
+
+/**
+ * @param {Object} tempoSync, TempoSync instance
+ * @param {Object} mixerChannel, Slave MixerChannel
+ * @return {Number} Slave pitch is master pitch times this ratio
+ */
+var _getPitchRatio = function(tempoSync, mixerChannel) {
+  var masterBpm = tempoSync.masterChannel !== null ?
+    tempoSync.masterChannel.getTrack().getBpm() : tempoSync.masterBpm;
+  return masterBpm / mixerChannel.getTrack().getBpm();
+};
+
+
+/**
+ * Pitch listener on the master channel - see MixerChannel.addPitchListener()
+ *
+ * @param {Object} tempoSync, TempoSync instance
+ * @param {Object} event, MixerChannel PITCH_CHANGED event - timeMS is the
+ *   context time master pitch changed from
+ */
+var _onMasterPitchChanged = function(tempoSync, event) {
+  var masterTimeline = _getMasterTimeline(tempoSync);
+  for (let slave of tempoSync._slaves) {
+    slave.setPitchFromTimeline(
+      masterTimeline, _getPitchRatio(tempoSync, slave), event.timeMS);
+  }
+};
+
+
+/**
+ * @param {Object} tempoSync, TempoSync instance
+ */
+var _resyncSlaves = function(tempoSync) {
+  for (let slave of tempoSync._slaves) {
+    _syncSlave(tempoSync, slave, MixerChannel.constants.AT_TIME_NOW);
+  }
+};
+
+
+/**
+ * Match slave tempo to the master from atTimeMS and line its beat grid up
+ * with the master's at the next bar.
+ *
+ * @param {Object} tempoSync, TempoSync instance
+ * @param {Object} slave, Slave MixerChannel
+ * @param {Number} atTimeMS, Context time or AT_TIME_NOW. Defaults to
+ *   AT_TIME_NOW.
+ */
+var _syncSlave = function(tempoSync, slave, atTimeMS) {
+  atTimeMS = TypeUtil.defaultVal(atTimeMS, MixerChannel.constants.AT_TIME_NOW);
+  var currentTimeMS = TimeUtil.secToMS(slave.audioContext.currentTime);
+  if (atTimeMS === MixerChannel.constants.AT_TIME_NOW ||
+      atTimeMS < currentTimeMS) {
+    atTimeMS = currentTimeMS;
+  }
+
+  slave.setPitchFromTimeline(
+    _getMasterTimeline(tempoSync), _getPitchRatio(tempoSync, slave),
+    atTimeMS);
+
+  var barTimeMS = _getMasterNextBarTimeMS(tempoSync, atTimeMS);
+  if (barTimeMS === COMMON_CONST.INVALID_VAL) {
+    LogHandler.addDebugMsg(
+      tempoSync, '_syncSlave', 'master not playing so tempo only: ' +
+      slave.getChannelTitle());
+    return;
+  }
+  var offsetMS = slave.getTrackOffsetAtMS(barTimeMS);
+  if (offsetMS === COMMON_CONST.INVALID_VAL) {
+    // nothing to line up - slave isn't playing at the bar
+    return;
+  }
+  var barOffsetMS = _getBarOffsetMS(slave.getTrack(), offsetMS, Math.round);
+  if (Math.abs(barOffsetMS - offsetMS) > PHASE_TOLERANCE_MS) {
+    slave.seekAt(barTimeMS, barOffsetMS);
+  }
+};
+
+
+export {TempoSync};
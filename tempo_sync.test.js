@@ -0,0 +1,223 @@
+/**
+ * Unit test for TempoSync
+ */
+
+// common testing infrastructure mocha-sinon-chai
+var sinon = require('sinon');
+var chai = require('chai');
+var sinonChai = require('sinon-chai');
+var expect = chai.expect;
+chai.use(sinonChai);
+
+var AutomationTimeline = require(
+  'static/js/player_app/logic/automation_timeline').AutomationTimeline;
+var COMMON_CONST = require(
+  'static/js/player_app/shared/constants').COMMON_CONST;
+var createFakeTrack = require(
+  'static/js/player_app/logic/test_utils/fake_track').createFakeTrack;
+var MixerChannel = require(
+  'static/js/player_app/logic/mixer_channel').MixerChannel;
+var TempoSync = require('static/js/player_app/logic/tempo_sync').TempoSync;
+
+
+/**
+ * MixerChannel stand in playing at a steady pitch
+ *
+ * @param {Object} audioContext, Shared {currentTime}
+ * @param {Object} options:
+ *   - bpm: Track BPM
+ *   - firstBeatOffsetMS: Track's first beat. Defaults to 0.
+ *   - pitch: Defaults to 1
+ *   - startTimeMS: Context time playback started at or null if not
+ *     playing. Defaults to null.
+ *   - startOffsetMS: Track offset playback started from. Defaults to 0.
+ * @return {Object} Fake MixerChannel
+ */
+var createFakeChannel = function(audioContext, options) {
+  var pitch = options.pitch || 1;
+  var track = createFakeTrack({
+    bpm: options.bpm, firstBeatOffsetMS: options.firstBeatOffsetMS});
+  var startTimeMS = typeof(options.startTimeMS) === 'number' ?
+    options.startTimeMS : null;
+
+  return {
+    audioContext: audioContext,
+    pitchTimeline: new AutomationTimeline(pitch),
+    pitchListeners: [],
+    getTrack: function() { return track; },
+    getChannelTitle: function() { return 'channel'; },
+    getPitch: function() { return pitch; },
+    getTrackOffsetAtMS: function(atTimeMS) {
+      if (startTimeMS === null || atTimeMS < startTimeMS) {
+        return COMMON_CONST.INVALID_VAL;
+      }
+      return (options.startOffsetMS || 0) + (atTimeMS - startTimeMS) * pitch;
+    },
+    addPitchListener: function(listener) {
+      this.pitchListeners.push(listener);
+    },
+    removePitchListener: function(listener) {
+      this.pitchListeners = this.pitchListeners.filter(function(other) {
+        return other !== listener;
+      });
+    },
+    setPitchFromTimeline: sinon.spy(),
+    seekAt: sinon.spy()
+  };
+};
+
+
+describe('TempoSync', function() {
+  var audioContext;
+  var tempoSync;
+
+  beforeEach(function() {
+    audioContext = {currentTime: 1};
+    tempoSync = new TempoSync();
+  });
+
+  describe('addSlave', function() {
+
+    it('follows the master pitch times the BPM ratio', function() {
+      var master = createFakeChannel(audioContext, {bpm: 120});
+      var slave = createFakeChannel(audioContext, {bpm: 100});
+      tempoSync.setMasterChannel(master);
+
+      expect(tempoSync.addSlave(slave)).to.equal(true);
+      expect(slave.setPitchFromTimeline).to.have.been.calledWith(
+        master.pitchTimeline, 1.2, 1000);
+    });
+
+    it('plays at a fixed master BPM', function() {
+      var slave = createFakeChannel(audioContext, {bpm: 100});
+      tempoSync.setMasterBpm(128);
+
+      tempoSync.addSlave(slave);
+      var args = slave.setPitchFromTimeline.firstCall.args;
+      expect(args[0].getValueAt(1)).to.equal(1);
+      expect(args[1]).to.equal(1.28);
+    });
+
+    it('does nothing without a master', function() {
+      var slave = createFakeChannel(audioContext, {bpm: 100});
+
+      expect(tempoSync.addSlave(slave)).to.equal(false);
+      expect(slave.setPitchFromTimeline).to.not.have.been.called;
+    });
+
+    it('moves the slave to the bar nearest the master\'s next bar',
+        function() {
+      // 2000ms bars, next bar line at 2000ms
+      var master = createFakeChannel(
+        audioContext, {bpm: 120, startTimeMS: 0});
+      // 2700ms in at the master's bar - nearest bar line is at 2000ms
+      var slave = createFakeChannel(
+        audioContext, {bpm: 120, startTimeMS: 0, startOffsetMS: 700});
+      tempoSync.setMasterChannel(master);
+
+      tempoSync.addSlave(slave);
+      expect(slave.seekAt).to.have.been.calledOnceWith(2000, 2000);
+    });
+
+    it('times the master\'s next bar at its pitch', function() {
+      // at 1000ms the master is 1250ms in - 750ms of track to the bar line
+      // at 1.25x is 600ms
+      var master = createFakeChannel(
+        audioContext, {bpm: 120, pitch: 1.25, startTimeMS: 0});
+      var slave = createFakeChannel(
+        audioContext, {bpm: 120, startTimeMS: 0, startOffsetMS: 500});
+      tempoSync.setMasterChannel(master);
+
+      tempoSync.addSlave(slave);
+      expect(slave.seekAt).to.have.been.calledOnceWith(1600, 2000);
+    });
+
+    it('lines up on a fixed BPM master\'s grid', function() {
+      var slave = createFakeChannel(
+        audioContext, {bpm: 120, startTimeMS: 0, startOffsetMS: 800});
+      tempoSync.setMasterBpm(120, 500);
+
+      tempoSync.addSlave(slave);
+      expect(slave.seekAt).to.have.been.calledOnceWith(2500, 4000);
+    });
+
+    it('leaves a slave on the beat grid where it is', function() {
+      var master = createFakeChannel(
+        audioContext, {bpm: 120, startTimeMS: 0});
+      var slave = createFakeChannel(audioContext, {
+        bpm: 120, firstBeatOffsetMS: 100, startTimeMS: 0,
+        startOffsetMS: 100});
+      tempoSync.setMasterChannel(master);
+
+      tempoSync.addSlave(slave);
+      expect(slave.seekAt).to.not.have.been.called;
+    });
+
+    it('only syncs tempo while the master is stopped', function() {
+      var master = createFakeChannel(audioContext, {bpm: 120});
+      var slave = createFakeChannel(
+        audioContext, {bpm: 120, startTimeMS: 0, startOffsetMS: 700});
+      tempoSync.setMasterChannel(master);
+
+      tempoSync.addSlave(slave);
+      expect(slave.setPitchFromTimeline).to.have.been.calledOnce;
+      expect(slave.seekAt).to.not.have.been.called;
+    });
+
+  });
+
+  describe('master pitch changes', function() {
+
+    it('are followed by slaves', function() {
+      var master = createFakeChannel(audioContext, {bpm: 120});
+      var slave = createFakeChannel(audioContext, {bpm: 100});
+      tempoSync.setMasterChannel(master);
+      tempoSync.addSlave(slave);
+
+      master.pitchListeners[0]({timeMS: 5000});
+      expect(slave.setPitchFromTimeline).to.have.been.calledTwice;
+      expect(slave.setPitchFromTimeline.secondCall).to.have.been.calledWith(
+        master.pitchTimeline, 1.2, 5000);
+    });
+
+    it('are not followed once the master is replaced', function() {
+      var master = createFakeChannel(audioContext, {bpm: 120});
+      tempoSync.setMasterChannel(master);
+
+      tempoSync.setMasterBpm(128);
+      expect(master.pitchListeners.length).to.equal(0);
+    });
+
+  });
+
+  describe('removeSlave', function() {
+
+    it('holds the slave at the pitch it\'s at', function() {
+      var master = createFakeChannel(audioContext, {bpm: 120});
+      var slave = createFakeChannel(audioContext, {bpm: 100, pitch: 1.2});
+      tempoSync.setMasterChannel(master);
+      tempoSync.addSlave(slave);
+
+      expect(tempoSync.removeSlave(slave)).to.equal(true);
+      var args = slave.setPitchFromTimeline.secondCall.args;
+      expect(args[0].getValueAt(1)).to.equal(1.2);
+      expect(args[0].getEvents()).to.deep.equal([]);
+      expect(args[1]).to.equal(1);
+      expect(args[2]).to.equal(MixerChannel.constants.AT_TIME_NOW);
+    });
+
+    it('stops following the master', function() {
+      var master = createFakeChannel(audioContext, {bpm: 120});
+      var slave = createFakeChannel(audioContext, {bpm: 100});
+      tempoSync.setMasterChannel(master);
+      tempoSync.addSlave(slave);
+      tempoSync.removeSlave(slave);
+
+      master.pitchListeners[0]({timeMS: 5000});
+      expect(slave.setPitchFromTimeline).to.have.been.calledTwice;
+      expect(tempoSync.isSlave(slave)).to.equal(false);
+    });
+
+  });
+
+});
@@ -0,0 +1,290 @@
+/**
+ * Fake Web Audio API for unit testing the audio graph without a browser.
+ *
+ * Nodes remember what they're connected to and params remember what's
+ * scheduled on them. Nothing makes sound - tests set currentTime and call
+ * onended themselves to move time along.
+ */
+
+
+/**
+ * AudioParam that records scheduled values. Setting a value also sets
+ * .value so tests can read the last value set.
+ *
+ * @param {Number} value, Default value
+ */
+var FakeAudioParam = function(value) {
+  this.value = value;
+  this.defaultValue = value;
+  // [method name, ...args] for every call
+  this.calls = [];
+};
+
+FakeAudioParam.prototype.setValueAtTime = function(value, timeSec) {
+  this.calls.push(['setValueAtTime', value, timeSec]);
+  this.value = value;
+};
+
+FakeAudioParam.prototype.linearRampToValueAtTime = function(value, timeSec) {
+  this.calls.push(['linearRampToValueAtTime', value, timeSec]);
+  this.value = value;
+};
+
+FakeAudioParam.prototype.exponentialRampToValueAtTime = function(
+    value, timeSec) {
+  this.calls.push(['exponentialRampToValueAtTime', value, timeSec]);
+  this.value = value;
+};
+
+FakeAudioParam.prototype.setTargetAtTime = function(
+    value, timeSec, timeConstant) {
+  this.calls.push(['setTargetAtTime', value, timeSec, timeConstant]);
+  this.value = value;
+};
+
+FakeAudioParam.prototype.setValueCurveAtTime = function(
+    curve, timeSec, durationSec) {
+  this.calls.push(['setValueCurveAtTime', curve, timeSec, durationSec]);
+  this.value = curve[curve.length - 1];
+};
+
+FakeAudioParam.prototype.cancelScheduledValues = function(timeSec) {
+  this.calls.push(['cancelScheduledValues', timeSec]);
+};
+
+FakeAudioParam.prototype.cancelAndHoldAtTime = function(timeSec) {
+  this.calls.push(['cancelAndHoldAtTime', timeSec]);
+};
+
+
+/**
+ * @param {Object} context, Fake context the node belongs to
+ * @param {String} type, Kind of node, e.g. 'gain'
+ * @param {Object} params, {<param name>: default value}
+ */
+var FakeAudioNode = function(context, type, params) {
+  this.context = context;
+  this.type = type;
+  // Nodes and params connected to
+  this.outputs = [];
+  for (let name of Object.keys(params || {})) {
+    this[name] = new FakeAudioParam(params[name]);
+  }
+};
+
+FakeAudioNode.prototype.connect = function(destination) {
+  this.outputs.push(destination);
+  return destination;
+};
+
+FakeAudioNode.prototype.disconnect = function(destination) {
+  if (typeof(destination) === 'undefined') {
+    this.outputs = [];
+    return;
+  }
+  this.outputs = this.outputs.filter(function(output) {
+    return output !== destination;
+  });
+};
+
+/**
+ * @param {Object} destination, Node or param
+ * @return {Boolean} True if connected straight to destination
+ */
+FakeAudioNode.prototype.isConnectedTo = function(destination) {
+  return this.outputs.indexOf(destination) !== -1;
+};
+
+
+/**
+ * @param {Number} numChannels, Number of channels
+ * @param {Number} length, Number of frames
+ * @param {Number} sampleRate, Sample rate
+ * @return {Object} AudioBuffer stand in with silent channels
+ */
+var createFakeAudioBuffer = function(numChannels, length, sampleRate) {
+  var channels = [];
+  for (let i = 0; i < numChannels; i++) {
+    channels.push(new Float32Array(length));
+  }
+  return {
+    numberOfChannels: numChannels,
+    length: length,
+    sampleRate: sampleRate,
+    duration: length / sampleRate,
+    getChannelData: function(channel) {
+      return channels[channel];
+    }
+  };
+};
+
+
+/**
+ * AudioContext stand in. Source nodes it creates are kept in sourceNodes in
+ * creation order.
+ *
+ * @param {Number} sampleRate, Defaults to 44100
+ * @return {Object} Fake AudioContext
+ */
+var createFakeAudioContext = function(sampleRate) {
+  var context = {
+    currentTime: 0,
+    sampleRate: sampleRate || 44100,
+    sourceNodes: [],
+    // Level analysers read back for every sample
+    analyserLevel: 0,
+    audioWorklet: {
+      addModule: function() {
+        return Promise.resolve();
+      }
+    }
+  };
+  context.destination = new FakeAudioNode(context, 'destination');
+
+  context.createBufferSource = function() {
+    var node = new FakeAudioNode(context, 'buffer-source', {playbackRate: 1});
+    node.buffer = null;
+    node.loop = false;
+    node.loopStart = 0;
+    node.loopEnd = 0;
+    node.onended = null;
+    // [when, offset] passed to start() or null if not started
+    node.startArgs = null;
+    node.stopTimeSec = null;
+    node.start = function(when, offset) {
+      if (node.startArgs !== null) {
+        throw new Error('source node started twice');
+      }
+      node.startArgs = [when, offset];
+    };
+    node.stop = function(when) {
+      node.stopTimeSec = when;
+    };
+    context.sourceNodes.push(node);
+    return node;
+  };
+  context.createGain = function() {
+    return new FakeAudioNode(context, 'gain', {gain: 1});
+  };
+  context.createBiquadFilter = function() {
+    var node = new FakeAudioNode(
+      context, 'biquad', {frequency: 350, Q: 1, gain: 0});
+    node.type = 'lowpass';
+    return node;
+  };
+  context.createDelay = function() {
+    return new FakeAudioNode(context, 'delay', {delayTime: 0});
+  };
+  context.createConvolver = function() {
+    var node = new FakeAudioNode(context, 'convolver');
+    node.buffer = null;
+    node.normalize = true;
+    return node;
+  };
+  context.createDynamicsCompressor = function() {
+    return new FakeAudioNode(context, 'compressor', {
+      threshold: -24, knee: 30, ratio: 12, attack: 0.003, release: 0.25});
+  };
+  context.createConstantSource = function() {
+    var node = new FakeAudioNode(context, 'constant-source', {offset: 1});
+    node.start = function() {};
+    node.stop = function() {};
+    return node;
+  };
+  context.createChannelMerger = function() {
+    return new FakeAudioNode(context, 'channel-merger');
+  };
+  context.createChannelSplitter = function() {
+    return new FakeAudioNode(context, 'channel-splitter');
+  };
+  context.createAnalyser = function() {
+    var node = new FakeAudioNode(context, 'analyser');
+    node.fftSize = 2048;
+    node.getFloatTimeDomainData = function(samples) {
+      samples.fill(context.analyserLevel);
+    };
+    return node;
+  };
+  context.createMediaStreamDestination = function() {
+    var node = new FakeAudioNode(context, 'media-stream-destination');
+    node.stream = {};
+    return node;
+  };
+  context.createBuffer = createFakeAudioBuffer;
+
+  return context;
+};
+
+
+/**
+ * OfflineAudioContext stand in. startRendering() runs through suspend()
+ * points in time order - each one waits for resume() - and resolves to a
+ * silent buffer of the context's length, or whatever fillRendered(buffer)
+ * puts in it if the test sets it.
+ *
+ * @param {Number} numChannels, Number of channels
+ * @param {Number} length, Length of the render in frames
+ * @param {Number} sampleRate, Sample rate
+ * @return {Object} Fake OfflineAudioContext
+ */
+var createFakeOfflineAudioContext = function(numChannels, length, sampleRate) {
+  var context = createFakeAudioContext(sampleRate);
+  context.numberOfChannels = numChannels;
+  context.length = length;
+  context.fillRendered = null;
+  // Suspend times asked for, in the order they were asked for
+  context.suspendTimesSec = [];
+
+  var pendingSuspends = [];
+  var onResume = null;
+  context.suspend = function(timeSec) {
+    context.suspendTimesSec.push(timeSec);
+    return new Promise(function(resolve) {
+      pendingSuspends.push({timeSec: timeSec, resolve: resolve});
+    });
+  };
+  context.resume = function() {
+    if (onResume !== null) {
+      let callback = onResume;
+      onResume = null;
+      setTimeout(callback, 0);
+    }
+    return Promise.resolve();
+  };
+  context.startRendering = function() {
+    var durationSec = length / context.sampleRate;
+    return new Promise(function(resolve) {
+      var renderOn = function() {
+        pendingSuspends.sort(function(a, b) {
+          return a.timeSec - b.timeSec;
+        });
+        var next = pendingSuspends.shift();
+        if (next && next.timeSec < durationSec) {
+          context.currentTime = next.timeSec;
+          onResume = renderOn;
+          next.resolve();
+          return;
+        }
+        context.currentTime = durationSec;
+        var buffer = createFakeAudioBuffer(
+          numChannels, length, context.sampleRate);
+        if (typeof(context.fillRendered) === 'function') {
+          context.fillRendered(buffer);
+        }
+        resolve(buffer);
+      };
+      setTimeout(renderOn, 0);
+    });
+  };
+
+  return context;
+};
+
+
+module.exports = {
+  FakeAudioParam: FakeAudioParam,
+  FakeAudioNode: FakeAudioNode,
+  createFakeAudioBuffer: createFakeAudioBuffer,
+  createFakeAudioContext: createFakeAudioContext,
+  createFakeOfflineAudioContext: createFakeOfflineAudioContext
+};
@@ -0,0 +1,83 @@
+/**
+ * Stand ins for the Track and TrackAction models with just what the mixer
+ * uses.
+ */
+var TrackAction = require(
+  'static/js/player_app/model/action/track_action').TrackAction;
+
+
+/**
+ * Fully decoded track. Its audio buffer only has the properties the mixer
+ * reads - no sample data.
+ *
+ * @param {Object} options, Optional:
+ *   - guid: Defaults to 'track-a'
+ *   - bpm: Defaults to 120
+ *   - durationSec: Defaults to 300
+ *   - numChannels: Defaults to 2
+ *   - firstBeatOffsetMS: Defaults to 0
+ * @return {Object} Fake Track
+ */
+var createFakeTrack = function(options) {
+  options = options || {};
+  var guid = options.guid || 'track-a';
+  var bpm = options.bpm || 120;
+  var durationSec = options.durationSec || 300;
+  var audioBuffer = {
+    duration: durationSec,
+    length: durationSec * 44100,
+    numberOfChannels: options.numChannels || 2,
+    sampleRate: 44100
+  };
+
+  return {
+    getGuid: function() { return guid; },
+    getTitle: function() { return 'title ' + guid; },
+    getBpm: function() { return bpm; },
+    getFirstBeatOffsetMS: function() {
+      return options.firstBeatOffsetMS || 0;
+    },
+    getDurationMS: function() { return durationSec * 1000; },
+    getAudioBuffer: function() { return audioBuffer; },
+    getWindowedSource: function() { return null; },
+    isPlayable: function() { return true; },
+    isStatusLoadSuccess: function() { return true; }
+  };
+};
+
+
+/**
+ * @param {String} type, TrackAction.types type
+ * @param {Number} timeMS, Action time
+ * @param {Object} props, Optional action properties:
+ *   - trackGuid: Defaults to 'track-a'
+ *   - target: Defaults to TrackAction.targets.SOURCE
+ *   - offsetMS, pitch, endVal, fadeNumBeats, fadeCurve, resonance,
+ *     loopNumBeats, rollNumBeats
+ * @return {Object} Fake TrackAction
+ */
+var createFakeAction = function(type, timeMS, props) {
+  props = props || {};
+  return {
+    getActionType: function() { return type; },
+    getActionTimeMSAbs: function() { return timeMS; },
+    getActionTrackGuid: function() { return props.trackGuid || 'track-a'; },
+    getActionTarget: function() {
+      return props.target || TrackAction.targets.SOURCE;
+    },
+    getActionOffsetMS: function() { return props.offsetMS || 0; },
+    getPitchValueApplied: function() { return props.pitch; },
+    getEndVal: function() { return props.endVal; },
+    getFadeNumBeats: function() { return props.fadeNumBeats || 0; },
+    getFadeCurve: function() { return props.fadeCurve; },
+    getFilterResonance: function() { return props.resonance; },
+    getLoopNumBeats: function() { return props.loopNumBeats; },
+    getRollNumBeats: function() { return props.rollNumBeats; }
+  };
+};
+
+
+module.exports = {
+  createFakeTrack: createFakeTrack,
+  createFakeAction: createFakeAction
+};
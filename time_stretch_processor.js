@@ -0,0 +1,157 @@
+/**
+ * Time stretch processor for MixerChannel key lock. Runs on the audio
+ * rendering thread so it's loaded with audioWorklet.addModule() and can't
+ * import anything.
+ *
+ * The channel's source nodes change tempo with playbackRate, which shifts
+ * pitch by the same factor. This processor shifts the pitch back by
+ * 1 / playbackRate so the track plays at the new tempo in its original key.
+ *
+ * Pitch is shifted with two overlapping grains read from a delay line. Each
+ * grain's read position moves at the pitch factor while the delay line is
+ * written at normal speed, so the grain's delay drifts and wraps every
+ * GRAIN_FRAMES. The grains are half a grain apart and faded with sin^2
+ * windows that sum to 1, so one is always fading in while the other fades
+ * out at its wrap.
+ *
+ * Adds up to GRAIN_FRAMES of delay (~half that on average).
+ */
+
+
+/*** PRIVATE variables ***/
+var PROCESSOR_NAME = 'time-stretch-processor';
+// Length of each grain - long enough for low notes, short enough to keep
+// transients tight
+var GRAIN_FRAMES = 2048;
+// Delay line holds a grain plus room for interpolation - power of 2 so the
+// write index wraps with a mask
+var DELAY_LINE_FRAMES = 4096;
+var DELAY_LINE_MASK = DELAY_LINE_FRAMES - 1;
+var MIN_PLAYBACK_RATE = 0.25;
+var MAX_PLAYBACK_RATE = 4;
+
+
+/*** Class Definitions ***/
+
+class TimeStretchProcessor extends AudioWorkletProcessor {
+
+  static get parameterDescriptors () {
+    return [{
+      // playbackRate of the source nodes playing into the processor
+      name: 'playbackRate',
+      defaultValue: 1,
+      minValue: MIN_PLAYBACK_RATE,
+      maxValue: MAX_PLAYBACK_RATE,
+      automationRate: 'a-rate'
+    }];
+  }
+
+
+  constructor () {
+    super();
+    // delay line per channel - created as channels show up
+    this._delayLines = [];
+    this._writeIndex = 0;
+    // position of first grain through its cycle, 0 to 1
+    this._phase = 0;
+    this._isDestroyed = false;
+
+    var that = this;
+    this.port.onmessage = function(event) {
+      if (event.data && event.data.type === TimeStretchProcessor.messages.DESTROY) {
+        that._isDestroyed = true;
+      }
+    };
+  }
+
+
+  /**
+   * @param {Array} inputs, Input channel data - one input
+   * @param {Array} outputs, Output channel data - one output
+   * @param {Object} parameters, {playbackRate: Float32Array}
+   * @return {Boolean} False once destroyed so the node can be collected
+   */
+  process (inputs, outputs, parameters) {
+    if (this._isDestroyed) {
+      return false;
+    }
+    var input = inputs[0];
+    var output = outputs[0];
+    var rates = parameters.playbackRate;
+    var numFrames = output[0].length;
+
+    while (this._delayLines.length < input.length) {
+      this._delayLines.push(new Float32Array(DELAY_LINE_FRAMES));
+    }
+
+    var writeIndex = this._writeIndex;
+    var phase = this._phase;
+    for (let i = 0; i < numFrames; i++) {
+      let rate = rates.length > 1 ? rates[i] : rates[0];
+      let pitchFactor = 1 / rate;
+      let otherPhase = (phase + 0.5) % 1;
+
+      for (let channel = 0; channel < output.length; channel++) {
+        let delayLine = this._delayLines[channel];
+        if (!delayLine) {
+          output[channel][i] = 0;
+          continue;
+        }
+        delayLine[writeIndex] = input[channel] ? input[channel][i] : 0;
+
+        output[channel][i] = _readGrain(delayLine, writeIndex, phase) +
+          _readGrain(delayLine, writeIndex, otherPhase);
+      }
+
+      writeIndex = (writeIndex + 1) & DELAY_LINE_MASK;
+      // delay shrinks when reading faster than writing
+      phase = (phase + (1 - pitchFactor) / GRAIN_FRAMES + 1) % 1;
+    }
+    this._writeIndex = writeIndex;
+    this._phase = phase;
+
+    return true;
+  }
+
+}
+
+
+/*** PRIVATE functions ***/
+
+
+/**
+ * @param {Object} delayLine, Float32Array of DELAY_LINE_FRAMES
+ * @param {Number} index, Fractional frame index - may be negative
+ * @return {Number} Linear interpolated sample at index
+ */
+var _readDelayLine = function(delayLine, index) {
+  var floorIndex = Math.floor(index);
+  var fraction = index - floorIndex;
+  var sampleA = delayLine[floorIndex & DELAY_LINE_MASK];
+  var sampleB = delayLine[(floorIndex + 1) & DELAY_LINE_MASK];
+  return sampleA + (sampleB - sampleA) * fraction;
+};
+
+
+/**
+ * @param {Object} delayLine, Float32Array of DELAY_LINE_FRAMES
+ * @param {Number} writeIndex, Frame index last written to delayLine
+ * @param {Number} grainPhase, Position of grain through its cycle, 0 to 1
+ * @return {Number} Windowed sample of grain
+ */
+var _readGrain = function(delayLine, writeIndex, grainPhase) {
+  var window = Math.sin(Math.PI * grainPhase);
+  return window * window * _readDelayLine(
+    delayLine, writeIndex - grainPhase * GRAIN_FRAMES);
+};
+
+
+/*** Constants ***/
+TimeStretchProcessor.messages = {};
+Object.defineProperties(TimeStretchProcessor.messages, {
+  // stop processing for good - posted when the channel drops the node
+  DESTROY: {value: 'destroy', writable: false}
+});
+
+
+registerProcessor(PROCESSOR_NAME, TimeStretchProcessor);
@@ -1,49 +1,121 @@
 import {AudioGraphStore} from 'static/js/player_app/stores/audio_graph_store';
 import {Track} from 'static/js/player_app/model/track';
+import {WindowedTrackSource} from
+  'static/js/player_app/logic/windowed_track_source';
+import {IllegalParam} from 'static/js/player_app/shared/exception';
 import {TrackCacheOutOfMemory} from 'static/js/player_app/shared/exception';
 
-import {TrackStore} from 'static/js/player_app/stores/track_store';
+// PCM is decoded to Float32 samples
+var BYTES_PER_SAMPLE = 4;
+// Used to estimate size of tracks that haven't been decoded yet
+var DEFAULT_SAMPLE_RATE = 44100;
+var DEFAULT_NUM_CHANNELS = 2;
+// Estimated duration for tracks with no duration info (~5 min track)
+var DEFAULT_TRACK_DURATION_SEC = 300;
+// Memory budget for decoded audio per device class. Google chrome will stop
+// and reload a background tab that uses too much memory. This happened on
+// the Samsung Galaxy Tab Elite with 1GB memory (cheap $100 tablet) at ~6
+// tracks of decoded audio, hence the LOW_MEMORY budget.
+var MB = 1024 * 1024;
+var DEVICE_CLASS_BUDGETS = {
+  'low-memory': 250 * MB,
+  'mobile': 500 * MB,
+  'desktop': 1536 * MB
+};
+
 
 /**
- * Track cache. Key is a tracks id field.
+ * Track cache constructor. Every instance has its own cache so independent
+ * decks / audio contexts can each have one.
  *
- * {
- *   'com.soundcloud~1253': <Track object>,
- *   'com.soundcloud~4859': <Track object>
- *   ...
- * }
+ * Memory budget defaults to the budget for the detected device class.
  *
- * TODO: TURN THIS into non-static class!
+ * @param {Function} tracksInUseProvider, Returns Array of guids of tracks
+ *   that are in use (e.g. bound to a channel) and must not be evicted.
+ *   Defaults to no tracks in use.
  */
-var _cache = {};
-// Tracks in memory needs to be around 4 (todo: figure out actual memory
-// limitation) on mobile because google chrome will stop and reload a
-// background tab that uses too much memory. This happened on the Samsung
-// Galaxy Tab Elite with 1GB memory. (cheap $100 tablet)
-// todo: track cache loads need to be prioritized. Max memory issues still
-//   needs a solution
-var MAX_TRACKS = 6;  // hack for tracking cache size for now
+var TrackCache = function (tracksInUseProvider) {
+  /**
+   * Cached tracks. Key is a tracks id field.
+   *
+   * {
+   *   'com.soundcloud~1253': <Track object>,
+   *   'com.soundcloud~4859': <Track object>
+   *   ...
+   * }
+   */
+  this._cache = {};
+  // Bookkeeping used by eviction policies and size estimates. Key is track
+  // guid.
+  //   {<track guid>: {lastAccessMS, lastPlayedMS, priority, isWindowed}}
+  this._cacheMeta = {};
+  // Track guids that must not be evicted. Can contain guids of tracks not in
+  // the cache yet so UI can pin a track before it's loaded.
+  this._pinnedTrackGuids = {};
 
+  this.tracksInUseProvider = typeof(tracksInUseProvider) === 'function' ?
+    tracksInUseProvider : function() {
+      return [];
+    };
+  this.memoryBudgetBytes = DEVICE_CLASS_BUDGETS[_detectDeviceClass()];
+  this.evictionPolicy = TrackCache.evictionPolicies.LRU;
+  // Optional function(track, meta) -> Number used by the PRIORITY policy.
+  // Lower scores are evicted first. Defaults to meta.priority.
+  this.priorityScoreFn = null;
+};
 
+
+var tcInstance = null;
 /**
- * Track Cache loader singleton constructor - getInstance()
+ * Shared app wide cache whose tracks in use are the tracks bound to channels
+ * in the AudioGraphStore.
+ *
+ * TODO: remove once callers construct and pass their own cache
+ *
+ * @return {Object} TrackCache instance
  */
-var TrackCache = {};
-var tcInstance = null;
 TrackCache.getInstance = function() {
   if (!tcInstance) {
-    tcInstance = new TrackCacheInst();
+    tcInstance = new TrackCache(function() {
+      return AudioGraphStore.getTrackGuids();
+    });
   }
   return tcInstance;
 };
 
-/*** Actual track cache instance constructor ***/
+
 /**
- * TrackCache instance constructor
- *
+ * Estimate memory the track's audio takes up (or will take up once decoded).
+ * Decoded PCM is length x channels x 4 bytes. Windowed tracks take up their
+ * encoded audio plus the PCM windows decoded while playing. Tracks that
+ * aren't decoded yet are estimated from their duration.
  *
+ * @param {Object} track, Track object
+ * @param {Boolean} isWindowed, True if the track is being decoded as a
+ *   windowed track - only matters until it's decoded. Defaults to false.
+ * @return {Number} Estimated number of bytes
  */
-var TrackCacheInst = function () {};
+TrackCache.estimateTrackBytes = function(track, isWindowed) {
+  var audioBuffer = track.getAudioBuffer();
+  if (audioBuffer) {
+    return audioBuffer.length * audioBuffer.numberOfChannels * BYTES_PER_SAMPLE;
+  }
+  var windowedSource = track.getWindowedSource();
+  if (windowedSource) {
+    return windowedSource.getMemoryBytes();
+  }
+
+  var durationSec = DEFAULT_TRACK_DURATION_SEC;
+  var durationMS = track.getDurationMS();
+  if (typeof(durationMS) === 'number' && durationMS > 0) {
+    durationSec = durationMS / 1000;
+  }
+  if (isWindowed) {
+    return WindowedTrackSource.estimateMemoryBytes(durationSec);
+  }
+  return Math.ceil(durationSec * DEFAULT_SAMPLE_RATE) * DEFAULT_NUM_CHANNELS *
+    BYTES_PER_SAMPLE;
+};
 
 
 /*** PUBLIC prototype functions ***/
@@ -54,20 +126,32 @@ var TrackCacheInst = function () {};
  * status to LOADING. Throws exception if cache is full.
  *
  * @param {Object} track, Track object
+ * @param {Object} options, Optional:
+ *   - isWindowed: True if the track will be decoded as a windowed track so
+ *     space is made for its encoded audio instead of all of its PCM
  * @return {Boolean} true if track added, false otherwise
  */
-TrackCacheInst.prototype.addTrackAsLoading = function(track) {
-  if (!_checkAndMakeSpace(track.getGuid())) {
-    throw new TrackCacheOutOfMemory(
+TrackCache.prototype.addTrackAsLoading = function(track, options) {
+  _getMeta(this, track.getGuid()).isWindowed =
+    Boolean(options && options.isWindowed);
+  if (!_checkAndMakeSpace(this, track)) {
+    let usageBytes = this.getMemoryUsage();
+    let error = new TrackCacheOutOfMemory(
       this, 'addTrackAsLoading',
-      'cache full - num tracks loaded or loading: ' + _getNumTracksLoadedOrLoading());
+      'cache full - bytes used: ' + usageBytes + ', bytes needed: ' +
+      _estimateTrackBytes(this, track) + ', budget: ' +
+      this.memoryBudgetBytes);
+    error.usageBytes = usageBytes;
+    error.budgetBytes = this.memoryBudgetBytes;
+    throw error;
   }
 
   track.setStatusLoading();
 
   if (!this.contains(track.getGuid())) {
-    _cache[track.getGuid()] = track;
+    this._cache[track.getGuid()] = track;
   }
+  _getMeta(this, track.getGuid()).lastAccessMS = Date.now();
 
   return true;
 };
@@ -79,8 +163,8 @@ TrackCacheInst.prototype.addTrackAsLoading = function(track) {
  * @param {String} trackGuid, Track guid
  * @return {Boolean} true if cache contains track
  */
-TrackCacheInst.prototype.contains = function(trackGuid) {
-  return trackGuid in _cache;
+TrackCache.prototype.contains = function(trackGuid) {
+  return trackGuid in this._cache;
 };
 
 
@@ -89,9 +173,11 @@ TrackCacheInst.prototype.contains = function(trackGuid) {
  *
  * @return {Boolean} True if track was found and removed. False if not found.
  */
-TrackCacheInst.prototype._destroy = function(trackGuid) {
+TrackCache.prototype._destroy = function(trackGuid) {
   if (this.contains(trackGuid)) {
-    delete _cache[trackGuid];
+    delete this._cache[trackGuid];
+    // keep meta so priority set with setTrackPriority() outlives the track
+    // being reloaded
     return true;
   }
 
@@ -100,85 +186,324 @@ TrackCacheInst.prototype._destroy = function(trackGuid) {
 
 
 /**
- * Gets track object from cache.
+ * Gets track object from cache. Counts as an access for the LRU policy.
  *
  * @return {Object} Track object or null if not found
  */
-TrackCacheInst.prototype.getTrack = function(trackGuid) {
+TrackCache.prototype.getTrack = function(trackGuid) {
   if (this.contains(trackGuid)) {
-    return _cache[trackGuid];
+    _getMeta(this, trackGuid).lastAccessMS = Date.now();
+    return this._cache[trackGuid];
   }
   return null;
 };
 
 
+/**
+ * Frees the track's slot in the cache, e.g. when its load was cancelled.
+ * Track status is set to not loaded and the track is removed from the cache.
+ *
+ * @param {String} trackGuid, Track guid
+ * @return {Boolean} True if track was in the cache
+ */
+TrackCache.prototype.releaseTrack = function(trackGuid) {
+  var track = this._cache[trackGuid];
+  if (!track) {
+    return false;
+  }
+  let shouldUnloadBuffer = true;
+  track.setStatusNotLoaded(shouldUnloadBuffer);
+  return this._destroy(trackGuid);
+};
+
+
+/**
+ * @param {String} trackGuid, Track guid
+ * @return {Boolean} True if track is pinned
+ */
+TrackCache.prototype.isPinned = function(trackGuid) {
+  return trackGuid in this._pinnedTrackGuids;
+};
+
+
+/**
+ * Records that the track was played. Used by the LEAST_RECENTLY_PLAYED
+ * policy.
+ *
+ * @param {String} trackGuid, Track guid
+ */
+TrackCache.prototype.markTrackPlayed = function(trackGuid) {
+  if (this.contains(trackGuid)) {
+    _getMeta(this, trackGuid).lastPlayedMS = Date.now();
+  }
+};
+
+
+/**
+ * Protects track from eviction, e.g. a track the user is about to cue that
+ * isn't bound to a channel yet. Track doesn't need to be in the cache yet.
+ *
+ * @param {String} trackGuid, Track guid
+ */
+TrackCache.prototype.pinTrack = function(trackGuid) {
+  this._pinnedTrackGuids[trackGuid] = true;
+};
+
+
+/**
+ * @param {String} trackGuid, Track guid
+ * @return {Boolean} True if track was pinned
+ */
+TrackCache.prototype.unpinTrack = function(trackGuid) {
+  if (this.isPinned(trackGuid)) {
+    delete this._pinnedTrackGuids[trackGuid];
+    return true;
+  }
+  return false;
+};
+
+
+/**
+ * @return {Number} Memory budget for decoded audio in bytes
+ */
+TrackCache.prototype.getMemoryBudget = function() {
+  return this.memoryBudgetBytes;
+};
+
+
+/**
+ * Sum of the estimated size of all loaded and loading tracks.
+ *
+ * @return {Number} Bytes of memory used by the cache
+ */
+TrackCache.prototype.getMemoryUsage = function() {
+  var usageBytes = 0;
+  for (let trackGuid in this._cache) {
+    let track = this._cache[trackGuid];
+    if (track.isStatusLoadSuccess() || track.isStatusLoading()) {
+      usageBytes += _estimateTrackBytes(this, track);
+    }
+  }
+
+  return usageBytes;
+};
+
+
+/**
+ * Sets memory budget to the default for a device class. Tracks already
+ * loaded are not evicted until space is needed.
+ *
+ * @param {String} deviceClass, TrackCache.deviceClasses type
+ */
+TrackCache.prototype.setDeviceClass = function(deviceClass) {
+  if (!(deviceClass in DEVICE_CLASS_BUDGETS)) {
+    throw new IllegalParam(
+      this, 'setDeviceClass', 'unknown device class: ' + deviceClass);
+  }
+  this.memoryBudgetBytes = DEVICE_CLASS_BUDGETS[deviceClass];
+};
+
+
+/**
+ * @param {String} evictionPolicy, TrackCache.evictionPolicies type
+ * @param {Function} priorityScoreFn, Only for PRIORITY policy - optional
+ *   function(track, meta) returning a score. Lower scores are evicted first.
+ *   meta is {lastAccessMS, lastPlayedMS, priority}. Defaults to
+ *   meta.priority (see setTrackPriority).
+ */
+TrackCache.prototype.setEvictionPolicy = function(
+    evictionPolicy, priorityScoreFn) {
+  if (!(evictionPolicy in _EVICTION_COMPARATORS)) {
+    throw new IllegalParam(
+      this, 'setEvictionPolicy', 'unknown eviction policy: ' + evictionPolicy);
+  }
+  this.evictionPolicy = evictionPolicy;
+  this.priorityScoreFn = typeof(priorityScoreFn) === 'function' ?
+    priorityScoreFn : null;
+};
+
+
+/**
+ * Sets priority used by the PRIORITY eviction policy's default score. Lower
+ * priority tracks are evicted first.
+ *
+ * @param {String} trackGuid, Track guid
+ * @param {Number} priority, Priority score
+ */
+TrackCache.prototype.setTrackPriority = function(trackGuid, priority) {
+  _getMeta(this, trackGuid).priority = priority;
+};
+
+
+/**
+ * @param {Number} budgetBytes, Memory budget for decoded audio in bytes
+ */
+TrackCache.prototype.setMemoryBudget = function(budgetBytes) {
+  if (typeof(budgetBytes) !== 'number' || !(budgetBytes > 0)) {
+    throw new IllegalParam(
+      this, 'setMemoryBudget', 'budget not positive number: ' + budgetBytes);
+  }
+  this.memoryBudgetBytes = budgetBytes;
+};
+
+
 /*** PRIVATE functions ***/
 
 /**
- * Checks if there is space in the cache for another track and clears space
+ * Checks if there is space in the cache for the track and clears space
  * if needed / possible. Tracks that are bound to a channel cannot be freed
- * because the assumption is that they are needed for playback.
+ * because the assumption is that they are needed for playback. Pinned tracks
+ * cannot be freed either. Tracks are freed in the order picked by the cache's
+ * eviction policy.
  *
- * @param {String} targetTrackGuid, Track guid string for track that we're trying to
- *   make space for.
+ * @param {Object} tc, TrackCache instance
+ * @param {Object} targetTrack, Track object that we're trying to make space
+ *   for.
  * @return {Boolean} true if there's enough space, false if cache full.
  */
-var _checkAndMakeSpace = function (targetTrackGuid) {
-  var numTracksLoadedOrLoading = _getNumTracksLoadedOrLoading();
-  if (numTracksLoadedOrLoading >= MAX_TRACKS) {
-    // First check if track we're trying to make memory for is already loaded
-    // or is loading. If that's the case, then we don't need space.
-    if (typeof(targetTrackGuid) === 'string') {
-      let track = _cache[targetTrackGuid];
-      if (track && (track.isStatusLoadSuccess() || track.isStatusLoading())) {
-        return true;
-      }
-    }
+var _checkAndMakeSpace = function (tc, targetTrack) {
+  // First check if track we're trying to make memory for is already loaded
+  // or is loading. If that's the case, then we don't need space.
+  var cachedTrack = tc._cache[targetTrack.getGuid()];
+  if (cachedTrack &&
+      (cachedTrack.isStatusLoadSuccess() || cachedTrack.isStatusLoading())) {
+    return true;
+  }
+
+  var bytesNeeded = _estimateTrackBytes(tc, targetTrack);
+  if (bytesNeeded > tc.memoryBudgetBytes) {
+    // won't fit even if everything else is evicted
+    return false;
+  }
 
-    // Tracks that are bound to channels are kept in memory because they can
-    // be played at any time.
-    var trackGuidsInChannels = AudioGraphStore.getTrackGuids();
-    var madeRoom = false;
-
-    // For each track in the cache, if it's loaded (taking up memory) and not
-    // used in a channel (not being played), then we can deallocate it
-    for (let trackGuid in _cache) {
-      let track = _cache[trackGuid];
-      if (track.isStatusLoadSuccess() &&
-          trackGuidsInChannels.indexOf(trackGuid) === -1) {
-        let shouldUnloadBuffer = true;
-        track.setStatusNotLoaded(shouldUnloadBuffer);
-        madeRoom = true;
-        break;
-      }
+  // Tracks that are bound to channels are kept in memory because they can
+  // be played at any time.
+  var trackGuidsInChannels = tc.tracksInUseProvider();
+  var usageBytes = tc.getMemoryUsage();
+
+  // For each track in the cache, if it's loaded (taking up memory), not
+  // used in a channel (not being played) and not pinned, then we can
+  // deallocate it
+  var evictableTracks = [];
+  for (let trackGuid in tc._cache) {
+    let track = tc._cache[trackGuid];
+    if (track.isStatusLoadSuccess() &&
+        trackGuidsInChannels.indexOf(trackGuid) === -1 &&
+        !tc.isPinned(trackGuid)) {
+      evictableTracks.push(track);
     }
+  }
+  evictableTracks.sort(_EVICTION_COMPARATORS[tc.evictionPolicy].bind(null, tc));
+
+  // Don't drop anything if evicting everything we can still won't make room
+  var evictableBytes = 0;
+  for (let track of evictableTracks) {
+    evictableBytes += _estimateTrackBytes(tc, track);
+  }
+  if (usageBytes - evictableBytes + bytesNeeded > tc.memoryBudgetBytes) {
+    return false;
+  }
 
-    if (madeRoom) {
-      return true;
-    } else {
-      return false;
+  for (let track of evictableTracks) {
+    if (usageBytes + bytesNeeded <= tc.memoryBudgetBytes) {
+      break;
     }
+    usageBytes -= _estimateTrackBytes(tc, track);
+    let shouldUnloadBuffer = true;
+    track.setStatusNotLoaded(shouldUnloadBuffer);
   }
 
-  return true;
+  return usageBytes + bytesNeeded <= tc.memoryBudgetBytes;
 };
 
+
 /**
- * Count number of loaded and loading tracks.
- *
- * @return {Number} Number of tracks that will take up memory
+ * @param {Object} tc, TrackCache instance
+ * @param {Object} track, Track object
+ * @return {Number} Estimated number of bytes - see estimateTrackBytes
  */
-var _getNumTracksLoadedOrLoading = function () {
-  var count = 0;
-  for (let trackGuid in _cache) {
-    let track = _cache[trackGuid];
-    if (track.isStatusLoadSuccess() || track.isStatusLoading()) {
-      count ++;
-    }
+var _estimateTrackBytes = function (tc, track) {
+  return TrackCache.estimateTrackBytes(
+    track, _getMeta(tc, track.getGuid()).isWindowed);
+};
+
+
+/**
+ * @param {Object} tc, TrackCache instance
+ * @param {String} trackGuid, Track guid
+ * @return {Object} Eviction bookkeeping for track - created if missing
+ */
+var _getMeta = function (tc, trackGuid) {
+  if (!(trackGuid in tc._cacheMeta)) {
+    tc._cacheMeta[trackGuid] = {
+      lastAccessMS: 0, lastPlayedMS: 0, priority: 0, isWindowed: false};
   }
+  return tc._cacheMeta[trackGuid];
+};
+
 
-  return count;
+/**
+ * Sort comparators for each eviction policy. Tracks sorted first are evicted
+ * first. Each takes (tc, trackA, trackB).
+ */
+var _EVICTION_COMPARATORS = {
+  'lru': function (tc, trackA, trackB) {
+    return _getMeta(tc, trackA.getGuid()).lastAccessMS -
+      _getMeta(tc, trackB.getGuid()).lastAccessMS;
+  },
+  'least-recently-played': function (tc, trackA, trackB) {
+    // never played tracks go first, ties broken by last access
+    var metaA = _getMeta(tc, trackA.getGuid());
+    var metaB = _getMeta(tc, trackB.getGuid());
+    return (metaA.lastPlayedMS - metaB.lastPlayedMS) ||
+      (metaA.lastAccessMS - metaB.lastAccessMS);
+  },
+  'priority': function (tc, trackA, trackB) {
+    var scoreFn = tc.priorityScoreFn || function (track, meta) {
+      return meta.priority;
+    };
+    return scoreFn(trackA, _getMeta(tc, trackA.getGuid())) -
+      scoreFn(trackB, _getMeta(tc, trackB.getGuid()));
+  }
 };
 
 
+/**
+ * Picks a device class from navigator.deviceMemory (GB of RAM) where the
+ * browser reports it. Assumes desktop otherwise.
+ *
+ * @return {String} TrackCache.deviceClasses type
+ */
+var _detectDeviceClass = function () {
+  var deviceMemoryGB = typeof(navigator) !== 'undefined' ?
+    navigator.deviceMemory : undefined;
+  if (typeof(deviceMemoryGB) !== 'number') {
+    return TrackCache.deviceClasses.DESKTOP;
+  }
+  if (deviceMemoryGB <= 1) {
+    return TrackCache.deviceClasses.LOW_MEMORY;
+  }
+  if (deviceMemoryGB <= 4) {
+    return TrackCache.deviceClasses.MOBILE;
+  }
+  return TrackCache.deviceClasses.DESKTOP;
+};
+
+
+/*** Constants ***/
+TrackCache.deviceClasses = {};
+Object.defineProperties(TrackCache.deviceClasses, {
+  LOW_MEMORY: {value: 'low-memory', writable: false},
+  MOBILE: {value: 'mobile', writable: false},
+  DESKTOP: {value: 'desktop', writable: false}
+});
+
+TrackCache.evictionPolicies = {};
+Object.defineProperties(TrackCache.evictionPolicies, {
+  LRU: {value: 'lru', writable: false},
+  LEAST_RECENTLY_PLAYED: {value: 'least-recently-played', writable: false},
+  PRIORITY: {value: 'priority', writable: false}
+});
+
+
 export {TrackCache};
@@ -0,0 +1,245 @@
+/**
+ * Unit test for TrackCache
+ */
+
+// common testing infrastructure mocha-sinon-chai
+var sinon = require('sinon');
+var chai = require('chai');
+var sinonChai = require('sinon-chai');
+var expect = chai.expect;
+chai.use(sinonChai);
+
+var TrackCache = require(
+  'static/js/player_app/logic/track_cache').TrackCache;
+var TrackCacheOutOfMemory = require(
+  'static/js/player_app/shared/exception').TrackCacheOutOfMemory;
+
+
+// Decoded size of a 1 sec track - stereo 44.1kHz Float32 frames, same as the
+// cache's estimate before it's decoded
+var TRACK_BYTES = 44100 * 2 * 4;
+
+
+/**
+ * Track stand in with just the status handling the cache uses. Decodes to 1
+ * sec of audio.
+ *
+ * @param {String} guid, Track guid
+ * @param {Number} durationMS, Duration from the track's meta info. Defaults
+ *   to 1000.
+ * @return {Object} Fake Track
+ */
+var createFakeTrack = function(guid, durationMS) {
+  var status = 'not-loaded';
+  var audioBuffer = null;
+  return {
+    getGuid: function() { return guid; },
+    getAudioBuffer: function() { return audioBuffer; },
+    getWindowedSource: function() { return null; },
+    getDurationMS: function() { return durationMS || 1000; },
+    isStatusLoading: function() { return status === 'loading'; },
+    isStatusLoadSuccess: function() { return status === 'success'; },
+    setStatusLoading: function() { status = 'loading'; },
+    setStatusLoadSuccess: function() {
+      status = 'success';
+      audioBuffer = {length: 44100, numberOfChannels: 2};
+    },
+    setStatusNotLoaded: function() {
+      status = 'not-loaded';
+      audioBuffer = null;
+    }
+  };
+};
+
+
+describe('TrackCache', function() {
+  var clock;
+  var trackGuidsInUse;
+  var cache;
+  var tracks;
+
+  beforeEach(function() {
+    clock = sinon.useFakeTimers({now: 1000, toFake: ['Date']});
+    trackGuidsInUse = [];
+    cache = new TrackCache(function() {
+      return trackGuidsInUse;
+    });
+    // room for 2 tracks
+    cache.setMemoryBudget(2.5 * TRACK_BYTES);
+    tracks = {
+      a: createFakeTrack('a'),
+      b: createFakeTrack('b'),
+      c: createFakeTrack('c')
+    };
+  });
+
+  afterEach(function() {
+    clock.restore();
+  });
+
+  /**
+   * Adds the tracks to the cache and loads them one after the other
+   *
+   * @param {Array} trackGuids, Guids of tracks to load
+   */
+  var loadTracks = function(trackGuids) {
+    for (let trackGuid of trackGuids) {
+      cache.addTrackAsLoading(tracks[trackGuid]);
+      tracks[trackGuid].setStatusLoadSuccess();
+      clock.tick(10);
+    }
+  };
+
+  /**
+   * @return {Array} Guids of tracks still loaded
+   */
+  var getLoadedGuids = function() {
+    return Object.keys(tracks).filter(function(trackGuid) {
+      return tracks[trackGuid].isStatusLoadSuccess() ||
+        tracks[trackGuid].isStatusLoading();
+    });
+  };
+
+  describe('memory budget', function() {
+
+    it('counts loading and loaded tracks', function() {
+      loadTracks(['a']);
+      cache.addTrackAsLoading(tracks.b);
+
+      expect(cache.getMemoryUsage()).to.equal(2 * TRACK_BYTES);
+    });
+
+    it('rejects tracks bigger than the budget', function() {
+      cache.setMemoryBudget(TRACK_BYTES - 1);
+
+      expect(function() {
+        cache.addTrackAsLoading(tracks.a);
+      }).to.throw(TrackCacheOutOfMemory);
+    });
+
+    it('estimates windowed tracks by their encoded audio', function() {
+      var track = createFakeTrack('d', 600 * 1000);
+      var fullBytes = TrackCache.estimateTrackBytes(track);
+      var windowedBytes = TrackCache.estimateTrackBytes(track, true);
+
+      expect(windowedBytes).to.be.below(fullBytes / 3);
+      cache.setMemoryBudget(windowedBytes);
+      cache.addTrackAsLoading(track, {isWindowed: true});
+      expect(cache.getMemoryUsage()).to.equal(windowedBytes);
+    });
+
+  });
+
+  describe('eviction', function() {
+
+    it('evicts the least recently used track', function() {
+      loadTracks(['a', 'b']);
+      cache.getTrack('a');
+
+      loadTracks(['c']);
+      expect(getLoadedGuids()).to.deep.equal(['a', 'c']);
+    });
+
+    it('evicts the least recently played track', function() {
+      cache.setEvictionPolicy(
+        TrackCache.evictionPolicies.LEAST_RECENTLY_PLAYED);
+      loadTracks(['a', 'b']);
+      cache.markTrackPlayed('b');
+      clock.tick(10);
+      cache.markTrackPlayed('a');
+
+      loadTracks(['c']);
+      expect(getLoadedGuids()).to.deep.equal(['a', 'c']);
+    });
+
+    it('evicts never played tracks first', function() {
+      cache.setEvictionPolicy(
+        TrackCache.evictionPolicies.LEAST_RECENTLY_PLAYED);
+      loadTracks(['a', 'b']);
+      cache.markTrackPlayed('a');
+
+      loadTracks(['c']);
+      expect(getLoadedGuids()).to.deep.equal(['a', 'c']);
+    });
+
+    it('evicts the lowest priority track', function() {
+      cache.setEvictionPolicy(TrackCache.evictionPolicies.PRIORITY);
+      cache.setTrackPriority('a', 2);
+      cache.setTrackPriority('b', 1);
+      loadTracks(['a', 'b']);
+
+      loadTracks(['c']);
+      expect(getLoadedGuids()).to.deep.equal(['a', 'c']);
+    });
+
+    it('scores with the priority function', function() {
+      var scoreFn = sinon.spy(function(track) {
+        return track.getGuid() === 'a' ? 0 : 1;
+      });
+      cache.setEvictionPolicy(TrackCache.evictionPolicies.PRIORITY, scoreFn);
+      loadTracks(['a', 'b']);
+
+      loadTracks(['c']);
+      expect(getLoadedGuids()).to.deep.equal(['b', 'c']);
+      expect(scoreFn).to.have.been.called;
+    });
+
+    it('keeps priority of a released track', function() {
+      cache.setEvictionPolicy(TrackCache.evictionPolicies.PRIORITY);
+      cache.setTrackPriority('a', 2);
+      loadTracks(['a']);
+      cache.releaseTrack('a');
+
+      loadTracks(['b', 'a', 'c']);
+      expect(getLoadedGuids()).to.deep.equal(['a', 'c']);
+    });
+
+    it('does not evict anything if it cannot make enough room', function() {
+      loadTracks(['a']);
+      cache.addTrackAsLoading(tracks.b);
+      var longTrack = createFakeTrack('d', 2000);
+
+      // b is still loading so evicting a leaves too little room
+      expect(function() {
+        cache.addTrackAsLoading(longTrack);
+      }).to.throw(TrackCacheOutOfMemory);
+      expect(getLoadedGuids()).to.deep.equal(['a', 'b']);
+    });
+
+    it('does not evict tracks in use', function() {
+      loadTracks(['a', 'b']);
+      trackGuidsInUse = ['a'];
+
+      loadTracks(['c']);
+      expect(getLoadedGuids()).to.deep.equal(['a', 'c']);
+    });
+
+  });
+
+  describe('pinTrack', function() {
+
+    it('protects the track from eviction', function() {
+      cache.pinTrack('a');
+      cache.pinTrack('b');
+      loadTracks(['a', 'b']);
+
+      expect(function() {
+        cache.addTrackAsLoading(tracks.c);
+      }).to.throw(TrackCacheOutOfMemory);
+      expect(getLoadedGuids()).to.deep.equal(['a', 'b']);
+    });
+
+    it('can be undone with unpinTrack', function() {
+      cache.pinTrack('a');
+      cache.pinTrack('b');
+      loadTracks(['a', 'b']);
+      cache.unpinTrack('a');
+
+      expect(cache.isPinned('a')).to.equal(false);
+      loadTracks(['c']);
+      expect(getLoadedGuids()).to.deep.equal(['b', 'c']);
+    });
+
+  });
+
+});
@@ -0,0 +1,128 @@
+/**
+ * Encodes an AudioBuffer as a PCM WAV file. Samples are clipped to -1 to 1
+ * and written interleaved, little-endian, at 16 or 24 bits.
+ */
+import _ from 'underscore';
+
+import {IllegalParam} from 'static/js/player_app/shared/exception';
+
+
+/*** PRIVATE variables ***/
+var HEADER_BYTES = 44;
+var FMT_CHUNK_BYTES = 16;
+var FORMAT_PCM = 1;
+
+
+/*** Class Definitions ***/
+
+var WavEncoder = {};
+
+
+/**
+ * @param {Object} audioBuffer, AudioBuffer to encode
+ * @param {Number} bitDepth, WavEncoder.bitDepths type. Defaults to PCM_16.
+ * @return {Object} ArrayBuffer of the WAV file
+ */
+WavEncoder.encode = function(audioBuffer, bitDepth) {
+  bitDepth = bitDepth || WavEncoder.bitDepths.PCM_16;
+  if (!_.contains(
+      [WavEncoder.bitDepths.PCM_16, WavEncoder.bitDepths.PCM_24], bitDepth)) {
+    throw new IllegalParam(WavEncoder, 'encode', 'unsupported bitDepth: ' + bitDepth);
+  }
+
+  var numChannels = audioBuffer.numberOfChannels;
+  var numFrames = audioBuffer.length;
+  var bytesPerSample = bitDepth / 8;
+  var blockAlign = numChannels * bytesPerSample;
+  var dataBytes = numFrames * blockAlign;
+  var wav = new ArrayBuffer(HEADER_BYTES + dataBytes);
+  var view = new DataView(wav);
+
+  _writeHeader(
+    view, numChannels, audioBuffer.sampleRate, bitDepth, blockAlign,
+    dataBytes);
+
+  var channels = [];
+  for (let channel = 0; channel < numChannels; channel++) {
+    channels.push(audioBuffer.getChannelData(channel));
+  }
+  // full scale - positive side is one step short of the negative side
+  var maxVal = Math.pow(2, bitDepth - 1);
+  var offset = HEADER_BYTES;
+  for (let i = 0; i < numFrames; i++) {
+    for (let channel = 0; channel < numChannels; channel++) {
+      let sample = Math.min(Math.max(channels[channel][i], -1), 1);
+      let intVal = Math.min(Math.round(sample * maxVal), maxVal - 1);
+      if (bitDepth === WavEncoder.bitDepths.PCM_16) {
+        view.setInt16(offset, intVal, true);
+      } else {
+        // 24 bit - low 16 bits then the signed top byte
+        view.setUint16(offset, intVal & 0xffff, true);
+        view.setInt8(offset + 2, intVal >> 16);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return wav;
+};
+
+
+/*** PRIVATE functions ***/
+
+
+/**
+ * @param {Object} view, DataView of the WAV file
+ * @param {Number} offset, Byte offset to write at
+ * @param {String} str, ASCII string to write
+ */
+var _writeAscii = function(view, offset, str) {
+  for (let i = 0; i < str.length; i++) {
+    view.setUint8(offset + i, str.charCodeAt(i));
+  }
+};
+
+
+/**
+ * Write the RIFF header, fmt chunk and data chunk header.
+ *
+ * @param {Object} view, DataView of the WAV file
+ * @param {Number} numChannels, Number of channels
+ * @param {Number} sampleRate, Sample rate
+ * @param {Number} bitDepth, Bits per sample
+ * @param {Number} blockAlign, Bytes per frame
+ * @param {Number} dataBytes, Bytes of sample data
+ */
+var _writeHeader = function(
+    view, numChannels, sampleRate, bitDepth, blockAlign, dataBytes) {
+  _writeAscii(view, 0, 'RIFF');
+  view.setUint32(4, HEADER_BYTES - 8 + dataBytes, true);
+  _writeAscii(view, 8, 'WAVE');
+
+  _writeAscii(view, 12, 'fmt ');
+  view.setUint32(16, FMT_CHUNK_BYTES, true);
+  view.setUint16(20, FORMAT_PCM, true);
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bitDepth, true);
+
+  _writeAscii(view, 36, 'data');
+  view.setUint32(40, dataBytes, true);
+};
+
+
+/*** Constants ***/
+WavEncoder.bitDepths = {};
+Object.defineProperties(WavEncoder.bitDepths, {
+  PCM_16: {value: 16, writable: false},
+  PCM_24: {value: 24, writable: false}
+});
+
+Object.defineProperties(WavEncoder, {
+  MIME_TYPE: {value: 'audio/wav', writable: false}
+});
+
+
+export {WavEncoder};
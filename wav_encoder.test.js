@@ -0,0 +1,81 @@
+/**
+ * Unit test for WavEncoder
+ */
+
+// common testing infrastructure mocha-sinon-chai
+var chai = require('chai');
+var expect = chai.expect;
+
+var WavEncoder = require(
+  'static/js/player_app/logic/wav_encoder').WavEncoder;
+
+
+/**
+ * AudioBuffer stand in
+ *
+ * @param {Array} channels, Array of samples per channel
+ */
+var createFakeBuffer = function(channels) {
+  return {
+    length: channels[0].length,
+    numberOfChannels: channels.length,
+    sampleRate: 48000,
+    getChannelData: function(channel) {
+      return new Float32Array(channels[channel]);
+    }
+  };
+};
+
+
+/**
+ * @param {Object} view, DataView
+ * @param {Number} offset, Byte offset
+ * @param {Number} length, Number of characters
+ */
+var readAscii = function(view, offset, length) {
+  var str = '';
+  for (let i = 0; i < length; i++) {
+    str += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return str;
+};
+
+
+describe('WavEncoder', function() {
+
+  describe('encode', function() {
+
+    it('writes a 16 bit header and interleaved samples', function() {
+      var wav = WavEncoder.encode(createFakeBuffer([[0, 1], [-1, 2]]));
+      var view = new DataView(wav);
+
+      expect(wav.byteLength).to.equal(44 + 8);
+      expect(readAscii(view, 0, 4)).to.equal('RIFF');
+      expect(view.getUint32(4, true)).to.equal(wav.byteLength - 8);
+      expect(readAscii(view, 8, 4)).to.equal('WAVE');
+      expect(view.getUint16(22, true)).to.equal(2);
+      expect(view.getUint32(24, true)).to.equal(48000);
+      expect(view.getUint32(28, true)).to.equal(48000 * 4);
+      expect(view.getUint16(34, true)).to.equal(16);
+      expect(readAscii(view, 36, 4)).to.equal('data');
+      expect([0, 2, 4, 6].map(function(i) {
+        return view.getInt16(44 + i, true);
+      })).to.deep.equal([0, -32768, 32767, 32767]);
+    });
+
+    it('writes 24 bit samples in three bytes', function() {
+      var wav = WavEncoder.encode(
+        createFakeBuffer([[-1, 0.5]]), WavEncoder.bitDepths.PCM_24);
+      var view = new DataView(wav);
+      var read24 = function(offset) {
+        return view.getUint16(offset, true) | (view.getInt8(offset + 2) << 16);
+      };
+
+      expect(view.getUint16(32, true)).to.equal(3);
+      expect(read24(44)).to.equal(-8388608);
+      expect(read24(47)).to.equal(4194304);
+    });
+
+  });
+
+});
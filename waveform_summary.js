@@ -0,0 +1,454 @@
+/**
+ * Waveform summary of a decoded track for drawing overview and zoomed
+ * waveforms without going back to the PCM.
+ *
+ * The track is mixed down to mono and summarised into levels of buckets.
+ * Level 0 has baseBucketFrames frames per bucket and each level after it
+ * has LEVEL_FACTOR times as many, down to a handful of buckets for the
+ * whole track. Every bucket has the min, max and RMS of its samples.
+ *
+ * With bands on, the same levels are also kept for the low, mid and high
+ * parts of the signal (split at BAND_LOW_HZ and BAND_HIGH_HZ with one-pole
+ * filters) so waveforms can be coloured by frequency.
+ *
+ * compute() summarises in one go. pCompute() works through the track in
+ * chunks so the main thread isn't held up for the whole track at once.
+ *
+ * Only fully decoded tracks can be summarised. A windowed track (see
+ * WindowedTrackSource) never has all its PCM at once, so it has no summary.
+ */
+import _ from 'underscore';
+
+import {IllegalParam} from 'static/js/player_app/shared/exception';
+import {NumberUtil} from 'static/js/player_app/shared/number_util';
+
+
+/*** PRIVATE variables ***/
+var DEFAULT_BASE_BUCKET_FRAMES = 256;
+// Each level has this many times the frames per bucket of the one before
+var LEVEL_FACTOR = 4;
+// Coarsest level has at least this many buckets
+var MIN_LEVEL_NUM_BUCKETS = 16;
+// Band split points
+var BAND_LOW_HZ = 250;
+var BAND_HIGH_HZ = 4000;
+// Frames pCompute() summarises per task - about 3 sec at 44.1kHz
+var CHUNK_FRAMES = 131072;
+
+
+/*** Class Definitions ***/
+
+/**
+ * Use WaveformSummary.compute() to summarise an AudioBuffer.
+ *
+ * @param {Number} sampleRate, Sample rate of the summarised audio
+ * @param {Number} numFrames, Number of frames summarised
+ * @param {Array} levels, Levels of the full signal, finest first. Each level:
+ *   {framesPerBucket, min: Float32Array, max: Float32Array,
+ *    rms: Float32Array}
+ * @param {Object} bandLevels, Levels by WaveformSummary.bands type or null
+ *   if bands weren't computed
+ */
+var WaveformSummary = function (sampleRate, numFrames, levels, bandLevels) {
+  this.sampleRate = sampleRate;
+  this.numFrames = numFrames;
+  this.levels = levels;
+  this.bandLevels = bandLevels || null;
+};
+
+
+/**
+ * Summarise an AudioBuffer.
+ *
+ * @param {Object} audioBuffer, Decoded AudioBuffer
+ * @param {Object} options, Optional:
+ *   - baseBucketFrames: frames per bucket of the finest level. Defaults to
+ *     DEFAULT_BASE_BUCKET_FRAMES.
+ *   - withBands: true to also summarise low, mid and high bands. Defaults
+ *     to false.
+ * @return {Object} WaveformSummary instance
+ */
+WaveformSummary.compute = function(audioBuffer, options) {
+  var summariser = _createSummariser(audioBuffer, options);
+  _summariseFrames(summariser, audioBuffer.length);
+  return _finishSummary(summariser);
+};
+
+
+/**
+ * Summarise an AudioBuffer CHUNK_FRAMES at a time, each chunk in a task of
+ * its own, so summarising a long track doesn't hold up the main thread.
+ *
+ * See compute() for params.
+ *
+ * @return {Object} Promise, Resolves with a WaveformSummary instance.
+ *   Rejects with IllegalParam for bad options.
+ */
+WaveformSummary.pCompute = function(audioBuffer, options) {
+  return new Promise(function(resolve, reject) {
+    var summariser = _createSummariser(audioBuffer, options);
+    var summariseChunk = function() {
+      try {
+        _summariseFrames(summariser, CHUNK_FRAMES);
+        if (summariser.nextBucket < summariser.level.min.length) {
+          setTimeout(summariseChunk, 0);
+          return;
+        }
+        resolve(_finishSummary(summariser));
+      } catch (e) {
+        reject(e);
+      }
+    };
+    setTimeout(summariseChunk, 0);
+  });
+};
+
+
+/*** PUBLIC prototype methods ***/
+
+
+/**
+ * @return {Number} Duration summarised in seconds
+ */
+WaveformSummary.prototype.getDurationSec = function() {
+  return this.numFrames / this.sampleRate;
+};
+
+
+/**
+ * @return {Boolean} True if band levels were computed
+ */
+WaveformSummary.prototype.hasBands = function() {
+  return this.bandLevels !== null;
+};
+
+
+/**
+ * Buckets for drawing startSec to endSec at numBuckets across (e.g. one per
+ * pixel). Comes from the coarsest level that's still at least as fine as
+ * asked for, so zoomed out views don't touch the fine levels.
+ *
+ * @param {Number} startSec, Track time the first bucket starts at
+ * @param {Number} endSec, Track time the last bucket ends at
+ * @param {Number} numBuckets, Number of buckets to return
+ * @param {String} band, WaveformSummary.bands type or undefined for the
+ *   full signal
+ * @return {Object} {min: Float32Array, max: Float32Array, rms: Float32Array}
+ *   of numBuckets each. Buckets past the end of the track are 0.
+ */
+WaveformSummary.prototype.getBuckets = function(
+    startSec, endSec, numBuckets, band) {
+  if (!NumberUtil.isPositive(numBuckets) || !(endSec > startSec)) {
+    throw new IllegalParam(
+      this, 'getBuckets', 'invalid range - startSec: ' + startSec +
+      ', endSec: ' + endSec + ', numBuckets: ' + numBuckets);
+  }
+  var levels = this.levels;
+  if (typeof(band) !== 'undefined') {
+    if (!this.hasBands() || !_.has(this.bandLevels, band)) {
+      throw new IllegalParam(
+        this, 'getBuckets', 'band not summarised: ' + band);
+    }
+    levels = this.bandLevels[band];
+  }
+
+  var framesPerOutBucket = (endSec - startSec) * this.sampleRate / numBuckets;
+  var level = levels[0];
+  for (let candidate of levels) {
+    if (candidate.framesPerBucket <= framesPerOutBucket) {
+      level = candidate;
+    }
+  }
+
+  var buckets = {
+    min: new Float32Array(numBuckets),
+    max: new Float32Array(numBuckets),
+    rms: new Float32Array(numBuckets)
+  };
+  var numLevelBuckets = level.min.length;
+  for (let i = 0; i < numBuckets; i++) {
+    let startFrame = (startSec * this.sampleRate) + i * framesPerOutBucket;
+    let first = Math.max(Math.floor(startFrame / level.framesPerBucket), 0);
+    // always at least one level bucket so zoomed in views aren't gappy
+    let last = Math.min(
+      Math.max(
+        Math.ceil((startFrame + framesPerOutBucket) / level.framesPerBucket),
+        first + 1),
+      numLevelBuckets);
+    if (first < last) {
+      _combineBuckets(level, first, last, buckets, i);
+    }
+  }
+  return buckets;
+};
+
+
+/*** PRIVATE functions ***/
+
+
+/**
+ * @param {Object} stats, Stats to add to - see _createStats()
+ * @param {Number} sample, Sample to add
+ */
+var _addSample = function(stats, sample) {
+  if (sample < stats.min) {
+    stats.min = sample;
+  }
+  if (sample > stats.max) {
+    stats.max = sample;
+  }
+  stats.sumSquares += sample * sample;
+};
+
+
+/**
+ * Combine buckets first to last (exclusive) of a level into one bucket.
+ *
+ * @param {Object} level, Level to read buckets from
+ * @param {Number} first, Index of first bucket
+ * @param {Number} last, Index after last bucket
+ * @param {Object} toBuckets, {min, max, rms} arrays to write to
+ * @param {Number} toIndex, Index to write at
+ */
+var _combineBuckets = function(level, first, last, toBuckets, toIndex) {
+  var min = Infinity;
+  var max = -Infinity;
+  var sumSquares = 0;
+  for (let i = first; i < last; i++) {
+    min = Math.min(min, level.min[i]);
+    max = Math.max(max, level.max[i]);
+    sumSquares += level.rms[i] * level.rms[i];
+  }
+  toBuckets.min[toIndex] = min;
+  toBuckets.max[toIndex] = max;
+  toBuckets.rms[toIndex] = Math.sqrt(sumSquares / (last - first));
+};
+
+
+/**
+ * @param {Object} level, Finest level
+ * @return {Array} Levels, finest first - see constructor
+ */
+var _computeLevels = function(level) {
+  var levels = [level];
+  while (levels[levels.length - 1].min.length >=
+         MIN_LEVEL_NUM_BUCKETS * LEVEL_FACTOR) {
+    levels.push(_summariseLevel(levels[levels.length - 1]));
+  }
+  return levels;
+};
+
+
+/**
+ * @param {Number} numBuckets, Number of buckets
+ * @param {Number} framesPerBucket, Frames per bucket
+ * @return {Object} Level with empty buckets - see constructor
+ */
+var _createLevel = function(numBuckets, framesPerBucket) {
+  return {
+    framesPerBucket: framesPerBucket,
+    min: new Float32Array(numBuckets),
+    max: new Float32Array(numBuckets),
+    rms: new Float32Array(numBuckets)
+  };
+};
+
+
+/**
+ * @return {Object} {min, max, sumSquares} of no samples
+ */
+var _createStats = function() {
+  return {min: Infinity, max: -Infinity, sumSquares: 0};
+};
+
+
+/**
+ * State of a summary in progress. The track is mixed down to mono a sample
+ * at a time and, with bands on, split into bands with one-pole low-pass
+ * filters. The bands add back up to the mono signal.
+ *
+ * See compute() for params.
+ *
+ * @return {Object} Summariser state
+ */
+var _createSummariser = function(audioBuffer, options) {
+  options = options || {};
+  var baseBucketFrames = options.baseBucketFrames || DEFAULT_BASE_BUCKET_FRAMES;
+  if (!NumberUtil.isPositive(baseBucketFrames)) {
+    throw new IllegalParam(
+      WaveformSummary, 'compute', 'baseBucketFrames not positive: ' +
+      baseBucketFrames);
+  }
+
+  var numBuckets = Math.max(
+    Math.ceil(audioBuffer.length / baseBucketFrames), 1);
+  var channels = [];
+  for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+    channels.push(audioBuffer.getChannelData(channel));
+  }
+  var summariser = {
+    audioBuffer: audioBuffer,
+    channels: channels,
+    // finest level of the full signal
+    level: _createLevel(numBuckets, baseBucketFrames),
+    // finest level by WaveformSummary.bands type or null without bands
+    bandLevels: null,
+    // next bucket to summarise
+    nextBucket: 0,
+    // band filters
+    lowCoeff: 1 - Math.exp(-2 * Math.PI * BAND_LOW_HZ / audioBuffer.sampleRate),
+    highCoeff:
+      1 - Math.exp(-2 * Math.PI * BAND_HIGH_HZ / audioBuffer.sampleRate),
+    lowState: 0,
+    highState: 0
+  };
+  if (options.withBands) {
+    let bands = WaveformSummary.bands;
+    summariser.bandLevels = {};
+    for (let band of [bands.LOW, bands.MID, bands.HIGH]) {
+      summariser.bandLevels[band] = _createLevel(numBuckets, baseBucketFrames);
+    }
+  }
+  return summariser;
+};
+
+
+/**
+ * @param {Object} summariser, Summariser - see _createSummariser()
+ * @return {Object} WaveformSummary instance of the summarised buckets
+ */
+var _finishSummary = function(summariser) {
+  var bandLevels = null;
+  if (summariser.bandLevels !== null) {
+    bandLevels = {};
+    for (let band of _.keys(summariser.bandLevels)) {
+      bandLevels[band] = _computeLevels(summariser.bandLevels[band]);
+    }
+  }
+  var audioBuffer = summariser.audioBuffer;
+  return new WaveformSummary(
+    audioBuffer.sampleRate, audioBuffer.length,
+    _computeLevels(summariser.level), bandLevels);
+};
+
+
+/**
+ * @param {Object} summariser, Summariser - see _createSummariser()
+ * @param {Number} frame, Frame to mix down
+ * @return {Number} Mono sample - the channels averaged
+ */
+var _getMonoSample = function(summariser, frame) {
+  var channels = summariser.channels;
+  if (channels.length === 1) {
+    return channels[0][frame];
+  }
+  // summed at Float32 precision like a mixed down channel would be
+  var sample = 0;
+  for (let channel = 0; channel < channels.length; channel++) {
+    sample = Math.fround(sample + channels[channel][frame] / channels.length);
+  }
+  return sample;
+};
+
+
+/**
+ * @param {Object} level, Level to write to
+ * @param {Number} index, Bucket to write
+ * @param {Object} stats, Stats of the bucket's samples - see _createStats()
+ * @param {Number} numFrames, Number of samples in the bucket
+ */
+var _setBucket = function(level, index, stats, numFrames) {
+  level.min[index] = stats.min;
+  level.max[index] = stats.max;
+  level.rms[index] = Math.sqrt(stats.sumSquares / numFrames);
+};
+
+
+/**
+ * Summarise the next buckets of the finest levels.
+ *
+ * @param {Object} summariser, Summariser - see _createSummariser()
+ * @param {Number} numFrames, Frames to summarise, rounded up to whole
+ *   buckets
+ */
+var _summariseFrames = function(summariser, numFrames) {
+  var level = summariser.level;
+  var bandLevels = summariser.bandLevels;
+  var bands = WaveformSummary.bands;
+  var framesPerBucket = level.framesPerBucket;
+  var length = summariser.audioBuffer.length;
+  var lastBucket = Math.min(
+    summariser.nextBucket + Math.ceil(numFrames / framesPerBucket),
+    level.min.length);
+
+  for (let i = summariser.nextBucket; i < lastBucket; i++) {
+    let first = i * framesPerBucket;
+    let last = Math.min(first + framesPerBucket, length);
+    if (first >= last) {
+      continue;
+    }
+    let stats = _createStats();
+    let bandStats = null;
+    if (bandLevels !== null) {
+      bandStats = {};
+      bandStats[bands.LOW] = _createStats();
+      bandStats[bands.MID] = _createStats();
+      bandStats[bands.HIGH] = _createStats();
+    }
+    for (let j = first; j < last; j++) {
+      let sample = _getMonoSample(summariser, j);
+      _addSample(stats, sample);
+      if (bandStats !== null) {
+        summariser.lowState += summariser.lowCoeff *
+          (sample - summariser.lowState);
+        summariser.highState += summariser.highCoeff *
+          (sample - summariser.highState);
+        _addSample(bandStats[bands.LOW], Math.fround(summariser.lowState));
+        _addSample(
+          bandStats[bands.MID],
+          Math.fround(summariser.highState - summariser.lowState));
+        _addSample(
+          bandStats[bands.HIGH],
+          Math.fround(sample - summariser.highState));
+      }
+    }
+    _setBucket(level, i, stats, last - first);
+    if (bandStats !== null) {
+      for (let band of _.keys(bandStats)) {
+        _setBucket(bandLevels[band], i, bandStats[band], last - first);
+      }
+    }
+  }
+  summariser.nextBucket = lastBucket;
+};
+
+
+/**
+ * Combine every LEVEL_FACTOR buckets of a level into one.
+ *
+ * @param {Object} level, Level to summarise
+ * @return {Object} Next coarser level
+ */
+var _summariseLevel = function(level) {
+  var numBuckets = Math.ceil(level.min.length / LEVEL_FACTOR);
+  var nextLevel = _createLevel(
+    numBuckets, level.framesPerBucket * LEVEL_FACTOR);
+  for (let i = 0; i < numBuckets; i++) {
+    let first = i * LEVEL_FACTOR;
+    let last = Math.min(first + LEVEL_FACTOR, level.min.length);
+    _combineBuckets(level, first, last, nextLevel, i);
+  }
+  return nextLevel;
+};
+
+
+/*** Constants ***/
+WaveformSummary.bands = {};
+Object.defineProperties(WaveformSummary.bands, {
+  LOW: {value: 'low', writable: false},
+  MID: {value: 'mid', writable: false},
+  HIGH: {value: 'high', writable: false}
+});
+
+
+export {WaveformSummary};
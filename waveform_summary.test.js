@@ -0,0 +1,105 @@
+/**
+ * Unit test for WaveformSummary
+ */
+
+// common testing infrastructure mocha-sinon-chai
+var chai = require('chai');
+var expect = chai.expect;
+
+var WaveformSummary = require(
+  'static/js/player_app/logic/waveform_summary').WaveformSummary;
+
+
+/**
+ * AudioBuffer stand in
+ *
+ * @param {Array} channels, Float32Array of samples per channel
+ */
+var createFakeBuffer = function(channels) {
+  return {
+    length: channels[0].length,
+    numberOfChannels: channels.length,
+    sampleRate: 1000,
+    getChannelData: function(channel) { return channels[channel]; }
+  };
+};
+
+
+describe('WaveformSummary', function() {
+
+  describe('compute', function() {
+
+    it('summarises the mono mix into coarser and coarser levels', function() {
+      var left = new Float32Array(4096).fill(0.5);
+      var right = new Float32Array(4096).fill(-0.5);
+      right.fill(0.5, 0, 256);
+      var summary = WaveformSummary.compute(
+        createFakeBuffer([left, right]), {baseBucketFrames: 16});
+
+      expect(summary.levels.map(function(level) {
+        return level.framesPerBucket;
+      })).to.deep.equal([16, 64, 256]);
+      expect(summary.levels[2].max[0]).to.equal(0.5);
+      expect(summary.levels[2].rms[0]).to.equal(0.5);
+      expect(summary.levels[2].max[1]).to.equal(0);
+      expect(summary.hasBands()).to.equal(false);
+    });
+
+  });
+
+  describe('pCompute', function() {
+
+    it('summarises the same as compute() a chunk at a time', function() {
+      // a few chunks' worth with a tail
+      var left = new Float32Array(300001);
+      var right = new Float32Array(300001);
+      for (let i = 0; i < left.length; i++) {
+        left[i] = Math.sin(i / 50);
+        right[i] = (i % 1000) / 1000;
+      }
+      var buffer = createFakeBuffer([left, right]);
+      var options = {baseBucketFrames: 100, withBands: true};
+
+      return WaveformSummary.pCompute(buffer, options).then(function(summary) {
+        var expected = WaveformSummary.compute(buffer, options);
+        expect(summary.numFrames).to.equal(300001);
+        expect(summary.levels).to.deep.equal(expected.levels);
+        expect(summary.bandLevels).to.deep.equal(expected.bandLevels);
+      });
+    });
+
+    it('rejects bad options', function() {
+      var buffer = createFakeBuffer([new Float32Array(16)]);
+
+      return WaveformSummary.pCompute(buffer, {baseBucketFrames: -1}).then(
+        function() {
+          throw new Error('summary should fail');
+        },
+        function(error) {
+          expect(error.message).to.match(/baseBucketFrames not positive/);
+        }
+      );
+    });
+
+  });
+
+  describe('getBuckets', function() {
+
+    it('combines level buckets into the buckets asked for', function() {
+      var samples = new Float32Array(4096);
+      samples[100] = -1;
+      samples[3000] = 0.8;
+      var summary = WaveformSummary.compute(
+        createFakeBuffer([samples]), {baseBucketFrames: 16, withBands: true});
+
+      var buckets = summary.getBuckets(0, 4.096, 2);
+      expect(Array.from(buckets.min)).to.deep.equal([-1, 0]);
+      expect(buckets.max[1]).to.be.closeTo(0.8, 1e-6);
+      var lowBuckets = summary.getBuckets(
+        0, 4.096, 2, WaveformSummary.bands.LOW);
+      expect(lowBuckets.min[0]).to.be.within(-1, 0);
+    });
+
+  });
+
+});
@@ -0,0 +1,763 @@
+/**
+ * Windowed track source. Keeps the encoded (compressed) audio of a track in
+ * memory and decodes only windows of PCM around the positions that are
+ * playing or scheduled to play. A 10 minute stereo track is ~200MB as PCM
+ * but ~10MB encoded, so this lets us keep many more tracks loaded.
+ *
+ * Windows are decoded by slicing the encoded bytes, so only frame based
+ * formats (MP3, ADTS AAC) work. Byte <-> time mapping assumes a constant
+ * bit rate and an ID3v2 tag at the start of the file is left out of it. A
+ * slice decodes from the first frame after its start plus decoder delay, so
+ * the mapping alone can be a frame or more out. Each window is lined up with
+ * the tail of the window before it when that one is decoded, which also
+ * takes out VBR drift, and nodes crossfade at the seam. pInit() rejects for
+ * formats that cannot be sliced so callers can fall back to full decoding.
+ *
+ * MixerChannel plays a windowed track through the source node returned by
+ * createSourceNode(). It mimics the parts of AudioBufferSourceNode that the
+ * channel uses (start, stop, connect, disconnect, playbackRate, onended) and
+ * chains one AudioBufferSourceNode per window behind the scenes.
+ */
+import {LogHandler} from 'static/js/player_app/shared/log_handler';
+import {TimeUtil} from 'static/js/player_app/shared/time_util';
+
+
+/*** PRIVATE variables ***/
+// Bytes decoded when probing sample rate, channels and bit rate
+var PROBE_BYTES = 512 * 1024;
+// Extra encoded bytes decoded on either side of a window so that the window
+// itself doesn't contain decoder warm up / bit reservoir artifacts
+var PAD_BYTES = 16 * 1024;
+// Audio appended to each window past its end. The window's node keeps
+// playing into the tail until the next window's node takes over, so a late
+// hand off doesn't produce silence. If the next window still isn't decoded
+// when the tail runs out, playback stalls and picks up in time with the
+// context clock once it is.
+var TAIL_SEC = 2;
+var DEFAULT_WINDOW_SEC = 20;
+// Audio compared when lining a window up with the tail of the window before
+// it and how far either side of the byte estimate to look - more than a frame
+// plus decoder delay
+var ALIGN_SEC = 0.05;
+var MAX_ALIGN_SEC = 0.1;
+// Window nodes crossfade over this at a hand off
+var SEAM_FADE_SEC = 0.02;
+// Decoded windows not used by any node that are kept around for re-use
+var MAX_IDLE_WINDOWS = 2;
+// Decoded windows budgeted for by getMemoryBytes() - the idle ones plus the
+// window playing and the next one
+var BUDGETED_WINDOWS = MAX_IDLE_WINDOWS + 2;
+// Used to estimate the size of audio that hasn't been decoded yet. Encoded
+// size assumes 320kbps, the highest MP3 bit rate.
+var ESTIMATED_ENCODED_BYTES_PER_SEC = 320 * 1000 / 8;
+var DEFAULT_SAMPLE_RATE = 44100;
+var DEFAULT_NUM_CHANNELS = 2;
+// PCM is decoded to Float32 samples
+var BYTES_PER_SAMPLE = 4;
+// ID3v2 tag header: 'ID3', version (2 bytes), flags, syncsafe size (4 bytes)
+var ID3_HEADER_BYTES = 10;
+var ID3_FOOTER_FLAG = 0x10;
+// How often source nodes check if the next window needs to be scheduled and
+// how far ahead of a window boundary the next window node is scheduled
+var SCHEDULER_TICK_MS = 250;
+var SCHEDULER_LOOKAHEAD_SEC = 1.5;
+
+
+/*** Class Definitions ***/
+
+/**
+ * @param {Object} audioContext, AudioContext object
+ * @param {Object} encodedAudio, ArrayBuffer of encoded audio
+ * @param {Number} windowSec, Length of each decoded window in seconds.
+ *   Defaults to DEFAULT_WINDOW_SEC.
+ */
+var WindowedTrackSource = function (audioContext, encodedAudio, windowSec) {
+  this.audioContext = audioContext;
+  this.encodedAudio = encodedAudio;
+  this.windowSec = windowSec || DEFAULT_WINDOW_SEC;
+
+  // set by pInit()
+  this.audioStartByte = null;
+  this.sampleRate = null;
+  this.numberOfChannels = null;
+  this.bytesPerSec = null;
+  this.durationSec = null;
+
+  // Decoded windows - {<window index>: {buffer, refCount, lastUsedMS}}
+  this._windows = {};
+  // In flight window decodes - {<window index>: Promise}
+  this._pendingWindows = {};
+};
+
+
+/**
+ * Estimate memory a windowed track takes up before its audio is fetched.
+ *
+ * @param {Number} durationSec, Track duration in seconds
+ * @param {Number} windowSec, Window length. Defaults to DEFAULT_WINDOW_SEC.
+ * @return {Number} Estimated number of bytes
+ */
+WindowedTrackSource.estimateMemoryBytes = function(durationSec, windowSec) {
+  return Math.ceil(durationSec * ESTIMATED_ENCODED_BYTES_PER_SEC) +
+    _getWindowsBytes(
+      windowSec || DEFAULT_WINDOW_SEC, DEFAULT_SAMPLE_RATE,
+      DEFAULT_NUM_CHANNELS);
+};
+
+
+/*** PUBLIC prototype methods ***/
+
+
+/**
+ * Probes the encoded audio for sample rate, channels and bit rate. Must
+ * resolve before any window is requested.
+ *
+ * @return {Object} Promise, Resolves to this. Rejects if the audio can't be
+ *   decoded or can't be decoded in slices.
+ */
+WindowedTrackSource.prototype.pInit = function() {
+  var that = this;
+  var totalBytes = this.encodedAudio.byteLength;
+  // Tags can hold cover art so leave them out of the bit rate estimate
+  this.audioStartByte = Math.min(_getId3TagBytes(this), totalBytes);
+  var audioBytes = totalBytes - this.audioStartByte;
+  var probeBytes = Math.min(PROBE_BYTES, audioBytes);
+
+  return _pDecodeBytes(
+    this, this.audioStartByte, this.audioStartByte + probeBytes).then(
+    function(probeBuffer) {
+      that.sampleRate = probeBuffer.sampleRate;
+      that.numberOfChannels = probeBuffer.numberOfChannels;
+      that.bytesPerSec = probeBytes / probeBuffer.duration;
+      that.durationSec = audioBytes / that.bytesPerSec;
+
+      if (probeBytes === audioBytes) {
+        return that;
+      }
+      // Decoding from the start works for every format because the header is
+      // there. Make sure a slice from the middle decodes too.
+      let midByte = that.audioStartByte + Math.floor(audioBytes / 2);
+      return _pDecodeBytes(
+        that, midByte, Math.min(midByte + PAD_BYTES * 2, totalBytes)).then(
+          function() {
+            return that;
+          });
+    }
+  );
+};
+
+
+/**
+ * @return {Number} Estimated duration of the track in milliseconds
+ */
+WindowedTrackSource.prototype.getDurationMS = function() {
+  return TimeUtil.secToMS(this.durationSec);
+};
+
+
+/**
+ * @return {Number} Number of windows the track is split into
+ */
+WindowedTrackSource.prototype.getNumWindows = function() {
+  return Math.ceil(this.durationSec / this.windowSec);
+};
+
+
+/**
+ * @param {Number} offsetSec, Offset into the track in seconds
+ * @return {Number} Index of window containing the offset
+ */
+WindowedTrackSource.prototype.getWindowIndex = function(offsetSec) {
+  var index = Math.floor(offsetSec / this.windowSec);
+  return Math.max(0, Math.min(index, this.getNumWindows() - 1));
+};
+
+
+/**
+ * Memory to budget for - encoded audio plus the decoded windows held while
+ * playing. Windows held now are counted instead if there are more of them,
+ * e.g. while several nodes play the track.
+ *
+ * @return {Number} Bytes of memory
+ */
+WindowedTrackSource.prototype.getMemoryBytes = function() {
+  var windowsBytes = 0;
+  for (let index in this._windows) {
+    let buffer = this._windows[index].buffer;
+    windowsBytes += buffer.length * buffer.numberOfChannels * BYTES_PER_SAMPLE;
+  }
+  return this.encodedAudio.byteLength + Math.max(
+    windowsBytes,
+    _getWindowsBytes(this.windowSec, this.sampleRate, this.numberOfChannels));
+};
+
+
+/**
+ * @param {Number} index, Window index
+ * @return {Object} AudioBuffer for the window or null if not decoded yet
+ */
+WindowedTrackSource.prototype.getWindow = function(index) {
+  if (index in this._windows) {
+    this._windows[index].lastUsedMS = Date.now();
+    return this._windows[index].buffer;
+  }
+  return null;
+};
+
+
+/**
+ * Decodes window if needed. The window buffer starts at index * windowSec
+ * and is windowSec + TAIL_SEC long (shorter at the end of the track). If the
+ * window before it is decoded, the start is lined up with its tail so the two
+ * play seamlessly.
+ *
+ * @param {Number} index, Window index
+ * @return {Object} Promise, Resolves to AudioBuffer for the window
+ */
+WindowedTrackSource.prototype.pGetWindow = function(index) {
+  var that = this;
+  var buffer = this.getWindow(index);
+  if (buffer) {
+    return Promise.resolve(buffer);
+  }
+  if (index in this._pendingWindows) {
+    return this._pendingWindows[index];
+  }
+
+  var windowStartSec = index * this.windowSec;
+  var windowEndSec = Math.min(
+    windowStartSec + this.windowSec + TAIL_SEC, this.durationSec);
+  var startByte = Math.max(
+    this.audioStartByte,
+    this.audioStartByte + Math.floor(windowStartSec * this.bytesPerSec) -
+      PAD_BYTES);
+  var endByte = Math.min(
+    this.encodedAudio.byteLength,
+    this.audioStartByte + Math.ceil(windowEndSec * this.bytesPerSec) +
+      PAD_BYTES);
+
+  var pWindow = _pDecodeBytes(this, startByte, endByte).then(
+    function(decoded) {
+      delete that._pendingWindows[index];
+
+      // Trim the padding off so the window starts at windowStartSec
+      let decodedStartSec = (startByte - that.audioStartByte) /
+        that.bytesPerSec;
+      let firstSample = _alignWindowStart(
+        that, index, decoded, Math.max(0, Math.round(
+          (windowStartSec - decodedStartSec) * decoded.sampleRate)));
+      let numSamples = Math.min(
+        Math.round((windowEndSec - windowStartSec) * decoded.sampleRate),
+        decoded.length - firstSample);
+      let windowBuffer = that.audioContext.createBuffer(
+        decoded.numberOfChannels, numSamples, decoded.sampleRate);
+      for (let channel = 0; channel < decoded.numberOfChannels; channel++) {
+        windowBuffer.getChannelData(channel).set(
+          decoded.getChannelData(channel).subarray(
+            firstSample, firstSample + numSamples));
+      }
+
+      that._windows[index] = {
+        buffer: windowBuffer,
+        refCount: 0,
+        lastUsedMS: Date.now()
+      };
+      _evictIdleWindows(that);
+      return windowBuffer;
+    },
+    function(error) {
+      delete that._pendingWindows[index];
+      throw error;
+    }
+  );
+  this._pendingWindows[index] = pWindow;
+
+  return pWindow;
+};
+
+
+/**
+ * Create a source node that plays this track. Use like an
+ * AudioBufferSourceNode - see WindowedSourceNode.
+ *
+ * @return {Object} WindowedSourceNode instance
+ */
+WindowedTrackSource.prototype.createSourceNode = function() {
+  return new WindowedSourceNode(this);
+};
+
+
+/**
+ * Marks window as used by a node so it won't be evicted.
+ *
+ * @param {Number} index, Window index
+ */
+WindowedTrackSource.prototype.retainWindow = function(index) {
+  if (index in this._windows) {
+    this._windows[index].refCount++;
+  }
+};
+
+
+/**
+ * @param {Number} index, Window index
+ */
+WindowedTrackSource.prototype.releaseWindow = function(index) {
+  if (index in this._windows) {
+    this._windows[index].refCount = Math.max(
+      0, this._windows[index].refCount - 1);
+    this._windows[index].lastUsedMS = Date.now();
+  }
+  _evictIdleWindows(this);
+};
+
+
+/**
+ * Source node that plays a WindowedTrackSource. One AudioBufferSourceNode is
+ * created per window and handed off to the next one at the window boundary.
+ *
+ * All window nodes get their playback rate from a single ConstantSourceNode
+ * so `playbackRate` can be automated like the AudioParam of a regular source
+ * node.
+ *
+ * @param {Object} windowedSource, WindowedTrackSource instance
+ */
+var WindowedSourceNode = function (windowedSource) {
+  var audioContext = windowedSource.audioContext;
+
+  this.windowedSource = windowedSource;
+  this.audioContext = audioContext;
+  this.buffer = null;
+  this.onended = null;
+
+  this._rateNode = audioContext.createConstantSource();
+  this._rateNode.offset.value = 1;
+  this._rateNode.start();
+  this.playbackRate = this._rateNode.offset;
+
+  this._output = audioContext.createGain();
+
+  // Window nodes in play order -
+  //   [{node, gainNode, windowIndex, startTimeSec, startOffsetSec,
+  //     handOffTimeSec, ended}]
+  // handOffTimeSec is when the node stops after the next window's node took
+  // over - null until then
+  this._windowNodes = [];
+  this._started = false;
+  this._stopTimeSec = null;
+  this._ended = false;
+  this._timerId = null;
+};
+
+
+/**
+ * @param {Number} when, Context time in seconds to start at
+ * @param {Number} offset, Offset into track in seconds. Defaults to 0.
+ */
+WindowedSourceNode.prototype.start = function(when, offset) {
+  var that = this;
+  if (this._started) {
+    throw new DOMException(
+      'WindowedSourceNode can only be started once', 'InvalidStateError');
+  }
+  this._started = true;
+  offset = offset || 0;
+
+  var index = this.windowedSource.getWindowIndex(offset);
+  this.windowedSource.pGetWindow(index).then(
+    function() {
+      if (that._ended) {
+        return;
+      }
+      // Window might have been decoded after the start time. Start late and
+      // skip ahead so the track stays in time with the context clock.
+      let startTimeSec = when;
+      let currentTimeSec = that.audioContext.currentTime;
+      if (startTimeSec < currentTimeSec) {
+        offset += (currentTimeSec - startTimeSec) * that.playbackRate.value;
+        startTimeSec = currentTimeSec;
+      }
+      _scheduleWindowNode(that, index, startTimeSec, offset);
+      _schedulerTick(that);
+    },
+    function(error) {
+      LogHandler.addLogSystemError(
+        that, 'start', 'window decode failed: ' + error);
+      _end(that);
+    }
+  );
+};
+
+
+/**
+ * @param {Number} when, Context time in seconds to stop at. Defaults to now.
+ */
+WindowedSourceNode.prototype.stop = function(when) {
+  if (typeof(when) !== 'number') {
+    when = this.audioContext.currentTime;
+  }
+  this._stopTimeSec = when;
+
+  for (let windowNode of this._windowNodes) {
+    if (!windowNode.ended) {
+      // a node already handed off stays stopped at its hand off
+      let stopTimeSec = windowNode.handOffTimeSec === null ?
+        when : Math.min(when, windowNode.handOffTimeSec);
+      windowNode.node.stop(Math.max(stopTimeSec, windowNode.startTimeSec));
+    }
+  }
+  if (!this._started) {
+    _end(this);
+  }
+};
+
+
+WindowedSourceNode.prototype.connect = function(destination) {
+  return this._output.connect(destination);
+};
+
+
+WindowedSourceNode.prototype.disconnect = function() {
+  clearTimeout(this._timerId);
+  this._timerId = null;
+  this._output.disconnect();
+  for (let windowNode of this._windowNodes) {
+    windowNode.node.disconnect();
+    windowNode.gainNode.disconnect();
+    if (!windowNode.ended) {
+      windowNode.ended = true;
+      this.windowedSource.releaseWindow(windowNode.windowIndex);
+    }
+  }
+  this._windowNodes = [];
+  this._rateNode.stop();
+  this._rateNode.disconnect();
+};
+
+
+/*** PRIVATE functions ***/
+
+
+/**
+ * @param {Object} wts, WindowedTrackSource instance
+ * @param {Number} startByte, First byte of encoded audio to decode
+ * @param {Number} endByte, Byte after last byte to decode
+ * @return {Object} Promise, Resolves to decoded AudioBuffer
+ */
+var _pDecodeBytes = function(wts, startByte, endByte) {
+  // slice copies the bytes - decodeAudioData detaches the buffer it's given
+  var bytes = wts.encodedAudio.slice(startByte, endByte);
+  return new Promise(function(resolve, reject) {
+    wts.audioContext.decodeAudioData(bytes, resolve, function() {
+      reject(new Error(
+        'Decoding error for bytes [' + startByte + ', ' + endByte + ')'));
+    });
+  });
+};
+
+
+/**
+ * @param {Object} wts, WindowedTrackSource instance
+ * @return {Number} Size of the ID3v2 tag at the start of the encoded audio,
+ *   0 if there isn't one
+ */
+var _getId3TagBytes = function(wts) {
+  if (wts.encodedAudio.byteLength < ID3_HEADER_BYTES) {
+    return 0;
+  }
+  var header = new Uint8Array(wts.encodedAudio, 0, ID3_HEADER_BYTES);
+  if (String.fromCharCode(header[0], header[1], header[2]) !== 'ID3') {
+    return 0;
+  }
+  // syncsafe integer - 7 bits per byte
+  var tagBytes = (header[6] << 21) | (header[7] << 14) | (header[8] << 7) |
+    header[9];
+  var footerBytes = header[5] & ID3_FOOTER_FLAG ? ID3_HEADER_BYTES : 0;
+  return ID3_HEADER_BYTES + tagBytes + footerBytes;
+};
+
+
+/**
+ * @param {Number} windowSec, Window length
+ * @param {Number} sampleRate, Sample rate of the decoded audio
+ * @param {Number} numChannels, Number of channels of the decoded audio
+ * @return {Number} Bytes of the decoded windows budgeted for
+ */
+var _getWindowsBytes = function(windowSec, sampleRate, numChannels) {
+  return BUDGETED_WINDOWS * Math.ceil((windowSec + TAIL_SEC) * sampleRate) *
+    numChannels * BYTES_PER_SAMPLE;
+};
+
+
+/**
+ * Drop least recently used windows that no node is playing from.
+ *
+ * @param {Object} wts, WindowedTrackSource instance
+ */
+var _evictIdleWindows = function(wts) {
+  var idleIndexes = [];
+  for (let index in wts._windows) {
+    if (wts._windows[index].refCount === 0) {
+      idleIndexes.push(index);
+    }
+  }
+  idleIndexes.sort(function(a, b) {
+    return wts._windows[a].lastUsedMS - wts._windows[b].lastUsedMS;
+  });
+  while (idleIndexes.length > MAX_IDLE_WINDOWS) {
+    delete wts._windows[idleIndexes.shift()];
+  }
+};
+
+
+/**
+ * @param {Object} wts, WindowedTrackSource instance
+ * @param {Number} index, Window index
+ * @param {Object} decoded, AudioBuffer decoded for the window with padding
+ * @param {Number} firstSample, Sample of decoded the window starts at going
+ *   by the byte estimate
+ * @return {Number} Sample of decoded that best matches the tail of the
+ *   window before it or firstSample if that window isn't decoded
+ */
+var _alignWindowStart = function(wts, index, decoded, firstSample) {
+  var previous = wts._windows[index - 1];
+  if (!previous) {
+    return firstSample;
+  }
+  var sampleRate = decoded.sampleRate;
+  var tail = previous.buffer.getChannelData(0);
+  var tailStart = Math.round(wts.windowSec * sampleRate);
+  var numSamples = Math.min(
+    Math.round(ALIGN_SEC * sampleRate), tail.length - tailStart);
+  var maxShift = Math.round(MAX_ALIGN_SEC * sampleRate);
+  var samples = decoded.getChannelData(0);
+
+  var bestSample = firstSample;
+  var bestError = Infinity;
+  // nearest the estimate wins a tie, e.g. silence
+  for (let shift = 0; shift <= maxShift && numSamples > 0; shift++) {
+    for (let direction = -1; direction <= 1; direction += 2) {
+      let candidate = firstSample + direction * shift;
+      if (candidate < 0 || candidate + numSamples > samples.length) {
+        continue;
+      }
+      let error = _getAlignError(
+        tail, tailStart, samples, candidate, numSamples, bestError);
+      if (error < bestError) {
+        bestError = error;
+        bestSample = candidate;
+      }
+    }
+  }
+  return bestSample;
+};
+
+
+/**
+ * @param {Object} tail, Float32Array of the window before
+ * @param {Number} tailStart, Sample of tail to compare from
+ * @param {Object} samples, Float32Array of the window being lined up
+ * @param {Number} start, Sample of samples to compare from
+ * @param {Number} numSamples, Number of samples to compare
+ * @param {Number} maxError, Stops adding up once the error gets this big
+ * @return {Number} Sum of squared differences
+ */
+var _getAlignError = function(
+    tail, tailStart, samples, start, numSamples, maxError) {
+  var error = 0;
+  for (let i = 0; i < numSamples && error < maxError; i++) {
+    let difference = tail[tailStart + i] - samples[start + i];
+    error += difference * difference;
+  }
+  return error;
+};
+
+
+/**
+ * Start a node for the window. Assumes the window is decoded.
+ *
+ * @param {Object} wsn, WindowedSourceNode instance
+ * @param {Number} index, Window index
+ * @param {Number} startTimeSec, Context time to start node at
+ * @param {Number} trackOffsetSec, Offset into the track to start from
+ * @param {Boolean} isHandOff, True to fade in over the node handing off
+ */
+var _scheduleWindowNode = function(
+    wsn, index, startTimeSec, trackOffsetSec, isHandOff) {
+  var source = wsn.windowedSource;
+  var node = wsn.audioContext.createBufferSource();
+  var gainNode = wsn.audioContext.createGain();
+  var windowNode = {
+    node: node,
+    gainNode: gainNode,
+    windowIndex: index,
+    startTimeSec: startTimeSec,
+    startOffsetSec: trackOffsetSec,
+    handOffTimeSec: null,
+    ended: false
+  };
+
+  node.buffer = source.getWindow(index);
+  // Rate comes from the shared rate node (param value + input value)
+  node.playbackRate.value = 0;
+  wsn._rateNode.connect(node.playbackRate);
+  node.connect(gainNode);
+  gainNode.connect(wsn._output);
+  if (isHandOff) {
+    gainNode.gain.setValueAtTime(0, startTimeSec);
+    gainNode.gain.linearRampToValueAtTime(1, startTimeSec + SEAM_FADE_SEC);
+  }
+  node.onended = _processWindowEnded.bind(null, wsn, windowNode);
+  source.retainWindow(index);
+
+  node.start(startTimeSec, trackOffsetSec - index * source.windowSec);
+  if (wsn._stopTimeSec !== null) {
+    node.stop(Math.max(wsn._stopTimeSec, startTimeSec));
+  }
+  wsn._windowNodes.push(windowNode);
+};
+
+
+/**
+ * Hand off to the next window's node when the current window is about to
+ * end and prefetch the window after that. Windows that start at or after
+ * the stop time aren't needed. Picks playback back up after a stall.
+ *
+ * @param {Object} wsn, WindowedSourceNode instance
+ */
+var _schedulerTick = function(wsn) {
+  wsn._timerId = null;
+  if (wsn._ended || wsn._windowNodes.length === 0) {
+    return;
+  }
+
+  var source = wsn.windowedSource;
+  var current = wsn._windowNodes[wsn._windowNodes.length - 1];
+  var nextIndex = current.windowIndex + 1;
+
+  if (current.ended) {
+    _resumeAfterStall(wsn, current);
+  } else if (nextIndex < source.getNumWindows()) {
+    let rate = wsn.playbackRate.value;
+    let windowEndSec = nextIndex * source.windowSec;
+    let boundaryTimeSec = current.startTimeSec +
+      (windowEndSec - current.startOffsetSec) / rate;
+
+    if (_isBeforeStop(wsn, boundaryTimeSec)) {
+      source.pGetWindow(nextIndex);  // prefetch
+      if (boundaryTimeSec - wsn.audioContext.currentTime <
+          SCHEDULER_LOOKAHEAD_SEC && source.getWindow(nextIndex)) {
+        boundaryTimeSec = Math.max(
+          boundaryTimeSec, wsn.audioContext.currentTime);
+        // current node plays on into its tail while it fades out
+        let fadeEndTimeSec = boundaryTimeSec + SEAM_FADE_SEC;
+        current.gainNode.gain.setValueAtTime(1, boundaryTimeSec);
+        current.gainNode.gain.linearRampToValueAtTime(0, fadeEndTimeSec);
+        current.handOffTimeSec = fadeEndTimeSec;
+        current.node.stop(_isBeforeStop(wsn, fadeEndTimeSec) ?
+          fadeEndTimeSec : wsn._stopTimeSec);
+        _scheduleWindowNode(
+          wsn, nextIndex, boundaryTimeSec, windowEndSec, true);
+      }
+    }
+  }
+
+  wsn._timerId = setTimeout(
+    _schedulerTick.bind(null, wsn), SCHEDULER_TICK_MS);
+};
+
+
+/**
+ * @param {Object} wsn, WindowedSourceNode instance
+ * @param {Object} windowNode, Entry from wsn._windowNodes
+ */
+var _processWindowEnded = function(wsn, windowNode) {
+  if (windowNode.ended) {
+    return;
+  }
+  windowNode.ended = true;
+  windowNode.node.disconnect();
+  windowNode.gainNode.disconnect();
+  wsn.windowedSource.releaseWindow(windowNode.windowIndex);
+
+  // The whole node has ended if the last window node ended, unless it ran
+  // out of audio before the stop time because the next window wasn't
+  // decoded in time
+  var lastWindowNode = wsn._windowNodes[wsn._windowNodes.length - 1];
+  if (windowNode !== lastWindowNode) {
+    return;
+  }
+  var isStalled = _isBeforeStop(wsn, wsn.audioContext.currentTime) &&
+    windowNode.windowIndex + 1 < wsn.windowedSource.getNumWindows();
+  if (isStalled) {
+    LogHandler.addLogSystemError(
+      wsn, '_processWindowEnded',
+      'window ' + (windowNode.windowIndex + 1) + ' not decoded in time - ' +
+      'playback stalled');
+    _resumeAfterStall(wsn, windowNode);
+  } else {
+    _end(wsn);
+  }
+};
+
+
+/**
+ * Start playing again after the last window node ran out of audio. Starts
+ * where the track would be by now so it stays in time with the context
+ * clock, once that window is decoded. Called by the scheduler until it is.
+ *
+ * @param {Object} wsn, WindowedSourceNode instance
+ * @param {Object} stalled, Entry from wsn._windowNodes that ran out
+ */
+var _resumeAfterStall = function(wsn, stalled) {
+  var source = wsn.windowedSource;
+  var currentTimeSec = wsn.audioContext.currentTime;
+  var offsetSec = stalled.startOffsetSec +
+    (currentTimeSec - stalled.startTimeSec) * wsn.playbackRate.value;
+  if (offsetSec >= source.durationSec ||
+      !_isBeforeStop(wsn, currentTimeSec)) {
+    _end(wsn);
+    return;
+  }
+
+  var index = source.getWindowIndex(offsetSec);
+  if (source.getWindow(index)) {
+    _scheduleWindowNode(wsn, index, currentTimeSec, offsetSec);
+  } else {
+    source.pGetWindow(index).catch(function(error) {
+      LogHandler.addLogSystemError(
+        wsn, '_resumeAfterStall', 'window decode failed: ' + error);
+      _end(wsn);
+    });
+  }
+};
+
+
+/**
+ * @param {Object} wsn, WindowedSourceNode instance
+ * @param {Number} timeSec, Context time
+ * @return {Boolean} True if the node plays on at timeSec - it isn't stopped
+ *   or its stop is scheduled later
+ */
+var _isBeforeStop = function(wsn, timeSec) {
+  return wsn._stopTimeSec === null || timeSec < wsn._stopTimeSec;
+};
+
+
+/**
+ * @param {Object} wsn, WindowedSourceNode instance
+ */
+var _end = function(wsn) {
+  if (wsn._ended) {
+    return;
+  }
+  wsn._ended = true;
+  clearTimeout(wsn._timerId);
+  wsn._timerId = null;
+  if (typeof(wsn.onended) === 'function') {
+    wsn.onended();
+  }
+};
+
+
+export {WindowedTrackSource};
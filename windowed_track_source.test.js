@@ -0,0 +1,331 @@
+/**
+ * Unit test for WindowedTrackSource
+ */
+
+// common testing infrastructure mocha-sinon-chai
+var sinon = require('sinon');
+var chai = require('chai');
+var sinonChai = require('sinon-chai');
+var expect = chai.expect;
+chai.use(sinonChai);
+
+var fakeAudioContext = require(
+  'static/js/player_app/logic/test_utils/fake_audio_context');
+var LogHandler = require(
+  'static/js/player_app/shared/log_handler').LogHandler;
+var WindowedTrackSource = require(
+  'static/js/player_app/logic/windowed_track_source').WindowedTrackSource;
+
+
+// The fake decoder turns every encoded byte into one frame so a second of
+// audio is SAMPLE_RATE bytes
+var SAMPLE_RATE = 1000;
+var WINDOW_SEC = 20;
+// Window nodes crossfade over this at a hand off
+var SEAM_FADE_SEC = 0.02;
+
+
+/**
+ * @param {Number} durationSec, Seconds of audio
+ * @param {Number} tagBytes, Size of the ID3v2 tag in front of the audio. No
+ *   tag if 0.
+ * @return {Object} ArrayBuffer of encoded audio
+ */
+var createEncodedAudio = function(durationSec, tagBytes) {
+  var headerBytes = 10;
+  var encodedAudio = new ArrayBuffer(
+    (tagBytes ? headerBytes + tagBytes : 0) + durationSec * SAMPLE_RATE);
+  if (tagBytes) {
+    let header = new Uint8Array(encodedAudio, 0, headerBytes);
+    header.set([0x49, 0x44, 0x33, 4, 0, 0]);
+    // syncsafe size
+    header[6] = (tagBytes >> 21) & 0x7f;
+    header[7] = (tagBytes >> 14) & 0x7f;
+    header[8] = (tagBytes >> 7) & 0x7f;
+    header[9] = tagBytes & 0x7f;
+  }
+  return encodedAudio;
+};
+
+
+describe('WindowedTrackSource', function() {
+  var audioContext;
+  // Decodes held back while holdDecodes is set - call one to finish it
+  var heldDecodes;
+  var holdDecodes;
+
+  beforeEach(function() {
+    audioContext = fakeAudioContext.createFakeAudioContext(SAMPLE_RATE);
+    heldDecodes = [];
+    holdDecodes = false;
+    audioContext.decodeAudioData = function(bytes, resolve) {
+      var decode = function() {
+        resolve(fakeAudioContext.createFakeAudioBuffer(
+          2, bytes.byteLength, SAMPLE_RATE));
+      };
+      if (holdDecodes) {
+        heldDecodes.push(decode);
+      } else {
+        decode();
+      }
+    };
+    sinon.stub(LogHandler, 'addLogSystemError');
+  });
+
+  afterEach(function() {
+    LogHandler.addLogSystemError.restore();
+  });
+
+  /**
+   * @return {Object} Promise, Resolves once pending promise callbacks ran
+   */
+  var pFlush = function() {
+    return new Promise(function(resolve) {
+      setImmediate(resolve);
+    });
+  };
+
+  describe('pInit', function() {
+
+    it('estimates the duration from the audio', function() {
+      var source = new WindowedTrackSource(
+        audioContext, createEncodedAudio(100, 0), WINDOW_SEC);
+
+      return source.pInit().then(function() {
+        expect(source.audioStartByte).to.equal(0);
+        expect(source.durationSec).to.equal(100);
+        expect(source.getNumWindows()).to.equal(5);
+      });
+    });
+
+    it('leaves the ID3v2 tag out of the bit rate', function() {
+      // big enough to skew the estimate - e.g. cover art
+      var tagBytes = 300 * 1024;
+      var source = new WindowedTrackSource(
+        audioContext, createEncodedAudio(100, tagBytes), WINDOW_SEC);
+
+      return source.pInit().then(function() {
+        expect(source.audioStartByte).to.equal(10 + tagBytes);
+        expect(source.bytesPerSec).to.equal(SAMPLE_RATE);
+        expect(source.durationSec).to.equal(100);
+      });
+    });
+
+  });
+
+  describe('pGetWindow', function() {
+
+    it('lines a window up with the tail of the window before it',
+        function() {
+      // Decoding starts some frames into a slice, like an MP3 decode starting
+      // at the first frame sync - how many depends on where it's sliced
+      var skipFrames = 7;
+      var encodedAudio = createEncodedAudio(100, 0);
+      var bytes = new Uint8Array(encodedAudio);
+      for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = Math.imul(i, 2654435761) >>> 24;
+      }
+      audioContext.decodeAudioData = function(slice, resolve) {
+        var samples = new Uint8Array(slice).subarray(skipFrames);
+        var buffer = fakeAudioContext.createFakeAudioBuffer(
+          2, samples.length, SAMPLE_RATE);
+        buffer.getChannelData(0).set(samples);
+        buffer.getChannelData(1).set(samples);
+        resolve(buffer);
+      };
+      var source = new WindowedTrackSource(
+        audioContext, encodedAudio, WINDOW_SEC);
+      var firstWindow;
+
+      return source.pInit().then(function() {
+        return source.pGetWindow(0);
+      }).then(function(buffer) {
+        firstWindow = buffer;
+        skipFrames = 30;
+        return source.pGetWindow(1);
+      }).then(function(buffer) {
+        var tailStart = WINDOW_SEC * SAMPLE_RATE;
+        expect(buffer.getChannelData(0).subarray(0, 1000)).to.deep.equal(
+          firstWindow.getChannelData(0).subarray(tailStart, tailStart + 1000));
+      });
+    });
+
+  });
+
+  describe('getMemoryBytes', function() {
+
+    it('budgets encoded audio plus the windows held while playing',
+        function() {
+      var source = new WindowedTrackSource(
+        audioContext, createEncodedAudio(100, 0), WINDOW_SEC);
+
+      return source.pInit().then(function() {
+        // 2 idle windows plus the one playing and the next one, each with a
+        // 2 sec tail
+        var windowBytes = (WINDOW_SEC + 2) * SAMPLE_RATE * 2 * 4;
+        expect(source.getMemoryBytes()).to.equal(
+          100 * SAMPLE_RATE + 4 * windowBytes);
+      });
+    });
+
+  });
+
+  describe('WindowedSourceNode', function() {
+    var clock;
+    var source;
+    var node;
+
+    beforeEach(function() {
+      clock = sinon.useFakeTimers({toFake: ['setTimeout', 'clearTimeout']});
+      source = new WindowedTrackSource(
+        audioContext, createEncodedAudio(100, 0), WINDOW_SEC);
+      return source.pInit().then(function() {
+        node = source.createSourceNode();
+        node.onended = sinon.spy();
+      });
+    });
+
+    afterEach(function() {
+      node.disconnect();
+      clock.restore();
+    });
+
+    it('hands off to the next window at the boundary', function() {
+      node.start(0, 0);
+
+      return pFlush().then(function() {
+        audioContext.currentTime = 19;
+        clock.tick(250);
+
+        var windowNodes = audioContext.sourceNodes;
+        expect(windowNodes.length).to.equal(2);
+        expect(windowNodes[0].stopTimeSec).to.equal(20 + SEAM_FADE_SEC);
+        expect(windowNodes[1].startArgs).to.deep.equal([20, 0]);
+      });
+    });
+
+    it('crossfades window nodes at the boundary', function() {
+      node.start(0, 0);
+
+      return pFlush().then(function() {
+        audioContext.currentTime = 19;
+        clock.tick(250);
+
+        var windowNodes = audioContext.sourceNodes;
+        expect(windowNodes[0].outputs[0].gain.calls).to.deep.equal([
+          ['setValueAtTime', 1, 20],
+          ['linearRampToValueAtTime', 0, 20 + SEAM_FADE_SEC]
+        ]);
+        expect(windowNodes[1].outputs[0].gain.calls).to.deep.equal([
+          ['setValueAtTime', 0, 20],
+          ['linearRampToValueAtTime', 1, 20 + SEAM_FADE_SEC]
+        ]);
+      });
+    });
+
+    it('hands off to windows before a scheduled stop', function() {
+      node.start(0, 0);
+
+      return pFlush().then(function() {
+        node.stop(60);
+        audioContext.currentTime = 19;
+        // hand off to window 1 then prefetch window 2
+        clock.tick(500);
+        return pFlush();
+      }).then(function() {
+        audioContext.currentTime = 39;
+        clock.tick(250);
+
+        var windowNodes = audioContext.sourceNodes;
+        expect(windowNodes.length).to.equal(3);
+        expect(windowNodes[0].stopTimeSec).to.equal(20 + SEAM_FADE_SEC);
+        expect(windowNodes[1].startArgs).to.deep.equal([20, 0]);
+        expect(windowNodes[1].stopTimeSec).to.equal(40 + SEAM_FADE_SEC);
+        expect(windowNodes[2].startArgs).to.deep.equal([40, 0]);
+        expect(windowNodes[2].stopTimeSec).to.equal(60);
+      });
+    });
+
+    it('keeps handing off once a stop is cancelled', function() {
+      node.start(0, 0);
+
+      return pFlush().then(function() {
+        node.stop(Number.MAX_SAFE_INTEGER);
+        audioContext.currentTime = 19;
+        clock.tick(250);
+
+        var windowNodes = audioContext.sourceNodes;
+        expect(windowNodes.length).to.equal(2);
+        expect(windowNodes[0].stopTimeSec).to.equal(20 + SEAM_FADE_SEC);
+        expect(windowNodes[1].startArgs).to.deep.equal([20, 0]);
+      });
+    });
+
+    it('stalls when a window runs out before the stop', function() {
+      holdDecodes = true;
+      node.start(0, 0);
+      heldDecodes.shift()();
+
+      return pFlush().then(function() {
+        node.stop(60);
+        audioContext.currentTime = 22;
+        audioContext.sourceNodes[0].onended();
+
+        expect(node.onended).to.not.have.been.called;
+        expect(LogHandler.addLogSystemError).to.have.been.calledOnce;
+      });
+    });
+
+    it('picks up in time after the next window decodes late', function() {
+      holdDecodes = true;
+      node.start(0, 0);
+      heldDecodes.shift()();
+
+      return pFlush().then(function() {
+        // first window runs out before the next one is decoded
+        audioContext.currentTime = 22;
+        audioContext.sourceNodes[0].onended();
+
+        expect(node.onended).to.not.have.been.called;
+        expect(LogHandler.addLogSystemError).to.have.been.calledOnce;
+
+        audioContext.currentTime = 23.5;
+        heldDecodes.shift()();
+        return pFlush();
+      }).then(function() {
+        clock.tick(250);
+
+        var windowNodes = audioContext.sourceNodes;
+        expect(windowNodes.length).to.equal(2);
+        expect(windowNodes[1].startArgs).to.deep.equal([23.5, 3.5]);
+        expect(node.onended).to.not.have.been.called;
+      });
+    });
+
+    it('ends when the last window ends', function() {
+      node.start(0, 90);
+
+      return pFlush().then(function() {
+        audioContext.currentTime = 10;
+        audioContext.sourceNodes[0].onended();
+
+        expect(node.onended).to.have.been.calledOnce;
+        expect(LogHandler.addLogSystemError).to.not.have.been.called;
+      });
+    });
+
+    it('ends when stopped', function() {
+      node.start(0, 0);
+
+      return pFlush().then(function() {
+        audioContext.currentTime = 5;
+        node.stop(5);
+        audioContext.sourceNodes[0].onended();
+
+        expect(node.onended).to.have.been.calledOnce;
+      });
+    });
+
+  });
+
+});